@@ -9,6 +9,7 @@ use HdmBoot\Modules\Core\Security\Infrastructure\Middleware\UserAuthenticationMi
 use HdmBoot\Modules\Core\Session\Infrastructure\Middleware\SessionStartMiddleware;
 use HdmBoot\Modules\Core\User\Actions\Web\ProfilePageAction;
 use HdmBoot\Modules\Optional\Home\Actions\HomeAction;
+use HdmBoot\SharedKernel\Services\ThemeManager;
 use Psr\Http\Message\ResponseInterface;
 use Psr\Http\Message\ServerRequestInterface;
 use Slim\App;
@@ -31,6 +32,28 @@ return function (App $app): void {
         return $response->withHeader('Content-Type', 'text/html');
     });
 
+    // ===== THEME ROUTES =====
+    // Service worker built by the active theme, served from the root so it controls every page
+    $app->get('/sw.js', function (ServerRequestInterface $request, ResponseInterface $response) {
+        $themeManager = new ThemeManager();
+        $workerPath = $themeManager->getThemeBuildPath() . '/sw.js';
+
+        if (!is_file($workerPath)) {
+            $response->getBody()->write('// Service worker not built');
+
+            return $response
+                ->withHeader('Content-Type', 'application/javascript')
+                ->withStatus(404);
+        }
+
+        $response->getBody()->write((string) file_get_contents($workerPath));
+
+        return $response
+            ->withHeader('Content-Type', 'application/javascript')
+            ->withHeader('Cache-Control', 'no-cache')
+            ->withHeader('Service-Worker-Allowed', '/');
+    })->setName('service-worker');
+
     // Original home route as backup
     $app->get('/old', function (ServerRequestInterface $request, ResponseInterface $response) {
         $html = '<!DOCTYPE html>
@@ -224,4 +247,7 @@ return function (App $app): void {
 
     // ===== DOCUMENTATION ROUTES =====
     (require __DIR__ . '/routes/docs.php')($app);
+
+    // ===== LIVE EVENT ROUTES =====
+    (require __DIR__ . '/routes/events.php')($app);
 };
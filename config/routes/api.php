@@ -2,13 +2,13 @@
 
 declare(strict_types=1);
 
-use HdmBoot\Modules\Core\User\Actions\Api\ListUsersAction;
 use Slim\App;
-use Slim\Routing\RouteCollectorProxy;
 
+/*
+ * API Routes.
+ *
+ * Module APIs register their own routes (see the 'routes' key of each
+ * module.php), the user API lives in src/Modules/Core/User/routes.php.
+ */
 return function (App $app): void {
-    $app->group('/api', function (RouteCollectorProxy $group) {
-        // Users API endpoints
-        $group->get('/users', ListUsersAction::class);
-    });
 };
@@ -0,0 +1,49 @@
+<?php
+
+declare(strict_types=1);
+
+use DI\Container;
+use HdmBoot\Modules\Core\Security\Middleware\AuthenticationMiddleware;
+use HdmBoot\Modules\Core\Security\Services\AuthenticationService;
+use HdmBoot\SharedKernel\Events\Live\Actions\LiveEventPollAction;
+use HdmBoot\SharedKernel\Events\Live\Actions\LiveEventStreamAction;
+use Psr\Http\Message\ResponseFactoryInterface;
+use Psr\Http\Message\ResponseInterface;
+use Psr\Http\Message\ServerRequestInterface;
+use Psr\Http\Server\RequestHandlerInterface;
+use Psr\Log\LoggerInterface;
+use Slim\App;
+
+/*
+ * Live Event Routes.
+ *
+ * Domain events streamed to the browser. Public topics need no login,
+ * a JWT unlocks the topics its user has the permission for.
+ */
+return function (App $app): void {
+    /** @var Container $container */
+    $container = $app->getContainer();
+
+    // Requests without a valid token go on as anonymous; built when an
+    // events route runs, not on every request
+    $optionalAuthentication = static function (ServerRequestInterface $request, RequestHandlerInterface $handler) use ($container): ResponseInterface {
+        /** @var AuthenticationService $authenticationService */
+        $authenticationService = $container->get(AuthenticationService::class);
+        /** @var ResponseFactoryInterface $responseFactory */
+        $responseFactory = $container->get(ResponseFactoryInterface::class);
+        /** @var LoggerInterface $logger */
+        $logger = $container->get(LoggerInterface::class);
+
+        return AuthenticationMiddleware::optional($authenticationService, $responseFactory, $logger)->process($request, $handler);
+    };
+
+    // Server-Sent Events, resumed from Last-Event-ID
+    $app->get('/api/events/stream', LiveEventStreamAction::class)
+        ->setName('events.stream')
+        ->add($optionalAuthentication);
+
+    // The same events as JSON, for clients without streaming
+    $app->get('/api/events', LiveEventPollAction::class)
+        ->setName('events.poll')
+        ->add($optionalAuthentication);
+};
@@ -2,8 +2,11 @@
 
 declare(strict_types=1);
 
+use HdmBoot\Modules\Core\Monitoring\Actions\ClientReportAction;
 use HdmBoot\Modules\Core\Monitoring\Actions\StatusAction;
+use HdmBoot\Modules\Core\Monitoring\Actions\StatusPageAction;
 use HdmBoot\Modules\Core\Monitoring\Infrastructure\Actions\HealthCheckAction;
+use HdmBoot\Modules\Core\Monitoring\Infrastructure\Middleware\ClientReportLimitMiddleware;
 use Slim\App;
 
 /*
@@ -18,6 +21,15 @@ return function (App $app): void {
     // API status endpoint
     $app->get('/api/status', StatusAction::class);
 
+    // Live status page polling the endpoints above
+    $app->get('/status', StatusPageAction::class)->setName('status');
+
+    // Errors, failed requests and Web Vitals reported by the theme. No CSRF
+    // check, reports are sent with sendBeacon, which can't add the header;
+    // throttled and size-capped instead, as anyone can post them
+    $app->post('/api/monitoring/client-reports', ClientReportAction::class)
+        ->add(ClientReportLimitMiddleware::class);
+
     // Alternative health check endpoints
     $app->get('/health', HealthCheckAction::class);
     $app->get('/healthz', HealthCheckAction::class);
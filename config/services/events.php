@@ -6,6 +6,8 @@ use DI\Container;
 use HdmBoot\SharedKernel\Events\EventBootstrap;
 use HdmBoot\SharedKernel\Events\EventDispatcher;
 use HdmBoot\SharedKernel\Events\EventDispatcherInterface;
+use HdmBoot\SharedKernel\Events\Live\LiveEventBridge;
+use HdmBoot\SharedKernel\Events\Live\LiveEventFeed;
 use HdmBoot\SharedKernel\Events\ModuleEventBus;
 use Psr\EventDispatcher\EventDispatcherInterface as PsrEventDispatcherInterface;
 use Psr\Log\LoggerInterface;
@@ -57,8 +59,28 @@ return [
         );
     },
 
+    // === LIVE EVENTS ===
+
+    // Feed the event stream endpoints read from
+    LiveEventFeed::class => function (Container $container): LiveEventFeed {
+        $pdo = $container->get(\PDO::class);
+        if (!$pdo instanceof \PDO) {
+            throw new \RuntimeException('PDO service not properly configured');
+        }
+
+        return new LiveEventFeed($pdo);
+    },
+
     // === EVENT LISTENERS ===
 
+    // Passes selected domain events on to the live event feed
+    LiveEventBridge::class => function (Container $container): LiveEventBridge {
+        return new LiveEventBridge(
+            $container->get(LiveEventFeed::class),
+            $container->get(LoggerInterface::class)
+        );
+    },
+
     // Language Module Listeners
     \HdmBoot\Modules\Core\Language\Infrastructure\Listeners\LocaleChangedListener::class => function (Container $container) {
         return new \HdmBoot\Modules\Core\Language\Infrastructure\Listeners\LocaleChangedListener(
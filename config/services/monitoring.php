@@ -2,9 +2,36 @@
 
 declare(strict_types=1);
 
+use HdmBoot\Modules\Core\Monitoring\Actions\ClientReportAction;
 use HdmBoot\Modules\Core\Monitoring\Actions\StatusAction;
+use HdmBoot\Modules\Core\Monitoring\Infrastructure\Metrics\SourceMapResolver;
+use HdmBoot\Modules\Core\Monitoring\Infrastructure\Middleware\ClientReportLimitMiddleware;
+use Psr\Container\ContainerInterface;
+use Psr\Http\Message\ResponseFactoryInterface;
+use ResponsiveSk\Slim4Paths\Paths;
 
 return [
     StatusAction::class => \DI\autowire()
         ->constructorParameter('settings', \DI\get('settings')),
+
+    ClientReportAction::class => \DI\autowire()
+        ->constructorParameter('clientLogger', \DI\get('logger.client')),
+
+    // Request counters of the public report endpoint
+    ClientReportLimitMiddleware::class => function (ContainerInterface $container): ClientReportLimitMiddleware {
+        /** @var Paths $paths */
+        $paths = $container->get(Paths::class);
+        /** @var ResponseFactoryInterface $responseFactory */
+        $responseFactory = $container->get(ResponseFactoryInterface::class);
+
+        return new ClientReportLimitMiddleware($responseFactory, $paths->cache('client-reports'));
+    },
+
+    // The theme build keeps its source maps out of public/
+    SourceMapResolver::class => function (ContainerInterface $container): SourceMapResolver {
+        /** @var Paths $paths */
+        $paths = $container->get(Paths::class);
+
+        return new SourceMapResolver($paths->base() . '/var/sourcemaps');
+    },
 ];
@@ -1,13 +1,16 @@
 // Theme management
+// Shares the 'theme' preference ({ mode, palette }) with the default theme's $store.theme
 class ThemeManager {
     constructor() {
-        this.theme = localStorage.getItem('theme') || 'light';
+        this.modes = ['light', 'dark', 'system'];
+        this.systemDark = window.matchMedia('(prefers-color-scheme: dark)');
+        this.preference = this.readPreference();
         this.init();
     }
 
     init() {
         // Set initial theme
-        document.documentElement.setAttribute('data-theme', this.theme);
+        this.applyTheme();
 
         // Create and append toggle button
         const button = this.createToggleButton();
@@ -15,6 +18,58 @@ class ThemeManager {
 
         // Update button icon
         this.updateButtonIcon();
+
+        // Follow the OS setting in system mode
+        this.systemDark.addEventListener('change', () => {
+            if (this.preference.mode === 'system') {
+                this.applyTheme();
+                this.updateButtonIcon();
+            }
+        });
+
+        // Preference changed in another tab
+        window.addEventListener('storage', (e) => {
+            if (e.key === 'theme' || e.key === null) {
+                this.preference = this.readPreference();
+                this.applyTheme();
+                this.updateButtonIcon();
+            }
+        });
+    }
+
+    readPreference() {
+        let stored = {};
+
+        try {
+            const raw = localStorage.getItem('theme');
+            const legacy = localStorage.getItem('darkMode');
+
+            if (raw && raw.startsWith('{')) {
+                stored = JSON.parse(raw);
+            } else if (raw) {
+                stored = { mode: raw };
+            } else if (legacy !== null) {
+                stored = { mode: legacy === 'true' ? 'dark' : 'light' };
+            }
+        } catch (e) {
+            // Unreadable preference, use the defaults
+        }
+
+        return {
+            mode: this.modes.includes(stored.mode) ? stored.mode : 'system',
+            palette: stored.palette || 'default'
+        };
+    }
+
+    isDark() {
+        return this.preference.mode === 'dark' ||
+            (this.preference.mode === 'system' && this.systemDark.matches);
+    }
+
+    applyTheme() {
+        const dark = this.isDark();
+        document.documentElement.classList.toggle('dark', dark);
+        document.documentElement.style.colorScheme = dark ? 'dark' : 'light';
     }
 
     createToggleButton() {
@@ -30,16 +85,23 @@ class ThemeManager {
     }
 
     toggleTheme() {
-        this.theme = this.theme === 'light' ? 'dark' : 'light';
-        document.documentElement.setAttribute('data-theme', this.theme);
-        localStorage.setItem('theme', this.theme);
+        this.preference.mode = this.isDark() ? 'light' : 'dark';
+
+        try {
+            localStorage.setItem('theme', JSON.stringify(this.preference));
+            localStorage.removeItem('darkMode');
+        } catch (e) {
+            // Private mode: the choice lasts for this page only
+        }
+
+        this.applyTheme();
         this.updateButtonIcon();
     }
 
     updateButtonIcon() {
         const icon = document.querySelector('.theme-toggle .icon');
         if (icon) {
-            icon.textContent = this.theme === 'light' ? '🌓' : '🌙';
+            icon.textContent = this.isDark() ? '🌙' : '🌓';
         }
     }
 }
@@ -47,10 +109,4 @@ class ThemeManager {
 // Initialize theme manager when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
     new ThemeManager();
-
-    // Check user's system preference
-    if (!localStorage.getItem('theme')) {
-        const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
-        document.documentElement.setAttribute('data-theme', prefersDark ? 'dark' : 'light');
-    }
 });
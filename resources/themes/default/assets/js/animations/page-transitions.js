@@ -1,17 +1,49 @@
 /**
  * Page Transitions
- * 
- * Handles smooth page transitions and loading animations
+ *
+ * Handles smooth page transitions and loading animations.
+ * Internal links are fetched and swapped into `.page-content` without a
+ * full reload; anything that can't be swapped safely falls back to a
+ * normal page load.
  */
 
-// Page transition system
-document.addEventListener('DOMContentLoaded', () => {
-  // Page load animation
-  const pageLoader = document.querySelector('.page-loader')
-  
-  if (pageLoader) {
-    // Hide loader after page load
-    window.addEventListener('load', () => {
+import Alpine from 'alpinejs'
+import { gsap } from 'gsap'
+import { ScrollTrigger } from 'gsap/ScrollTrigger'
+import { registerEffect, allowsMotion } from './registry'
+import { mount, registerComponent, unmount } from '../lib/components'
+import { reportError } from '../lib/reporter'
+
+// Prefetched pages are reused for this long
+const PREFETCH_TTL = 30000
+
+// Upper bound for cached pages
+const PREFETCH_LIMIT = 20
+
+// Hover time before a link counts as intent
+const HOVER_DELAY = 65
+
+// Head tags kept in sync with the new page
+const META_SELECTORS = [
+  'meta[name="description"]',
+  'meta[name="theme-color"]',
+  'meta[name="keywords"]',
+  'meta[name^="twitter:"]',
+  'meta[property^="og:"]',
+  'link[rel="canonical"]'
+]
+
+const prefetchCache = new Map()
+let navigationController = null
+
+// URL of the content currently on screen
+let renderedUrl = new URL(window.location.href)
+
+// Page load animation
+registerComponent('page-loader', {
+  selector: '.page-loader',
+  mount: (pageLoader, { on }) => {
+    const hide = () => {
       gsap.to(pageLoader, {
         opacity: 0,
         duration: 0.5,
@@ -20,149 +52,445 @@ document.addEventListener('DOMContentLoaded', () => {
           pageLoader.style.display = 'none'
         }
       })
+    }
+
+    // Hide loader after page load
+    if (document.readyState === 'complete') {
+      hide()
+    } else {
+      on(window, 'load', hide)
+    }
+  }
+})
+
+// Page transition system
+registerComponent('page-transitions', {
+  selector: 'body',
+  mount: (body, { on }) => {
+    // Partial navigation needs a swappable content area and the History API
+    if (!body.querySelector('.page-content') || !window.history.pushState) {
+      return
+    }
+
+    // We restore scroll positions ourselves
+    window.history.scrollRestoration = 'manual'
+
+    const state = window.history.state || {}
+    const navigation = performance.getEntriesByType?.('navigation')[0]
+
+    if (navigation?.type === 'back_forward' && typeof state.scrollY === 'number') {
+      window.scrollTo(0, state.scrollY)
+    }
+
+    window.history.replaceState({ ...state, transition: true, scrollY: window.scrollY }, '')
+
+    // Link transition handling
+    on(document, 'click', (e) => {
+      const link = e.target.closest('a[href]')
+
+      if (!link || e.defaultPrevented || !isTransitionLink(link, e)) {
+        return
+      }
+
+      e.preventDefault()
+      navigate(link.href)
+    })
+
+    // Prefetch on hover intent, focus and touch
+    let hoverTimer
+
+    on(document, 'mouseover', (e) => {
+      const link = e.target.closest('a[href]')
+
+      clearTimeout(hoverTimer)
+
+      if (link && isTransitionLink(link)) {
+        hoverTimer = setTimeout(() => prefetch(link.href), HOVER_DELAY)
+      }
+    })
+
+    on(document, 'mouseout', () => clearTimeout(hoverTimer))
+
+    const prefetchNow = (e) => {
+      const link = e.target.closest?.('a[href]')
+
+      if (link && isTransitionLink(link)) {
+        prefetch(link.href)
+      }
+    }
+
+    on(document, 'focusin', prefetchNow)
+    on(document, 'touchstart', prefetchNow, { passive: true })
+
+    // Back/forward button handling
+    on(window, 'popstate', (e) => {
+      const { pathname, search } = window.location
+
+      // Query-only entries on the same page (e.g. blog filters) are handled in place
+      if (pathname === renderedUrl.pathname &&
+          (!e.state?.transition || search === renderedUrl.search)) {
+        return
+      }
+
+      // Pages with their own router handle every path below their base
+      if (isClientRoute(pathname)) {
+        return
+      }
+
+      navigate(window.location.href, { push: false, scrollY: e.state?.scrollY ?? 0 })
     })
+
+    // Remember where the user was before leaving
+    on(window, 'pagehide', saveScrollPosition)
+
+    return () => {
+      clearTimeout(hoverTimer)
+      navigationController?.abort()
+    }
   }
-  
-  // Animate page elements on load
-  const animatePageLoad = () => {
-    // Fade in main content
-    gsap.fromTo('.page-content',
+})
+
+// Page load animations, claimed before the scroll effects
+registerEffect('page-content', {
+  selector: '.page-content',
+  reduced: 'fade',
+  run: (content) => {
+    gsap.fromTo(content,
       { opacity: 0, y: 20 },
       { opacity: 1, y: 0, duration: 0.8, ease: 'power2.out' }
     )
-    
-    // Stagger animate cards
-    gsap.fromTo('.card, .blog-card',
+  }
+})
+
+// Stagger animate cards
+registerEffect('cards', {
+  selector: '.card, .blog-card',
+  batch: true,
+  reduced: 'fade',
+  run: (cards) => {
+    gsap.fromTo(cards,
       { opacity: 0, y: 30, scale: 0.95 },
-      { 
-        opacity: 1, 
-        y: 0, 
+      {
+        opacity: 1,
+        y: 0,
         scale: 1,
         duration: 0.6,
         stagger: 0.1,
         ease: 'back.out(1.7)'
       }
     )
-    
-    // Animate navigation
-    gsap.fromTo('.navbar',
+  }
+})
+
+// Animate navigation
+registerEffect('navbar', {
+  selector: '.navbar',
+  reduced: 'fade',
+  run: (navbar) => {
+    gsap.fromTo(navbar,
       { opacity: 0, y: -20 },
       { opacity: 1, y: 0, duration: 0.6, ease: 'power2.out' }
     )
-    
-    // Animate hero section
-    const hero = document.querySelector('.hero-section')
-    if (hero) {
-      gsap.fromTo('.hero-title',
-        { opacity: 0, y: 50 },
-        { opacity: 1, y: 0, duration: 1, ease: 'power2.out' }
-      )
-      
-      gsap.fromTo('.hero-subtitle',
-        { opacity: 0, y: 30 },
-        { opacity: 1, y: 0, duration: 1, delay: 0.2, ease: 'power2.out' }
-      )
-      
-      gsap.fromTo('.hero-cta',
-        { opacity: 0, y: 20 },
-        { opacity: 1, y: 0, duration: 1, delay: 0.4, ease: 'power2.out' }
+  }
+})
+
+// Animate hero section
+const HERO_PARTS = [
+  { name: 'hero-title', y: 50, delay: 0 },
+  { name: 'hero-subtitle', y: 30, delay: 0.2 },
+  { name: 'hero-cta', y: 20, delay: 0.4 }
+]
+
+HERO_PARTS.forEach(({ name, y, delay }) => {
+  registerEffect(name, {
+    selector: `.hero-section .${name}`,
+    reduced: 'fade',
+    run: (element) => {
+      gsap.fromTo(element,
+        { opacity: 0, y },
+        { opacity: 1, y: 0, duration: 1, delay, ease: 'power2.out' }
       )
     }
-  }
-  
-  // Run page load animation
-  animatePageLoad()
-  
-  // Link transition handling
-  const links = document.querySelectorAll('a[href^="/"], a[href^="./"], a[href^="../"]')
-  
-  links.forEach(link => {
-    link.addEventListener('click', (e) => {
-      // Skip if it's an external link or has special attributes
-      if (link.target === '_blank' || link.hasAttribute('download')) {
-        return
-      }
-      
-      e.preventDefault()
-      
-      const href = link.getAttribute('href')
-      
-      // Page exit animation
-      gsap.to('.page-content', {
-        opacity: 0,
-        y: -20,
-        duration: 0.3,
-        ease: 'power2.in',
-        onComplete: () => {
-          // Navigate to new page
-          window.location.href = href
-        }
-      })
-    })
-  })
-  
-  // Back/forward button handling
-  window.addEventListener('popstate', () => {
-    // Animate page change
-    gsap.fromTo('.page-content',
-      { opacity: 0, y: 20 },
-      { opacity: 1, y: 0, duration: 0.5, ease: 'power2.out' }
-    )
   })
 })
 
-// Route-specific animations
-const routeAnimations = {
-  '/blog': () => {
-    // Blog page specific animations
-    gsap.fromTo('.blog-header',
+// Blog page header
+registerEffect('blog-header', {
+  selector: '.blog-header',
+  when: () => window.location.pathname === '/blog',
+  reduced: 'fade',
+  run: (header) => {
+    gsap.fromTo(header,
       { opacity: 0, scale: 0.95 },
       { opacity: 1, scale: 1, duration: 0.8, ease: 'power2.out' }
     )
-    
-    gsap.fromTo('.blog-grid .blog-card',
-      { opacity: 0, y: 50, rotationX: 15 },
-      { 
-        opacity: 1, 
-        y: 0, 
-        rotationX: 0,
-        duration: 0.8,
-        stagger: 0.1,
-        ease: 'power2.out'
-      }
+  }
+})
+
+// Fade and scale utilities used by the views
+registerEffect('animate-fade-in', {
+  selector: '.animate-fade-in',
+  batch: true,
+  reduced: 'fade',
+  run: (elements) => {
+    gsap.fromTo(elements,
+      { opacity: 0, y: 20 },
+      { opacity: 1, y: 0, duration: 0.6, stagger: 0.1, ease: 'power2.out' }
     )
-  },
-  
-  '/': () => {
-    // Home page specific animations
-    const features = document.querySelectorAll('.feature-card')
-    
-    gsap.fromTo(features,
-      { opacity: 0, y: 30, scale: 0.9 },
-      { 
-        opacity: 1, 
-        y: 0, 
-        scale: 1,
-        duration: 0.6,
-        stagger: 0.15,
-        ease: 'back.out(1.7)'
-      }
+  }
+})
+
+registerEffect('animate-scale-in', {
+  selector: '.animate-scale-in',
+  batch: true,
+  reduced: 'fade',
+  run: (elements) => {
+    gsap.fromTo(elements,
+      { opacity: 0, scale: 0.95 },
+      { opacity: 1, scale: 1, duration: 0.4, stagger: 0.1, ease: 'back.out(1.7)' }
+    )
+  }
+})
+
+// Links we can load without a full page reload
+function isTransitionLink(link, event = null) {
+  // Modifier keys and non-primary buttons open tabs/windows
+  if (event && (event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey)) {
+    return false
+  }
+
+  // Skip if it's an external link or has special attributes
+  if (link.target && link.target !== '_self') return false
+  if (link.hasAttribute('download')) return false
+  if (link.closest('[data-no-transition]')) return false
+  if (/\bexternal\b/.test(link.getAttribute('rel') || '')) return false
+
+  const url = new URL(link.href, window.location.href)
+
+  if (url.origin !== window.location.origin) return false
+  if (!/^https?:$/.test(url.protocol)) return false
+  if (url.pathname.startsWith('/api/')) return false
+
+  // In-page anchors scroll natively
+  if (url.pathname === window.location.pathname && url.search === window.location.search && url.hash) {
+    return false
+  }
+
+  return true
+}
+
+// A path the page on screen routes itself, see data-client-routes
+function isClientRoute(pathname) {
+  const base = document.querySelector('.page-content [data-client-routes]')?.dataset.clientRoutes
+  const isBelow = (path) => path === base || path.startsWith(`${base}/`)
+
+  return Boolean(base) && isBelow(pathname) && isBelow(renderedUrl.pathname)
+}
+
+// Fetch a page once and keep it for a short while
+function prefetch(href) {
+  const url = stripHash(href)
+  const cached = prefetchCache.get(url)
+
+  if (cached && Date.now() - cached.time < PREFETCH_TTL) {
+    return cached.page
+  }
+
+  // Respect data saver
+  if (navigator.connection?.saveData) {
+    return null
+  }
+
+  const page = fetchPage(url).catch(() => {
+    prefetchCache.delete(url)
+    return null
+  })
+
+  prefetchCache.set(url, { page, time: Date.now() })
+
+  // Drop the oldest entries
+  while (prefetchCache.size > PREFETCH_LIMIT) {
+    prefetchCache.delete(prefetchCache.keys().next().value)
+  }
+
+  return page
+}
+
+// Fetch and parse a page, null when it must be loaded normally
+async function fetchPage(url, signal) {
+  const response = await fetch(url, {
+    signal,
+    credentials: 'same-origin',
+    headers: {
+      'Accept': 'text/html',
+      'X-Requested-With': 'page-transitions'
+    }
+  })
+
+  const type = response.headers.get('Content-Type') || ''
+
+  if (!response.ok || !type.includes('text/html')) {
+    return null
+  }
+
+  const html = await response.text()
+  const doc = new DOMParser().parseFromString(html, 'text/html')
+  const content = doc.querySelector('.page-content')
+
+  // Inline scripts would not run after the swap, such pages need a real load
+  const inlineScript = doc.body.querySelector('script:not([src]):not([type="application/json"]):not([type="application/ld+json"])')
+
+  if (!content || inlineScript || doc.querySelector('meta[name="page-transitions"][content="reload"]')) {
+    return null
+  }
+
+  return { doc, content, url: response.url || url }
+}
+
+// Load a page into .page-content
+async function navigate(href, { push = true, scrollY = null } = {}) {
+  const hash = new URL(href, window.location.href).hash
+  const url = stripHash(href)
+  const pageContent = document.querySelector('.page-content')
+
+  navigationController?.abort()
+  const controller = new AbortController()
+  navigationController = controller
+
+  if (push) {
+    saveScrollPosition()
+  }
+
+  document.documentElement.classList.add('page-transitioning')
+
+  try {
+    const cached = prefetchCache.get(url)
+    const pageRequest = cached && Date.now() - cached.time < PREFETCH_TTL
+      ? cached.page
+      : fetchPage(url, controller.signal)
+
+    // Page exit animation while the page loads
+    const [page] = await Promise.all([
+      pageRequest,
+      gsap.to(pageContent, { opacity: 0, y: allowsMotion() ? -20 : 0, duration: 0.3, ease: 'power2.in' })
+    ])
+
+    if (controller.signal.aborted) return
+
+    if (!page) {
+      window.location.href = href
+      return
+    }
+
+    const finalUrl = new URL(page.url, window.location.href)
+    finalUrl.hash = hash
+
+    if (push) {
+      window.history.pushState({ transition: true, page: true, scrollY: 0 }, '', finalUrl)
+    }
+
+    renderedUrl = finalUrl
+
+    swapContent(pageContent, page)
+
+    // Restore scroll on back, jump to the anchor or the top otherwise
+    const target = hash && document.getElementById(decodeURIComponent(hash.slice(1)))
+
+    if (scrollY !== null) {
+      window.scrollTo(0, scrollY)
+    } else if (target) {
+      target.scrollIntoView()
+    } else {
+      window.scrollTo(0, 0)
+    }
+
+    gsap.fromTo(pageContent,
+      { opacity: 0, y: allowsMotion() ? 20 : 0 },
+      { opacity: 1, y: 0, duration: 0.5, ease: 'power2.out' }
     )
+  } catch (error) {
+    if (error.name === 'AbortError') return
+
+    console.error('Page transition failed:', error)
+    reportError(error, { source: 'page-transition' })
+    window.location.href = href
+  } finally {
+    if (navigationController === controller) {
+      navigationController = null
+      document.documentElement.classList.remove('page-transitioning')
+    }
   }
 }
 
-// Apply route-specific animations
-const applyRouteAnimation = () => {
-  const path = window.location.pathname
-  const animation = routeAnimations[path]
-  
-  if (animation) {
-    // Delay to ensure DOM is ready
-    setTimeout(animation, 100)
+// Replace the content area and re-initialise what lives inside it
+function swapContent(pageContent, { doc, content }) {
+  // Components, ScrollTriggers and tweens of the old content
+  unmount(pageContent)
+
+  Alpine.mutateDom(() => {
+    Array.from(pageContent.children).forEach(child => Alpine.destroyTree(child))
+    pageContent.replaceChildren(...Array.from(content.childNodes, node => document.importNode(node, true)))
+  })
+  Alpine.initTree(pageContent)
+
+  updateHead(doc)
+
+  document.body.className = doc.body.className
+
+  // Per-page animation override
+  if (doc.body.dataset.animate) {
+    document.body.dataset.animate = doc.body.dataset.animate
+  } else {
+    delete document.body.dataset.animate
   }
+  document.documentElement.lang = doc.documentElement.lang || document.documentElement.lang
+
+  syncActiveNavLinks(doc)
+
+  // Set up right away rather than when the observer gets to it, so the
+  // content is ready before we scroll
+  mount(pageContent)
+
+  // For page-wide state, e.g. open menus and modals
+  document.dispatchEvent(new CustomEvent('pageContentLoaded', {
+    detail: { root: pageContent, url: window.location.href }
+  }))
+
+  ScrollTrigger.refresh()
+}
+
+// Title and meta tags from the new page
+function updateHead(doc) {
+  document.title = doc.title
+
+  META_SELECTORS.forEach(selector => {
+    document.head.querySelectorAll(selector).forEach(tag => tag.remove())
+    doc.head.querySelectorAll(selector).forEach(tag => {
+      document.head.appendChild(document.importNode(tag, true))
+    })
+  })
 }
 
-// Apply on page load
-document.addEventListener('DOMContentLoaded', applyRouteAnimation)
+// Mirror the new page's active navigation links
+function syncActiveNavLinks(doc) {
+  const active = new Set(
+    Array.from(doc.querySelectorAll('.nav-link.active'), link => link.getAttribute('href'))
+  )
+
+  document.querySelectorAll('.nav-link').forEach(link => {
+    link.classList.toggle('active', active.has(link.getAttribute('href')))
+  })
+}
+
+function saveScrollPosition() {
+  const state = window.history.state || {}
+  window.history.replaceState({ ...state, scrollY: window.scrollY }, '')
+}
+
+function stripHash(href) {
+  const url = new URL(href, window.location.href)
+  url.hash = ''
+  return url.href
+}
 
 console.log('🎬 Page transitions loaded')
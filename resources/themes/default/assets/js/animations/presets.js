@@ -0,0 +1,168 @@
+/**
+ * Animation Presets
+ *
+ * Declarative animations for PHP views and Markdown content:
+ *
+ *   <div data-animate="fade-up" data-animate-delay="0.2" data-animate-start="top 70%">
+ *
+ * Attributes, all optional:
+ *   data-animate-delay     seconds
+ *   data-animate-duration  seconds
+ *   data-animate-ease      GSAP ease, e.g. "power3.out"
+ *   data-animate-start     ScrollTrigger start, "load" to play immediately
+ *   data-animate-end       ScrollTrigger end
+ *   data-animate-once      play once instead of reversing when scrolled back
+ *   data-animate-stagger   seconds between children ([data-animate-item])
+ *   data-animate-distance  pixels moved by fade/slide presets
+ *   data-animate-speed     parallax speed in percent of the element height
+ *   data-animate-to        end value for counter and progress
+ *
+ * Custom presets come from theme.json (animations.presets) or registerPreset().
+ */
+
+import { gsap } from 'gsap'
+import { animations } from '../../../theme.json'
+import { registerEffect } from './registry'
+
+// Values reserved for opting out and page-level motion overrides
+const RESERVED = ['off', 'reduced', 'lite', 'full']
+
+const presets = new Map()
+
+const DEFAULTS = {
+  duration: 0.8,
+  ease: 'power2.out',
+  delay: 0,
+  start: 'top 85%',
+  end: 'bottom 15%',
+  once: false,
+  stagger: 0
+}
+
+/**
+ * Register a preset, usable as data-animate="name".
+ *
+ * from      GSAP from-vars; the element animates to its natural state
+ * distance  replaces the "x"/"y" of from-vars, signed by their direction
+ * items     children to animate instead of the element (stagger presets)
+ * classes   legacy class selector that applies the same preset
+ * run       (element, options) for presets that need code
+ * extends   name of a preset to start from
+ *
+ * Any DEFAULTS key, plus the registry's heavy, shared, reduced and instant,
+ * may be set on the preset.
+ */
+export function registerPreset(name, definition) {
+  if (RESERVED.includes(name)) {
+    throw new Error(`"${name}" is reserved and cannot be used as an animation preset`)
+  }
+
+  // Used in an attribute selector
+  if (!/^[a-z][a-z0-9-]*$/.test(name)) {
+    throw new Error(`Animation preset names are lowercase letters, digits and dashes, got "${name}"`)
+  }
+
+  const base = definition.extends ? presets.get(definition.extends) : null
+
+  if (definition.extends && !base) {
+    throw new Error(`Unknown animation preset "${definition.extends}"`)
+  }
+
+  const preset = { reduced: 'fade', ...base, ...definition, classes: definition.classes }
+  presets.set(name, preset)
+
+  registerEffect(`preset:${name}`, {
+    selector: [`[data-animate="${name}"]`, preset.classes].filter(Boolean).join(', '),
+    heavy: preset.heavy,
+    shared: preset.shared,
+    scroll: true,
+    reduced: preset.reduced,
+    instant: preset.instant && ((element) => preset.instant(element, presetOptions(element, preset))),
+    run: (element) => (preset.run || runFrom)(element, presetOptions(element, preset))
+  })
+}
+
+export function hasPreset(name) {
+  return presets.has(name)
+}
+
+// Preset defaults overridden by the element's data-animate-* attributes
+export function presetOptions(element, preset = {}) {
+  const data = element.dataset
+  const options = { ...DEFAULTS, ...preset }
+
+  const number = (value, fallback) => {
+    const parsed = parseFloat(value)
+    return Number.isFinite(parsed) ? parsed : fallback
+  }
+
+  options.delay = number(data.animateDelay, options.delay)
+  options.duration = number(data.animateDuration, options.duration)
+  options.stagger = number(data.animateStagger, options.stagger)
+  options.distance = number(data.animateDistance, options.distance)
+  options.speed = number(data.animateSpeed, options.speed)
+  options.to = number(data.animateTo, options.to)
+  options.ease = data.animateEase || options.ease
+  options.start = data.animateStart || options.start
+  options.end = data.animateEnd || options.end
+
+  if ('animateOnce' in data) {
+    options.once = data.animateOnce !== 'false'
+  }
+
+  return options
+}
+
+// ScrollTrigger vars for an entrance, undefined when it plays on load
+export function entranceTrigger(element, options) {
+  if (options.start === 'load') {
+    return undefined
+  }
+
+  return {
+    trigger: element,
+    start: options.start,
+    end: options.end,
+    toggleActions: options.once ? 'play none none none' : 'play none none reverse'
+  }
+}
+
+// From-vars with the distance option applied
+function fromVars({ from = {}, distance }) {
+  const vars = { ...from }
+
+  if (Number.isFinite(distance)) {
+    ['x', 'y'].forEach(axis => {
+      if (typeof vars[axis] === 'number') {
+        vars[axis] = Math.sign(vars[axis]) * distance
+      }
+    })
+  }
+
+  return vars
+}
+
+// Default run: tween from the preset's from-vars to the natural state
+function runFrom(element, options) {
+  const targets = options.items ? element.querySelectorAll(options.items) : element
+
+  gsap.from(targets, {
+    ...fromVars(options),
+    duration: options.duration,
+    delay: options.delay,
+    ease: options.ease,
+    stagger: options.stagger,
+    scrollTrigger: entranceTrigger(element, options)
+  })
+}
+
+// Data-only presets from theme.json, registered once the built-ins exist
+export function registerConfiguredPresets(config = animations?.presets) {
+  Object.entries(config || {}).forEach(([name, definition]) => {
+    try {
+      registerPreset(name, definition)
+    } catch (error) {
+      console.warn(`Animation preset "${name}" skipped:`, error.message)
+    }
+  })
+}
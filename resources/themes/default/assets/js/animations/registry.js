@@ -0,0 +1,194 @@
+/**
+ * Animation Registry
+ *
+ * Every GSAP effect is registered here once by name and applied to each
+ * element at most once. The motion level decides how much runs:
+ *
+ * - full: everything
+ * - lite: heavy effects (parallax, text reveal) skipped on low-end
+ *   devices or with Save-Data on
+ * - reduced: prefers-reduced-motion, fade-only or instant fallbacks
+ * - off: the page opted out with data-animate="off", instant fallbacks
+ *
+ * Authors opt an element (and its children) out with data-animate="off",
+ * or a whole page with data-animate="off|reduced|lite" on <body>.
+ *
+ * Effects are components (lib/components), so they run on the page, on
+ * content page transitions swap in and on anything added later, and their
+ * ScrollTriggers go when the element leaves the page.
+ */
+
+import { gsap } from 'gsap'
+import { ScrollTrigger } from 'gsap/ScrollTrigger'
+import { registerComponent } from '../lib/components'
+
+gsap.registerPlugin(ScrollTrigger)
+
+const LEVELS = ['off', 'reduced', 'lite', 'full']
+
+const effects = new Map()
+
+// Elements already claimed by an effect
+const claimed = new WeakSet()
+
+// Effect names applied per element, for shared effects
+const applied = new WeakMap()
+
+// Elements claimed since the effects last ran, by effect name
+const pending = new Map()
+
+const reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)')
+
+/**
+ * Register an effect, replacing any effect of the same name.
+ *
+ * selector  elements the effect applies to
+ * run       (element) or (elements) when batch is true
+ * batch     run once with all matching elements of a root
+ * heavy     skipped in lite mode
+ * shared    may run on elements another effect already animates
+ * scroll    fade fallback waits for the element to scroll into view
+ * reduced   'fade' or (element) for prefers-reduced-motion
+ * instant   (element) final state without animation
+ * when      () => boolean, e.g. limit to a route
+ */
+export function registerEffect(name, definition) {
+  const effect = { batch: false, heavy: false, shared: false, scroll: false, ...definition }
+
+  effects.set(name, effect)
+
+  registerComponent(`effect-${name.replace(':', '-')}`, {
+    selector: effect.selector,
+    mount: (element) => claim(name, effect, element)
+  })
+}
+
+export function unregisterEffect(name) {
+  effects.delete(name)
+}
+
+// What the environment and the page author allow
+export function motionLevel() {
+  let level = 'full'
+
+  if (reducedMotion.matches) {
+    level = 'reduced'
+  } else if (isLowEnd()) {
+    level = 'lite'
+  }
+
+  // Authors can only lower the level
+  const page = document.body?.dataset.animate
+  if (LEVELS.includes(page) && LEVELS.indexOf(page) < LEVELS.indexOf(level)) {
+    level = page
+  }
+
+  return level
+}
+
+// Movement is fine (full or lite), otherwise fade or jump
+export function allowsMotion() {
+  return ['full', 'lite'].includes(motionLevel())
+}
+
+function isLowEnd() {
+  const connection = navigator.connection
+
+  return Boolean(
+    connection?.saveData ||
+    ['slow-2g', '2g'].includes(connection?.effectiveType) ||
+    (navigator.deviceMemory && navigator.deviceMemory <= 2) ||
+    (navigator.hardwareConcurrency && navigator.hardwareConcurrency <= 2)
+  )
+}
+
+// Author opt-out on the element or an ancestor
+function optedOut(element) {
+  return element.closest('[data-animate="off"]') !== null
+}
+
+// Fade-only fallback for reduced motion
+function fade(targets, trigger, scroll) {
+  gsap.fromTo(targets,
+    { opacity: 0 },
+    {
+      opacity: 1,
+      duration: 0.3,
+      ease: 'none',
+      scrollTrigger: scroll ? { trigger, start: 'top 90%' } : undefined
+    }
+  )
+}
+
+function fallback(effect, level, elements) {
+  if (level === 'reduced' && effect.reduced === 'fade') {
+    if (effect.batch) {
+      fade(elements, elements[0], effect.scroll)
+    } else {
+      elements.forEach(element => fade(element, element, effect.scroll))
+    }
+  } else if (level === 'reduced' && typeof effect.reduced === 'function') {
+    elements.forEach(element => effect.reduced(element))
+  } else if (effect.instant) {
+    elements.forEach(element => effect.instant(element))
+  }
+}
+
+// Mounting claims the element, the effects run once everything mounted in
+// the same task is claimed, so batch effects see all of their elements
+function claim(name, effect, element) {
+  if (effect.when && !effect.when()) return
+
+  const names = applied.get(element) || new Set()
+
+  if (names.has(name) || (!effect.shared && claimed.has(element))) return
+
+  names.add(name)
+  applied.set(element, names)
+
+  if (!effect.shared) {
+    claimed.add(element)
+  }
+
+  if (pending.size === 0) {
+    queueMicrotask(runEffects)
+  }
+
+  if (!pending.has(name)) {
+    pending.set(name, [])
+  }
+
+  pending.get(name).push(element)
+}
+
+function runEffects() {
+  const level = motionLevel()
+
+  // In registration order, so effects registered first claim elements first
+  effects.forEach((effect, name) => {
+    const elements = pending.get(name)
+
+    if (!elements) return
+
+    const animated = elements.filter(element => element.isConnected && !optedOut(element))
+    const skipped = elements.filter(element => element.isConnected && optedOut(element))
+
+    fallback(effect, 'off', skipped)
+
+    if (animated.length === 0) return
+
+    const runs = level === 'full' || (level === 'lite' && !effect.heavy)
+
+    if (!runs) {
+      fallback(effect, level, animated)
+    } else if (effect.batch) {
+      effect.run(animated)
+    } else {
+      animated.forEach(element => effect.run(element))
+    }
+  })
+
+  pending.clear()
+
+  ScrollTrigger.refresh()
+}
@@ -1,177 +1,137 @@
 /**
  * Scroll Animations
  * 
- * Handles scroll-triggered animations using GSAP ScrollTrigger
+ * Built-in animation presets, used as data-animate="fade-up" etc. or
+ * through their original class names (.scroll-fade-in, .counter, ...)
  */
 
-// Scroll animations
-document.addEventListener('DOMContentLoaded', () => {
-  // Ensure ScrollTrigger is available
-  if (typeof ScrollTrigger === 'undefined') {
-    console.warn('ScrollTrigger not available')
-    return
-  }
-  
-  // Refresh ScrollTrigger on page load
-  ScrollTrigger.refresh()
-  
-  // Fade in elements on scroll
-  gsap.utils.toArray('.scroll-fade-in').forEach(element => {
-    gsap.fromTo(element, 
-      { 
-        opacity: 0, 
-        y: 50 
-      },
-      {
-        opacity: 1,
-        y: 0,
-        duration: 1,
-        ease: 'power2.out',
-        scrollTrigger: {
-          trigger: element,
-          start: 'top 85%',
-          end: 'bottom 15%',
-          toggleActions: 'play none none reverse'
-        }
-      }
-    )
-  })
-  
-  // Scale in elements on scroll
-  gsap.utils.toArray('.scroll-scale-in').forEach(element => {
-    gsap.fromTo(element, 
-      { 
-        opacity: 0, 
-        scale: 0.8 
-      },
-      {
-        opacity: 1,
-        scale: 1,
-        duration: 0.8,
-        ease: 'back.out(1.7)',
-        scrollTrigger: {
-          trigger: element,
-          start: 'top 85%',
-          end: 'bottom 15%',
-          toggleActions: 'play none none reverse'
-        }
-      }
-    )
-  })
-  
-  // Slide in from left
-  gsap.utils.toArray('.scroll-slide-left').forEach(element => {
-    gsap.fromTo(element, 
-      { 
-        opacity: 0, 
-        x: -100 
-      },
-      {
-        opacity: 1,
-        x: 0,
-        duration: 1,
-        ease: 'power2.out',
-        scrollTrigger: {
-          trigger: element,
-          start: 'top 85%',
-          end: 'bottom 15%',
-          toggleActions: 'play none none reverse'
-        }
-      }
-    )
-  })
-  
-  // Slide in from right
-  gsap.utils.toArray('.scroll-slide-right').forEach(element => {
-    gsap.fromTo(element, 
-      { 
-        opacity: 0, 
-        x: 100 
-      },
-      {
-        opacity: 1,
-        x: 0,
-        duration: 1,
-        ease: 'power2.out',
-        scrollTrigger: {
-          trigger: element,
-          start: 'top 85%',
-          end: 'bottom 15%',
-          toggleActions: 'play none none reverse'
-        }
-      }
-    )
-  })
-  
-  // Stagger animations for groups
-  gsap.utils.toArray('.scroll-stagger').forEach(container => {
-    const items = container.querySelectorAll('.stagger-item')
+import { gsap } from 'gsap'
+import { ScrollTrigger } from 'gsap/ScrollTrigger'
+import { registerComponent } from '../lib/components'
+import { allowsMotion } from './registry'
+import { registerPreset, registerConfiguredPresets, entranceTrigger } from './presets'
+
+// Navbar hide/show on scroll
+registerComponent('navbar-scroll', {
+  selector: '.navbar',
+  mount: (navbar) => {
+    let lastScrollY = window.scrollY
     
-    gsap.fromTo(items, 
-      { 
-        opacity: 0, 
-        y: 30 
-      },
-      {
-        opacity: 1,
-        y: 0,
-        duration: 0.6,
-        stagger: 0.1,
-        ease: 'power2.out',
-        scrollTrigger: {
-          trigger: container,
-          start: 'top 85%',
-          end: 'bottom 15%',
-          toggleActions: 'play none none reverse'
-        }
-      }
-    )
-  })
-  
-  // Parallax backgrounds
-  gsap.utils.toArray('.parallax-bg').forEach(element => {
-    gsap.to(element, {
-      yPercent: -50,
-      ease: 'none',
-      scrollTrigger: {
-        trigger: element.parentElement,
-        start: 'top bottom',
-        end: 'bottom top',
-        scrub: true
-      }
-    })
-  })
-  
-  // Parallax elements (slower movement)
-  gsap.utils.toArray('.parallax-slow').forEach(element => {
-    gsap.to(element, {
-      yPercent: -20,
-      ease: 'none',
-      scrollTrigger: {
-        trigger: element,
-        start: 'top bottom',
-        end: 'bottom top',
-        scrub: true
+    ScrollTrigger.create({
+      start: 'top -80',
+      end: 99999,
+      onUpdate: () => {
+        const currentScrollY = window.scrollY
+        
+        // Scrolling down hides, scrolling up shows
+        gsap.to(navbar, {
+          yPercent: currentScrollY > lastScrollY && currentScrollY > 100 ? -100 : 0,
+          duration: allowsMotion() ? 0.3 : 0,
+          ease: 'power2.out'
+        })
+        
+        lastScrollY = currentScrollY
       }
     })
-  })
-  
-  // Parallax elements (faster movement)
-  gsap.utils.toArray('.parallax-fast').forEach(element => {
+  }
+})
+
+// Fade in place
+registerPreset('fade-in', {
+  from: { opacity: 0 },
+  duration: 0.6
+})
+
+// Fade in elements on scroll
+registerPreset('fade-up', {
+  classes: '.scroll-fade-in',
+  from: { opacity: 0, y: 50 },
+  duration: 1
+})
+
+registerPreset('fade-down', {
+  from: { opacity: 0, y: -50 },
+  duration: 1
+})
+
+// Scale in elements on scroll
+registerPreset('scale-in', {
+  classes: '.scroll-scale-in',
+  from: { opacity: 0, scale: 0.8 },
+  ease: 'back.out(1.7)'
+})
+
+// Slide in from left
+registerPreset('slide-left', {
+  classes: '.scroll-slide-left',
+  from: { opacity: 0, x: -100 },
+  duration: 1
+})
+
+// Slide in from right
+registerPreset('slide-right', {
+  classes: '.scroll-slide-right',
+  from: { opacity: 0, x: 100 },
+  duration: 1
+})
+
+// Stagger animations for groups
+registerPreset('stagger', {
+  classes: '.scroll-stagger',
+  items: '[data-animate-item], .stagger-item',
+  from: { opacity: 0, y: 30 },
+  duration: 0.6,
+  stagger: 0.1
+})
+
+// Parallax, data-animate-speed is the shift in percent
+registerPreset('parallax', {
+  heavy: true,
+  shared: true,
+  reduced: null,
+  speed: 20,
+  run: (element, options) => {
     gsap.to(element, {
-      yPercent: -80,
+      yPercent: -options.speed,
       ease: 'none',
       scrollTrigger: {
-        trigger: element,
+        trigger: options.parentTrigger ? element.parentElement : element,
         start: 'top bottom',
         end: 'bottom top',
         scrub: true
       }
     })
-  })
-  
-  // Pin sections
-  gsap.utils.toArray('.pin-section').forEach(section => {
+  }
+})
+
+// Parallax backgrounds
+registerPreset('parallax-bg', {
+  extends: 'parallax',
+  classes: '.parallax-bg',
+  speed: 50,
+  parentTrigger: true
+})
+
+// Parallax elements (slower movement)
+registerPreset('parallax-slow', {
+  extends: 'parallax',
+  classes: '.parallax-slow',
+  speed: 20
+})
+
+// Parallax elements (faster movement)
+registerPreset('parallax-fast', {
+  extends: 'parallax',
+  classes: '.parallax-fast',
+  speed: 80
+})
+
+// Pin sections
+registerPreset('pin', {
+  classes: '.pin-section',
+  shared: true,
+  reduced: null,
+  run: (section) => {
     ScrollTrigger.create({
       trigger: section,
       start: 'top top',
@@ -179,11 +139,15 @@ document.addEventListener('DOMContentLoaded', () => {
       pin: true,
       pinSpacing: false
     })
-  })
-  
-  // Horizontal scroll sections
-  gsap.utils.toArray('.horizontal-scroll').forEach(container => {
-    const sections = container.querySelectorAll('.horizontal-section')
+  }
+})
+
+// Horizontal scroll sections
+registerPreset('horizontal-scroll', {
+  classes: '.horizontal-scroll',
+  reduced: null,
+  run: (container) => {
+    const sections = container.querySelectorAll('[data-animate-item], .horizontal-section')
     
     gsap.to(sections, {
       xPercent: -100 * (sections.length - 1),
@@ -196,119 +160,103 @@ document.addEventListener('DOMContentLoaded', () => {
         end: () => '+=' + container.offsetWidth
       }
     })
-  })
-  
-  // Text reveal animations
-  gsap.utils.toArray('.text-reveal').forEach(element => {
+  }
+})
+
+// Text reveal animations
+registerPreset('text-reveal', {
+  classes: '.text-reveal',
+  heavy: true,
+  duration: 0.05,
+  stagger: 0.02,
+  ease: 'back.out(1.7)',
+  run: (element, options) => {
+    // Split into characters without touching markup
     const text = element.textContent
-    element.innerHTML = text.split('').map(char => 
-      char === ' ' ? ' ' : `<span class="char">${char}</span>`
-    ).join('')
-    
-    const chars = element.querySelectorAll('.char')
+    element.setAttribute('aria-label', text)
+    element.replaceChildren(...Array.from(text, char => {
+      if (char === ' ') return document.createTextNode(' ')
+      
+      const span = document.createElement('span')
+      span.className = 'char'
+      span.setAttribute('aria-hidden', 'true')
+      span.textContent = char
+      return span
+    }))
     
-    gsap.fromTo(chars, 
-      { 
-        opacity: 0, 
-        y: 50,
-        rotationX: -90
-      },
-      {
-        opacity: 1,
-        y: 0,
-        rotationX: 0,
-        duration: 0.05,
-        stagger: 0.02,
-        ease: 'back.out(1.7)',
-        scrollTrigger: {
-          trigger: element,
-          start: 'top 85%',
-          end: 'bottom 15%',
-          toggleActions: 'play none none reverse'
-        }
-      }
-    )
-  })
-  
-  // Counter animations
-  gsap.utils.toArray('.counter').forEach(counter => {
-    const target = parseInt(counter.dataset.target) || 0
-    const duration = parseFloat(counter.dataset.duration) || 2
+    gsap.from(element.querySelectorAll('.char'), {
+      opacity: 0,
+      y: 50,
+      rotationX: -90,
+      duration: options.duration,
+      delay: options.delay,
+      stagger: options.stagger,
+      ease: options.ease,
+      scrollTrigger: entranceTrigger(element, options)
+    })
+  }
+})
+
+// Count up to data-animate-to (or the legacy data-target)
+registerPreset('counter', {
+  classes: '.counter',
+  shared: true,
+  reduced: null,
+  duration: 2,
+  run: (counter, options) => {
+    const target = options.to ?? (parseInt(counter.dataset.target) || 0)
+    const duration = parseFloat(counter.dataset.duration) || options.duration
     
     ScrollTrigger.create({
       trigger: counter,
-      start: 'top 85%',
+      start: options.start,
+      once: true,
       onEnter: () => {
-        gsap.to(counter, {
-          innerHTML: target,
+        const state = { value: 0 }
+        
+        gsap.to(state, {
+          value: target,
           duration: duration,
-          ease: 'power2.out',
-          snap: { innerHTML: 1 },
-          onUpdate: function() {
-            counter.innerHTML = Math.ceil(this.targets()[0].innerHTML)
+          delay: options.delay,
+          ease: options.ease,
+          onUpdate: () => {
+            counter.textContent = Math.ceil(state.value)
           }
         })
       }
     })
-  })
-  
-  // Progress bars
-  gsap.utils.toArray('.progress-bar').forEach(bar => {
-    const progress = bar.querySelector('.progress-fill')
-    const percentage = parseInt(bar.dataset.percentage) || 0
+  }
+})
+
+// Progress bars fill to data-animate-to (or the legacy data-percentage)
+const progressValue = (bar, options) => options.to ?? (parseInt(bar.dataset.percentage) || 0)
+
+registerPreset('progress', {
+  classes: '.progress-bar',
+  shared: true,
+  reduced: null,
+  duration: 1.5,
+  run: (bar, options) => {
+    const fill = bar.querySelector('.progress-fill') || bar
     
-    gsap.fromTo(progress, 
-      { 
-        width: '0%' 
-      },
+    gsap.fromTo(fill, 
+      { width: '0%' },
       {
-        width: `${percentage}%`,
-        duration: 1.5,
-        ease: 'power2.out',
-        scrollTrigger: {
-          trigger: bar,
-          start: 'top 85%',
-          end: 'bottom 15%',
-          toggleActions: 'play none none reverse'
-        }
+        width: `${progressValue(bar, options)}%`,
+        duration: options.duration,
+        delay: options.delay,
+        ease: options.ease,
+        scrollTrigger: entranceTrigger(bar, options)
       }
     )
-  })
-  
-  // Navbar hide/show on scroll
-  const navbar = document.querySelector('.navbar')
-  if (navbar) {
-    let lastScrollY = window.scrollY
-    
-    ScrollTrigger.create({
-      start: 'top -80',
-      end: 99999,
-      onUpdate: (self) => {
-        const currentScrollY = window.scrollY
-        
-        if (currentScrollY > lastScrollY && currentScrollY > 100) {
-          // Scrolling down
-          gsap.to(navbar, {
-            yPercent: -100,
-            duration: 0.3,
-            ease: 'power2.out'
-          })
-        } else {
-          // Scrolling up
-          gsap.to(navbar, {
-            yPercent: 0,
-            duration: 0.3,
-            ease: 'power2.out'
-          })
-        }
-        
-        lastScrollY = currentScrollY
-      }
-    })
+  },
+  instant: (bar, options) => {
+    const fill = bar.querySelector('.progress-fill') || bar
+    fill.style.width = `${progressValue(bar, options)}%`
   }
-  
-  // Refresh ScrollTrigger after all animations are set up
-  ScrollTrigger.refresh()
 })
 
+// Team presets from theme.json
+registerConfiguredPresets()
+
 console.log('📜 Scroll animations loaded')
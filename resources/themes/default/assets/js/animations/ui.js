@@ -0,0 +1,69 @@
+/**
+ * UI Transitions
+ *
+ * Enter and leave tweens for overlays and panels. Without motion only the
+ * opacity changes, and instantly.
+ */
+
+import { gsap } from 'gsap'
+import { allowsMotion } from './registry'
+
+function motionVars(vars) {
+  if (allowsMotion()) return vars
+
+  return 'opacity' in vars ? { opacity: vars.opacity } : {}
+}
+
+// Animate from `from` to the element's resting state, resolves when done
+export function enter(element, from = { opacity: 0, y: -8 }, { duration = 0.2, ease = 'power2.out' } = {}) {
+  gsap.killTweensOf(element)
+
+  return gsap.fromTo(element, motionVars(from), {
+    opacity: 1,
+    x: 0,
+    y: 0,
+    scale: 1,
+    duration: allowsMotion() ? duration : 0,
+    ease,
+    clearProps: 'opacity,transform'
+  }).then()
+}
+
+// Animate to `to`, resolves when done
+export function leave(element, to = { opacity: 0, y: -8 }, { duration = 0.15, ease = 'power2.in' } = {}) {
+  gsap.killTweensOf(element)
+
+  return gsap.to(element, {
+    ...motionVars(to),
+    duration: allowsMotion() ? duration : 0,
+    ease
+  }).then()
+}
+
+// Open a panel from zero height
+export function expand(element, { duration = 0.25 } = {}) {
+  gsap.killTweensOf(element)
+  element.hidden = false
+
+  return gsap.fromTo(element, { height: 0, overflow: 'hidden' }, {
+    height: 'auto',
+    duration: allowsMotion() ? duration : 0,
+    ease: 'power2.out',
+    clearProps: 'height,overflow'
+  }).then()
+}
+
+// Close a panel to zero height and hide it
+export function collapse(element, { duration = 0.2 } = {}) {
+  gsap.killTweensOf(element)
+
+  return gsap.to(element, {
+    height: 0,
+    overflow: 'hidden',
+    duration: allowsMotion() ? duration : 0,
+    ease: 'power2.in'
+  }).then(() => {
+    element.hidden = true
+    gsap.set(element, { clearProps: 'height,overflow' })
+  })
+}
@@ -9,127 +9,62 @@ import Alpine from 'alpinejs'
 
 // Import GSAP
 import { gsap } from 'gsap'
-import { ScrollTrigger } from 'gsap/ScrollTrigger'
 
-// Import components
+// Shared API client
+import { api, ApiError, login, logout, me, onAuthChange } from './lib/api'
+import { t } from './lib/i18n'
+import { reportError } from './lib/reporter'
+import { registerComponent, start } from './lib/components'
+
+// Import components, monitoring first so it sees errors in the others
+import './components/monitoring'
 import './components/navigation'
+import './components/live-events'
 import './components/blog'
 import './components/forms'
-import './components/darkmode'
+import './components/theme'
+import './components/i18n'
+import './components/search-palette'
+import './components/docs-reader'
+import './components/docs-tree'
+import './components/content-enhancers'
+import './components/ui'
+import './components/article-editor'
+import './components/admin-dashboard'
+import './components/status'
+import './components/service-worker'
 
 // Import animations
 import './animations/page-transitions'
 import './animations/scroll-animations'
 
-// Register GSAP plugins
-gsap.registerPlugin(ScrollTrigger)
-
-// Make GSAP available globally
-window.gsap = gsap
-window.ScrollTrigger = ScrollTrigger
-
 // Alpine.js global data and methods
 Alpine.data('app', () => ({
   // Theme state
   theme: 'default',
   
-  // Navigation state
-  mobileMenuOpen: false,
+  // Navigation state lives in $store.nav
+  get mobileMenuOpen() {
+    return Alpine.store('nav').open
+  },
   
   // Loading state
   loading: false,
   
   // Initialize app
   init() {
+    // Load and scroll animations run from animations/registry
     console.log('🚀 HDM Boot Default Theme initialized')
-    this.initAnimations()
-    this.initScrollEffects()
   },
   
   // Toggle mobile menu
   toggleMobileMenu() {
-    this.mobileMenuOpen = !this.mobileMenuOpen
-    
-    // Animate menu
-    if (this.mobileMenuOpen) {
-      gsap.fromTo('.mobile-menu', 
-        { opacity: 0, y: -10 },
-        { opacity: 1, y: 0, duration: 0.3, ease: 'power2.out' }
-      )
-    }
+    Alpine.store('nav').toggle()
   },
   
   // Close mobile menu
   closeMobileMenu() {
-    this.mobileMenuOpen = false
-  },
-  
-  // Initialize animations
-  initAnimations() {
-    // Fade in elements on page load
-    gsap.fromTo('.animate-fade-in', 
-      { opacity: 0, y: 20 },
-      { opacity: 1, y: 0, duration: 0.6, stagger: 0.1, ease: 'power2.out' }
-    )
-    
-    // Scale in cards
-    gsap.fromTo('.animate-scale-in', 
-      { opacity: 0, scale: 0.95 },
-      { opacity: 1, scale: 1, duration: 0.4, stagger: 0.1, ease: 'back.out(1.7)' }
-    )
-  },
-  
-  // Initialize scroll effects
-  initScrollEffects() {
-    // Parallax hero background
-    gsap.to('.hero-background', {
-      yPercent: -50,
-      ease: 'none',
-      scrollTrigger: {
-        trigger: '.hero-section',
-        start: 'top bottom',
-        end: 'bottom top',
-        scrub: true
-      }
-    })
-    
-    // Fade in elements on scroll
-    gsap.utils.toArray('.scroll-fade-in').forEach(element => {
-      gsap.fromTo(element, 
-        { opacity: 0, y: 30 },
-        {
-          opacity: 1,
-          y: 0,
-          duration: 0.6,
-          ease: 'power2.out',
-          scrollTrigger: {
-            trigger: element,
-            start: 'top 80%',
-            end: 'bottom 20%',
-            toggleActions: 'play none none reverse'
-          }
-        }
-      )
-    })
-    
-    // Scale in cards on scroll
-    gsap.utils.toArray('.scroll-scale-in').forEach(element => {
-      gsap.fromTo(element, 
-        { opacity: 0, scale: 0.9 },
-        {
-          opacity: 1,
-          scale: 1,
-          duration: 0.5,
-          ease: 'back.out(1.7)',
-          scrollTrigger: {
-            trigger: element,
-            start: 'top 85%',
-            end: 'bottom 15%',
-            toggleActions: 'play none none reverse'
-          }
-        }
-      )
-    })
+    Alpine.store('nav').close()
   },
   
   // Smooth scroll to element
@@ -169,44 +104,106 @@ Alpine.data('blog', () => ({
   selectedTag: '',
   searchQuery: '',
   
+  // Pagination
+  page: 1,
+  limit: 10,
+  total: 0,
+  totalPages: 1,
+  
+  // In-flight articles request
+  controller: null,
+  
+  // Set while filters are restored from the URL or reset
+  restoring: false,
+  
+  // Pending debounced search
+  searchTimeout: null,
+  
   // Initialize blog
   async init() {
-    await this.loadArticles()
-    await this.loadCategories()
-    await this.loadTags()
+    this.readQueryString()
+    
+    // Restore the filtered view on back/forward
+    this.onPopState = () => {
+      this.restoring = true
+      this.readQueryString()
+      this.loadArticles({ history: false })
+      this.$nextTick(() => { this.restoring = false })
+    }
+    window.addEventListener('popstate', this.onPopState)
+    
+    // Filter changes start again from the first page
+    this.$watch('selectedCategory', () => this.restoring || this.applyFilters())
+    this.$watch('selectedTag', () => this.restoring || this.applyFilters())
+    
+    this.$watch('searchQuery', () => {
+      clearTimeout(this.searchTimeout)
+      
+      if (!this.restoring) {
+        this.searchTimeout = setTimeout(() => this.applyFilters(), 300)
+      }
+    })
+    
+    await Promise.all([
+      this.loadArticles({ history: false }),
+      this.loadCategories(),
+      this.loadTags()
+    ])
+  },
+  
+  // Remove global listeners
+  destroy() {
+    window.removeEventListener('popstate', this.onPopState)
+    clearTimeout(this.searchTimeout)
+    this.controller?.abort()
   },
   
   // Load articles from API
-  async loadArticles() {
+  async loadArticles({ history = true } = {}) {
+    // Cancel the request this one replaces
+    this.controller?.abort()
+    const controller = new AbortController()
+    this.controller = controller
+    
     this.loading = true
     this.error = null
     
+    if (history) {
+      this.writeQueryString()
+    }
+    
     try {
-      const response = await fetch('/api/blog/articles')
-      const data = await response.json()
+      const params = this.buildParams()
+      params.set('limit', this.limit)
+      // Drafts are only listed to editors, and never here
+      params.set('status', 'published')
       
-      if (data.success) {
-        this.articles = data.articles
-      } else {
-        this.error = 'Failed to load articles'
-      }
+      const data = await api.get(`/api/blog/articles?${params}`, { signal: controller.signal })
+      
+      this.articles = data.articles
+      this.total = data.meta?.total ?? data.count
+      this.totalPages = data.meta?.total_pages ?? 1
+      this.page = data.meta?.current_page ?? this.page
     } catch (error) {
-      this.error = 'Network error'
+      if (error.name === 'AbortError') {
+        return
+      }
+      
+      this.error = error.isNetworkError ? t('common.network_error') : t('blog.load_failed')
       console.error('Failed to load articles:', error)
     } finally {
-      this.loading = false
+      if (this.controller === controller) {
+        this.loading = false
+        this.controller = null
+      }
     }
   },
   
   // Load categories
   async loadCategories() {
     try {
-      const response = await fetch('/api/blog/categories')
-      const data = await response.json()
-      
-      if (data.success) {
-        this.categories = data.categories
-      }
+      const data = await api.get('/api/blog/categories')
+      this.categories = data.categories
     } catch (error) {
       console.error('Failed to load categories:', error)
     }
@@ -215,35 +212,93 @@ Alpine.data('blog', () => ({
   // Load tags
   async loadTags() {
     try {
-      const response = await fetch('/api/blog/tags')
-      const data = await response.json()
-      
-      if (data.success) {
-        this.tags = data.tags
-      }
+      const data = await api.get('/api/blog/tags')
+      this.tags = data.tags
     } catch (error) {
       console.error('Failed to load tags:', error)
     }
   },
   
-  // Filter articles
+  // Filtering happens on the server, kept for existing templates
   get filteredArticles() {
-    return this.articles.filter(article => {
-      const matchesCategory = !this.selectedCategory || article.category === this.selectedCategory
-      const matchesTag = !this.selectedTag || (article.tags && article.tags.includes(this.selectedTag))
-      const matchesSearch = !this.searchQuery || 
-        article.title.toLowerCase().includes(this.searchQuery.toLowerCase()) ||
-        article.excerpt.toLowerCase().includes(this.searchQuery.toLowerCase())
-      
-      return matchesCategory && matchesTag && matchesSearch
-    })
+    return this.articles
+  },
+  
+  get hasNextPage() {
+    return this.page < this.totalPages
+  },
+  
+  get hasPrevPage() {
+    return this.page > 1
+  },
+  
+  // Reload from the first page with the current filters
+  applyFilters() {
+    this.page = 1
+    this.loadArticles()
+  },
+  
+  // Go to a specific page
+  goToPage(page) {
+    const target = Math.min(Math.max(1, page), this.totalPages)
+    
+    if (target !== this.page) {
+      this.page = target
+      this.loadArticles()
+    }
+  },
+  
+  nextPage() {
+    this.goToPage(this.page + 1)
+  },
+  
+  prevPage() {
+    this.goToPage(this.page - 1)
   },
   
-  // Clear filters
+  // Clear filters with a single reload, not one per watcher
   clearFilters() {
+    clearTimeout(this.searchTimeout)
+    
+    this.restoring = true
     this.selectedCategory = ''
     this.selectedTag = ''
     this.searchQuery = ''
+    this.$nextTick(() => { this.restoring = false })
+    
+    this.applyFilters()
+  },
+  
+  // Filter state as API / URL query parameters
+  buildParams() {
+    const params = new URLSearchParams()
+    
+    if (this.page > 1) params.set('page', this.page)
+    if (this.selectedCategory) params.set('category', this.selectedCategory)
+    if (this.selectedTag) params.set('tag', this.selectedTag)
+    if (this.searchQuery.trim()) params.set('search', this.searchQuery.trim())
+    
+    return params
+  },
+  
+  // Restore filter state from the URL
+  readQueryString() {
+    const params = new URLSearchParams(window.location.search)
+    
+    this.page = Math.max(1, parseInt(params.get('page')) || 1)
+    this.selectedCategory = params.get('category') || ''
+    this.selectedTag = params.get('tag') || ''
+    this.searchQuery = params.get('search') || ''
+  },
+  
+  // Keep the URL shareable
+  writeQueryString() {
+    const query = this.buildParams().toString()
+    const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`
+    
+    if (url !== `${window.location.pathname}${window.location.search}${window.location.hash}`) {
+      window.history.pushState({ blog: true }, '', url)
+    }
   }
 }))
 
@@ -253,41 +308,107 @@ Alpine.data('form', () => ({
   submitting: false,
   success: false,
   error: null,
+  errors: {},
   
   // Submit form
   async submit(formData, endpoint) {
     this.submitting = true
     this.success = false
     this.error = null
+    this.errors = {}
     
     try {
-      const response = await fetch(endpoint, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(formData)
-      })
+      await api.post(endpoint, formData)
       
-      const data = await response.json()
-      
-      if (data.success) {
-        this.success = true
-        // Reset form or redirect
+      this.success = true
+      // Reset form or redirect
+    } catch (error) {
+      if (error instanceof ApiError) {
+        // Field errors for x-text="errors.email" and friends
+        this.errors = error.fields
+        this.error = error.message
       } else {
-        this.error = data.error || 'Submission failed'
+        this.error = t('common.network_error')
+        console.error('Form submission error:', error)
+        reportError(error, { source: 'form' })
       }
-    } catch (error) {
-      this.error = 'Network error'
-      console.error('Form submission error:', error)
     } finally {
       this.submitting = false
     }
   }
 }))
 
-// Start Alpine.js
+// Current user from /api/auth/me, e.g. x-show="$store.auth.loggedIn"
+Alpine.store('auth', {
+  user: null,
+  loading: false,
+  error: null,
+
+  init() {
+    this.load()
+
+    // Login or logout here or in another tab
+    onAuthChange(() => this.load())
+  },
+
+  get loggedIn() {
+    return this.user !== null
+  },
+
+  hasRole(role) {
+    return this.user?.role === role
+  },
+
+  async load() {
+    this.loading = true
+
+    try {
+      this.user = await me()
+    } catch (error) {
+      console.error('Failed to load current user:', error)
+      this.user = null
+    } finally {
+      this.loading = false
+    }
+  },
+
+  async login(email, password) {
+    this.error = null
+
+    try {
+      this.user = await login(email, password)
+      return true
+    } catch (error) {
+      this.error = error.message
+      return false
+    }
+  },
+
+  async logout() {
+    await logout()
+    this.user = null
+  }
+})
+
+// Smooth scrolling for anchor links
+registerComponent('anchor-link', {
+  selector: 'a[href^="#"]',
+  mount: (anchor, { on }) => on(anchor, 'click', (e) => {
+    e.preventDefault()
+    const target = document.querySelector(anchor.getAttribute('href'))
+    if (target) {
+      gsap.to(window, {
+        duration: 1,
+        scrollTo: { y: target, offsetY: 80 },
+        ease: 'power2.inOut'
+      })
+    }
+  })
+})
+
+// Start Alpine.js, then the components it rendered markup for
 Alpine.start()
+start()
 
 // Make Alpine available globally for debugging
 window.Alpine = Alpine
@@ -298,19 +419,4 @@ document.addEventListener('DOMContentLoaded', () => {
   
   // Add theme class to body
   document.body.classList.add('theme-default')
-  
-  // Initialize smooth scrolling for anchor links
-  document.querySelectorAll('a[href^="#"]').forEach(anchor => {
-    anchor.addEventListener('click', function (e) {
-      e.preventDefault()
-      const target = document.querySelector(this.getAttribute('href'))
-      if (target) {
-        gsap.to(window, {
-          duration: 1,
-          scrollTo: { y: target, offsetY: 80 },
-          ease: 'power2.inOut'
-        })
-      }
-    })
-  })
 })
@@ -0,0 +1,449 @@
+/**
+ * Admin Dashboard Component
+ *
+ * The Mark admin shell: user statistics, the user table with create, view,
+ * edit and delete, and the login security panel, all kept current through
+ * the user and security topics of $store.events. The server serves the
+ * same page for every path below the base, views are picked here from the
+ * URL and switched with the History API.
+ *
+ * <div x-data="adminDashboard('/mark/dashboard')" data-client-routes="/mark/dashboard">...</div>
+ */
+
+import Alpine from 'alpinejs'
+import { api, ApiError } from '../lib/api'
+import { t } from '../lib/i18n'
+import { reportError } from '../lib/reporter'
+
+const USERS_ENDPOINT = '/api/users'
+const USER_STATISTICS_ENDPOINT = '/api/admin/users/statistics'
+const SECURITY_STATISTICS_ENDPOINT = '/api/admin/security/statistics'
+const SECURITY_CLEANUP_ENDPOINT = '/api/admin/security/cleanup'
+
+const SEARCH_DELAY = 300
+
+// Live events arriving close together reload the view once
+const LIVE_REFRESH_DELAY = 500
+
+// Same defaults as the user repository
+const DEFAULT_SORT = 'created_at'
+const DEFAULT_DIRECTION = 'desc'
+
+// View, path below the base and the navigation section it belongs to.
+// First match wins, so 'users/new' comes before 'users/{id}'
+const ROUTES = [
+  ['overview', /^$/, 'overview'],
+  ['users', /^users$/, 'users'],
+  ['user-new', /^users\/new$/, 'users'],
+  ['user', /^users\/([^/]+)$/, 'users'],
+  ['user-edit', /^users\/([^/]+)\/edit$/, 'users'],
+  ['security', /^security$/, 'security']
+]
+
+const HEADINGS = {
+  overview: 'Overview',
+  users: 'Users',
+  'user-new': 'New user',
+  user: 'User',
+  'user-edit': 'Edit user',
+  security: 'Security',
+  'not-found': 'Page not found'
+}
+
+const isBelow = (pathname, base) => pathname === base || pathname.startsWith(`${base}/`)
+
+const userUrl = (id) => `${USERS_ENDPOINT}/${encodeURIComponent(id)}`
+
+function matchRoute(path) {
+  for (const [name, pattern, section] of ROUTES) {
+    const match = path.match(pattern)
+    if (match) return { name, section, id: match[1] ? decodeURIComponent(match[1]) : null }
+  }
+
+  return { name: 'not-found', section: null, id: null }
+}
+
+function toForm(user = {}) {
+  return {
+    name: user.name || '',
+    email: user.email || '',
+    password: '',
+    role: user.role || 'user',
+    status: user.status || 'active'
+  }
+}
+
+Alpine.data('adminDashboard', (base = '/mark/dashboard') => {
+  let controller = null
+  let searchTimer = null
+  let onPopState = null
+  let stopLive = null
+  let liveTimer = null
+
+  return {
+    route: { name: null, section: null, id: null },
+    loading: false,
+    saving: false,
+    cleaning: false,
+    message: null,
+    error: null,
+    errors: {},
+
+    statistics: null,
+    security: null,
+    users: [],
+    search: '',
+    sort: DEFAULT_SORT,
+    direction: DEFAULT_DIRECTION,
+    user: null,
+    form: toForm(),
+    // The user the delete dialog asks about
+    deleting: null,
+
+    init() {
+      onPopState = () => this.resolve()
+      window.addEventListener('popstate', onPopState)
+
+      // Views load once an admin is signed in, again after switching accounts
+      this.$watch('$store.auth.user', () => this.resolve())
+      this.resolve()
+
+      // Changes made elsewhere show up without reloading
+      stopLive = this.$store.events.subscribe(['users', 'security'], event => this.onLiveEvent(event))
+    },
+
+    destroy() {
+      window.removeEventListener('popstate', onPopState)
+      clearTimeout(searchTimer)
+      clearTimeout(liveTimer)
+      controller?.abort()
+      stopLive?.()
+    },
+
+    get allowed() {
+      return this.$store.auth.hasRole('admin')
+    },
+
+    get heading() {
+      return HEADINGS[this.route.name] || ''
+    },
+
+    href(path = '') {
+      return path ? `${base}/${path}` : base
+    },
+
+    // Admins can't change their own role or status, nor delete themselves
+    isSelf(user) {
+      return Boolean(user) && user.id === this.$store.auth.user?.id
+    },
+
+    // Dashboard links switch views in place, others leave the page
+    follow(e) {
+      const link = e.target.closest('a[href]')
+
+      if (!link || e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return
+      if (link.target && link.target !== '_self') return
+
+      const url = new URL(link.href, window.location.href)
+      if (url.origin !== window.location.origin || !isBelow(url.pathname, base)) return
+
+      e.preventDefault()
+      this.message = null
+      this.go(url.pathname + url.search)
+    },
+
+    go(url, { replace = false } = {}) {
+      if (url !== window.location.pathname + window.location.search) {
+        window.history[replace ? 'replaceState' : 'pushState']({ admin: true }, '', url)
+      }
+
+      return this.resolve()
+    },
+
+    // Show the view for the current URL
+    async resolve() {
+      const path = window.location.pathname.slice(base.length).replace(/^\/+|\/+$/g, '')
+      const params = new URLSearchParams(window.location.search)
+
+      const previous = this.route.name
+
+      controller?.abort()
+      clearTimeout(searchTimer)
+
+      this.route = matchRoute(path)
+      this.error = null
+      this.errors = {}
+
+      // A new view is announced like a new page, search and sort keep focus where it is
+      if (previous !== this.route.name) {
+        document.title = `${this.heading} - Mark Dashboard - HDM Boot`
+
+        if (previous) {
+          await this.$nextTick()
+          this.$refs.heading?.focus({ preventScroll: true })
+        }
+      }
+
+      if (!this.allowed) return
+
+      controller = new AbortController()
+      const { signal } = controller
+
+      this.loading = true
+
+      try {
+        switch (this.route.name) {
+          case 'overview':
+            await this.loadOverview(signal)
+            break
+          case 'users':
+            // Keeps what is being typed, the URL has it trimmed
+            if (this.search.trim() !== (params.get('search') || '')) this.search = params.get('search') || ''
+            this.sort = params.get('sort') || DEFAULT_SORT
+            this.direction = params.get('direction') === 'asc' ? 'asc' : DEFAULT_DIRECTION
+            await this.loadUsers(signal)
+            break
+          case 'user-new':
+            this.user = null
+            this.form = toForm()
+            break
+          case 'user':
+          case 'user-edit':
+            // Don't show the previous user while this one loads
+            if (this.user?.id !== this.route.id) this.user = null
+            await this.loadUser(this.route.id, signal)
+            break
+          case 'security':
+            await this.loadSecurity(signal)
+            break
+        }
+      } catch (error) {
+        if (error.name !== 'AbortError') this.handleError(error)
+      } finally {
+        if (!signal.aborted) this.loading = false
+      }
+    },
+
+    async loadOverview(signal) {
+      const [users, security] = await Promise.all([
+        api.get(USER_STATISTICS_ENDPOINT, { signal }),
+        api.get(SECURITY_STATISTICS_ENDPOINT, { signal })
+      ])
+
+      this.statistics = users.data
+      this.security = security.data
+    },
+
+    async loadUsers(signal) {
+      const params = new URLSearchParams({ sort: this.sort, direction: this.direction })
+      if (this.search.trim()) params.set('search', this.search.trim())
+
+      const { data } = await api.get(`${USERS_ENDPOINT}?${params}`, { signal })
+      this.users = data
+    },
+
+    async loadUser(id, signal) {
+      const { data } = await api.get(userUrl(id), { signal })
+
+      this.user = data
+      this.form = toForm(data)
+    },
+
+    async loadSecurity(signal) {
+      const { data } = await api.get(SECURITY_STATISTICS_ENDPOINT, { signal })
+      this.security = data
+    },
+
+    onLiveEvent(event) {
+      if (!this.allowed) return
+
+      const { name, id } = this.route
+      const reset = event.type === 'reset'
+      const aboutShownUser = Boolean(id) && event.data?.user_id === id
+
+      // The user being edited changed, the form keeps what was typed
+      if (name === 'user-edit' && aboutShownUser) {
+        if (event.type === 'user_deleted') {
+          this.user = null
+          this.error = t('admin.user_not_found')
+        } else if (!this.saving) {
+          this.message = t('admin.user_changed')
+        }
+        return
+      }
+
+      const relevant = {
+        overview: true,
+        users: event.topic === 'users',
+        user: aboutShownUser,
+        security: event.topic === 'security'
+      }[name]
+
+      if (!relevant && !(reset && name !== 'user-edit')) return
+
+      clearTimeout(liveTimer)
+      liveTimer = setTimeout(() => this.refresh(), LIVE_REFRESH_DELAY)
+    },
+
+    // Reload the current view in place, given up when the view changes
+    async refresh() {
+      if (this.loading || this.saving || !controller) return
+
+      const { signal } = controller
+
+      try {
+        switch (this.route.name) {
+          case 'overview':
+            await this.loadOverview(signal)
+            break
+          case 'users':
+            await this.loadUsers(signal)
+            break
+          case 'user':
+            await this.loadUser(this.route.id, signal)
+            break
+          case 'security':
+            await this.loadSecurity(signal)
+            break
+        }
+      } catch (error) {
+        if (error.name !== 'AbortError') this.handleError(error)
+      }
+    },
+
+    // Search and sort live in the URL, so the table can be linked to
+    listUrl() {
+      const params = new URLSearchParams()
+
+      if (this.search.trim()) params.set('search', this.search.trim())
+      if (this.sort !== DEFAULT_SORT) params.set('sort', this.sort)
+      if (this.direction !== DEFAULT_DIRECTION) params.set('direction', this.direction)
+
+      const query = params.toString()
+      return `${this.href('users')}${query ? `?${query}` : ''}`
+    },
+
+    onSearchInput() {
+      clearTimeout(searchTimer)
+      searchTimer = setTimeout(() => this.go(this.listUrl(), { replace: true }), SEARCH_DELAY)
+    },
+
+    sortBy(column) {
+      if (this.sort === column) {
+        this.direction = this.direction === 'asc' ? 'desc' : 'asc'
+      } else {
+        this.sort = column
+        this.direction = 'asc'
+      }
+
+      this.go(this.listUrl())
+    },
+
+    // aria-sort value for a column header
+    sortState(column) {
+      if (this.sort !== column) return 'none'
+      return this.direction === 'asc' ? 'ascending' : 'descending'
+    },
+
+    async saveUser() {
+      if (this.saving) return
+
+      this.saving = true
+      this.message = null
+      this.error = null
+      this.errors = {}
+
+      const creating = this.route.name === 'user-new'
+      const { name, email, password, role, status } = this.form
+      const body = creating
+        ? { name, email, password, role }
+        : (this.isSelf(this.user) ? { name, email } : { name, email, role, status })
+
+      try {
+        const { data } = creating
+          ? await api.post(USERS_ENDPOINT, body)
+          : await api.put(userUrl(this.user.id), body)
+
+        this.message = t(creating ? 'admin.user_created' : 'admin.user_saved', { name: data.name })
+        await this.go(this.href(`users/${encodeURIComponent(data.id)}`))
+      } catch (error) {
+        this.handleError(error)
+      } finally {
+        this.saving = false
+      }
+    },
+
+    confirmDelete(user) {
+      this.deleting = user
+      this.$modal.open('delete-user')
+    },
+
+    async removeUser() {
+      if (!this.deleting || this.saving) return
+
+      const user = this.deleting
+      this.saving = true
+      this.message = null
+      this.error = null
+
+      try {
+        await api.delete(userUrl(user.id))
+
+        this.users = this.users.filter(item => item.id !== user.id)
+        this.message = t('admin.user_deleted', { name: user.name })
+
+        if (this.route.name !== 'users') await this.go(this.href('users'))
+      } catch (error) {
+        this.handleError(error)
+      } finally {
+        this.saving = false
+        this.deleting = null
+        this.$modal.close()
+      }
+    },
+
+    async cleanupSecurity() {
+      if (this.cleaning) return
+
+      this.cleaning = true
+      this.message = null
+      this.error = null
+
+      try {
+        const { data } = await api.post(SECURITY_CLEANUP_ENDPOINT)
+
+        this.message = t('admin.cleaned', { count: data.deleted_records })
+        await this.loadSecurity()
+      } catch (error) {
+        this.handleError(error)
+      } finally {
+        this.cleaning = false
+      }
+    },
+
+    handleError(error) {
+      if (!(error instanceof ApiError)) {
+        this.error = t('common.network_error')
+        console.error('Admin dashboard error:', error)
+        reportError(error, { source: 'admin-dashboard' })
+        return
+      }
+
+      if (error.status === 403) {
+        this.error = t('admin.forbidden')
+        return
+      }
+
+      if (error.status === 404 && this.route.id) {
+        this.user = null
+        this.error = t('admin.user_not_found')
+        return
+      }
+
+      this.errors = error.fields
+      this.error = error.message
+    }
+  }
+})
+
+console.log('🛠️ Admin dashboard loaded')
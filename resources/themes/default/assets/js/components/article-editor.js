@@ -0,0 +1,349 @@
+/**
+ * Article Editor Component
+ *
+ * Markdown editor for blog articles against the blog write API: front
+ * matter fields, a preview rendered the way article pages are, images
+ * pasted or dropped into the text, a local draft, and a warning when the
+ * article changed on the server since it was opened.
+ *
+ * <div x-data="articleEditor('my-article')">...</div>, no slug for a new article
+ */
+
+import Alpine from 'alpinejs'
+import { api, ApiError } from '../lib/api'
+import { createDraft } from '../lib/form-draft'
+import { t } from '../lib/i18n'
+import { reportError } from '../lib/reporter'
+import { Upload } from '../lib/uploader'
+import { enhanceContent } from './content-enhancers'
+
+const ARTICLES_ENDPOINT = '/api/blog/articles'
+const PREVIEW_ENDPOINT = '/api/blog/preview'
+
+const PREVIEW_DELAY = 500
+const SLUG_CHECK_DELAY = 400
+
+// Same rule as the server
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/
+
+// "Čerstvé správy!" -> "cerstve-spravy"
+export function slugify(text) {
+  return String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+}
+
+const draftKey = (slug) => `article:${slug || 'new'}`
+
+const articleUrl = (slug) => `${ARTICLES_ENDPOINT}/${encodeURIComponent(slug)}`
+
+function toFields(article = {}) {
+  return {
+    title: article.title || '',
+    slug: article.slug || '',
+    category: article.category || '',
+    tags: (article.tags || []).join(', '),
+    status: article.published ? 'published' : 'draft',
+    excerpt: article.excerpt || '',
+    content: article.content || ''
+  }
+}
+
+const imageFiles = (files) => Array.from(files || []).filter(file => file.type.startsWith('image/'))
+
+Alpine.data('articleEditor', (originalSlug = '') => {
+  let draft = null
+  let previewTimer = null
+  let previewController = null
+  let slugTimer = null
+  let uploadCount = 0
+
+  return {
+    // Slug the article is saved under, empty until the first save
+    slug: originalSlug,
+    version: null,
+    fields: toFields(),
+    slugEdited: Boolean(originalSlug),
+    // null, 'checking', 'available', 'taken' or 'invalid'
+    slugState: null,
+    preview: '',
+    tab: 'write',
+    loading: Boolean(originalSlug),
+    saving: false,
+    uploads: 0,
+    message: null,
+    error: null,
+    errors: {},
+    // The server's article when it changed under the editor
+    conflict: null,
+
+    async init() {
+      if (originalSlug) await this.load()
+
+      draft = createDraft(this.$refs.form, {
+        state: () => ({ version: this.version, slugEdited: this.slugEdited })
+      })
+
+      const serverArticle = this.snapshot()
+      const saved = draft.restore()
+
+      if (saved) {
+        this.slugEdited ||= Boolean(saved.slugEdited)
+        this.message = t('editor.draft_restored')
+
+        // The draft was written against an older version
+        if (originalSlug && saved.version && saved.version !== this.version) {
+          this.conflict = serverArticle
+          this.error = t('editor.conflict')
+        }
+      }
+
+      this.$watch('fields.title', (title) => {
+        if (!this.slugEdited) this.fields.slug = slugify(title)
+      })
+      this.$watch('fields.slug', (slug) => this.checkSlug(slug))
+      this.$watch('fields.content', () => this.schedulePreview())
+
+      this.renderPreview()
+    },
+
+    destroy() {
+      clearTimeout(previewTimer)
+      clearTimeout(slugTimer)
+      previewController?.abort()
+    },
+
+    async load() {
+      this.loading = true
+
+      try {
+        const { article } = await api.get(articleUrl(originalSlug))
+
+        this.fields = toFields(article)
+        this.version = article.version
+      } catch (error) {
+        this.error = error instanceof ApiError && error.status === 404
+          ? t('editor.not_found')
+          : t('common.network_error')
+      } finally {
+        this.loading = false
+      }
+    },
+
+    // The server's state as the conflict panel shows it
+    snapshot() {
+      return this.version ? { ...this.fields, version: this.version } : null
+    },
+
+    onSlugInput(e) {
+      // Clearing the slug hands it back to the title
+      this.slugEdited = e.target.value !== ''
+      if (!this.slugEdited) this.fields.slug = slugify(this.fields.title)
+    },
+
+    checkSlug(slug) {
+      clearTimeout(slugTimer)
+
+      if (!slug || slug === this.slug) {
+        this.slugState = null
+        return
+      }
+
+      if (!SLUG_PATTERN.test(slug)) {
+        this.slugState = 'invalid'
+        return
+      }
+
+      this.slugState = 'checking'
+
+      slugTimer = setTimeout(async () => {
+        let state = null
+
+        try {
+          await api.get(articleUrl(slug))
+          state = 'taken'
+        } catch (error) {
+          if (error instanceof ApiError && error.status === 404) state = 'available'
+        }
+
+        // Typing went on in the meantime
+        if (this.fields.slug === slug) this.slugState = state
+      }, SLUG_CHECK_DELAY)
+    },
+
+    schedulePreview() {
+      clearTimeout(previewTimer)
+      previewTimer = setTimeout(() => this.renderPreview(), PREVIEW_DELAY)
+    },
+
+    async renderPreview() {
+      previewController?.abort()
+
+      if (!this.fields.content.trim()) {
+        this.preview = ''
+        return
+      }
+
+      previewController = new AbortController()
+
+      try {
+        const { html } = await api.post(PREVIEW_ENDPOINT, { content: this.fields.content }, {
+          signal: previewController.signal
+        })
+
+        this.preview = html
+        await this.$nextTick()
+        enhanceContent(this.$refs.preview)
+      } catch (error) {
+        // A newer preview is on its way; otherwise keep showing the last one
+        if (error.name !== 'AbortError') console.error('Preview failed:', error)
+      }
+    },
+
+    onPaste(e) {
+      const files = imageFiles(e.clipboardData?.files)
+      if (files.length === 0) return
+
+      e.preventDefault()
+      files.forEach(file => this.insertImage(file))
+    },
+
+    onDrop(e) {
+      const files = imageFiles(e.dataTransfer?.files)
+      if (files.length === 0) return
+
+      e.preventDefault()
+      files.forEach(file => this.insertImage(file))
+    },
+
+    // Upload an image and put its Markdown where the cursor is
+    async insertImage(file) {
+      const textarea = this.$refs.content
+      const alt = file.name.replace(/\.[^.]+$/, '').replace(/[[\]]/g, '')
+      const placeholder = `![${t('editor.uploading', { name: alt })}](#upload-${++uploadCount})`
+      const { selectionStart: start, selectionEnd: end } = textarea
+
+      this.fields.content = this.fields.content.slice(0, start) + placeholder + this.fields.content.slice(end)
+      this.uploads++
+
+      const upload = await new Upload(file).start()
+      const url = upload.state === 'complete' ? upload.result?.url : null
+
+      this.fields.content = this.fields.content.replace(placeholder, url ? `![${alt}](${url})` : '')
+      this.uploads--
+
+      if (!url) {
+        this.error = t('editor.image_failed', { name: file.name })
+        if (upload.error && !(upload.error instanceof ApiError)) reportError(upload.error, { source: 'article-editor' })
+      }
+
+      draft.schedule()
+    },
+
+    async save(status = this.fields.status) {
+      if (this.saving || this.uploads > 0) return
+
+      this.saving = true
+      this.message = null
+      this.error = null
+      this.errors = {}
+
+      const body = {
+        ...this.fields,
+        status,
+        tags: this.fields.tags.split(',').map(tag => tag.trim()).filter(Boolean),
+        version: this.version
+      }
+
+      try {
+        const { article } = this.slug
+          ? await api.put(articleUrl(this.slug), body)
+          : await api.post(ARTICLES_ENDPOINT, body)
+
+        this.slug = article.slug
+        this.version = article.version
+        this.fields.slug = article.slug
+        this.fields.status = status
+        this.slugEdited = true
+        this.slugState = null
+        this.conflict = null
+
+        // Saved, so the draft starts over under the article's own key
+        draft.clear()
+        this.$refs.form.dataset.draft = draftKey(article.slug)
+        history.replaceState(history.state, '', `/blog/editor/${encodeURIComponent(article.slug)}`)
+
+        this.message = t(status === 'published' ? 'editor.published' : 'editor.saved')
+      } catch (error) {
+        this.handleError(error)
+      } finally {
+        this.saving = false
+      }
+    },
+
+    async remove() {
+      if (!this.slug || this.saving) return
+
+      this.saving = true
+      this.error = null
+
+      try {
+        await api.delete(articleUrl(this.slug), { body: { version: this.version } })
+
+        draft.clear()
+        this.$modal.close()
+        window.location.href = '/blog'
+      } catch (error) {
+        this.$modal.close()
+        this.handleError(error)
+      } finally {
+        this.saving = false
+      }
+    },
+
+    handleError(error) {
+      if (!(error instanceof ApiError)) {
+        this.error = t('common.network_error')
+        console.error('Article editor error:', error)
+        reportError(error, { source: 'article-editor' })
+        return
+      }
+
+      if (error.code === 'VERSION_CONFLICT') {
+        this.conflict = toFields(error.data?.article)
+        this.conflict.version = error.data?.article?.version
+        this.error = t('editor.conflict')
+        return
+      }
+
+      if (error.code === 'SLUG_TAKEN') this.slugState = 'taken'
+
+      this.errors = error.fields
+      this.error = error.message
+    },
+
+    // Drop the local changes for what is on the server now
+    useServerVersion() {
+      const { version, ...fields } = this.conflict
+
+      this.fields = fields
+      this.version = version
+      this.conflict = null
+      this.error = null
+      draft.clear()
+    },
+
+    // Keep the local changes, the next save overwrites the server's
+    keepMine() {
+      this.version = this.conflict.version
+      this.conflict = null
+      this.error = null
+      draft.save()
+    }
+  }
+})
+
+console.log('✍️ Article editor loaded')
@@ -4,15 +4,19 @@
  * Handles blog-specific interactions and animations
  */
 
-// Blog card hover animations
-document.addEventListener('DOMContentLoaded', () => {
-  // Animate blog cards on hover
-  const blogCards = document.querySelectorAll('.blog-card')
-  
-  blogCards.forEach(card => {
+import Alpine from 'alpinejs'
+import { gsap } from 'gsap'
+import { api } from '../lib/api'
+import { registerComponent } from '../lib/components'
+import { t, formatDate } from '../lib/i18n'
+
+// Blog card hover animation
+registerComponent('blog-card', {
+  selector: '.blog-card',
+  mount: (card, { on }) => {
     const image = card.querySelector('.blog-card-image')
     
-    card.addEventListener('mouseenter', () => {
+    on(card, 'mouseenter', () => {
       gsap.to(card, {
         y: -5,
         duration: 0.3,
@@ -28,7 +32,7 @@ document.addEventListener('DOMContentLoaded', () => {
       }
     })
     
-    card.addEventListener('mouseleave', () => {
+    on(card, 'mouseleave', () => {
       gsap.to(card, {
         y: 0,
         duration: 0.3,
@@ -43,13 +47,96 @@ document.addEventListener('DOMContentLoaded', () => {
         })
       }
     })
+  }
+})
+
+// Tag filtering animation
+registerComponent('tag-filter', {
+  selector: '.tag-filter',
+  mount: (filter, { on }) => {
+    on(filter, 'click', (e) => {
+      e.preventDefault()
+      
+      const tag = filter.dataset.tag
+      
+      // Update active filter
+      document.querySelectorAll('.tag-filter').forEach(f => f.classList.remove('active'))
+      filter.classList.add('active')
+      
+      // Filter posts
+      highlightPosts(post => {
+        const postTags = post.dataset.tags ? post.dataset.tags.split(',') : []
+        return !tag || tag === 'all' || postTags.includes(tag)
+      })
+    })
+  }
+})
+
+// Search functionality
+registerComponent('blog-search', {
+  selector: '.blog-search',
+  mount: (searchInput, { on, cleanup }) => {
+    let searchTimeout
+    
+    on(searchInput, 'input', (e) => {
+      clearTimeout(searchTimeout)
+      
+      searchTimeout = setTimeout(() => {
+        const query = e.target.value.toLowerCase()
+        
+        highlightPosts(post => {
+          const title = post.querySelector('.blog-card-title')?.textContent.toLowerCase() || ''
+          const excerpt = post.querySelector('.blog-card-excerpt')?.textContent.toLowerCase() || ''
+          
+          return !query || title.includes(query) || excerpt.includes(query)
+        })
+      }, 300)
+    })
+    
+    cleanup(() => clearTimeout(searchTimeout))
+  }
+})
+
+// Fade out the posts that don't match
+function highlightPosts(matches) {
+  document.querySelectorAll('.blog-post-card').forEach(post => {
+    if (matches(post)) {
+      gsap.to(post, {
+        opacity: 1,
+        scale: 1,
+        duration: 0.3,
+        ease: 'power2.out'
+      })
+    } else {
+      gsap.to(post, {
+        opacity: 0.3,
+        scale: 0.95,
+        duration: 0.3,
+        ease: 'power2.out'
+      })
+    }
   })
-  
-  // Reading progress bar for articles
-  const progressBar = document.querySelector('.reading-progress')
-  
-  if (progressBar) {
-    const updateProgress = () => {
+}
+
+// Load more / infinite scroll, and articles published while it is open
+registerComponent('blog-listing', {
+  selector: '.blog-listing[data-next-page]',
+  mount: (listing, component) => {
+    const section = listing.parentElement
+    const cardTemplate = section.querySelector('#blog-card-template')
+    
+    if (!cardTemplate) return
+    
+    initLoadMore(section, listing, cardTemplate, component)
+    initNewArticles(section, listing, cardTemplate, component)
+  }
+})
+
+// Reading progress bar for articles
+registerComponent('reading-progress', {
+  selector: '.reading-progress',
+  mount: (progressBar, { on }) => {
+    const update = () => {
       const article = document.querySelector('.article-body')
       if (!article) return
       
@@ -70,126 +157,206 @@ document.addEventListener('DOMContentLoaded', () => {
       })
     }
     
-    window.addEventListener('scroll', updateProgress)
-    updateProgress()
+    on(window, 'scroll', update, { passive: true })
+    update()
   }
+})
+
+// Fetch further pages from the articles API and append them to the listing
+function initLoadMore(section, listing, cardTemplate, { on, cleanup, signal }) {
+  const container = section.querySelector('.blog-load-more')
+  const button = container?.querySelector('.load-more')
+  const sentinel = container?.querySelector('.load-more-sentinel')
+  const status = container?.querySelector('.load-more-status')
   
-  // Tag filtering animation
-  const tagFilters = document.querySelectorAll('.tag-filter')
-  const blogPosts = document.querySelectorAll('.blog-post-card')
+  if (!container || !button) return
   
-  tagFilters.forEach(filter => {
-    filter.addEventListener('click', (e) => {
-      e.preventDefault()
+  const state = {
+    nextPage: parseInt(listing.dataset.nextPage) || 2,
+    perPage: parseInt(listing.dataset.perPage) || 10,
+    hasMore: listing.dataset.hasMore !== 'false',
+    loading: false,
+    failed: false
+  }
+  
+  const buttonText = button.textContent
+  let observer = null
+  
+  const setStatus = (message, isError = false) => {
+    if (!status) return
+    status.textContent = message
+    status.classList.toggle('text-red-600', isError)
+  }
+  
+  const finish = () => {
+    state.hasMore = false
+    observer?.disconnect()
+    button.remove()
+    sentinel?.remove()
+    setStatus(t('blog.end'))
+  }
+  
+  const loadNextPage = async () => {
+    if (state.loading || !state.hasMore) return
+    
+    state.loading = true
+    state.failed = false
+    button.disabled = true
+    button.textContent = t('common.loading')
+    setStatus('')
+    
+    try {
+      const params = new URLSearchParams({
+        page: state.nextPage,
+        limit: state.perPage,
+        status: 'published'
+      })
       
-      const tag = filter.dataset.tag
+      const data = await api.get(`/api/blog/articles?${params}`, { signal })
       
-      // Update active filter
-      tagFilters.forEach(f => f.classList.remove('active'))
-      filter.classList.add('active')
+      // Skip cards already rendered by the server
+      const existing = new Set(
+        Array.from(listing.querySelectorAll('.blog-card[data-slug]')).map(card => card.dataset.slug)
+      )
+      const cards = data.articles
+        .filter(article => !existing.has(article.slug))
+        .map(article => renderArticleCard(cardTemplate, article))
       
-      // Filter posts
-      blogPosts.forEach(post => {
-        const postTags = post.dataset.tags ? post.dataset.tags.split(',') : []
-        const shouldShow = !tag || tag === 'all' || postTags.includes(tag)
-        
-        if (shouldShow) {
-          gsap.to(post, {
-            opacity: 1,
-            scale: 1,
-            duration: 0.3,
-            ease: 'power2.out'
-          })
-        } else {
-          gsap.to(post, {
-            opacity: 0.3,
-            scale: 0.95,
-            duration: 0.3,
-            ease: 'power2.out'
-          })
-        }
-      })
-    })
+      // Hover and entrance animation come with mounting
+      listing.append(...cards)
+      
+      state.nextPage = (data.meta?.current_page ?? state.nextPage) + 1
+      listing.dataset.nextPage = state.nextPage
+      
+      if (!data.meta?.has_next || data.articles.length === 0) {
+        finish()
+      }
+    } catch (error) {
+      if (error.name === 'AbortError') return
+      
+      console.error('Failed to load more posts:', error)
+      state.failed = true
+      setStatus(t('blog.load_more_failed'), true)
+    } finally {
+      state.loading = false
+      
+      if (state.hasMore) {
+        button.disabled = false
+        button.textContent = state.failed ? t('common.retry') : buttonText
+      }
+    }
+  }
+  
+  // Button stays as the fallback and as retry after an error
+  on(button, 'click', (e) => {
+    e.preventDefault()
+    loadNextPage()
   })
   
-  // Search functionality
-  const searchInput = document.querySelector('.blog-search')
+  if (!state.hasMore) {
+    finish()
+    return
+  }
   
-  if (searchInput) {
-    let searchTimeout
+  // Automatic infinite scroll, paused after a failed request
+  if (sentinel && 'IntersectionObserver' in window) {
+    observer = new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting) && !state.failed) {
+        loadNextPage()
+      }
+    }, { rootMargin: '400px 0px' })
     
-    searchInput.addEventListener('input', (e) => {
-      clearTimeout(searchTimeout)
-      
-      searchTimeout = setTimeout(() => {
-        const query = e.target.value.toLowerCase()
-        
-        blogPosts.forEach(post => {
-          const title = post.querySelector('.blog-card-title')?.textContent.toLowerCase() || ''
-          const excerpt = post.querySelector('.blog-card-excerpt')?.textContent.toLowerCase() || ''
-          
-          const matches = title.includes(query) || excerpt.includes(query)
-          
-          if (matches || !query) {
-            gsap.to(post, {
-              opacity: 1,
-              scale: 1,
-              duration: 0.3,
-              ease: 'power2.out'
-            })
-          } else {
-            gsap.to(post, {
-              opacity: 0.3,
-              scale: 0.95,
-              duration: 0.3,
-              ease: 'power2.out'
-            })
-          }
-        })
-      }, 300)
-    })
+    observer.observe(sentinel)
+    cleanup(() => observer.disconnect())
   }
+}
+
+// Articles published while the listing is open, added when the reader asks
+// so cards don't move under them
+function initNewArticles(section, listing, cardTemplate, { on, cleanup, signal }) {
+  const button = section.querySelector('.blog-new-articles button')
   
-  // Infinite scroll (if needed)
-  const loadMoreButton = document.querySelector('.load-more')
+  if (!button) return
   
-  if (loadMoreButton) {
-    loadMoreButton.addEventListener('click', async (e) => {
-      e.preventDefault()
+  const pending = new Set()
+  const shown = () => new Set(
+    Array.from(listing.querySelectorAll('.blog-card[data-slug]')).map(card => card.dataset.slug)
+  )
+  
+  const unsubscribe = Alpine.store('events').subscribe('blog', (event) => {
+    const slug = event.data?.slug
+    if (event.type !== 'article_published' || !slug || shown().has(slug)) return
+    
+    pending.add(slug)
+    button.textContent = t('blog.new_articles', { count: pending.size })
+    button.hidden = false
+  })
+  
+  cleanup(unsubscribe)
+  
+  on(button, 'click', async () => {
+    button.disabled = true
+    
+    try {
+      const params = new URLSearchParams({
+        page: 1,
+        limit: Math.min(50, Math.max(parseInt(listing.dataset.perPage) || 10, pending.size)),
+        status: 'published'
+      })
       
-      const button = e.target
-      const originalText = button.textContent
+      const data = await api.get(`/api/blog/articles?${params}`, { signal })
+      const existing = shown()
+      const cards = data.articles
+        .filter(article => !existing.has(article.slug))
+        .map(article => renderArticleCard(cardTemplate, article))
       
-      // Show loading state
-      button.textContent = 'Loading...'
-      button.disabled = true
+      listing.prepend(...cards)
       
-      try {
-        // Simulate API call
-        await new Promise(resolve => setTimeout(resolve, 1000))
-        
-        // Add new posts (this would be real data from API)
-        const newPosts = document.querySelectorAll('.blog-post-card.hidden')
-        
-        newPosts.forEach((post, index) => {
-          setTimeout(() => {
-            post.classList.remove('hidden')
-            gsap.fromTo(post,
-              { opacity: 0, y: 30 },
-              { opacity: 1, y: 0, duration: 0.5, ease: 'power2.out' }
-            )
-          }, index * 100)
-        })
-        
-      } catch (error) {
-        console.error('Failed to load more posts:', error)
-      } finally {
-        button.textContent = originalText
-        button.disabled = false
-      }
-    })
+      pending.clear()
+      button.hidden = true
+      
+      // The button is gone, focus moves on to the first new article
+      cards[0]?.querySelector('[data-field="link"]')?.focus()
+    } catch (error) {
+      if (error.name === 'AbortError') return
+      
+      console.error('Failed to load new posts:', error)
+      button.textContent = t('blog.load_more_failed')
+    } finally {
+      button.disabled = false
+    }
+  })
+}
+
+// Build a blog card from the <template> in views/blog/home.php
+function renderArticleCard(template, article) {
+  const card = template.content.firstElementChild.cloneNode(true)
+  const field = name => card.querySelector(`[data-field="${name}"]`)
+  
+  const author = article.author || t('blog.unknown_author')
+  const readingTime = parseInt(article.reading_time) || 1
+  
+  card.dataset.slug = article.slug || ''
+  card.dataset.tags = Array.isArray(article.tags) ? article.tags.join(',') : ''
+  
+  if (article.category) {
+    field('category').textContent = article.category
+  } else {
+    field('category').remove()
   }
-})
+  
+  const link = field('link')
+  link.href = `/blog/article/${encodeURIComponent(article.slug || '')}`
+  link.textContent = article.title || t('blog.untitled')
+  
+  field('excerpt').textContent = article.excerpt || ''
+  field('avatar').textContent = author.charAt(0).toUpperCase()
+  field('author').textContent = author
+  const published = article.published_at ? formatDate(article.published_at) || article.published_at : ''
+  field('date').textContent = `${published} • ${t('blog.reading_time', { minutes: readingTime })}`
+  
+  return card
+}
 
 // Global search functions for Alpine.js
 window.searchArticles = function() {
@@ -0,0 +1,85 @@
+/**
+ * Content Enhancers Component
+ *
+ * Progressive enhancement of rendered markdown in docs and articles.
+ * Every enhancer is its own chunk and is only fetched when the page has
+ * something for it to do.
+ */
+
+import { ScrollTrigger } from 'gsap/ScrollTrigger'
+import { registerComponent } from '../lib/components'
+import { reportError } from '../lib/reporter'
+
+const CONTENT_SELECTOR = '.docs-article-content, .article-body'
+
+// Fenced blocks that are not code to highlight
+const RENDERED_LANGUAGES = ['mermaid', 'math']
+
+const ENHANCERS = [
+  {
+    name: 'admonitions',
+    find: (content) => Array.from(content.querySelectorAll('blockquote'))
+      .filter(quote => /^\s*\[![a-z]+\]/i.test(quote.textContent)),
+    load: () => import('../enhancers/admonitions')
+  },
+  {
+    name: 'code-groups',
+    find: (content) => content.querySelectorAll('pre[data-title]'),
+    load: () => import('../enhancers/code-groups')
+  },
+  {
+    name: 'mermaid',
+    find: (content) => content.querySelectorAll('code.language-mermaid'),
+    load: () => import('../enhancers/mermaid')
+  },
+  {
+    name: 'math',
+    find: (content) => content.querySelectorAll('.math, code.language-math'),
+    load: () => import('../enhancers/math')
+  },
+  {
+    name: 'highlight',
+    find: (content) => Array.from(content.querySelectorAll('pre code[class*="language-"]'))
+      .filter(code => !RENDERED_LANGUAGES.some(language => code.classList.contains(`language-${language}`))),
+    load: () => import('../enhancers/highlight')
+  }
+]
+
+registerComponent('content', {
+  selector: CONTENT_SELECTOR,
+  mount: (content) => {
+    enhanceContent(content)
+  }
+})
+
+export async function enhanceContent(root) {
+  const contents = Array.from(root.querySelectorAll(CONTENT_SELECTOR))
+
+  if (root.matches?.(CONTENT_SELECTOR)) contents.unshift(root)
+  if (contents.length === 0) return
+
+  const runs = ENHANCERS.map(async ({ name, find, load }) => {
+    const elements = contents.flatMap(content => Array.from(find(content)))
+
+    if (elements.length === 0) return
+
+    try {
+      const { default: enhance } = await load()
+      await enhance(elements)
+    } catch (error) {
+      console.error(`Content enhancer "${name}" failed:`, error)
+      reportError(error, { source: `enhancer:${name}` })
+    }
+  })
+
+  await Promise.all(runs)
+
+  // Diagrams and math change the page height
+  ScrollTrigger.refresh()
+
+  document.dispatchEvent(new CustomEvent('contentEnhanced', {
+    detail: { root }
+  }))
+}
+
+console.log('✨ Content enhancers component loaded')
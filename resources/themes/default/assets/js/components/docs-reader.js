@@ -0,0 +1,320 @@
+/**
+ * Docs Reader Component
+ *
+ * Table of contents with scroll-spy, stable heading anchors and code block
+ * tools (copy button, language label, highlighted lines) for docs and articles
+ */
+
+import { registerComponent } from '../lib/components'
+import { t } from '../lib/i18n'
+
+const CONTENT_SELECTOR = '.docs-article-content'
+const CODE_SELECTOR = '.docs-article-content pre, .article-body pre'
+
+// Sticky navbar height, headings scrolled above it count as read
+const SCROLL_OFFSET = 96
+
+// Below this width the TOC starts collapsed
+const MOBILE_QUERY = '(max-width: 1023px)'
+
+// Copy feedback duration
+const FEEDBACK_DELAY = 2000
+
+// Heading anchors and the table of contents of the page
+registerComponent('docs-content', {
+  selector: CONTENT_SELECTOR,
+  mount: (content, component) => buildToc(anchorHeadings(content), component)
+})
+
+registerComponent('code-block', {
+  selector: CODE_SELECTOR,
+  mount: (pre, { on }) => enhanceCodeBlock(pre, on)
+})
+
+registerComponent('copy-url', {
+  selector: '[data-copy-url]',
+  mount: (button, { on }) => {
+    on(button, 'click', () => {
+      copyText(button.dataset.copyUrl || window.location.href.split('#')[0], button, t('docs.link_copied'))
+    })
+  }
+})
+
+// "Getting Started: Paths" -> "getting-started-paths", accents dropped
+export function slugify(text) {
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9\s-]/g, '')
+    .replace(/[\s-]+/g, '-')
+    .replace(/^-|-$/g, '') || 'section'
+}
+
+// Give headings IDs from their text and a hover permalink
+function anchorHeadings(content) {
+  const headings = Array.from(content.querySelectorAll('h1, h2, h3, h4, h5, h6'))
+  const used = new Set(Array.from(document.querySelectorAll('[id]'), element => element.id))
+
+  headings.forEach(heading => {
+    if (!heading.id) {
+      const base = slugify(headingText(heading))
+      let id = base
+      let suffix = 2
+
+      while (used.has(id)) {
+        id = `${base}-${suffix++}`
+      }
+
+      heading.id = id
+      used.add(id)
+    }
+
+    if (!heading.querySelector('.heading-anchor')) {
+      const anchor = document.createElement('a')
+      anchor.className = 'heading-anchor'
+      anchor.href = `#${heading.id}`
+      anchor.setAttribute('aria-label', t('docs.permalink', { title: headingText(heading) }))
+      anchor.textContent = '#'
+      heading.appendChild(anchor)
+    }
+  })
+
+  return headings
+}
+
+// Heading text without its permalink
+function headingText(heading) {
+  return Array.from(heading.childNodes)
+    .filter(node => !node.classList?.contains('heading-anchor'))
+    .map(node => node.textContent)
+    .join('')
+    .trim()
+}
+
+function buildToc(headings, component) {
+  const tocList = document.getElementById('toc-list')
+
+  if (!tocList) return
+
+  if (headings.length === 0) {
+    const empty = document.createElement('p')
+    empty.className = 'text-gray-500 text-sm'
+    empty.textContent = t('docs.toc_empty')
+    tocList.replaceChildren(empty)
+    return
+  }
+
+  // Indent relative to the highest heading level used
+  const topLevel = Math.min(...headings.map(heading => Number(heading.tagName[1])))
+  const list = document.createElement('ul')
+  list.className = 'docs-toc-items'
+
+  const links = headings.map(heading => {
+    const item = document.createElement('li')
+    item.className = `docs-toc-item docs-toc-depth-${Number(heading.tagName[1]) - topLevel}`
+
+    const link = document.createElement('a')
+    link.className = 'docs-toc-link'
+    link.href = `#${heading.id}`
+    link.textContent = headingText(heading)
+
+    item.appendChild(link)
+    list.appendChild(item)
+
+    return link
+  })
+
+  tocList.replaceChildren(list)
+
+  initTocToggle(tocList, component)
+  initScrollSpy(headings, links, component)
+}
+
+// Collapsible TOC on small screens
+function initTocToggle(tocList, { on }) {
+  const toggle = document.querySelector('[data-toc-toggle]')
+  const panel = tocList.closest('.docs-toc') || tocList
+
+  if (!toggle) return
+
+  const setExpanded = (expanded) => {
+    toggle.setAttribute('aria-expanded', String(expanded))
+    panel.hidden = !expanded
+  }
+
+  setExpanded(!window.matchMedia(MOBILE_QUERY).matches)
+
+  on(toggle, 'click', () => {
+    setExpanded(toggle.getAttribute('aria-expanded') !== 'true')
+  })
+
+  // Reading a section closes the TOC again on mobile
+  on(tocList, 'click', (e) => {
+    if (e.target.closest('a') && window.matchMedia(MOBILE_QUERY).matches) {
+      setExpanded(false)
+    }
+  })
+}
+
+// Highlight the section being read
+function initScrollSpy(headings, links, { cleanup }) {
+  if (!('IntersectionObserver' in window)) return
+
+  const setActive = (index) => {
+    links.forEach((link, i) => {
+      link.classList.toggle('active', i === index)
+
+      if (i === index) {
+        link.setAttribute('aria-current', 'location')
+      } else {
+        link.removeAttribute('aria-current')
+      }
+    })
+  }
+
+  // Last heading scrolled past the navbar
+  const update = () => {
+    let active = 0
+
+    headings.forEach((heading, index) => {
+      if (heading.getBoundingClientRect().top - SCROLL_OFFSET <= 1) {
+        active = index
+      }
+    })
+
+    setActive(active)
+  }
+
+  const spyObserver = new IntersectionObserver(update, {
+    rootMargin: `-${SCROLL_OFFSET}px 0px -60% 0px`
+  })
+
+  headings.forEach(heading => spyObserver.observe(heading))
+  cleanup(() => spyObserver.disconnect())
+  update()
+}
+
+// "1,3-5" -> Set {1, 3, 4, 5}
+function parseLineRanges(value) {
+  const lines = new Set()
+
+  String(value || '').split(',').forEach(part => {
+    const [start, end] = part.split('-').map(Number)
+
+    if (!Number.isInteger(start) || start < 1) return
+
+    for (let line = start; line <= (Number.isInteger(end) ? end : start); line++) {
+      lines.add(line)
+    }
+  })
+
+  return lines
+}
+
+function enhanceCodeBlock(pre, on) {
+  const code = pre.querySelector('code') || pre
+  const copy = (button) => copyText(code.textContent.replace(/\n$/, ''), button, t('docs.copied'))
+
+  // Mounted again, only the listener is missing
+  if (pre.closest('.code-block')) {
+    const button = pre.closest('.code-block').querySelector('.code-block-copy')
+    if (button) on(button, 'click', () => copy(button))
+    return
+  }
+
+  const language = [...code.classList, ...pre.classList]
+    .find(name => name.startsWith('language-') || name.startsWith('lang-'))
+    ?.replace(/^lang(uage)?-/, '')
+
+  const wrapper = document.createElement('div')
+  wrapper.className = 'code-block'
+  pre.replaceWith(wrapper)
+
+  const header = document.createElement('div')
+  header.className = 'code-block-header'
+
+  const label = document.createElement('span')
+  label.className = 'code-block-language'
+  label.textContent = language || ''
+  header.appendChild(label)
+
+  const button = document.createElement('button')
+  button.type = 'button'
+  button.className = 'code-block-copy'
+  button.setAttribute('aria-live', 'polite')
+  button.textContent = t('docs.copy_code')
+  on(button, 'click', () => copy(button))
+  header.appendChild(button)
+
+  wrapper.append(header, pre)
+
+  highlightLines(pre, code)
+}
+
+// Shade the lines listed in data-line, over whatever markup the code has
+function highlightLines(pre, code) {
+  const lines = parseLineRanges(pre.dataset.line || code.dataset.line)
+
+  if (lines.size === 0) return
+
+  const lineCount = code.textContent.replace(/\n$/, '').split('\n').length
+  const lineHeight = code.getBoundingClientRect().height / lineCount
+  const offset = code.offsetTop
+
+  pre.classList.add('has-line-highlights')
+
+  lines.forEach(line => {
+    if (line > lineCount) return
+
+    const marker = document.createElement('div')
+    marker.className = 'code-line-highlight'
+    marker.setAttribute('aria-hidden', 'true')
+    marker.style.top = `${offset + (line - 1) * lineHeight}px`
+    marker.style.height = `${lineHeight}px`
+    pre.appendChild(marker)
+  })
+}
+
+// Clipboard API, or a hidden textarea on insecure origins
+async function writeClipboard(text) {
+  if (navigator.clipboard && window.isSecureContext) {
+    return navigator.clipboard.writeText(text)
+  }
+
+  const textarea = document.createElement('textarea')
+  textarea.value = text
+  textarea.setAttribute('readonly', '')
+  textarea.style.position = 'fixed'
+  textarea.style.opacity = '0'
+  document.body.appendChild(textarea)
+  textarea.select()
+
+  const copied = document.execCommand('copy')
+  textarea.remove()
+
+  if (!copied) throw new Error('Copy command was rejected')
+}
+
+async function copyText(text, button, message) {
+  if (button.classList.contains('copied')) return
+
+  const original = button.textContent
+
+  try {
+    await writeClipboard(text)
+    button.textContent = message
+  } catch {
+    button.textContent = t('docs.copy_failed')
+  }
+
+  button.classList.add('copied')
+
+  setTimeout(() => {
+    button.textContent = original
+    button.classList.remove('copied')
+  }, FEEDBACK_DELAY)
+}
+
+console.log('📖 Docs reader component loaded')
@@ -0,0 +1,309 @@
+/**
+ * Docs Tree Component
+ *
+ * Collapsible docs navigation following the ARIA tree pattern: expand
+ * state persisted per folder, a quick filter and previous/next page links
+ * in tree order
+ */
+
+import { registerComponent } from '../lib/components'
+import { normalize } from '../lib/search-index'
+import { t } from '../lib/i18n'
+
+const STORAGE_KEY = 'docsTreeExpanded'
+
+registerComponent('docs-tree', {
+  selector: '[data-docs-tree]',
+  mount: (tree, { on }) => {
+    const docsTree = new DocsTree(tree, { on })
+
+    const filter = tree.closest('nav')?.querySelector('[data-docs-tree-filter]')
+    if (filter) docsTree.bindFilter(filter)
+
+    document.querySelectorAll('[data-docs-pager]').forEach(pager => docsTree.renderPager(pager))
+  }
+})
+
+function readExpanded() {
+  try {
+    return new Set(JSON.parse(localStorage.getItem(STORAGE_KEY)) || [])
+  } catch {
+    return new Set()
+  }
+}
+
+function saveExpanded(paths) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify([...paths]))
+  } catch {
+    // Storage unavailable, state lasts for this page
+  }
+}
+
+// Item label without the leading icon
+function labelOf(item) {
+  return item.textContent.replace(/^[^\p{L}\p{N}]+/u, '').trim()
+}
+
+class DocsTree {
+  // on(target, type, listener) from the component, removed on unmount
+  constructor(tree, { on }) {
+    this.tree = tree
+    this.on = on
+    this.expanded = readExpanded()
+    this.filtering = false
+    this.current = tree.querySelector('[aria-current="page"]') || this.findCurrentLink()
+
+    this.restoreState()
+
+    // Roving tabindex: one item in the tab order
+    this.focusable(this.current || this.visibleItems()[0])
+
+    on(tree, 'click', (e) => {
+      const folder = e.target.closest('.docs-tree-folder')
+      if (!folder) return
+
+      this.toggle(folder)
+      this.focusable(folder)
+    })
+
+    on(tree, 'keydown', (e) => this.onKeydown(e))
+
+    on(tree, 'focusin', (e) => {
+      if (e.target.matches('[role="treeitem"]')) this.focusable(e.target)
+    })
+  }
+
+  // Links to this page when the server did not mark it
+  findCurrentLink() {
+    const path = decodeURI(window.location.pathname)
+
+    return Array.from(this.tree.querySelectorAll('a[role="treeitem"]'))
+      .find(link => decodeURI(link.pathname) === path) || null
+  }
+
+  items() {
+    return Array.from(this.tree.querySelectorAll('[role="treeitem"]'))
+  }
+
+  // Items not inside a collapsed folder or filtered out
+  visibleItems() {
+    return this.items().filter(item => !item.closest('[hidden]'))
+  }
+
+  folders() {
+    return Array.from(this.tree.querySelectorAll('.docs-tree-folder'))
+  }
+
+  groupOf(folder) {
+    return document.getElementById(folder.getAttribute('aria-owns'))
+  }
+
+  pathOf(folder) {
+    return folder.closest('.docs-tree-dir').dataset.path
+  }
+
+  isExpanded(folder) {
+    return folder.getAttribute('aria-expanded') === 'true'
+  }
+
+  // Folder that owns the group an item sits in
+  parentFolder(item) {
+    const group = item.closest('[role="group"]')
+    return group ? this.tree.querySelector(`[aria-owns="${group.id}"]`) : null
+  }
+
+  setExpanded(folder, expanded, { persist = !this.filtering } = {}) {
+    folder.setAttribute('aria-expanded', String(expanded))
+    this.groupOf(folder).hidden = !expanded
+
+    if (!persist) return
+
+    if (expanded) {
+      this.expanded.add(this.pathOf(folder))
+    } else {
+      this.expanded.delete(this.pathOf(folder))
+    }
+
+    saveExpanded(this.expanded)
+  }
+
+  toggle(folder) {
+    this.setExpanded(folder, !this.isExpanded(folder))
+  }
+
+  // Stored folders, plus every folder on the way to the current page
+  restoreState() {
+    this.folders().forEach(folder => {
+      const holdsCurrent = this.current && this.groupOf(folder).contains(this.current)
+      this.setExpanded(folder, this.expanded.has(this.pathOf(folder)) || Boolean(holdsCurrent), { persist: false })
+    })
+  }
+
+  focusable(item) {
+    if (!item) return
+
+    this.items().forEach(other => { other.tabIndex = other === item ? 0 : -1 })
+  }
+
+  focus(item) {
+    if (!item) return
+
+    this.focusable(item)
+    item.focus()
+  }
+
+  onKeydown(e) {
+    const item = e.target.closest('[role="treeitem"]')
+    if (!item || e.altKey || e.ctrlKey || e.metaKey) return
+
+    const visible = this.visibleItems()
+    const index = visible.indexOf(item)
+    const isFolder = item.classList.contains('docs-tree-folder')
+
+    switch (e.key) {
+      case 'ArrowDown':
+        this.focus(visible[index + 1])
+        break
+      case 'ArrowUp':
+        this.focus(visible[index - 1])
+        break
+      case 'Home':
+        this.focus(visible[0])
+        break
+      case 'End':
+        this.focus(visible[visible.length - 1])
+        break
+      case 'ArrowRight':
+        if (!isFolder) return
+        if (this.isExpanded(item)) {
+          this.focus(this.groupOf(item).querySelector('[role="treeitem"]'))
+        } else {
+          this.setExpanded(item, true)
+        }
+        break
+      case 'ArrowLeft':
+        if (isFolder && this.isExpanded(item)) {
+          this.setExpanded(item, false)
+        } else {
+          this.focus(this.parentFolder(item))
+        }
+        break
+      case 'Enter':
+      case ' ':
+        // Links follow themselves on Enter
+        if (!isFolder && e.key === 'Enter') return
+        if (isFolder) {
+          this.toggle(item)
+        } else {
+          item.click()
+        }
+        break
+      default:
+        // Type-ahead: jump to the next item starting with the typed letter
+        if (e.key.length === 1 && /\S/.test(e.key)) {
+          const letter = normalize(e.key)
+          const ordered = [...visible.slice(index + 1), ...visible.slice(0, index)]
+          this.focus(ordered.find(other => normalize(labelOf(other)).startsWith(letter)))
+          break
+        }
+        return
+    }
+
+    e.preventDefault()
+  }
+
+  bindFilter(input) {
+    const empty = this.tree.parentElement.querySelector('[data-docs-tree-empty]')
+
+    input.hidden = false
+    input.placeholder = t('docs.filter_placeholder')
+    input.setAttribute('aria-label', t('docs.filter_label'))
+    if (empty) empty.textContent = t('docs.filter_empty')
+
+    this.on(input, 'input', () => {
+      const matches = this.filter(input.value)
+      if (empty) empty.hidden = matches !== 0
+    })
+
+    this.on(input, 'keydown', (e) => {
+      if (e.key === 'Escape' && input.value) {
+        e.preventDefault()
+        input.value = ''
+        input.dispatchEvent(new Event('input'))
+      } else if (e.key === 'ArrowDown') {
+        e.preventDefault()
+        this.focus(this.visibleItems()[0])
+      }
+    })
+  }
+
+  // Show pages whose title matches and the folders leading to them
+  filter(query) {
+    const terms = normalize(query.trim()).split(/\s+/).filter(Boolean)
+
+    if (terms.length === 0) {
+      this.filtering = false
+      this.tree.querySelectorAll('li[hidden]').forEach(item => { item.hidden = false })
+      this.restoreState()
+      return null
+    }
+
+    this.filtering = true
+    let matches = 0
+
+    this.tree.querySelectorAll('.docs-tree-file').forEach(item => {
+      const label = normalize(labelOf(item))
+      const match = terms.every(term => label.includes(term))
+
+      item.hidden = !match
+      if (match) matches++
+    })
+
+    // Deepest folders first, so parents see their children's result
+    Array.from(this.tree.querySelectorAll('.docs-tree-dir')).reverse().forEach(dir => {
+      const folder = dir.querySelector(':scope > .docs-tree-folder')
+      const hasMatches = dir.querySelector('.docs-tree-file:not([hidden])') !== null
+
+      dir.hidden = !hasMatches
+      this.setExpanded(folder, hasMatches)
+    })
+
+    return matches
+  }
+
+  renderPager(pager) {
+    const links = Array.from(this.tree.querySelectorAll('a[role="treeitem"]'))
+    const index = links.indexOf(this.current)
+
+    if (index === -1) return
+
+    const pages = [
+      { link: links[index - 1], rel: 'prev', label: t('docs.previous'), className: 'docs-pager-prev' },
+      { link: links[index + 1], rel: 'next', label: t('docs.next'), className: 'docs-pager-next' }
+    ]
+
+    pager.replaceChildren(...pages.map(({ link, rel, label, className }) => {
+      if (!link) return document.createElement('span')
+
+      const anchor = document.createElement('a')
+      anchor.href = link.href
+      anchor.rel = rel
+      anchor.className = `docs-pager-link ${className}`
+
+      const hint = document.createElement('span')
+      hint.className = 'docs-pager-label'
+      hint.textContent = label
+
+      const title = document.createElement('span')
+      title.className = 'docs-pager-title'
+      title.textContent = labelOf(link)
+
+      anchor.append(hint, title)
+
+      return anchor
+    }))
+  }
+}
+
+console.log('🌲 Docs tree component loaded')
@@ -1,61 +1,165 @@
 /**
  * Forms Component
  * 
- * Handles form interactions, validation, and animations
+ * Handles form interactions, validation, multi-step wizards, drafts and animations
  */
 
-// Form enhancements
-document.addEventListener('DOMContentLoaded', () => {
-  // Floating labels
-  const floatingInputs = document.querySelectorAll('.form-floating .form-input')
-  
-  floatingInputs.forEach(input => {
+import { gsap } from 'gsap'
+import { api, ApiError } from '../lib/api'
+import { registerComponent } from '../lib/components'
+import { createDraft } from '../lib/form-draft'
+import { createWizard } from '../lib/form-wizard'
+import { loadSchema, fieldRules, validateValue } from '../lib/validation'
+import { t } from '../lib/i18n'
+import { reportError } from '../lib/reporter'
+
+// Floating labels
+registerComponent('floating-label', {
+  selector: '.form-floating .form-input',
+  mount: (input, { on }) => {
     const label = input.parentElement.querySelector('.form-label')
     
-    if (label) {
-      const updateLabel = () => {
-        if (input.value || input === document.activeElement) {
-          label.classList.add('floating')
-        } else {
-          label.classList.remove('floating')
-        }
+    if (!label) return
+    
+    const updateLabel = () => {
+      if (input.value || input === document.activeElement) {
+        label.classList.add('floating')
+      } else {
+        label.classList.remove('floating')
       }
+    }
+    
+    on(input, 'focus', updateLabel)
+    on(input, 'blur', updateLabel)
+    on(input, 'input', updateLabel)
+    
+    // Initial state
+    updateLabel()
+  }
+})
+
+// Form validation, rules come from data-schema or the fields' attributes
+registerComponent('form-validation', {
+  selector: 'form[data-validate]',
+  mount: (form, { on, cleanup, signal }) => {
+    const schemaReady = loadSchema(form.dataset.schema)
+    const pending = new WeakMap()
+    const uniqueTimers = new Map()
+    
+    // Our messages replace the browser's validation bubbles
+    form.noValidate = true
+    
+    // :disabled also covers fields of skipped wizard steps
+    const fields = () => Array.from(form.elements).filter(input =>
+      input.name && !input.matches(':disabled') && !/^(hidden|submit|button|reset|file)$/.test(input.type)
+    )
+    
+    // Validate one field, showing or clearing its error
+    async function validateField(input) {
+      const schema = await schemaReady
       
-      input.addEventListener('focus', updateLabel)
-      input.addEventListener('blur', updateLabel)
-      input.addEventListener('input', updateLabel)
+      // A newer check for the same field supersedes this one
+      pending.get(input)?.abort()
+      const controller = new AbortController()
+      pending.set(input, controller)
       
-      // Initial state
-      updateLabel()
+      try {
+        const message = await validateValue(input, fieldRules(input, schema), {
+          form,
+          signal: controller.signal
+        })
+        
+        if (message) {
+          showFieldError(input, message)
+          return false
+        }
+        
+        clearFieldError(input)
+        return true
+      } catch (error) {
+        if (error.name === 'AbortError') return true
+        
+        // A failed lookup never blocks submission, the server has the final say
+        console.warn('Field validation failed:', error)
+        return true
+      }
+    }
+    
+    // Re-check confirmation fields when the field they mirror changes
+    async function validateDependants(input) {
+      const schema = await schemaReady
+      
+      fields()
+        .filter(field => field !== input && field.value)
+        .filter(field => fieldRules(field, schema).some(rule => rule.rule === 'equals' && rule.value === input.name))
+        .forEach(validateField)
+    }
+    
+    // Multi-step forms validate one step at a time
+    const wizard = form.hasAttribute('data-steps') ? createWizard(form, {
+      validate: async (step) => {
+        const results = await Promise.all(fields().filter(input => step.contains(input)).map(validateField))
+        return results.every(Boolean)
+      },
+      signal
+    }) : null
+    
+    // Drafts survive reloads until the form is sent
+    const draft = wizard || form.hasAttribute('data-draft')
+      ? createDraft(form, { state: () => ({ step: wizard?.current ?? 0 }), signal })
+      : null
+    
+    const saved = draft?.restore()
+    if (saved) {
+      wizard?.go(saved.step)
+      showDraftNotice(form)
     }
-  })
-  
-  // Form validation
-  const forms = document.querySelectorAll('form[data-validate]')
-  
-  forms.forEach(form => {
-    const inputs = form.querySelectorAll('.form-input[required]')
     
     // Real-time validation
-    inputs.forEach(input => {
-      input.addEventListener('blur', () => validateField(input))
-      input.addEventListener('input', () => clearFieldError(input))
+    on(form, 'focusout', (e) => {
+      if (!e.target.name || !fields().includes(e.target)) return
+      
+      validateField(e.target)
+      validateDependants(e.target)
+    })
+    
+    on(form, 'input', async (e) => {
+      const input = e.target
+      if (!fields().includes(input)) return
+      
+      clearFieldError(input)
+      
+      // Check uniqueness while typing, once the user pauses
+      const schema = await schemaReady
+      if (fieldRules(input, schema).some(rule => rule.rule === 'unique')) {
+        clearTimeout(uniqueTimers.get(input))
+        uniqueTimers.set(input, setTimeout(() => validateField(input), 500))
+      }
     })
     
     // Form submission
-    form.addEventListener('submit', async (e) => {
+    on(form, 'submit', async (e) => {
       e.preventDefault()
       
-      let isValid = true
+      // Enter on an earlier step moves on instead of sending
+      if (wizard && !wizard.isLast()) {
+        await wizard.next()
+        return
+      }
+      
+      // Chunked uploads still running, their ids aren't in the form yet
+      if (form.querySelector('[data-uploading]')) {
+        showFormError(form, t('forms.uploads_pending'))
+        return
+      }
       
       // Validate all fields
-      inputs.forEach(input => {
-        if (!validateField(input)) {
-          isValid = false
-        }
-      })
+      const results = await Promise.all(fields().map(validateField))
+      const isValid = results.every(Boolean)
       
       if (!isValid) {
+        focusInvalid(form, wizard)
+        
         // Shake form on error
         gsap.to(form, {
           x: [-10, 10, -10, 10, 0],
@@ -65,214 +169,250 @@ document.addEventListener('DOMContentLoaded', () => {
         return
       }
       
-      // Submit form
-      await submitForm(form)
-    })
-  })
-  
-  // Field validation function
-  function validateField(input) {
-    const value = input.value.trim()
-    const type = input.type
-    const required = input.hasAttribute('required')
-    
-    clearFieldError(input)
-    
-    // Required validation
-    if (required && !value) {
-      showFieldError(input, 'This field is required')
-      return false
-    }
-    
-    // Email validation
-    if (type === 'email' && value) {
-      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
-      if (!emailRegex.test(value)) {
-        showFieldError(input, 'Please enter a valid email address')
-        return false
-      }
-    }
-    
-    // Password validation
-    if (type === 'password' && value) {
-      if (value.length < 8) {
-        showFieldError(input, 'Password must be at least 8 characters')
-        return false
-      }
-    }
-    
-    // URL validation
-    if (type === 'url' && value) {
-      try {
-        new URL(value)
-      } catch {
-        showFieldError(input, 'Please enter a valid URL')
-        return false
+      // Submit form, the server may reject a field on an earlier step
+      if (!(await submitForm(form))) {
+        focusInvalid(form, wizard)
       }
-    }
+    })
     
-    return true
+    cleanup(() => uniqueTimers.forEach(timer => clearTimeout(timer)))
   }
+})
+
+// Focus the first invalid field, bringing up its step
+function focusInvalid(form, wizard) {
+  const input = form.querySelector('[aria-invalid="true"]')
+  if (!input) return
   
-  // Show field error
-  function showFieldError(input, message) {
-    input.classList.add('error')
-    
-    let errorElement = input.parentElement.querySelector('.form-error')
-    
-    if (!errorElement) {
-      errorElement = document.createElement('div')
-      errorElement.className = 'form-error'
-      input.parentElement.appendChild(errorElement)
-    }
-    
-    errorElement.textContent = message
-    
-    // Animate error
-    gsap.fromTo(errorElement,
-      { opacity: 0, y: -5 },
-      { opacity: 1, y: 0, duration: 0.3, ease: 'power2.out' }
-    )
+  wizard?.showStepOf(input)
+  input.focus()
+}
+
+// Show field error
+function showFieldError(input, message) {
+  input.classList.add('error')
+  input.setAttribute('aria-invalid', 'true')
+  
+  let errorElement = input.parentElement.querySelector('.form-error')
+  
+  if (!errorElement) {
+    errorElement = document.createElement('div')
+    errorElement.className = 'form-error'
+    input.parentElement.appendChild(errorElement)
   }
   
-  // Clear field error
-  function clearFieldError(input) {
-    input.classList.remove('error')
+  errorElement.textContent = message
+  
+  // Reusing an element that is still fading out from clearFieldError
+  gsap.killTweensOf(errorElement)
+  
+  // Animate error
+  gsap.fromTo(errorElement,
+    { opacity: 0, y: -5 },
+    { opacity: 1, y: 0, duration: 0.3, ease: 'power2.out' }
+  )
+}
+
+// Clear field error
+function clearFieldError(input) {
+  input.classList.remove('error')
+  input.removeAttribute('aria-invalid')
+  
+  const errorElement = input.parentElement.querySelector('.form-error')
+  if (errorElement) {
+    gsap.to(errorElement, {
+      opacity: 0,
+      y: -5,
+      duration: 0.3,
+      ease: 'power2.in',
+      onComplete: () => errorElement.remove()
+    })
+  }
+}
+
+// Submit form function
+async function submitForm(form) {
+  const submitButton = form.querySelector('button[type="submit"]')
+  const originalText = submitButton?.textContent
+  
+  // Show loading state
+  if (submitButton) {
+    submitButton.disabled = true
+    submitButton.textContent = t('forms.submitting')
     
-    const errorElement = input.parentElement.querySelector('.form-error')
-    if (errorElement) {
-      gsap.to(errorElement, {
-        opacity: 0,
-        y: -5,
-        duration: 0.3,
-        ease: 'power2.in',
-        onComplete: () => errorElement.remove()
-      })
-    }
+    // Add spinner
+    const spinner = document.createElement('div')
+    spinner.className = 'spinner'
+    submitButton.appendChild(spinner)
   }
   
-  // Submit form function
-  async function submitForm(form) {
-    const submitButton = form.querySelector('button[type="submit"]')
-    const originalText = submitButton?.textContent
+  try {
+    const result = await api.post(form.getAttribute('action') || '/api/contact', formBody(form))
     
-    // Show loading state
-    if (submitButton) {
-      submitButton.disabled = true
-      submitButton.textContent = 'Submitting...'
-      
-      // Add spinner
-      const spinner = document.createElement('div')
-      spinner.className = 'spinner'
-      submitButton.appendChild(spinner)
-    }
+    showFormSuccess(form, result?.message || t('forms.success'))
     
-    try {
-      const formData = new FormData(form)
-      const data = Object.fromEntries(formData.entries())
-      
-      const response = await fetch(form.action || '/api/contact', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(data)
-      })
-      
-      const result = await response.json()
-      
-      if (result.success) {
-        showFormSuccess(form, result.message || 'Form submitted successfully!')
-        form.reset()
-      } else {
-        showFormError(form, result.error || 'Submission failed')
-      }
-      
-    } catch (error) {
+    // Also clears the draft and takes a wizard back to its first step
+    form.reset()
+    return true
+    
+  } catch (error) {
+    if (error instanceof ApiError) {
+      showServerErrors(form, error)
+    } else {
       console.error('Form submission error:', error)
-      showFormError(form, 'Network error. Please try again.')
-    } finally {
-      // Restore button
-      if (submitButton) {
-        submitButton.disabled = false
-        submitButton.textContent = originalText
-        
-        const spinner = submitButton.querySelector('.spinner')
-        if (spinner) {
-          spinner.remove()
-        }
+      reportError(error, { source: 'form' })
+      showFormError(form, t('common.network_error'))
+    }
+    return false
+  } finally {
+    // Restore button
+    if (submitButton) {
+      submitButton.disabled = false
+      submitButton.textContent = originalText
+      
+      const spinner = submitButton.querySelector('.spinner')
+      if (spinner) {
+        spinner.remove()
       }
     }
   }
+}
+
+// Multipart when files are attached, JSON otherwise; repeated names become arrays
+function formBody(form) {
+  const formData = new FormData(form)
+  const hasFiles = Array.from(formData.values()).some(value => value instanceof File && value.name !== '')
   
-  // Show form success
-  function showFormSuccess(form, message) {
-    const alert = createAlert('success', message)
-    form.parentElement.insertBefore(alert, form)
-    
-    gsap.fromTo(alert,
-      { opacity: 0, y: -20 },
-      { opacity: 1, y: 0, duration: 0.5, ease: 'power2.out' }
-    )
-    
-    // Auto-hide after 5 seconds
-    setTimeout(() => {
-      gsap.to(alert, {
-        opacity: 0,
-        y: -20,
-        duration: 0.3,
-        ease: 'power2.in',
-        onComplete: () => alert.remove()
-      })
-    }, 5000)
+  if (hasFiles) {
+    return formData
   }
   
-  // Show form error
-  function showFormError(form, message) {
-    const alert = createAlert('error', message)
-    form.parentElement.insertBefore(alert, form)
+  const data = {}
+  formData.forEach((value, name) => {
+    // Empty file inputs
+    if (value instanceof File) return
     
-    gsap.fromTo(alert,
-      { opacity: 0, y: -20 },
-      { opacity: 1, y: 0, duration: 0.5, ease: 'power2.out' }
-    )
+    data[name] = name in data ? [].concat(data[name], value) : value
+  })
+  
+  return data
+}
+
+// Put field errors from the API next to their inputs
+function showServerErrors(form, error) {
+  const errors = error.fields
+  let firstInvalid = null
+  
+  Object.entries(errors).forEach(([name, message]) => {
+    let input = form.elements.namedItem(name)
+    if (input instanceof RadioNodeList) {
+      input = input[0]
+    }
+    if (!input) return
     
-    // Auto-hide after 5 seconds
-    setTimeout(() => {
-      gsap.to(alert, {
-        opacity: 0,
-        y: -20,
-        duration: 0.3,
-        ease: 'power2.in',
-        onComplete: () => alert.remove()
-      })
-    }, 5000)
+    showFieldError(input, message)
+    firstInvalid = firstInvalid || input
+  })
+  
+  firstInvalid?.focus()
+  
+  // Errors without a matching field still need to reach the user
+  const unmatched = Object.keys(errors).filter(name => !form.elements.namedItem(name))
+  if (!firstInvalid || unmatched.length > 0) {
+    showFormError(form, unmatched.length > 0 ? errors[unmatched[0]] : error.message)
   }
+}
+
+// Show form success
+function showFormSuccess(form, message) {
+  const alert = createAlert('success', message)
+  form.parentElement.insertBefore(alert, form)
   
-  // Create alert element
-  function createAlert(type, message) {
-    const alert = document.createElement('div')
-    alert.className = `alert alert-${type} mb-4`
-    alert.innerHTML = `
-      <div class="flex items-center">
-        <div class="flex-1">${message}</div>
-        <button class="alert-close ml-4 text-lg">&times;</button>
-      </div>
-    `
-    
-    // Close button
-    alert.querySelector('.alert-close').addEventListener('click', () => {
-      gsap.to(alert, {
-        opacity: 0,
-        y: -20,
-        duration: 0.3,
-        ease: 'power2.in',
-        onComplete: () => alert.remove()
-      })
+  gsap.fromTo(alert,
+    { opacity: 0, y: -20 },
+    { opacity: 1, y: 0, duration: 0.5, ease: 'power2.out' }
+  )
+  
+  // Auto-hide after 5 seconds
+  setTimeout(() => {
+    gsap.to(alert, {
+      opacity: 0,
+      y: -20,
+      duration: 0.3,
+      ease: 'power2.in',
+      onComplete: () => alert.remove()
     })
-    
-    return alert
-  }
-})
+  }, 5000)
+}
+
+// Restored draft, with a way to start over
+function showDraftNotice(form) {
+  const alert = createAlert('info', t('forms.draft_restored'))
+  const discard = document.createElement('button')
+  
+  alert.classList.add('form-draft-notice')
+  discard.type = 'button'
+  discard.className = 'form-draft-discard ml-4 text-sm font-medium underline'
+  discard.textContent = t('forms.discard_draft')
+  alert.querySelector('.alert-close').before(discard)
+  
+  // Reset clears the stored draft too
+  discard.addEventListener('click', () => {
+    form.reset()
+    alert.remove()
+  })
+  
+  form.parentElement.insertBefore(alert, form)
+}
+
+// Show form error
+function showFormError(form, message) {
+  const alert = createAlert('error', message)
+  form.parentElement.insertBefore(alert, form)
+  
+  gsap.fromTo(alert,
+    { opacity: 0, y: -20 },
+    { opacity: 1, y: 0, duration: 0.5, ease: 'power2.out' }
+  )
+  
+  // Auto-hide after 5 seconds
+  setTimeout(() => {
+    gsap.to(alert, {
+      opacity: 0,
+      y: -20,
+      duration: 0.3,
+      ease: 'power2.in',
+      onComplete: () => alert.remove()
+    })
+  }, 5000)
+}
+
+// Create alert element
+function createAlert(type, message) {
+  const alert = document.createElement('div')
+  alert.className = `alert alert-${type} mb-4`
+  alert.innerHTML = `
+    <div class="flex items-center">
+      <div class="flex-1"></div>
+      <button class="alert-close ml-4 text-lg">&times;</button>
+    </div>
+  `
+  
+  // Messages may come from the server, never parse them as HTML
+  alert.querySelector('.flex-1').textContent = message
+  
+  // Close button
+  alert.querySelector('.alert-close').addEventListener('click', () => {
+    gsap.to(alert, {
+      opacity: 0,
+      y: -20,
+      duration: 0.3,
+      ease: 'power2.in',
+      onComplete: () => alert.remove()
+    })
+  })
+  
+  return alert
+}
 
 console.log('📋 Forms component loaded')
@@ -0,0 +1,82 @@
+/**
+ * I18n Component
+ *
+ * $store.i18n with the active locale and a $t magic for templates:
+ * x-text="$t('blog.end')" re-renders when the locale or catalog changes
+ */
+
+import Alpine from 'alpinejs'
+import {
+  DEFAULT_LOCALE,
+  t,
+  formatNumber,
+  formatDate,
+  availableLocales,
+  detectLocale,
+  getLocale,
+  setLocale,
+  onLocaleChange,
+  languageTag
+} from '../lib/i18n'
+
+Alpine.store('i18n', {
+  locale: getLocale(),
+  locales: availableLocales(),
+
+  // Bumped on every change so $t re-evaluates
+  version: 0,
+
+  async set(locale) {
+    try {
+      await setLocale(locale)
+    } catch (error) {
+      console.error('Failed to switch locale:', error)
+    }
+  },
+
+  // Native name for the switcher, e.g. "slovenčina"
+  name(locale) {
+    try {
+      return new Intl.DisplayNames([languageTag(locale)], { type: 'language' }).of(languageTag(locale))
+    } catch {
+      return locale
+    }
+  },
+
+  number(value, options) {
+    this.version
+    return formatNumber(value, options)
+  },
+
+  date(value, options) {
+    this.version
+    return formatDate(value, options)
+  }
+})
+
+const store = Alpine.store('i18n')
+
+Alpine.magic('t', () => (key, params) => {
+  // Reading version subscribes the expression to locale changes
+  store.version
+  return t(key, params)
+})
+
+onLocaleChange((locale) => {
+  store.locale = locale
+  store.version++
+})
+
+// Global helper for inline scripts in views
+window.t = t
+
+// Load the catalog of the stored or browser locale
+const initial = detectLocale()
+
+if (initial !== DEFAULT_LOCALE) {
+  setLocale(initial, { persist: false }).catch((error) => {
+    console.error('Failed to load locale:', error)
+  })
+}
+
+console.log('🌐 I18n component loaded')
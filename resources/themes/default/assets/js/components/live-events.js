@@ -0,0 +1,109 @@
+/**
+ * Live Events Component
+ *
+ * $store.events follows the server's live events for every topic something
+ * on the page subscribed to, through one lib/event-stream connection. It
+ * reconnects when the topics or the logged in user change and pauses in
+ * hidden tabs, catching up on what it missed when the tab is shown again.
+ *
+ * const unsubscribe = this.$store.events.subscribe('users', (event) => ...)
+ * <span x-show="$store.events.live">Live</span>
+ */
+
+import Alpine from 'alpinejs'
+import { onAuthChange } from '../lib/api'
+import { EventStream } from '../lib/event-stream'
+
+const subscriptions = new Map()
+let stream = null
+let updateQueued = false
+let restartQueued = false
+
+function subscribedTopics() {
+  const topics = new Set()
+  subscriptions.forEach(subscription => subscription.topics.forEach(topic => topics.add(topic)))
+
+  return [...topics].sort()
+}
+
+function deliver(event) {
+  const state = Alpine.store('events')
+  state.lastEventAt = Date.now()
+
+  subscriptions.forEach(({ topics, callback }) => {
+    if (event.topic !== '*' && !topics.includes(event.topic)) return
+
+    try {
+      callback(event)
+    } catch (error) {
+      console.error('Live event subscriber failed:', error)
+    }
+  })
+}
+
+// Connect for the current topics, once per tick however many subscribe
+function update({ restart = false } = {}) {
+  restartQueued ||= restart
+
+  if (updateQueued) return
+  updateQueued = true
+
+  queueMicrotask(() => {
+    const restarting = restartQueued
+    updateQueued = false
+    restartQueued = false
+
+    const topics = subscribedTopics()
+
+    if (topics.length === 0 || document.hidden) {
+      stream?.stop()
+      return
+    }
+
+    stream ??= new EventStream({
+      onEvent: deliver,
+      onStateChange: (state) => {
+        Alpine.store('events').state = state
+      }
+    })
+
+    const changed = topics.join(',') !== stream.topics.join(',')
+    stream.topics = topics
+
+    if (changed || restarting) {
+      stream.restart()
+    } else {
+      stream.start()
+    }
+  })
+}
+
+Alpine.store('events', {
+  // connecting, open (streaming), polling or closed
+  state: 'closed',
+  lastEventAt: null,
+
+  get live() {
+    return this.state === 'open' || this.state === 'polling'
+  },
+
+  // Call back with every event of the topic(s) until the returned function is called
+  subscribe(topics, callback) {
+    const id = Symbol('live event subscription')
+
+    subscriptions.set(id, { topics: [topics].flat(), callback })
+    update()
+
+    return () => {
+      subscriptions.delete(id)
+      update()
+    }
+  }
+})
+
+// Logging in or out changes the topics the server lets through
+onAuthChange(() => update({ restart: true }))
+
+document.addEventListener('visibilitychange', () => update())
+
+console.log('📡 Live events loaded')
@@ -0,0 +1,102 @@
+/**
+ * Monitoring Component
+ *
+ * Reports uncaught errors, unhandled rejections, failed requests and the
+ * Core Web Vitals (LCP, CLS, INP) through lib/reporter. Imported before the
+ * other components so errors while they load are caught too.
+ */
+
+import { onCLS, onINP, onLCP } from 'web-vitals'
+import { monitoring } from '../../../theme.json'
+import { flush, isReportRequest, report, reportError, stripQuery } from '../lib/reporter'
+
+function watchErrors() {
+  window.addEventListener('error', (e) => {
+    // Cross-origin scripts only say "Script error.", there is nothing to act on
+    if (!e.error && !e.filename) return
+
+    reportError(e.error ?? e.message, {
+      source: 'error',
+      file: stripQuery(e.filename),
+      line: e.lineno,
+      column: e.colno
+    })
+  })
+
+  window.addEventListener('unhandledrejection', (e) => {
+    // Aborted requests were cancelled on purpose
+    if (e.reason?.name === 'AbortError') return
+
+    reportError(e.reason, { source: 'unhandledrejection' })
+  })
+}
+
+// Health checks answer 503 when unhealthy, the status page shows that
+const HEALTH_CHECK = /^\/(health|healthz|_status)$/
+
+// Network failures and server errors; 4xx answers are handled by the caller
+function watchFetch() {
+  const nativeFetch = window.fetch
+
+  window.fetch = async function (input, init) {
+    const url = input instanceof Request ? input.url : String(input)
+    const method = (init?.method || (input instanceof Request ? input.method : 'GET')).toUpperCase()
+    const started = performance.now()
+
+    const failed = (status, message) => {
+      if (isReportRequest(url)) return
+
+      report('fetch', {
+        request_url: stripQuery(url),
+        method,
+        status,
+        message,
+        duration: Math.round(performance.now() - started)
+      })
+    }
+
+    try {
+      const response = await nativeFetch.call(window, input, init)
+
+      if (response.status >= 500 && !HEALTH_CHECK.test(new URL(url, window.location.href).pathname)) {
+        failed(response.status, response.statusText)
+      }
+
+      return response
+    } catch (error) {
+      if (error.name !== 'AbortError') failed(0, error.message)
+      throw error
+    }
+  }
+}
+
+function watchVitals() {
+  const send = (metric) => report('vital', {
+    name: metric.name,
+    value: metric.value,
+    rating: metric.rating,
+    id: metric.id,
+    navigation_type: metric.navigationType
+  })
+
+  onLCP(send)
+  onCLS(send)
+  onINP(send)
+}
+
+if (monitoring.errors) {
+  watchErrors()
+  watchFetch()
+}
+
+if (monitoring.web_vitals) {
+  watchVitals()
+}
+
+// Registered after web-vitals, whose final values arrive on the same events
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState === 'hidden') flush()
+})
+window.addEventListener('pagehide', flush)
+
+console.log('📡 Monitoring loaded')
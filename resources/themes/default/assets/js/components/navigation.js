@@ -1,114 +1,359 @@
 /**
  * Navigation Component
- * 
- * Handles navigation interactions and animations
+ *
+ * Owns the mobile menu ($store.nav), dropdown menus and the active
+ * section highlighting of in-page links
  */
 
-// Mobile menu toggle functionality
-document.addEventListener('DOMContentLoaded', () => {
-  // Mobile menu toggle
-  const mobileMenuToggle = document.querySelector('.navbar-toggler')
-  const mobileMenu = document.querySelector('.mobile-menu')
-  
-  if (mobileMenuToggle && mobileMenu) {
-    mobileMenuToggle.addEventListener('click', () => {
-      const isOpen = mobileMenu.classList.contains('show')
-      
-      if (isOpen) {
-        // Close menu
-        gsap.to(mobileMenu, {
-          opacity: 0,
-          y: -10,
-          duration: 0.3,
-          ease: 'power2.in',
-          onComplete: () => {
-            mobileMenu.classList.remove('show')
-          }
-        })
-      } else {
-        // Open menu
-        mobileMenu.classList.add('show')
-        gsap.fromTo(mobileMenu, 
-          { opacity: 0, y: -10 },
-          { opacity: 1, y: 0, duration: 0.3, ease: 'power2.out' }
-        )
+import Alpine from 'alpinejs'
+import { gsap } from 'gsap'
+import { allowsMotion } from '../animations/registry'
+import { registerComponent } from '../lib/components'
+import { focusableElements, lockScroll, trapFocus, unlockScroll } from '../lib/focus'
+import { t } from '../lib/i18n'
+
+// Matches the md: breakpoint the mobile menu is hidden at
+const DESKTOP_QUERY = '(min-width: 768px)'
+
+// Sticky navbar height
+const NAV_OFFSET = 80
+
+Alpine.store('nav', {
+  open: false,
+
+  toggle() {
+    this.open ? this.close() : this.show()
+  },
+
+  show() {
+    mobileMenu.open()
+  },
+
+  close(options) {
+    mobileMenu.close(options)
+  }
+})
+
+const store = Alpine.store('nav')
+
+/**
+ * Mobile menu: ARIA state, focus trap, Escape and scroll lock.
+ */
+const mobileMenu = {
+  toggle: null,
+  menu: null,
+  label: null,
+
+  mount(menu, { on }) {
+    const toggle = document.querySelector('[data-nav-toggle]')
+
+    if (!toggle) return
+
+    this.toggle = toggle
+    this.menu = menu
+    this.label = toggle.querySelector('.sr-only')
+
+    on(toggle, 'click', () => store.toggle())
+
+    // Following a link closes the menu
+    on(menu, 'click', (e) => {
+      if (e.target.closest('a[href]')) this.close({ restoreFocus: false })
+    })
+
+    on(document, 'keydown', (e) => {
+      if (!store.open) return
+
+      if (e.key === 'Escape') {
+        this.close()
+      } else if (e.key === 'Tab') {
+        // Tab cycles through the toggle and the menu
+        trapFocus(e, [this.toggle, ...focusableElements(this.menu)])
       }
     })
-  }
-  
-  // Close mobile menu when clicking outside
-  document.addEventListener('click', (e) => {
-    if (mobileMenu && mobileMenu.classList.contains('show')) {
-      if (!mobileMenu.contains(e.target) && !mobileMenuToggle.contains(e.target)) {
-        gsap.to(mobileMenu, {
-          opacity: 0,
-          y: -10,
-          duration: 0.3,
-          ease: 'power2.in',
-          onComplete: () => {
-            mobileMenu.classList.remove('show')
-          }
-        })
+
+    on(document, 'click', (e) => {
+      if (store.open && !this.menu.contains(e.target) && !this.toggle.contains(e.target)) {
+        this.close({ restoreFocus: false })
       }
+    })
+
+    on(window.matchMedia(DESKTOP_QUERY), 'change', (e) => {
+      if (e.matches) this.close({ restoreFocus: false })
+    })
+
+    this.sync()
+  },
+
+  unmount() {
+    if (store.open) {
+      store.open = false
+      unlockScroll()
     }
-  })
-  
-  // Smooth scroll for navigation links
-  document.querySelectorAll('.nav-link[href^="#"]').forEach(link => {
-    link.addEventListener('click', (e) => {
-      e.preventDefault()
-      const target = document.querySelector(link.getAttribute('href'))
-      
-      if (target) {
-        gsap.to(window, {
-          duration: 1,
-          scrollTo: { y: target, offsetY: 80 },
-          ease: 'power2.inOut'
-        })
-        
-        // Close mobile menu if open
-        if (mobileMenu && mobileMenu.classList.contains('show')) {
-          gsap.to(mobileMenu, {
-            opacity: 0,
-            y: -10,
-            duration: 0.3,
-            ease: 'power2.in',
-            onComplete: () => {
-              mobileMenu.classList.remove('show')
-            }
-          })
-        }
+
+    this.toggle = null
+    this.menu = null
+    this.label = null
+  },
+
+  open() {
+    if (!this.menu || store.open) return
+
+    store.open = true
+    this.menu.hidden = false
+    this.sync()
+    lockScroll()
+
+    gsap.fromTo(this.menu,
+      { opacity: 0, y: allowsMotion() ? -10 : 0 },
+      { opacity: 1, y: 0, duration: allowsMotion() ? 0.3 : 0, ease: 'power2.out' }
+    )
+
+    focusableElements(this.menu)[0]?.focus()
+  },
+
+  close({ restoreFocus = true } = {}) {
+    if (!this.menu || !store.open) return
+
+    store.open = false
+    this.sync()
+    unlockScroll()
+
+    gsap.to(this.menu, {
+      opacity: 0,
+      y: allowsMotion() ? -10 : 0,
+      duration: allowsMotion() ? 0.3 : 0,
+      ease: 'power2.in',
+      onComplete: () => {
+        // Reopened while closing
+        if (!store.open) this.menu.hidden = true
       }
     })
+
+    if (restoreFocus) this.toggle.focus()
+  },
+
+  sync() {
+    this.toggle.setAttribute('aria-expanded', String(store.open))
+
+    if (this.label) {
+      this.label.textContent = store.open ? t('nav.close_menu') : t('nav.open_menu')
+    }
+  }
+}
+
+registerComponent('mobile-menu', {
+  selector: '[data-nav-menu]',
+  mount: (menu, component) => {
+    mobileMenu.mount(menu, component)
+
+    return () => mobileMenu.unmount()
+  }
+})
+
+/**
+ * Dropdowns: disclosure buttons with nested submenus.
+ *
+ * <div class="nav-dropdown" data-nav-dropdown>
+ *   <button data-nav-dropdown-toggle aria-controls="id">Label</button>
+ *   <ul id="id" class="nav-dropdown-menu" hidden>...</ul>
+ * </div>
+ */
+function dropdownParts(dropdown) {
+  const toggle = dropdown.querySelector(':scope > [data-nav-dropdown-toggle]')
+  const menu = document.getElementById(toggle.getAttribute('aria-controls'))
+
+  return { toggle, menu }
+}
+
+function setDropdown(dropdown, open) {
+  const { toggle, menu } = dropdownParts(dropdown)
+
+  toggle.setAttribute('aria-expanded', String(open))
+  menu.hidden = !open
+
+  // Closing a menu closes its submenus
+  if (!open) {
+    menu.querySelectorAll('[data-nav-dropdown]').forEach(child => setDropdown(child, false))
+  }
+}
+
+function isOpen(dropdown) {
+  return dropdownParts(dropdown).toggle.getAttribute('aria-expanded') === 'true'
+}
+
+function closeDropdowns(except = null) {
+  document.querySelectorAll('[data-nav-dropdown]').forEach(dropdown => {
+    if (isOpen(dropdown) && !dropdown.contains(except)) setDropdown(dropdown, false)
   })
-  
-  // Active navigation highlighting
-  const updateActiveNav = () => {
-    const sections = document.querySelectorAll('section[id]')
-    const navLinks = document.querySelectorAll('.nav-link[href^="#"]')
-    
-    let current = ''
-    
-    sections.forEach(section => {
-      const sectionTop = section.offsetTop
-      const sectionHeight = section.clientHeight
-      
-      if (window.scrollY >= sectionTop - 100) {
-        current = section.getAttribute('id')
+}
+
+// Links and toggles directly inside a menu, not in its submenus
+function menuItems(menu) {
+  return Array.from(menu.querySelectorAll('a[href], [data-nav-dropdown-toggle]'))
+    .filter(item => item.closest('.nav-dropdown-menu') === menu)
+}
+
+registerComponent('nav-dropdown', {
+  selector: '[data-nav-dropdown]',
+  mount: (dropdown, { on }) => {
+    const { toggle, menu } = dropdownParts(dropdown)
+
+    setDropdown(dropdown, false)
+
+    on(toggle, 'click', () => {
+      const open = !isOpen(dropdown)
+
+      closeDropdowns(dropdown)
+      setDropdown(dropdown, open)
+    })
+
+    on(toggle, 'keydown', (e) => {
+      const nested = toggle.closest('.nav-dropdown-menu') !== null
+
+      if ((e.key === 'ArrowDown' && !nested) || (e.key === 'ArrowRight' && nested)) {
+        e.preventDefault()
+        setDropdown(dropdown, true)
+        menuItems(menu)[0]?.focus()
       }
     })
-    
-    navLinks.forEach(link => {
-      link.classList.remove('active')
-      if (link.getAttribute('href') === `#${current}`) {
-        link.classList.add('active')
+
+    on(menu, 'keydown', (e) => {
+      const items = menuItems(menu)
+      const index = items.indexOf(document.activeElement)
+
+      if (index === -1) return
+
+      const nested = dropdown.parentElement.closest('.nav-dropdown-menu') !== null
+      let handled = true
+
+      switch (e.key) {
+        case 'ArrowDown':
+          items[(index + 1) % items.length].focus()
+          break
+        case 'ArrowUp':
+          items[(index - 1 + items.length) % items.length].focus()
+          break
+        case 'Home':
+          items[0].focus()
+          break
+        case 'End':
+          items[items.length - 1].focus()
+          break
+        case 'Escape':
+          setDropdown(dropdown, false)
+          toggle.focus()
+          break
+        case 'ArrowLeft':
+          if (!nested) {
+            handled = false
+            break
+          }
+          setDropdown(dropdown, false)
+          toggle.focus()
+          break
+        default:
+          handled = false
       }
+
+      if (handled) {
+        e.preventDefault()
+        e.stopPropagation()
+      }
+    })
+
+    // Tabbing out of a dropdown closes it
+    on(dropdown, 'focusout', (e) => {
+      if (e.relatedTarget && !dropdown.contains(e.relatedTarget)) {
+        setDropdown(dropdown, false)
+      }
+    })
+  }
+})
+
+// Clicking elsewhere or Escape closes every dropdown
+document.addEventListener('click', (e) => {
+  if (!e.target.closest('[data-nav-dropdown]')) closeDropdowns()
+})
+
+document.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape') closeDropdowns()
+})
+
+/**
+ * In-page links: smooth scroll and the section being read marked active.
+ */
+registerComponent('section-link', {
+  selector: '.nav-link[href^="#"]',
+  mount: (link, { on }) => {
+    on(link, 'click', (e) => {
+      const target = document.getElementById(decodeURIComponent(link.hash.slice(1)))
+      if (!target) return
+
+      e.preventDefault()
+
+      window.scrollTo({
+        top: target.getBoundingClientRect().top + window.scrollY - NAV_OFFSET,
+        behavior: allowsMotion() ? 'smooth' : 'auto'
+      })
+      history.replaceState(history.state, '', link.hash)
     })
   }
-  
-  // Update active nav on scroll
-  window.addEventListener('scroll', updateActiveNav)
-  updateActiveNav() // Initial call
+})
+
+// Sections come with the page content
+registerComponent('section-spy', {
+  selector: '.page-content',
+  mount: (content, { cleanup }) => {
+    const links = Array.from(document.querySelectorAll('.nav-link[href^="#"]'))
+      .filter(link => link.getAttribute('href').length > 1)
+
+    const sections = links
+      .map(link => document.getElementById(decodeURIComponent(link.hash.slice(1))))
+      .filter(Boolean)
+
+    if (sections.length === 0 || !('IntersectionObserver' in window)) return
+
+    const visible = new Map()
+
+    const setActive = (id) => {
+      links.forEach(link => {
+        const active = link.hash === `#${id}`
+
+        link.classList.toggle('active', active)
+
+        if (active) {
+          link.setAttribute('aria-current', 'location')
+        } else {
+          link.removeAttribute('aria-current')
+        }
+      })
+    }
+
+    // The topmost section crossing the band under the navbar wins
+    const sectionObserver = new IntersectionObserver((entries) => {
+      entries.forEach(entry => {
+        if (entry.isIntersecting) {
+          visible.set(entry.target.id, entry.target)
+        } else {
+          visible.delete(entry.target.id)
+        }
+      })
+
+      const current = sections.find(section => visible.has(section.id))
+      if (current) setActive(current.id)
+    }, {
+      rootMargin: `-${NAV_OFFSET}px 0px -50% 0px`
+    })
+
+    sections.forEach(section => sectionObserver.observe(section))
+    cleanup(() => sectionObserver.disconnect())
+  }
+})
+
+// New page content: close the menu and dropdowns
+document.addEventListener('pageContentLoaded', () => {
+  store.close({ restoreFocus: false })
+  closeDropdowns()
 })
 
 console.log('📱 Navigation component loaded')
@@ -0,0 +1,296 @@
+/**
+ * Search Palette Component
+ *
+ * Cmd/Ctrl+K command palette searching articles and docs
+ */
+
+import { gsap } from 'gsap'
+import { search, loadSearchIndex } from '../lib/search-index'
+import { t } from '../lib/i18n'
+
+const RESULT_LIMIT = 12
+
+let palette = null
+let input = null
+let results = null
+let activeIndex = -1
+let currentResults = []
+let previousFocus = null
+let controller = null
+let searchTimeout
+
+// Build the palette markup once, on first use
+function createPalette() {
+  palette = document.createElement('div')
+  palette.className = 'search-palette'
+  palette.hidden = true
+  palette.innerHTML = `
+    <div class="search-palette-backdrop" data-search-close></div>
+    <div class="search-palette-dialog" role="dialog" aria-modal="true" aria-label="${t('search.label')}">
+      <div class="search-palette-header">
+        <svg class="w-5 h-5 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+          <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z"></path>
+        </svg>
+        <input
+          type="search"
+          class="search-palette-input"
+          placeholder="${t('search.placeholder')}"
+          autocomplete="off"
+          spellcheck="false"
+          role="combobox"
+          aria-expanded="false"
+          aria-controls="search-palette-results"
+          aria-autocomplete="list"
+        >
+        <kbd class="search-palette-kbd">Esc</kbd>
+      </div>
+      <div id="search-palette-results" class="search-palette-results" role="listbox" aria-label="${t('search.results')}"></div>
+      <div class="search-palette-footer" aria-hidden="true">
+        <span><kbd>↑</kbd><kbd>↓</kbd> ${t('search.navigate')}</span>
+        <span><kbd>↵</kbd> ${t('search.open')}</span>
+        <span><kbd>Esc</kbd> ${t('search.close')}</span>
+      </div>
+    </div>
+  `
+
+  input = palette.querySelector('.search-palette-input')
+  results = palette.querySelector('.search-palette-results')
+
+  palette.querySelector('[data-search-close]').addEventListener('click', closePalette)
+  input.addEventListener('input', () => {
+    clearTimeout(searchTimeout)
+    searchTimeout = setTimeout(runSearch, 80)
+  })
+  input.addEventListener('keydown', handleKeydown)
+
+  document.body.appendChild(palette)
+  renderMessage(t('search.hint'))
+}
+
+function openPalette(query = '') {
+  if (!palette) {
+    createPalette()
+  }
+
+  if (!palette.hidden) {
+    input.focus()
+    return
+  }
+
+  previousFocus = document.activeElement
+  palette.hidden = false
+  document.body.classList.add('search-palette-open')
+
+  // Warm the index while the user types
+  loadSearchIndex()
+
+  input.value = query
+  input.focus()
+  input.select()
+
+  if (query) {
+    runSearch()
+  }
+
+  gsap.fromTo(palette.querySelector('.search-palette-dialog'),
+    { opacity: 0, y: -10, scale: 0.98 },
+    { opacity: 1, y: 0, scale: 1, duration: 0.2, ease: 'power2.out' }
+  )
+}
+
+function closePalette() {
+  if (!palette || palette.hidden) return
+
+  controller?.abort()
+  palette.hidden = true
+  document.body.classList.remove('search-palette-open')
+
+  // Return focus to where the user was
+  if (previousFocus && typeof previousFocus.focus === 'function') {
+    previousFocus.focus()
+  }
+}
+
+async function runSearch() {
+  const query = input.value.trim()
+
+  controller?.abort()
+  controller = new AbortController()
+  const { signal } = controller
+
+  if (!query) {
+    currentResults = []
+    renderMessage(t('search.hint'))
+    return
+  }
+
+  try {
+    const found = await search(query, { limit: RESULT_LIMIT, signal })
+
+    if (signal.aborted) return
+
+    currentResults = found
+    renderResults(query)
+  } catch (error) {
+    if (error.name === 'AbortError') return
+
+    console.error('Search failed:', error)
+    currentResults = []
+    renderMessage(t('search.unavailable'))
+  }
+}
+
+function renderResults(query) {
+  if (currentResults.length === 0) {
+    renderMessage(t('search.no_results', { query }))
+    return
+  }
+
+  results.replaceChildren(...currentResults.map((result, index) => {
+    const option = document.createElement('a')
+    option.id = `search-result-${index}`
+    option.className = 'search-palette-result'
+    option.href = result.document.url
+    option.setAttribute('role', 'option')
+    option.setAttribute('aria-selected', 'false')
+    option.tabIndex = -1
+
+    const type = document.createElement('span')
+    type.className = `search-palette-type search-palette-type-${result.document.type}`
+    type.textContent = t(result.document.type === 'doc' ? 'search.type_doc' : 'search.type_article')
+
+    const title = document.createElement('span')
+    title.className = 'search-palette-title'
+    title.append(highlight(result.title.text, result.title.ranges))
+
+    const preview = document.createElement('span')
+    preview.className = 'search-palette-preview'
+    preview.append(highlight(result.preview.text, result.preview.ranges))
+
+    option.append(type, title, preview)
+    option.addEventListener('mousemove', () => setActive(index))
+
+    return option
+  }))
+
+  input.setAttribute('aria-expanded', 'true')
+  setActive(0)
+}
+
+function renderMessage(message) {
+  const empty = document.createElement('p')
+  empty.className = 'search-palette-empty'
+  empty.textContent = message
+
+  results.replaceChildren(empty)
+  input.setAttribute('aria-expanded', 'false')
+  input.removeAttribute('aria-activedescendant')
+  activeIndex = -1
+}
+
+function setActive(index) {
+  const options = results.querySelectorAll('.search-palette-result')
+
+  if (options.length === 0) return
+
+  activeIndex = (index + options.length) % options.length
+
+  options.forEach((option, i) => {
+    const active = i === activeIndex
+    option.classList.toggle('active', active)
+    option.setAttribute('aria-selected', active ? 'true' : 'false')
+  })
+
+  const active = options[activeIndex]
+  input.setAttribute('aria-activedescendant', active.id)
+  active.scrollIntoView({ block: 'nearest' })
+}
+
+function handleKeydown(e) {
+  switch (e.key) {
+    case 'ArrowDown':
+      e.preventDefault()
+      setActive(activeIndex + 1)
+      break
+    case 'ArrowUp':
+      e.preventDefault()
+      setActive(activeIndex - 1)
+      break
+    case 'Enter': {
+      const result = currentResults[activeIndex]
+      if (!result) return
+
+      e.preventDefault()
+      if (e.metaKey || e.ctrlKey) {
+        window.open(result.document.url, '_blank', 'noopener')
+      } else {
+        window.location.href = result.document.url
+      }
+      break
+    }
+    case 'Escape':
+      e.preventDefault()
+      closePalette()
+      break
+    case 'Tab':
+      // Keep focus inside the dialog
+      e.preventDefault()
+      break
+  }
+}
+
+// Text with <mark> around the matched ranges
+function highlight(text, ranges) {
+  const fragment = document.createDocumentFragment()
+  let position = 0
+
+  ranges.forEach(([start, end]) => {
+    if (start > position) {
+      fragment.append(text.slice(position, start))
+    }
+
+    const mark = document.createElement('mark')
+    mark.textContent = text.slice(start, end)
+    fragment.append(mark)
+    position = end
+  })
+
+  fragment.append(text.slice(position))
+
+  return fragment
+}
+
+function isEditable(element) {
+  return element && (element.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(element.tagName))
+}
+
+// Global shortcuts: Cmd/Ctrl+K anywhere, "/" outside of form fields
+document.addEventListener('keydown', (e) => {
+  if ((e.metaKey || e.ctrlKey) && e.key.toLowerCase() === 'k') {
+    e.preventDefault()
+
+    if (palette && !palette.hidden) {
+      closePalette()
+    } else {
+      openPalette()
+    }
+  } else if (e.key === '/' && !isEditable(e.target)) {
+    e.preventDefault()
+    openPalette()
+  }
+})
+
+// Buttons and links that open the palette
+document.addEventListener('click', (e) => {
+  const trigger = e.target.closest('[data-search-open]')
+
+  if (trigger) {
+    e.preventDefault()
+    openPalette(trigger.dataset.searchOpen || '')
+  }
+})
+
+// Programmatic access, e.g. from Alpine templates
+window.openSearch = openPalette
+
+console.log('🔎 Search palette loaded')
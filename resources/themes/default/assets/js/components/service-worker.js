@@ -0,0 +1,122 @@
+/**
+ * Service Worker Component
+ *
+ * Registers the offline service worker and offers a reload when a new
+ * build has been deployed
+ */
+
+import { gsap } from 'gsap'
+import { t } from '../lib/i18n'
+
+const SW_URL = '/sw.js'
+
+// Look for a new build when the tab comes back after this long
+const UPDATE_INTERVAL = 60 * 60 * 1000
+
+let prompt = null
+let reloading = false
+
+// Production builds only, the dev server has no sw.js
+if ('serviceWorker' in navigator && import.meta.env.PROD) {
+  window.addEventListener('load', registerServiceWorker)
+}
+
+async function registerServiceWorker() {
+  let registration
+
+  try {
+    registration = await navigator.serviceWorker.register(SW_URL, { scope: '/' })
+  } catch (error) {
+    console.warn('Service worker registration failed:', error)
+    return
+  }
+
+  // A new build finished installing while this page was closed
+  if (registration.waiting && navigator.serviceWorker.controller) {
+    showUpdatePrompt(registration.waiting)
+  }
+
+  registration.addEventListener('updatefound', () => {
+    const worker = registration.installing
+
+    worker?.addEventListener('statechange', () => {
+      // Without a controller this is the first install, nothing to update
+      if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+        showUpdatePrompt(worker)
+      }
+    })
+  })
+
+  // The new worker took over, load the page it belongs to
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (reloading) return
+
+    reloading = true
+    window.location.reload()
+  })
+
+  let lastCheck = Date.now()
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible' && Date.now() - lastCheck > UPDATE_INTERVAL) {
+      lastCheck = Date.now()
+      registration.update().catch(() => {})
+    }
+  })
+}
+
+function showUpdatePrompt(worker) {
+  if (!prompt) {
+    prompt = document.createElement('div')
+    prompt.className = 'update-prompt'
+    prompt.setAttribute('role', 'status')
+    prompt.innerHTML = `
+      <span>${t('sw.update_available')}</span>
+      <button type="button" class="update-prompt-reload">${t('common.reload')}</button>
+      <button type="button" class="update-prompt-dismiss" aria-label="${t('common.dismiss')}">&times;</button>
+    `
+
+    prompt.querySelector('.update-prompt-dismiss').addEventListener('click', () => {
+      prompt.hidden = true
+    })
+
+    document.body.appendChild(prompt)
+  }
+
+  // Ask the waiting worker to activate; controllerchange then reloads
+  prompt.querySelector('.update-prompt-reload').onclick = () => {
+    worker.postMessage({ type: 'SKIP_WAITING' })
+  }
+
+  prompt.hidden = false
+
+  gsap.fromTo(prompt,
+    { opacity: 0, y: 20 },
+    { opacity: 1, y: 0, duration: 0.3, ease: 'power2.out' }
+  )
+}
+
+// Tell readers when they are looking at saved pages
+function updateOnlineStatus() {
+  let indicator = document.querySelector('.offline-indicator')
+
+  if (!indicator) {
+    indicator = document.createElement('div')
+    indicator.className = 'offline-indicator'
+    indicator.setAttribute('role', 'status')
+    indicator.textContent = t('sw.offline')
+    document.body.appendChild(indicator)
+  }
+
+  indicator.hidden = navigator.onLine
+}
+
+window.addEventListener('online', updateOnlineStatus)
+window.addEventListener('offline', updateOnlineStatus)
+
+document.addEventListener('DOMContentLoaded', () => {
+  if (!navigator.onLine) {
+    updateOnlineStatus()
+  }
+})
+
+console.log('📦 Service worker component loaded')
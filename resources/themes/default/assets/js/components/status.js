@@ -0,0 +1,283 @@
+/**
+ * Status Component
+ *
+ * Live system status from the Monitoring module: /health for the health
+ * checks, /api/status for the application itself. $store.status polls
+ * while something on the page watches it, at the fastest interval asked
+ * for, backs off while the server can't be reached and pauses in hidden
+ * tabs. Every result is kept in lib/status-history for the sparklines.
+ *
+ * <a href="/status" x-data="statusBadge">...</a> in the footer
+ * <div x-data="statusPage">...</div> on the status page
+ */
+
+import Alpine from 'alpinejs'
+import { t } from '../lib/i18n'
+import { addSample, readSamples } from '../lib/status-history'
+
+const HEALTH_ENDPOINT = '/health'
+const STATUS_ENDPOINT = '/api/status'
+
+const BADGE_INTERVAL = 60000
+const PAGE_INTERVAL = 10000
+
+// Longest pause between polls while they fail
+const MAX_BACKOFF = 5 * 60 * 1000
+
+// Samples the sparklines draw
+const HISTORY_LENGTH = 120
+
+// Worst wins when statuses are combined
+const SEVERITY = ['unknown', 'healthy', 'degraded', 'unhealthy', 'down']
+
+const worst = (...statuses) => statuses.reduce((a, b) => SEVERITY.indexOf(b) > SEVERITY.indexOf(a) ? b : a)
+
+// Health checks time themselves in seconds
+const toMs = (seconds) => typeof seconds === 'number' ? Math.round(seconds * 1000) : null
+
+const watchers = new Map()
+let timer = null
+let controller = null
+let lastPoll = 0
+let historyLoaded = null
+
+// SVG path for a sparkline, gaps where a value is missing
+export function sparklinePath(values, width = 100, height = 24) {
+  const max = Math.max(1, ...values.filter(Number.isFinite))
+  const step = values.length > 1 ? width / (values.length - 1) : 0
+  let path = ''
+  let drawing = false
+
+  values.forEach((value, i) => {
+    if (!Number.isFinite(value)) {
+      drawing = false
+      return
+    }
+
+    // One pixel of room so the line isn't cut off at the edges
+    const y = 1 + (height - 2) * (1 - value / max)
+    path += `${drawing ? 'L' : 'M'}${(i * step).toFixed(1)} ${y.toFixed(1)}`
+    drawing = true
+  })
+
+  return path
+}
+
+async function timedFetch(url, signal) {
+  const started = performance.now()
+  const response = await fetch(url, { headers: { 'Accept': 'application/json' }, cache: 'no-store', signal })
+
+  // An unhealthy report comes with a 503, it still has the details
+  const data = await response.json().catch(() => null)
+
+  if (!data) {
+    throw new Error(`${url} answered HTTP ${response.status} without a report`)
+  }
+
+  return { data, latency: Math.round(performance.now() - started) }
+}
+
+function toChecks(health, app) {
+  const checks = Object.values(health.data.results || {}).map(result => ({
+    name: result.name,
+    status: result.status,
+    message: result.message,
+    duration: toMs(result.duration)
+  }))
+
+  checks.push({
+    name: 'api',
+    status: app?.data.status === 'OK' ? 'healthy' : 'unhealthy',
+    message: app ? `${app.data.app?.name ?? ''} ${app.data.version ?? ''}`.trim() : t('status.api_unreachable'),
+    duration: app?.latency ?? null
+  })
+
+  return checks
+}
+
+function interval() {
+  return Math.min(...watchers.values())
+}
+
+function nextDelay() {
+  const failures = Alpine.store('status').failures
+  return failures > 0 ? Math.min(interval() * 2 ** failures, MAX_BACKOFF) : interval()
+}
+
+// Poll when the next one is due, never in a hidden tab
+function schedule() {
+  clearTimeout(timer)
+
+  if (watchers.size === 0 || document.hidden) return
+
+  timer = setTimeout(poll, Math.max(0, lastPoll + nextDelay() - Date.now()))
+}
+
+async function poll() {
+  const state = Alpine.store('status')
+
+  clearTimeout(timer)
+  controller?.abort()
+  controller = new AbortController()
+
+  const { signal } = controller
+  lastPoll = Date.now()
+  state.checking = true
+
+  let sample
+
+  try {
+    const [health, app] = await Promise.all([
+      timedFetch(HEALTH_ENDPOINT, signal),
+      // Health checks still tell something when only this one fails
+      timedFetch(STATUS_ENDPOINT, signal).catch((error) => {
+        if (error.name === 'AbortError') throw error
+        return null
+      })
+    ])
+
+    const checks = toChecks(health, app)
+
+    sample = {
+      time: Date.now(),
+      status: worst(health.data.summary?.overall_status || 'unknown', ...checks.map(check => check.status)),
+      latency: health.latency,
+      checks: Object.fromEntries(checks.map(({ name, status, duration }) => [name, { status, duration }]))
+    }
+
+    state.checks = checks
+    state.app = app?.data ?? state.app
+    state.failures = 0
+  } catch (error) {
+    if (error.name === 'AbortError') return
+
+    sample = { time: Date.now(), status: 'down', latency: null, checks: {} }
+    state.failures++
+  } finally {
+    if (!signal.aborted) state.checking = false
+  }
+
+  state.status = sample.status
+  state.latency = sample.latency
+  state.checkedAt = sample.time
+  state.history = [...state.history, sample].slice(-HISTORY_LENGTH)
+
+  addSample(sample)
+  schedule()
+}
+
+// Samples from earlier visits and other tabs, once per page
+function loadHistory() {
+  historyLoaded ??= readSamples().then((samples) => {
+    const state = Alpine.store('status')
+    const byTime = new Map([...samples, ...state.history].map(sample => [sample.time, sample]))
+
+    state.history = [...byTime.values()]
+      .sort((a, b) => a.time - b.time)
+      .slice(-HISTORY_LENGTH)
+  })
+
+  return historyLoaded
+}
+
+Alpine.store('status', {
+  // unknown until the first poll, then healthy, degraded, unhealthy or down
+  status: 'unknown',
+  checks: [],
+  app: null,
+  latency: null,
+  checkedAt: null,
+  checking: false,
+  // Polls failed in a row, each one doubles the pause
+  failures: 0,
+  history: [],
+
+  get label() {
+    return t(`status.${this.status}`)
+  },
+
+  // Poll at least this often until the returned function is called
+  watch(ms) {
+    const id = Symbol('status watcher')
+
+    watchers.set(id, ms)
+    loadHistory()
+    schedule()
+
+    return () => {
+      watchers.delete(id)
+      schedule()
+    }
+  },
+
+  refresh() {
+    return poll()
+  },
+
+  // Values for a sparkline: 'latency' or the name of a check
+  series(name) {
+    return this.history.map(sample => name === 'latency' ? sample.latency : sample.checks[name]?.duration ?? null)
+  }
+})
+
+document.addEventListener('visibilitychange', () => {
+  if (document.hidden) {
+    clearTimeout(timer)
+    controller?.abort()
+    Alpine.store('status').checking = false
+  } else {
+    schedule()
+  }
+})
+
+// Footer badge, links to the status page
+Alpine.data('statusBadge', () => {
+  let stop = null
+
+  return {
+    init() {
+      stop = this.$store.status.watch(BADGE_INTERVAL)
+    },
+
+    destroy() {
+      stop?.()
+    }
+  }
+})
+
+Alpine.data('statusPage', () => {
+  let stop = null
+
+  return {
+    init() {
+      stop = this.$store.status.watch(PAGE_INTERVAL)
+    },
+
+    destroy() {
+      stop?.()
+    },
+
+    sparkline(name) {
+      return sparklinePath(this.$store.status.series(name))
+    },
+
+    formatMs(ms) {
+      return Number.isFinite(ms) ? `${ms} ms` : '–'
+    },
+
+    formatTime(time) {
+      return time ? new Date(time).toLocaleTimeString() : '–'
+    },
+
+    // Share of the kept samples without problems
+    get uptime() {
+      const samples = this.$store.status.history
+      if (samples.length === 0) return '–'
+
+      const healthy = samples.filter(sample => sample.status === 'healthy').length
+      return `${((healthy / samples.length) * 100).toFixed(1)} %`
+    }
+  }
+})
+
+console.log('🩺 Status loaded')
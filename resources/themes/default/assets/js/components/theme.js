@@ -0,0 +1,126 @@
+/**
+ * Theme Component
+ *
+ * Alpine store for light, dark and system mode and colour palettes,
+ * persisted and kept in sync across tabs
+ */
+
+import Alpine from 'alpinejs'
+import { gsap } from 'gsap'
+import {
+  MODES,
+  availablePalettes,
+  readPreference,
+  savePreference,
+  applyTheme,
+  isDark,
+  onSystemChange,
+  onStorageChange
+} from '../lib/theme'
+import { allowsMotion } from '../animations/registry'
+
+const initial = readPreference()
+
+// Every toggle binds to $store.theme
+Alpine.store('theme', {
+  mode: initial.mode,
+  palette: initial.palette,
+  palettes: availablePalettes(),
+  modes: MODES,
+  dark: isDark(initial.mode),
+
+  init() {
+    // The inline bootstrap already applied it, this catches legacy values
+    this.apply()
+  },
+
+  // Switch between light and dark, leaving system mode
+  toggle() {
+    this.setMode(this.dark ? 'light' : 'dark')
+  },
+
+  setMode(mode) {
+    if (!MODES.includes(mode)) return
+
+    this.mode = mode
+    this.save()
+  },
+
+  setPalette(palette) {
+    if (!this.palettes.includes(palette)) return
+
+    this.palette = palette
+    this.save()
+  },
+
+  save() {
+    savePreference({ mode: this.mode, palette: this.palette })
+    this.apply()
+  },
+
+  // Apply the current preference and announce a change of colour scheme
+  apply() {
+    const wasDark = this.dark
+    this.dark = applyTheme({ mode: this.mode, palette: this.palette })
+
+    document.dispatchEvent(new CustomEvent('themeChanged', {
+      detail: { mode: this.mode, palette: this.palette, dark: this.dark }
+    }))
+
+    if (wasDark !== this.dark) {
+      document.dispatchEvent(new CustomEvent('darkModeToggled', {
+        detail: { enabled: this.dark }
+      }))
+    }
+  }
+})
+
+const theme = Alpine.store('theme')
+
+// The OS switched between light and dark
+onSystemChange(() => {
+  if (theme.mode === 'system') {
+    theme.apply()
+  }
+})
+
+// Another tab changed the preference
+onStorageChange(({ mode, palette }) => {
+  theme.mode = mode
+  theme.palette = palette
+  theme.apply()
+})
+
+// Global toggle function for buttons outside Alpine
+window.toggleDarkMode = () => theme.toggle()
+
+// Dark mode specific animations
+document.addEventListener('darkModeToggled', () => {
+  if (!allowsMotion()) return
+
+  // Animate cards and elements
+  const cards = document.querySelectorAll('.card, .blog-card, .feature-card, .sidebar-widget')
+  cards.forEach((card, index) => {
+    gsap.fromTo(card,
+      { scale: 0.98, opacity: 0.8 },
+      {
+        scale: 1,
+        opacity: 1,
+        duration: 0.4,
+        delay: index * 0.05,
+        ease: 'power2.out'
+      }
+    )
+  })
+
+  // Animate navigation
+  const navbar = document.querySelector('.navbar')
+  if (navbar) {
+    gsap.fromTo(navbar,
+      { y: -10, opacity: 0.8 },
+      { y: 0, opacity: 1, duration: 0.3, ease: 'power2.out' }
+    )
+  }
+})
+
+console.log('🌙 Theme component loaded')
@@ -0,0 +1,124 @@
+/**
+ * Accordion Component
+ *
+ * WAI-ARIA accordion. Triggers and panels pair up in document order,
+ * Up/Down/Home/End move between triggers. With .single opening a section
+ * closes the others.
+ *
+ * <div x-data x-accordion.single>
+ *   <h3><button x-accordion:trigger aria-expanded="true">Install</button></h3>
+ *   <div x-accordion:panel>...</div>
+ * </div>
+ */
+
+import Alpine from 'alpinejs'
+import { collapse, expand } from '../../animations/ui'
+
+let count = 0
+
+function createAccordion(root, modifiers) {
+  const accordion = {
+    id: `accordion-${++count}`,
+    triggers: [],
+    panels: [],
+    single: modifiers.includes('single'),
+
+    isOpen(index) {
+      return this.triggers[index]?.getAttribute('aria-expanded') === 'true'
+    },
+
+    set(index, open, { animate = true } = {}) {
+      const trigger = this.triggers[index]
+      const panel = this.panels[index]
+      if (!trigger || !panel) return
+
+      trigger.setAttribute('aria-expanded', String(open))
+
+      if (!animate) {
+        panel.hidden = !open
+      } else if (open) {
+        expand(panel)
+      } else {
+        collapse(panel)
+      }
+    },
+
+    toggle(index) {
+      const open = !this.isOpen(index)
+
+      if (open && this.single) {
+        this.triggers.forEach((_, i) => {
+          if (i !== index && this.isOpen(i)) this.set(i, false)
+        })
+      }
+
+      this.set(index, open)
+    }
+  }
+
+  root._x_accordion = accordion
+
+  // Panels start in the state their trigger declares
+  Alpine.nextTick(() => {
+    accordion.triggers.forEach((trigger, index) => {
+      const panel = accordion.panels[index]
+      if (!panel) return
+
+      trigger.setAttribute('aria-controls', panel.id)
+      panel.setAttribute('aria-labelledby', trigger.id)
+      accordion.set(index, accordion.isOpen(index), { animate: false })
+    })
+  })
+
+  root.addEventListener('keydown', (e) => {
+    const index = accordion.triggers.indexOf(document.activeElement)
+    if (index === -1) return
+
+    const total = accordion.triggers.length
+    let target = null
+
+    if (e.key === 'ArrowDown') target = (index + 1) % total
+    else if (e.key === 'ArrowUp') target = (index - 1 + total) % total
+    else if (e.key === 'Home') target = 0
+    else if (e.key === 'End') target = total - 1
+
+    if (target === null) return
+
+    e.preventDefault()
+    accordion.triggers[target].focus()
+  })
+
+  return accordion
+}
+
+function initTrigger(accordion, el) {
+  const index = accordion.triggers.push(el) - 1
+
+  el.id ||= `${accordion.id}-trigger-${index}`
+  el.setAttribute('aria-expanded', String(el.getAttribute('aria-expanded') === 'true'))
+
+  // Enter and Space click the button
+  el.addEventListener('click', () => accordion.toggle(accordion.triggers.indexOf(el)))
+}
+
+function initPanel(accordion, el) {
+  const index = accordion.panels.push(el) - 1
+
+  el.id ||= `${accordion.id}-panel-${index}`
+  el.setAttribute('role', 'region')
+}
+
+export default function accordion() {
+  Alpine.directive('accordion', (el, { value, modifiers }) => {
+    if (!value) {
+      createAccordion(el, modifiers)
+      return
+    }
+
+    const instance = el.closest('[x-accordion]')?._x_accordion
+    if (!instance) return
+
+    if (value === 'trigger') initTrigger(instance, el)
+    if (value === 'panel') initPanel(instance, el)
+  })
+}
@@ -0,0 +1,84 @@
+/**
+ * Breadcrumbs Component
+ *
+ * WAI-ARIA breadcrumb trail: a labelled nav, the last item marked as the
+ * current page and separators hidden from screen readers. When the trail
+ * doesn't fit on one line the middle items collapse behind a button.
+ *
+ * <nav x-data x-breadcrumbs>
+ *   <a href="/blog">Blog</a>
+ *   <span class="breadcrumb-separator">→</span>
+ *   <span>Current page</span>
+ * </nav>
+ */
+
+import Alpine from 'alpinejs'
+import { t } from '../../lib/i18n'
+
+const SEPARATOR = '.breadcrumb-separator, .docs-breadcrumb-separator, [data-separator]'
+
+// Separators written as bare text spans
+const SEPARATOR_TEXT = ['→', '/', '›', '»', '>']
+
+function isSeparator(element) {
+  return element.matches(SEPARATOR) ||
+    (element.children.length === 0 && SEPARATOR_TEXT.includes(element.textContent.trim()))
+}
+
+function initBreadcrumbs(nav) {
+  const parts = Array.from(nav.children)
+  const items = parts.filter(part => !isSeparator(part))
+  const current = items[items.length - 1]
+
+  if (!nav.hasAttribute('aria-label')) nav.setAttribute('aria-label', t('ui.breadcrumbs'))
+
+  parts.filter(isSeparator).forEach(separator => separator.setAttribute('aria-hidden', 'true'))
+  current?.setAttribute('aria-current', 'page')
+
+  // First item, the button and the last item stay visible
+  if (items.length < 4 || !('ResizeObserver' in window)) return
+
+  const hidden = parts.slice(parts.indexOf(items[1]), parts.indexOf(current) - 1)
+  const toggle = document.createElement('button')
+  let expanded = false
+
+  toggle.type = 'button'
+  toggle.className = 'breadcrumb-toggle'
+  toggle.textContent = '…'
+  toggle.setAttribute('aria-label', t('ui.show_path'))
+  toggle.hidden = true
+  nav.insertBefore(toggle, hidden[0])
+
+  const setCollapsed = (collapsed) => {
+    hidden.forEach(part => part.classList.toggle('breadcrumb-collapsed', collapsed))
+    toggle.hidden = !collapsed
+  }
+
+  toggle.addEventListener('click', () => {
+    expanded = true
+    setCollapsed(false)
+
+    // The button is gone, focus the first revealed link
+    const link = items[1].matches('a') ? items[1] : items[1].querySelector('a')
+    link?.focus()
+  })
+
+  const observer = new ResizeObserver(() => {
+    if (expanded) return
+
+    setCollapsed(false)
+    setCollapsed(nav.scrollWidth > nav.clientWidth)
+  })
+
+  observer.observe(nav)
+
+  return () => observer.disconnect()
+}
+
+export default function breadcrumbs() {
+  Alpine.directive('breadcrumbs', (el, directive, { cleanup }) => {
+    const disconnect = initBreadcrumbs(el)
+
+    if (disconnect) cleanup(disconnect)
+  })
+}
@@ -0,0 +1,193 @@
+/**
+ * Dropdown Component
+ *
+ * WAI-ARIA menu button: arrow keys, Home/End and typeahead move between
+ * items, Escape and outside clicks close the menu.
+ *
+ * <div x-data x-dropdown class="dropdown">
+ *   <button x-dropdown:trigger>Actions</button>
+ *   <div x-dropdown:menu class="dropdown-menu">
+ *     <a href="/edit" x-dropdown:item>Edit</a>
+ *     <button x-dropdown:item @click="remove()">Delete</button>
+ *   </div>
+ * </div>
+ */
+
+import Alpine from 'alpinejs'
+import { enter, leave } from '../../animations/ui'
+
+let count = 0
+
+function createDropdown(root) {
+  const dropdown = {
+    root,
+    trigger: null,
+    menu: null,
+    items: [],
+    open: false,
+
+    show(focus = 'first') {
+      if (!this.menu) return
+
+      if (!this.open) {
+        this.open = true
+        this.menu.hidden = false
+        this.trigger.setAttribute('aria-expanded', 'true')
+        enter(this.menu, { opacity: 0, y: -4, scale: 0.98 })
+      }
+
+      const items = this.enabledItems()
+      items[focus === 'last' ? items.length - 1 : 0]?.focus()
+    },
+
+    hide({ restoreFocus = true } = {}) {
+      if (!this.open) return
+
+      this.open = false
+      this.trigger.setAttribute('aria-expanded', 'false')
+      leave(this.menu, { opacity: 0, y: -4 }).then(() => {
+        this.menu.hidden = true
+      })
+
+      if (restoreFocus) this.trigger.focus()
+    },
+
+    enabledItems() {
+      return this.items.filter(item => item.isConnected && item.getAttribute('aria-disabled') !== 'true')
+    }
+  }
+
+  root._x_dropdown = dropdown
+
+  return dropdown
+}
+
+function dropdownOf(el) {
+  return el.closest('[x-dropdown]')?._x_dropdown
+}
+
+function initTrigger(dropdown, el) {
+  dropdown.trigger = el
+  el.id ||= `dropdown-trigger-${++count}`
+  el.setAttribute('aria-haspopup', 'menu')
+  el.setAttribute('aria-expanded', 'false')
+
+  if (dropdown.menu) {
+    el.setAttribute('aria-controls', dropdown.menu.id)
+    dropdown.menu.setAttribute('aria-labelledby', el.id)
+  }
+
+  // Enter and Space click the button
+  el.addEventListener('click', () => {
+    dropdown.open ? dropdown.hide() : dropdown.show()
+  })
+
+  el.addEventListener('keydown', (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault()
+      dropdown.show('first')
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault()
+      dropdown.show('last')
+    }
+  })
+}
+
+function initMenu(dropdown, el) {
+  dropdown.menu = el
+  el.id ||= `dropdown-menu-${++count}`
+  el.setAttribute('role', 'menu')
+  el.hidden = true
+
+  if (dropdown.trigger) {
+    dropdown.trigger.setAttribute('aria-controls', el.id)
+    el.setAttribute('aria-labelledby', dropdown.trigger.id)
+  }
+
+  el.addEventListener('keydown', (e) => {
+    const items = dropdown.enabledItems()
+    const index = items.indexOf(document.activeElement)
+    let handled = true
+
+    switch (e.key) {
+      case 'ArrowDown':
+        items[(index + 1) % items.length]?.focus()
+        break
+      case 'ArrowUp':
+        items[(index - 1 + items.length) % items.length]?.focus()
+        break
+      case 'Home':
+        items[0]?.focus()
+        break
+      case 'End':
+        items[items.length - 1]?.focus()
+        break
+      case 'Escape':
+        dropdown.hide()
+        break
+      case 'Tab':
+        // Let focus move on, the menu just closes
+        dropdown.hide({ restoreFocus: false })
+        handled = false
+        break
+      default:
+        handled = typeahead(items, index, e.key)
+    }
+
+    if (handled) {
+      e.preventDefault()
+      e.stopPropagation()
+    }
+  })
+
+  // Choosing an item closes the menu
+  el.addEventListener('click', (e) => {
+    if (e.target.closest('[role="menuitem"]')) dropdown.hide()
+  })
+}
+
+// Focus the next item starting with the typed character
+function typeahead(items, index, key) {
+  if (key.length !== 1 || !/\S/.test(key)) return false
+
+  const char = key.toLowerCase()
+  const ordered = [...items.slice(index + 1), ...items.slice(0, index + 1)]
+
+  ordered.find(item => item.textContent.trim().toLowerCase().startsWith(char))?.focus()
+
+  return true
+}
+
+function initItem(dropdown, el) {
+  el.setAttribute('role', 'menuitem')
+  el.tabIndex = -1
+  dropdown.items.push(el)
+}
+
+export default function dropdown() {
+  Alpine.directive('dropdown', (el, { value }, { cleanup }) => {
+    if (!value) {
+      const instance = createDropdown(el)
+
+      const onClick = (e) => {
+        if (instance.open && !el.contains(e.target)) instance.hide({ restoreFocus: false })
+      }
+
+      document.addEventListener('click', onClick)
+      cleanup(() => document.removeEventListener('click', onClick))
+      return
+    }
+
+    const instance = dropdownOf(el)
+    if (!instance) return
+
+    if (value === 'trigger') initTrigger(instance, el)
+    if (value === 'menu') initMenu(instance, el)
+    if (value === 'item') {
+      initItem(instance, el)
+      cleanup(() => {
+        instance.items = instance.items.filter(item => item !== el)
+      })
+    }
+  })
+}
@@ -0,0 +1,372 @@
+/**
+ * File Upload Component
+ *
+ * Drop zone around a native file input. Files are checked against the
+ * input's accept attribute, data-max-size (bytes) and data-max-files and
+ * listed with image previews and a remove button.
+ *
+ * Without data-upload the files stay in the input and the form posts them
+ * as multipart/form-data. With data-upload each file is sent right away in
+ * resumable chunks (to the Storage upload endpoint, or the URL given), with
+ * progress, cancel and retry; the form then posts the uploaded file ids
+ * under the input's name.
+ *
+ * <div x-data x-file-upload data-max-size="5242880" data-max-files="3">
+ *   <input type="file" name="attachments" accept="image/*,.pdf" multiple>
+ * </div>
+ */
+
+import Alpine from 'alpinejs'
+import { formatNumber, t } from '../../lib/i18n'
+import { DEFAULT_ENDPOINT, Upload } from '../../lib/uploader'
+
+const UNITS = ['B', 'KB', 'MB', 'GB']
+
+export function formatBytes(bytes) {
+  const exponent = Math.min(Math.floor(Math.log(Math.max(bytes, 1)) / Math.log(1024)), UNITS.length - 1)
+  const value = bytes / 1024 ** exponent
+
+  return `${formatNumber(value, { maximumFractionDigits: exponent === 0 ? 0 : 1 })} ${UNITS[exponent]}`
+}
+
+// Same rules as the browser's file picker
+export function acceptsFile(file, accept) {
+  if (!accept) return true
+
+  const name = file.name.toLowerCase()
+  const type = file.type.toLowerCase()
+
+  return accept.split(',')
+    .map(rule => rule.trim().toLowerCase())
+    .filter(Boolean)
+    .some(rule => {
+      if (rule.startsWith('.')) return name.endsWith(rule)
+      if (rule.endsWith('/*')) return type.startsWith(rule.slice(0, -1))
+      return type === rule
+    })
+}
+
+function createZone(input) {
+  const zone = document.createElement('label')
+  const prompt = document.createElement('span')
+  const hint = document.createElement('span')
+
+  zone.className = 'file-upload-zone'
+  prompt.className = 'file-upload-prompt'
+  hint.className = 'file-upload-hint'
+
+  input.classList.add('sr-only')
+  input.before(zone)
+  zone.append(input, prompt, hint)
+
+  return { zone, prompt, hint }
+}
+
+function createButton(className, text, label) {
+  const button = document.createElement('button')
+
+  button.type = 'button'
+  button.className = className
+  button.textContent = text
+  button.setAttribute('aria-label', label)
+
+  return button
+}
+
+function initFileUpload(root, cleanup) {
+  const input = root.querySelector('input[type="file"]')
+  if (!input) return
+
+  const maxSize = Number(root.dataset.maxSize) || Infinity
+  const maxFiles = input.multiple ? Number(root.dataset.maxFiles) || Infinity : 1
+  const uploading = root.hasAttribute('data-upload')
+  const fieldName = input.name
+  const { zone, prompt, hint } = createZone(input)
+  const list = document.createElement('ul')
+  const errors = document.createElement('div')
+  const announcer = document.createElement('p')
+  const previews = new Map()
+  let entries = []
+
+  // Uploaded files are posted by id, not as file data
+  if (uploading) input.removeAttribute('name')
+
+  list.className = 'file-upload-list'
+  errors.className = 'file-upload-errors'
+  errors.setAttribute('role', 'alert')
+  announcer.className = 'sr-only'
+  announcer.setAttribute('aria-live', 'polite')
+  zone.after(list, announcer, errors)
+
+  // Upload progress would flood a live list, states go through the announcer
+  if (!uploading) list.setAttribute('aria-live', 'polite')
+
+  const renderLabels = () => {
+    prompt.textContent = t('ui.upload_prompt', { count: input.multiple ? 2 : 1 })
+
+    const limits = []
+    if (input.accept) limits.push(input.accept.split(',').map(rule => rule.trim()).join(', '))
+    if (maxSize !== Infinity) limits.push(t('ui.upload_max_size', { size: formatBytes(maxSize) }))
+    hint.textContent = limits.join(' · ')
+    hint.hidden = limits.length === 0
+  }
+
+  const markUploading = () => {
+    root.toggleAttribute('data-uploading', entries.some(entry => entry.upload?.state === 'uploading'))
+  }
+
+  // The input holds exactly the listed files
+  const sync = () => {
+    const transfer = new DataTransfer()
+    entries.forEach(entry => transfer.items.add(entry.file))
+    input.files = transfer.files
+
+    markUploading()
+    root.dispatchEvent(new CustomEvent('files-change', {
+      bubbles: true,
+      detail: { files: entries.map(entry => entry.file) }
+    }))
+  }
+
+  const preview = (file) => {
+    if (!file.type.startsWith('image/')) return null
+
+    previews.set(file, URL.createObjectURL(file))
+
+    const image = document.createElement('img')
+    image.className = 'file-upload-preview'
+    image.src = previews.get(file)
+    image.alt = ''
+
+    return image
+  }
+
+  // Progress, status, actions and the posted id of an uploading file
+  const updateItem = (entry) => {
+    const { upload, parts } = entry
+    const { progress, status, cancel, retry, remove, field } = parts
+
+    progress.value = upload.progress
+    progress.hidden = upload.state === 'complete'
+    cancel.hidden = upload.state !== 'uploading'
+    retry.hidden = upload.state !== 'error'
+    remove.hidden = upload.state === 'uploading'
+    entry.item.dataset.state = upload.state
+
+    status.textContent = {
+      queued: t('ui.upload_queued'),
+      uploading: t('ui.upload_percent', { percent: Math.floor(upload.progress * 100) }),
+      complete: t('ui.upload_complete'),
+      error: upload.error?.message || t('ui.upload_failed')
+    }[upload.state] || ''
+
+    // Screen readers hear state changes, not every percent
+    if (upload.state !== entry.announced) {
+      entry.announced = upload.state
+      announcer.textContent = `${entry.file.name}: ${status.textContent}`
+    }
+
+    if (upload.state === 'complete' && !field.isConnected) {
+      field.value = upload.result?.id ?? upload.id
+      entry.item.append(field)
+    }
+  }
+
+  const createItem = (entry) => {
+    const { file } = entry
+    const item = document.createElement('li')
+    const name = document.createElement('span')
+    const size = document.createElement('span')
+    const remove = createButton('file-upload-remove', '×', t('ui.remove_file', { name: file.name }))
+
+    item.className = 'file-upload-item'
+    name.className = 'file-upload-name'
+    name.textContent = file.name
+    size.className = 'file-upload-size'
+    size.textContent = formatBytes(file.size)
+    remove.addEventListener('click', () => removeEntry(entry))
+
+    item.append(...[preview(file), name, size].filter(Boolean))
+    entry.item = item
+
+    if (entry.upload) {
+      const progress = document.createElement('progress')
+      const status = document.createElement('span')
+      const cancel = createButton('file-upload-cancel', t('ui.cancel'), t('ui.cancel_upload', { name: file.name }))
+      const retry = createButton('file-upload-retry', t('common.retry'), t('ui.retry_upload', { name: file.name }))
+      const field = document.createElement('input')
+
+      progress.className = 'file-upload-progress'
+      progress.max = 1
+      progress.setAttribute('aria-label', t('ui.upload_progress', { name: file.name }))
+      status.className = 'file-upload-status'
+      field.type = 'hidden'
+      field.name = fieldName
+
+      cancel.addEventListener('click', () => removeEntry(entry))
+      retry.addEventListener('click', () => entry.upload.start())
+
+      item.append(progress, status, cancel, retry)
+      entry.parts = { progress, status, cancel, retry, remove, field }
+    }
+
+    item.append(remove)
+
+    return item
+  }
+
+  const showErrors = (messages) => {
+    errors.replaceChildren(...messages.map(message => {
+      const line = document.createElement('p')
+      line.className = 'file-upload-error'
+      line.textContent = message
+      return line
+    }))
+  }
+
+  const createEntry = (file) => {
+    const entry = { file, upload: null, item: null, parts: null, announced: null }
+
+    if (uploading) {
+      entry.upload = new Upload(file, {
+        endpoint: root.dataset.upload || DEFAULT_ENDPOINT,
+        chunkSize: Number(root.dataset.chunkSize) || undefined,
+        onChange: () => {
+          if (!entry.item?.isConnected) return
+
+          updateItem(entry)
+          markUploading()
+        }
+      })
+    }
+
+    return entry
+  }
+
+  // Cancels a running upload, a finished one is discarded on the server
+  const discard = (entry) => {
+    entry.upload?.cancel()
+    entry.item?.remove()
+
+    if (previews.has(entry.file)) {
+      URL.revokeObjectURL(previews.get(entry.file))
+      previews.delete(entry.file)
+    }
+  }
+
+  const addFiles = (incoming) => {
+    const messages = []
+    let added = []
+
+    Array.from(incoming).forEach(file => {
+      if (!acceptsFile(file, input.accept)) {
+        messages.push(t('ui.file_type', { name: file.name }))
+      } else if (file.size > maxSize) {
+        messages.push(t('ui.file_too_large', { name: file.name, size: formatBytes(maxSize) }))
+      } else {
+        added.push(file)
+      }
+    })
+
+    // A single file input replaces its file
+    if (!input.multiple && added.length > 0) {
+      entries.forEach(discard)
+      entries = []
+      added = added.slice(-1)
+    }
+
+    if (entries.length + added.length > maxFiles) {
+      messages.push(t('ui.too_many_files', { count: maxFiles }))
+      added = added.slice(0, Math.max(maxFiles - entries.length, 0))
+    }
+
+    const created = added.map(createEntry)
+
+    entries = [...entries, ...created]
+    list.append(...created.map(createItem))
+
+    created.forEach(entry => {
+      if (!entry.upload) return
+
+      updateItem(entry)
+      entry.upload.start()
+    })
+
+    showErrors(messages)
+    sync()
+  }
+
+  function removeEntry(entry) {
+    const index = entries.indexOf(entry)
+    if (index === -1) return
+
+    entries = entries.filter(other => other !== entry)
+    discard(entry)
+    showErrors([])
+    sync()
+
+    // The removed item is gone, keep focus in the component
+    const buttons = list.querySelectorAll('.file-upload-remove:not([hidden]), .file-upload-cancel:not([hidden])')
+    const next = buttons[Math.min(index, buttons.length - 1)] || input
+    next.focus()
+  }
+
+  // Picking files replaces the input's selection, merge it with the list
+  const onChange = () => addFiles(input.files)
+
+  const onDragOver = (e) => {
+    e.preventDefault()
+    zone.classList.add('is-dragging')
+  }
+
+  const onDragLeave = (e) => {
+    if (!zone.contains(e.relatedTarget)) zone.classList.remove('is-dragging')
+  }
+
+  const onDrop = (e) => {
+    e.preventDefault()
+    zone.classList.remove('is-dragging')
+    if (!input.disabled) addFiles(e.dataTransfer.files)
+  }
+
+  // After a reset the list starts over, files already sent stay on the server
+  const onReset = () => {
+    entries.forEach(entry => {
+      if (entry.upload?.state === 'uploading') entry.upload.cancel()
+      entry.item.remove()
+    })
+    previews.forEach(url => URL.revokeObjectURL(url))
+    previews.clear()
+    entries = []
+    showErrors([])
+    markUploading()
+  }
+
+  const listeners = [
+    [input, 'change', onChange],
+    [zone, 'dragover', onDragOver],
+    [zone, 'dragleave', onDragLeave],
+    [zone, 'drop', onDrop],
+    [input.form, 'reset', onReset],
+    [document, 'localeChanged', renderLabels]
+  ].filter(([target]) => target)
+
+  listeners.forEach(([target, type, listener]) => target.addEventListener(type, listener))
+
+  renderLabels()
+  addFiles(input.files)
+
+  cleanup(() => {
+    listeners.forEach(([target, type, listener]) => target.removeEventListener(type, listener))
+    entries.forEach(entry => {
+      if (entry.upload?.state === 'uploading') entry.upload.cancel()
+    })
+    previews.forEach(url => URL.revokeObjectURL(url))
+  })
+}
+
+export default function fileUpload() {
+  Alpine.directive('file-upload', (el, directive, { cleanup }) => {
+    initFileUpload(el, cleanup)
+  })
+}
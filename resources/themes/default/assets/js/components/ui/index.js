@@ -0,0 +1,32 @@
+/**
+ * UI Kit
+ *
+ * Headless Alpine directives for the UI components theme.json declares.
+ * A component whose flag is off is not registered.
+ */
+
+import { components } from '../../../../theme.json'
+import accordion from './accordion'
+import breadcrumbs from './breadcrumbs'
+import dropdown from './dropdown'
+import fileUpload from './file-upload'
+import modal from './modal'
+import tabs from './tabs'
+import tooltip from './tooltip'
+
+const KIT = [
+  [components.ui.modals, modal],
+  [components.ui.tooltips, tooltip],
+  [components.ui.dropdowns, dropdown],
+  [components.ui.tabs, tabs],
+  [components.ui.accordions, accordion],
+  [components.navigation.breadcrumbs, breadcrumbs],
+  [components.forms.file_upload, fileUpload]
+]
+
+// Directives must exist before Alpine.start()
+KIT.forEach(([enabled, register]) => {
+  if (enabled) register()
+})
+
+console.log('🧩 UI kit loaded')
@@ -0,0 +1,130 @@
+/**
+ * Modal Component
+ *
+ * WAI-ARIA dialog. Modals stack, trap focus, lock the page scroll and
+ * give focus back to whatever opened them.
+ *
+ * <div x-data x-modal="share" class="modal" aria-labelledby="share-title">
+ *   <div class="modal-panel">
+ *     <h2 id="share-title">Share</h2>
+ *     <button x-modal:close>Close</button>
+ *   </div>
+ * </div>
+ * <button x-data x-modal:open="share">Share</button>
+ *
+ * Scripts use $modal.open('share') and $modal.close().
+ */
+
+import Alpine from 'alpinejs'
+import { enter, leave } from '../../animations/ui'
+import { focusableElements, lockScroll, trapFocus, unlockScroll } from '../../lib/focus'
+
+const modals = new Map()
+
+// Open modals, topmost last
+const stack = []
+
+export function openModal(name, opener = document.activeElement) {
+  const modal = modals.get(name)
+
+  if (!modal || stack.includes(modal)) return
+
+  modal.opener = opener
+  stack.push(modal)
+  modal.el.hidden = false
+  lockScroll()
+
+  enter(modal.el, { opacity: 0 })
+  enter(modal.panel, { opacity: 0, scale: 0.95, y: 8 })
+
+  const target = modal.el.querySelector('[autofocus]') || focusableElements(modal.panel)[0] || modal.panel
+  target.focus()
+
+  modal.el.dispatchEvent(new CustomEvent('modal-opened', { bubbles: true, detail: { name } }))
+}
+
+// Close a modal by name, or the topmost one
+export function closeModal(name) {
+  const modal = name ? modals.get(name) : stack[stack.length - 1]
+  const index = stack.indexOf(modal)
+
+  if (index === -1) return
+
+  stack.splice(index, 1)
+  unlockScroll()
+
+  leave(modal.panel, { opacity: 0, scale: 0.95, y: 8 })
+  leave(modal.el, { opacity: 0 }).then(() => {
+    modal.el.hidden = true
+  })
+
+  if (modal.opener?.isConnected) modal.opener.focus()
+
+  modal.el.dispatchEvent(new CustomEvent('modal-closed', { bubbles: true, detail: { name: modal.name } }))
+}
+
+function registerModal(el, name, cleanup) {
+  const panel = el.querySelector('.modal-panel') || el
+  const modal = { name, el, panel, opener: null }
+
+  el.hidden = true
+  el.setAttribute('role', el.getAttribute('role') || 'dialog')
+  el.setAttribute('aria-modal', 'true')
+  panel.tabIndex = -1
+
+  // Clicks on the backdrop, outside the panel
+  const onClick = (e) => {
+    if (panel !== el && !panel.contains(e.target)) closeModal(name)
+  }
+
+  const onKeydown = (e) => {
+    if (stack[stack.length - 1] !== modal) return
+
+    if (e.key === 'Escape') {
+      e.stopPropagation()
+      closeModal(name)
+    } else if (e.key === 'Tab') {
+      trapFocus(e, focusableElements(panel))
+    }
+  }
+
+  el.addEventListener('click', onClick)
+  el.addEventListener('keydown', onKeydown)
+  modals.set(name, modal)
+
+  cleanup(() => {
+    closeModal(name)
+    modals.delete(name)
+    el.removeEventListener('click', onClick)
+    el.removeEventListener('keydown', onKeydown)
+  })
+}
+
+export default function modal() {
+  Alpine.directive('modal', (el, { value, expression }, { cleanup }) => {
+    if (value === 'open') {
+      const onClick = () => openModal(expression, el)
+
+      el.setAttribute('aria-haspopup', 'dialog')
+      el.addEventListener('click', onClick)
+      cleanup(() => el.removeEventListener('click', onClick))
+    } else if (value === 'close') {
+      const onClick = () => closeModal(expression || el.closest('[x-modal]')?.getAttribute('x-modal'))
+
+      el.addEventListener('click', onClick)
+      cleanup(() => el.removeEventListener('click', onClick))
+    } else {
+      registerModal(el, expression || el.id, cleanup)
+    }
+  })
+
+  Alpine.magic('modal', () => ({
+    open: (name) => openModal(name),
+    close: (name) => closeModal(name)
+  }))
+
+  // Modals of a page being swapped out
+  document.addEventListener('pageContentLoaded', () => {
+    while (stack.length > 0) closeModal()
+  })
+}
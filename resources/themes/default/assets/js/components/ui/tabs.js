@@ -0,0 +1,148 @@
+/**
+ * Tabs Component
+ *
+ * WAI-ARIA tabs with a roving tabindex. Tabs and panels pair up in
+ * document order. Arrow keys select the next tab unless .manual is set,
+ * .vertical switches them to Up/Down.
+ *
+ * <div x-data x-tabs>
+ *   <div x-tabs:list class="tabs-list">
+ *     <button x-tabs:tab>Overview</button>
+ *     <button x-tabs:tab aria-selected="true">Install</button>
+ *   </div>
+ *   <div x-tabs:panel>...</div>
+ *   <div x-tabs:panel>...</div>
+ * </div>
+ */
+
+import Alpine from 'alpinejs'
+import { enter } from '../../animations/ui'
+
+let count = 0
+
+function createTabs(root, modifiers) {
+  const tabs = {
+    id: `tabs-${++count}`,
+    tabs: [],
+    panels: [],
+    selected: -1,
+    manual: modifiers.includes('manual'),
+    vertical: modifiers.includes('vertical'),
+
+    select(index, { focus = false, animate = true } = {}) {
+      const tab = this.tabs[index]
+      if (!tab) return
+
+      const changed = index !== this.selected
+      this.selected = index
+
+      this.tabs.forEach((item, i) => {
+        item.setAttribute('aria-selected', String(i === index))
+        item.tabIndex = i === index ? 0 : -1
+      })
+
+      this.panels.forEach((panel, i) => {
+        panel.hidden = i !== index
+      })
+
+      if (focus) tab.focus()
+
+      if (changed && animate && this.panels[index]) {
+        enter(this.panels[index], { opacity: 0, y: 4 })
+      }
+
+      if (changed) {
+        root.dispatchEvent(new CustomEvent('tab-change', { bubbles: true, detail: { index, tab } }))
+      }
+    },
+
+    // Link each tab to its panel once both are known
+    link() {
+      this.tabs.forEach((tab, index) => {
+        const panel = this.panels[index]
+        if (!panel) return
+
+        tab.setAttribute('aria-controls', panel.id)
+        panel.setAttribute('aria-labelledby', tab.id)
+      })
+    }
+  }
+
+  root._x_tabs = tabs
+
+  // Parts register synchronously after the root, select once they have
+  Alpine.nextTick(() => {
+    tabs.link()
+
+    const initial = tabs.tabs.findIndex(tab => tab.getAttribute('aria-selected') === 'true')
+    tabs.select(Math.max(initial, 0), { animate: false })
+  })
+
+  return tabs
+}
+
+function initList(tabs, el) {
+  el.setAttribute('role', 'tablist')
+  el.setAttribute('aria-orientation', tabs.vertical ? 'vertical' : 'horizontal')
+
+  el.addEventListener('keydown', (e) => {
+    const index = tabs.tabs.indexOf(document.activeElement)
+    if (index === -1) return
+
+    const next = tabs.vertical ? 'ArrowDown' : 'ArrowRight'
+    const previous = tabs.vertical ? 'ArrowUp' : 'ArrowLeft'
+    const total = tabs.tabs.length
+    let target = null
+
+    if (e.key === next) target = (index + 1) % total
+    else if (e.key === previous) target = (index - 1 + total) % total
+    else if (e.key === 'Home') target = 0
+    else if (e.key === 'End') target = total - 1
+
+    if (target === null) return
+
+    e.preventDefault()
+
+    if (tabs.manual) {
+      tabs.tabs[target].focus()
+    } else {
+      tabs.select(target, { focus: true })
+    }
+  })
+}
+
+function initTab(tabs, el) {
+  const index = tabs.tabs.push(el) - 1
+
+  el.id ||= `${tabs.id}-tab-${index}`
+  el.setAttribute('role', 'tab')
+  el.tabIndex = -1
+
+  // Enter and Space click the button
+  el.addEventListener('click', () => tabs.select(tabs.tabs.indexOf(el), { focus: true }))
+}
+
+function initPanel(tabs, el) {
+  const index = tabs.panels.push(el) - 1
+
+  el.id ||= `${tabs.id}-panel-${index}`
+  el.setAttribute('role', 'tabpanel')
+  el.tabIndex = 0
+  el.hidden = index !== Math.max(tabs.selected, 0)
+}
+
+export default function tabs() {
+  Alpine.directive('tabs', (el, { value, modifiers }) => {
+    if (!value) {
+      createTabs(el, modifiers)
+      return
+    }
+
+    const instance = el.closest('[x-tabs]')?._x_tabs
+    if (!instance) return
+
+    if (value === 'list') initList(instance, el)
+    if (value === 'tab') initTab(instance, el)
+    if (value === 'panel') initPanel(instance, el)
+  })
+}
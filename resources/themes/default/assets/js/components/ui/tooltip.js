@@ -0,0 +1,151 @@
+/**
+ * Tooltip Component
+ *
+ * WAI-ARIA tooltip shown on hover and focus, hidden with Escape. The
+ * expression is evaluated, so the text can be reactive; modifiers pick
+ * the side (top by default) and flip when there is no room.
+ *
+ * <button x-data x-tooltip.bottom="'Copy link'">...</button>
+ */
+
+import Alpine from 'alpinejs'
+import { enter, leave } from '../../animations/ui'
+
+const PLACEMENTS = ['top', 'bottom', 'left', 'right']
+
+const OPPOSITE = { top: 'bottom', bottom: 'top', left: 'right', right: 'left' }
+
+// Gap between the element and the tooltip, and the viewport margin
+const GAP = 8
+
+// Delays so passing pointers don't flash tooltips
+const SHOW_DELAY = 300
+const HIDE_DELAY = 100
+
+// Offsets the tooltip slides in from
+const SLIDE = { top: { y: 4 }, bottom: { y: -4 }, left: { x: 4 }, right: { x: -4 } }
+
+let count = 0
+
+function coordinates(placement, anchor, tip) {
+  switch (placement) {
+    case 'bottom':
+      return { top: anchor.bottom + GAP, left: anchor.left + (anchor.width - tip.width) / 2 }
+    case 'left':
+      return { top: anchor.top + (anchor.height - tip.height) / 2, left: anchor.left - tip.width - GAP }
+    case 'right':
+      return { top: anchor.top + (anchor.height - tip.height) / 2, left: anchor.right + GAP }
+    default:
+      return { top: anchor.top - tip.height - GAP, left: anchor.left + (anchor.width - tip.width) / 2 }
+  }
+}
+
+function fits({ top, left }, tip) {
+  return top >= GAP && left >= GAP &&
+    top + tip.height <= window.innerHeight - GAP &&
+    left + tip.width <= window.innerWidth - GAP
+}
+
+// Preferred side, the opposite one when it doesn't fit, kept on screen
+function position(tooltip, el, preferred) {
+  const anchor = el.getBoundingClientRect()
+  const tip = tooltip.getBoundingClientRect()
+  let placement = preferred
+  let coords = coordinates(placement, anchor, tip)
+
+  if (!fits(coords, tip)) {
+    const flipped = coordinates(OPPOSITE[placement], anchor, tip)
+
+    if (fits(flipped, tip)) {
+      placement = OPPOSITE[placement]
+      coords = flipped
+    }
+  }
+
+  const clamp = (value, max) => Math.min(Math.max(value, GAP), Math.max(GAP, max - GAP))
+
+  tooltip.style.top = `${clamp(coords.top, window.innerHeight - tip.height)}px`
+  tooltip.style.left = `${clamp(coords.left, window.innerWidth - tip.width)}px`
+  tooltip.dataset.placement = placement
+
+  return placement
+}
+
+export default function tooltip() {
+  Alpine.directive('tooltip', (el, { expression, modifiers }, { evaluateLater, effect, cleanup }) => {
+    const preferred = PLACEMENTS.find(placement => modifiers.includes(placement)) || 'top'
+    const getText = evaluateLater(expression)
+    const tooltip = document.createElement('div')
+    let visible = false
+    let timer = null
+
+    tooltip.id = `tooltip-${++count}`
+    tooltip.className = 'tooltip'
+    tooltip.setAttribute('role', 'tooltip')
+    tooltip.hidden = true
+    document.body.appendChild(tooltip)
+
+    const describedBy = el.getAttribute('aria-describedby')
+    el.setAttribute('aria-describedby', describedBy ? `${describedBy} ${tooltip.id}` : tooltip.id)
+
+    effect(() => {
+      getText(text => {
+        tooltip.textContent = text ?? ''
+        if (visible) position(tooltip, el, preferred)
+      })
+    })
+
+    const show = () => {
+      clearTimeout(timer)
+      if (visible || !tooltip.textContent) return
+
+      visible = true
+      tooltip.hidden = false
+      enter(tooltip, { opacity: 0, ...SLIDE[position(tooltip, el, preferred)] })
+    }
+
+    const hide = () => {
+      clearTimeout(timer)
+      if (!visible) return
+
+      visible = false
+      leave(tooltip, { opacity: 0 }).then(() => {
+        tooltip.hidden = true
+      })
+    }
+
+    const showSoon = () => {
+      clearTimeout(timer)
+      timer = setTimeout(show, SHOW_DELAY)
+    }
+
+    // Leaves time to move the pointer onto the tooltip
+    const hideSoon = () => {
+      clearTimeout(timer)
+      timer = setTimeout(hide, HIDE_DELAY)
+    }
+
+    const onKeydown = (e) => {
+      if (e.key === 'Escape' && visible) hide()
+    }
+
+    const listeners = [
+      [el, 'mouseenter', showSoon],
+      [el, 'mouseleave', hideSoon],
+      [el, 'focusin', show],
+      [el, 'focusout', hide],
+      [tooltip, 'mouseenter', () => clearTimeout(timer)],
+      [tooltip, 'mouseleave', hideSoon],
+      [document, 'keydown', onKeydown],
+      [window, 'scroll', hide]
+    ]
+
+    listeners.forEach(([target, type, listener]) => target.addEventListener(type, listener, { passive: true }))
+
+    cleanup(() => {
+      clearTimeout(timer)
+      listeners.forEach(([target, type, listener]) => target.removeEventListener(type, listener))
+      tooltip.remove()
+    })
+  })
+}
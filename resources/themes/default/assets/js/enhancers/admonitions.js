@@ -0,0 +1,70 @@
+/**
+ * Admonitions Enhancer
+ *
+ * Turns GitHub style callouts into styled blocks:
+ *
+ *   > [!WARNING] Optional title
+ *   > Body text
+ */
+
+import { t } from '../lib/i18n'
+
+const TYPES = {
+  note: 'ℹ️',
+  tip: '💡',
+  important: '❗',
+  warning: '⚠️',
+  caution: '🛑'
+}
+
+const MARKER = /^\s*\[!([a-z]+)\][ \t]*([^\n]*)/i
+
+// First text node holding the [!TYPE] marker
+function markerNode(quote) {
+  const walker = document.createTreeWalker(quote, NodeFilter.SHOW_TEXT, {
+    acceptNode: node => node.textContent.trim() ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_SKIP
+  })
+
+  return walker.nextNode()
+}
+
+export default function renderAdmonitions(elements) {
+  elements.forEach(quote => {
+    const node = markerNode(quote)
+    const match = node?.textContent.match(MARKER)
+
+    if (!match) return
+
+    const type = match[1].toLowerCase()
+
+    if (!TYPES[type]) return
+
+    node.textContent = node.textContent.slice(match[0].length)
+
+    // Drop the line break that followed the marker
+    if (!node.textContent.trim()) {
+      let next = node.nextSibling
+
+      while (next?.nodeType === Node.TEXT_NODE && !next.textContent.trim()) {
+        next = next.nextSibling
+      }
+
+      if (next?.nodeName === 'BR') next.remove()
+    }
+
+    const admonition = document.createElement('aside')
+    admonition.className = `admonition admonition-${type}`
+    admonition.setAttribute('role', 'note')
+
+    const title = document.createElement('p')
+    title.className = 'admonition-title'
+    title.textContent = `${TYPES[type]} ${match[2].trim() || t(`admonition.${type}`)}`
+
+    const body = document.createElement('div')
+    body.className = 'admonition-body'
+    body.append(...quote.childNodes)
+
+    admonition.append(title, body)
+    quote.replaceWith(admonition)
+  })
+}
@@ -0,0 +1,158 @@
+/**
+ * Code Groups Enhancer
+ *
+ * Consecutive code blocks with a title ("```bash [pnpm]") become one tabbed
+ * group. The chosen tab is remembered, so every "pnpm" group on the site
+ * opens on pnpm.
+ */
+
+const STORAGE_KEY = 'codeGroupTab'
+
+let groupCounter = 0
+
+function preferredTab() {
+  try {
+    return localStorage.getItem(STORAGE_KEY)
+  } catch {
+    return null
+  }
+}
+
+function rememberTab(label) {
+  try {
+    localStorage.setItem(STORAGE_KEY, label)
+  } catch {
+    // Storage unavailable
+  }
+}
+
+// Skip the whitespace and <br> nl2br leaves between blocks
+function nextBlock(block) {
+  let next = block.nextSibling
+
+  while (next && (next.nodeName === 'BR' || (next.nodeType === Node.TEXT_NODE && !next.textContent.trim()))) {
+    next = next.nextSibling
+  }
+
+  return next
+}
+
+// The element a titled <pre> sits in, the docs reader wraps it
+function blockOf(pre) {
+  return pre.closest('.code-block') || pre
+}
+
+function isTitled(element) {
+  return element?.nodeType === Node.ELEMENT_NODE &&
+    (element.matches('pre[data-title]') || element.querySelector(':scope > pre[data-title]') !== null)
+}
+
+// Runs of adjacent titled blocks, lone blocks are left alone
+function collectGroups(elements) {
+  const seen = new Set()
+  const groups = []
+
+  elements.forEach(pre => {
+    const first = blockOf(pre)
+
+    if (seen.has(first) || first.closest('.code-group')) return
+
+    const group = [first]
+    let next = nextBlock(first)
+
+    while (isTitled(next)) {
+      group.push(next)
+      next = nextBlock(next)
+    }
+
+    group.forEach(block => seen.add(block))
+
+    if (group.length > 1) groups.push(group)
+  })
+
+  return groups
+}
+
+function buildGroup(blocks) {
+  const id = `code-group-${++groupCounter}`
+  const container = document.createElement('div')
+  container.className = 'code-group'
+
+  const tabList = document.createElement('div')
+  tabList.className = 'code-group-tabs'
+  tabList.setAttribute('role', 'tablist')
+
+  blocks[0].before(container)
+  container.appendChild(tabList)
+
+  const tabs = blocks.map((block, index) => {
+    const pre = block.matches('pre') ? block : block.querySelector(':scope > pre')
+    const tab = document.createElement('button')
+    const panel = document.createElement('div')
+
+    tab.type = 'button'
+    tab.id = `${id}-tab-${index}`
+    tab.className = 'code-group-tab'
+    tab.textContent = pre.dataset.title
+    tab.setAttribute('role', 'tab')
+    tab.setAttribute('aria-controls', `${id}-panel-${index}`)
+
+    panel.id = `${id}-panel-${index}`
+    panel.className = 'code-group-panel'
+    panel.setAttribute('role', 'tabpanel')
+    panel.setAttribute('aria-labelledby', tab.id)
+
+    // Drop the separators between the blocks
+    while (block.previousSibling && block.previousSibling !== container && nextBlock(block.previousSibling) === block) {
+      block.previousSibling.remove()
+    }
+
+    panel.appendChild(block)
+    tabList.appendChild(tab)
+    container.appendChild(panel)
+
+    return tab
+  })
+
+  const select = (index, { focus = false, remember = false } = {}) => {
+    tabs.forEach((tab, i) => {
+      const selected = i === index
+
+      tab.setAttribute('aria-selected', String(selected))
+      tab.tabIndex = selected ? 0 : -1
+      document.getElementById(tab.getAttribute('aria-controls')).hidden = !selected
+    })
+
+    if (focus) tabs[index].focus()
+    if (remember) rememberTab(tabs[index].textContent)
+  }
+
+  tabs.forEach((tab, index) => {
+    tab.addEventListener('click', () => select(index, { remember: true }))
+  })
+
+  // Arrow keys, Home and End move between tabs
+  tabList.addEventListener('keydown', (e) => {
+    const current = tabs.indexOf(document.activeElement)
+    if (current === -1) return
+
+    const target = {
+      ArrowRight: (current + 1) % tabs.length,
+      ArrowLeft: (current - 1 + tabs.length) % tabs.length,
+      Home: 0,
+      End: tabs.length - 1
+    }[e.key]
+
+    if (target === undefined) return
+
+    e.preventDefault()
+    select(target, { focus: true, remember: true })
+  })
+
+  const preferred = tabs.findIndex(tab => tab.textContent === preferredTab())
+  select(Math.max(preferred, 0))
+}
+
+export default function renderCodeGroups(elements) {
+  collectGroups(elements).forEach(buildGroup)
+}
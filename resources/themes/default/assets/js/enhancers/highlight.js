@@ -0,0 +1,89 @@
+/**
+ * Syntax Highlighting Enhancer
+ *
+ * highlight.js core plus only the grammars the page uses, each one a
+ * separate chunk
+ */
+
+import hljs from 'highlight.js/lib/core'
+import 'highlight.js/styles/github-dark.css'
+
+const LANGUAGES = {
+  bash: () => import('highlight.js/lib/languages/bash'),
+  css: () => import('highlight.js/lib/languages/css'),
+  diff: () => import('highlight.js/lib/languages/diff'),
+  dockerfile: () => import('highlight.js/lib/languages/dockerfile'),
+  ini: () => import('highlight.js/lib/languages/ini'),
+  javascript: () => import('highlight.js/lib/languages/javascript'),
+  json: () => import('highlight.js/lib/languages/json'),
+  markdown: () => import('highlight.js/lib/languages/markdown'),
+  nginx: () => import('highlight.js/lib/languages/nginx'),
+  php: () => import('highlight.js/lib/languages/php'),
+  plaintext: () => import('highlight.js/lib/languages/plaintext'),
+  python: () => import('highlight.js/lib/languages/python'),
+  scss: () => import('highlight.js/lib/languages/scss'),
+  shell: () => import('highlight.js/lib/languages/shell'),
+  sql: () => import('highlight.js/lib/languages/sql'),
+  twig: () => import('highlight.js/lib/languages/twig'),
+  typescript: () => import('highlight.js/lib/languages/typescript'),
+  xml: () => import('highlight.js/lib/languages/xml'),
+  yaml: () => import('highlight.js/lib/languages/yaml')
+}
+
+// Fence names that map onto another grammar
+const ALIASES = {
+  console: 'shell',
+  docker: 'dockerfile',
+  env: 'ini',
+  html: 'xml',
+  js: 'javascript',
+  mjs: 'javascript',
+  md: 'markdown',
+  py: 'python',
+  sh: 'bash',
+  svg: 'xml',
+  text: 'plaintext',
+  toml: 'ini',
+  ts: 'typescript',
+  txt: 'plaintext',
+  vue: 'xml',
+  yml: 'yaml',
+  zsh: 'bash'
+}
+
+function languageOf(code) {
+  const name = Array.from(code.classList)
+    .find(className => className.startsWith('language-'))
+    ?.slice('language-'.length)
+
+  return ALIASES[name] || name
+}
+
+async function register(language) {
+  if (hljs.getLanguage(language)) return true
+  if (!LANGUAGES[language]) return false
+
+  const { default: grammar } = await LANGUAGES[language]()
+  hljs.registerLanguage(language, grammar)
+
+  return true
+}
+
+export default async function highlight(elements) {
+  const blocks = elements
+    .filter(code => !code.dataset.highlighted)
+    .map(code => ({ code, language: languageOf(code) }))
+
+  const languages = [...new Set(blocks.map(block => block.language))]
+  const loaded = await Promise.all(languages.map(register))
+  const available = new Set(languages.filter((_, index) => loaded[index]))
+
+  blocks.forEach(({ code, language }) => {
+    // Unknown languages stay plain text
+    if (!available.has(language)) return
+
+    code.innerHTML = hljs.highlight(code.textContent, { language, ignoreIllegals: true }).value
+    code.classList.add('hljs')
+    code.dataset.highlighted = 'yes'
+  })
+}
@@ -0,0 +1,31 @@
+/**
+ * Math Enhancer
+ *
+ * Typesets $...$, $$...$$ and fenced math blocks with KaTeX
+ */
+
+import 'katex/dist/katex.min.css'
+
+export default async function renderMath(elements) {
+  // Mermaid loads KaTeX dynamically too, importing it the same way keeps a
+  // single katex chunk instead of a second copy inlined here
+  const { default: katex } = await import('katex')
+
+  elements.forEach(element => {
+    const fenced = element.matches('code.language-math')
+    const display = fenced || element.classList.contains('math-display')
+    const target = fenced ? document.createElement('div') : element
+
+    katex.render(element.textContent, target, {
+      displayMode: display,
+      throwOnError: false
+    })
+
+    if (fenced) {
+      const block = element.closest('.code-block') || element.closest('pre')
+
+      target.className = 'math math-display'
+      block.replaceWith(target)
+    }
+  })
+}
@@ -0,0 +1,63 @@
+/**
+ * Mermaid Enhancer
+ *
+ * Renders fenced mermaid blocks as SVG diagrams and redraws them when the
+ * colour scheme changes
+ */
+
+import mermaid from 'mermaid'
+
+const diagrams = new Set()
+
+let counter = 0
+
+function configure() {
+  mermaid.initialize({
+    startOnLoad: false,
+    securityLevel: 'strict',
+    theme: document.documentElement.classList.contains('dark') ? 'dark' : 'default'
+  })
+}
+
+async function render(diagram) {
+  const { svg } = await mermaid.render(`mermaid-diagram-${++counter}`, diagram.dataset.source)
+  diagram.innerHTML = svg
+}
+
+export default async function renderDiagrams(elements) {
+  configure()
+
+  for (const code of elements) {
+    // Replace the code block chrome added by the docs reader too
+    const block = code.closest('.code-block') || code.closest('pre')
+
+    const diagram = document.createElement('figure')
+    diagram.className = 'mermaid-diagram'
+    diagram.setAttribute('role', 'img')
+    diagram.dataset.source = code.textContent
+
+    try {
+      await render(diagram)
+      block.replaceWith(diagram)
+      diagrams.add(diagram)
+    } catch (error) {
+      // Leave the source visible when the diagram does not parse
+      console.warn('Mermaid diagram failed to render:', error)
+    }
+  }
+}
+
+document.addEventListener('darkModeToggled', async () => {
+  if (diagrams.size === 0) return
+
+  configure()
+
+  for (const diagram of diagrams) {
+    if (!diagram.isConnected) {
+      diagrams.delete(diagram)
+      continue
+    }
+
+    await render(diagram).catch(() => {})
+  }
+})
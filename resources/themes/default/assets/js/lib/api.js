@@ -0,0 +1,483 @@
+/**
+ * API Client
+ *
+ * Shared fetch wrapper for the JSON API: attaches the JWT from /api/auth,
+ * refreshes it transparently and normalises every failure into an ApiError.
+ * Mutating requests carry the CSRF token from the XSRF-TOKEN cookie or the
+ * csrf-token meta tag, kept current from the X-CSRF-Token response header.
+ */
+
+const STORAGE_KEY = 'hdm-auth'
+
+const CSRF_HEADER = 'X-CSRF-Token'
+const CSRF_COOKIE = 'XSRF-TOKEN'
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS']
+
+// Refresh this long before the token expires
+const REFRESH_MARGIN = 60 * 1000
+
+const listeners = new Set()
+
+let session = readSession()
+let refreshPromise = null
+let csrfToken = null
+
+// Every failed request, whatever shape the endpoint reports errors in
+export class ApiError extends Error {
+  constructor(message, { status = 0, code = 'UNKNOWN_ERROR', fields = {}, data = null } = {}) {
+    super(message)
+    this.name = 'ApiError'
+    this.status = status
+    this.code = code
+    this.fields = fields
+    this.data = data
+  }
+
+  get isUnauthorized() {
+    return this.status === 401
+  }
+
+  get isNetworkError() {
+    return this.status === 0
+  }
+}
+
+// Request an API endpoint, resolves to the decoded JSON body
+export async function api(path, options = {}) {
+  const { method = 'GET', body, headers = {}, signal, auth = true, retry = true, retryCsrf = true } = options
+
+  if (auth && session && expiresSoon(session) && !isAuthPath(path)) {
+    await refresh().catch(() => {})
+  }
+
+  const token = auth ? session?.token : null
+  const init = {
+    method,
+    signal,
+    credentials: 'same-origin',
+    headers: { 'Accept': 'application/json', ...headers }
+  }
+
+  if (token) {
+    init.headers['Authorization'] = `Bearer ${token}`
+  }
+
+  const csrf = mutates(method) ? getCsrfToken() : null
+
+  if (csrf) {
+    init.headers[CSRF_HEADER] = csrf
+  }
+
+  if (body instanceof FormData || body instanceof Blob || typeof body === 'string') {
+    init.body = body
+  } else if (body !== undefined) {
+    init.headers['Content-Type'] = 'application/json'
+    init.body = JSON.stringify(body)
+  }
+
+  let response
+  try {
+    response = await fetch(path, init)
+  } catch (error) {
+    if (error.name === 'AbortError') throw error
+    throw new ApiError('Network error. Please try again.', { code: 'NETWORK_ERROR' })
+  }
+
+  setCsrfToken(response.headers.get(CSRF_HEADER))
+
+  // Expired token: refresh once, then replay the request
+  if (response.status === 401 && token && retry && !isAuthPath(path)) {
+    const refreshed = await refresh().then(() => true, () => false)
+
+    if (refreshed) {
+      return api(path, { ...options, retry: false })
+    }
+  }
+
+  const data = await readBody(response)
+
+  // Stale CSRF token: replay once with the fresh one the server sent
+  if (retryCsrf && csrfRejected(response.status, data) && getCsrfToken() !== csrf) {
+    return api(path, { ...options, retryCsrf: false })
+  }
+
+  if (!response.ok || data?.success === false) {
+    if (response.status === 401 && token) {
+      clearSession()
+    }
+    throw toApiError(response.status, data)
+  }
+
+  return data
+}
+
+api.get = (path, options) => api(path, { ...options, method: 'GET' })
+api.post = (path, body, options) => api(path, { ...options, method: 'POST', body })
+api.put = (path, body, options) => api(path, { ...options, method: 'PUT', body })
+api.delete = (path, options) => api(path, { ...options, method: 'DELETE' })
+
+// GET a streamed response (Server-Sent Events) with the JWT attached, resolves
+// to the Response once the headers are in, the caller reads response.body
+api.stream = async (path, options = {}) => {
+  const { headers = {}, signal, auth = true, retry = true } = options
+
+  if (auth && session && expiresSoon(session)) {
+    await refresh().catch(() => {})
+  }
+
+  const token = auth ? session?.token : null
+  const init = {
+    signal,
+    cache: 'no-store',
+    credentials: 'same-origin',
+    headers: { 'Accept': 'text/event-stream', ...headers }
+  }
+
+  if (token) {
+    init.headers['Authorization'] = `Bearer ${token}`
+  }
+
+  let response
+  try {
+    response = await fetch(path, init)
+  } catch (error) {
+    if (error.name === 'AbortError') throw error
+    throw new ApiError('Network error. Please try again.', { code: 'NETWORK_ERROR' })
+  }
+
+  if (response.status === 401 && token && retry) {
+    const refreshed = await refresh().then(() => true, () => false)
+
+    if (refreshed) {
+      return api.stream(path, { ...options, retry: false })
+    }
+  }
+
+  if (!response.ok) {
+    if (response.status === 401 && token) {
+      clearSession()
+    }
+    throw toApiError(response.status, await readBody(response))
+  }
+
+  return response
+}
+
+// Like api() for FormData and Blob bodies, through XHR so onProgress(loaded, total)
+// can follow the upload
+api.upload = async (path, body, options = {}) => {
+  const { method = 'POST', headers = {}, signal, onProgress, auth = true, retry = true, retryCsrf = true } = options
+
+  if (auth && session && expiresSoon(session)) {
+    await refresh().catch(() => {})
+  }
+
+  const token = auth ? session?.token : null
+  const requestHeaders = { 'Accept': 'application/json', ...headers }
+
+  if (token) {
+    requestHeaders['Authorization'] = `Bearer ${token}`
+  }
+
+  const csrf = mutates(method) ? getCsrfToken() : null
+
+  if (csrf) {
+    requestHeaders[CSRF_HEADER] = csrf
+  }
+
+  const { status, text, header } = await sendXhr(method, path, body, { headers: requestHeaders, signal, onProgress })
+
+  setCsrfToken(header(CSRF_HEADER))
+
+  if (status === 401 && token && retry) {
+    const refreshed = await refresh().then(() => true, () => false)
+
+    if (refreshed) {
+      return api.upload(path, body, { ...options, retry: false })
+    }
+  }
+
+  const data = status === 204 ? null : parseBody(text)
+
+  if (retryCsrf && csrfRejected(status, data) && getCsrfToken() !== csrf) {
+    return api.upload(path, body, { ...options, retryCsrf: false })
+  }
+
+  if (status < 200 || status >= 300 || data?.success === false) {
+    if (status === 401 && token) {
+      clearSession()
+    }
+    throw toApiError(status, data)
+  }
+
+  return data
+}
+
+// Log in and keep the token, resolves to the user
+export async function login(email, password) {
+  const result = await api.post('/api/auth/login', { email, password }, { auth: false })
+
+  saveSession(result.data.token)
+
+  return result.data.user
+}
+
+// Log out everywhere; the local session ends even when the request fails
+export async function logout() {
+  if (session) {
+    await api.post('/api/auth/logout', undefined, { retry: false }).catch(() => {})
+  }
+
+  clearSession()
+}
+
+// Current user, null when nobody is logged in
+export async function me({ signal } = {}) {
+  if (!session) {
+    return null
+  }
+
+  try {
+    const result = await api.get('/api/auth/me', { signal })
+    return result.data.user
+  } catch (error) {
+    if (error instanceof ApiError && error.isUnauthorized) {
+      return null
+    }
+    throw error
+  }
+}
+
+// Exchange the token for a fresh one, concurrent callers share one request
+export function refresh() {
+  if (!session) {
+    return Promise.reject(new ApiError('Not authenticated', { status: 401, code: 'UNAUTHORIZED' }))
+  }
+
+  if (!refreshPromise) {
+    const { token } = session
+
+    refreshPromise = api.post('/api/auth/refresh', { refresh_token: token }, { retry: false })
+      .then(result => {
+        saveSession(result.data.token)
+        return result.data.token
+      })
+      .catch(error => {
+        // Another tab may have refreshed or logged out meanwhile
+        if (session?.token === token) {
+          clearSession()
+        }
+        throw error
+      })
+      .finally(() => {
+        refreshPromise = null
+      })
+  }
+
+  return refreshPromise
+}
+
+// The last token the server sent, else the cookie, else the page's meta tag;
+// a page the service worker cached may carry an older session's token
+export function getCsrfToken() {
+  return csrfToken ||
+    readCookie(CSRF_COOKIE) ||
+    document.querySelector('meta[name="csrf-token"]')?.content
+}
+
+export function isAuthenticated() {
+  return session !== null
+}
+
+// Called with the token (or null) whenever this or another tab logs in or out
+export function onAuthChange(callback) {
+  listeners.add(callback)
+  return () => listeners.delete(callback)
+}
+
+// Keep tabs in sync, localStorage fires "storage" in every other tab
+window.addEventListener('storage', (e) => {
+  if (e.key !== STORAGE_KEY) return
+
+  const previous = session?.token ?? null
+  session = readSession()
+
+  if ((session?.token ?? null) !== previous) {
+    notify()
+  }
+})
+
+function saveSession(token) {
+  session = { token, expiresAt: tokenExpiry(token) }
+
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(session))
+  } catch {
+    // Private mode: the session lasts as long as the page
+  }
+
+  notify()
+}
+
+function clearSession() {
+  if (!session) return
+
+  session = null
+
+  try {
+    localStorage.removeItem(STORAGE_KEY)
+  } catch {
+    // Nothing stored
+  }
+
+  notify()
+}
+
+// The server hands out a fresh token after the session changes or a rejection
+function setCsrfToken(token) {
+  if (!token || token === csrfToken) return
+
+  csrfToken = token
+  document.querySelector('meta[name="csrf-token"]')?.setAttribute('content', token)
+}
+
+function mutates(method) {
+  return !SAFE_METHODS.includes(method.toUpperCase())
+}
+
+// 419 is the conventional "token expired" status, otherwise the error code tells
+function csrfRejected(status, data) {
+  const code = String(data?.error?.code || data?.error_code || '').toUpperCase()
+
+  return status === 419 || (status === 403 && code.startsWith('CSRF_'))
+}
+
+function readCookie(name) {
+  const cookie = document.cookie.split('; ').find(pair => pair.startsWith(`${name}=`))
+
+  return cookie ? decodeURIComponent(cookie.slice(name.length + 1)) : null
+}
+
+function readSession() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY))
+    return stored?.token ? stored : null
+  } catch {
+    return null
+  }
+}
+
+function notify() {
+  listeners.forEach(callback => callback(session?.token ?? null))
+}
+
+// Expiry from the JWT "exp" claim, in milliseconds
+function tokenExpiry(token) {
+  try {
+    const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')
+    const { exp } = JSON.parse(atob(payload))
+    return typeof exp === 'number' ? exp * 1000 : null
+  } catch {
+    return null
+  }
+}
+
+function expiresSoon({ expiresAt }) {
+  return expiresAt !== null && expiresAt - Date.now() < REFRESH_MARGIN && expiresAt > Date.now()
+}
+
+function isAuthPath(path) {
+  return /^\/api\/auth\/(login|refresh|logout)\b/.test(path)
+}
+
+async function readBody(response) {
+  if (response.status === 204) {
+    return null
+  }
+
+  return parseBody(await response.text())
+}
+
+function parseBody(text) {
+  try {
+    return text ? JSON.parse(text) : null
+  } catch {
+    return { message: text }
+  }
+}
+
+// Resolves to { status, text, header(name) } for any HTTP response, rejects on network errors and aborts
+function sendXhr(method, path, body, { headers, signal, onProgress }) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException('The upload was aborted', 'AbortError'))
+      return
+    }
+
+    const xhr = new XMLHttpRequest()
+
+    xhr.open(method, path)
+    Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value))
+
+    if (onProgress) {
+      xhr.upload.addEventListener('progress', (e) => {
+        if (e.lengthComputable) onProgress(e.loaded, e.total)
+      })
+    }
+
+    const onAbort = () => xhr.abort()
+    signal?.addEventListener('abort', onAbort, { once: true })
+
+    xhr.addEventListener('loadend', () => signal?.removeEventListener('abort', onAbort))
+    xhr.addEventListener('load', () => resolve({
+      status: xhr.status,
+      text: xhr.responseText,
+      header: name => xhr.getResponseHeader(name)
+    }))
+    xhr.addEventListener('error', () => reject(new ApiError('Network error. Please try again.', { code: 'NETWORK_ERROR' })))
+    xhr.addEventListener('abort', () => reject(new DOMException('The upload was aborted', 'AbortError')))
+
+    xhr.send(body ?? null)
+  })
+}
+
+// The API reports errors as { error: '...' }, { error: { code, message, details } }
+// or { message, error_code, errors }
+function toApiError(status, data) {
+  const error = data?.error
+  const message = (typeof error === 'string' ? error : error?.message) ||
+    data?.message ||
+    `Request failed (HTTP ${status})`
+  const code = error?.code || data?.error_code || httpCode(status)
+
+  return new ApiError(message, { status, code, fields: fieldMessages(data), data })
+}
+
+function httpCode(status) {
+  return {
+    400: 'BAD_REQUEST',
+    401: 'UNAUTHORIZED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    409: 'CONFLICT',
+    422: 'VALIDATION_ERROR',
+    429: 'RATE_LIMITED'
+  }[status] || (status >= 500 ? 'SERVER_ERROR' : 'UNKNOWN_ERROR')
+}
+
+// { field: message } from errors / error.details, first message per field
+function fieldMessages(data) {
+  const errors = data?.errors ?? data?.error?.details
+
+  if (!errors || typeof errors !== 'object' || Array.isArray(errors)) {
+    return {}
+  }
+
+  return Object.fromEntries(Object.entries(errors)
+    .map(([field, messages]) => {
+      const list = typeof messages === 'string' ? [messages] : Object.values(messages || {})
+      return [field, list.find(message => typeof message === 'string')]
+    })
+    .filter(([, message]) => message))
+}
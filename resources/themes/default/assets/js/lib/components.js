@@ -0,0 +1,223 @@
+/**
+ * Components
+ *
+ * DOM behaviour set up per element and torn down again with it. Elements
+ * name their components in data-component, older markup is matched by the
+ * selector a component registers with:
+ *
+ *   <ul data-component="docs-tree">
+ *
+ *   registerComponent('docs-tree', {
+ *     selector: '[data-docs-tree]',
+ *     mount(tree, { on, animate, cleanup, signal }) { ... }
+ *   })
+ *
+ * mount(root) sets up every component in root, root included, and
+ * unmount(root) takes them down: listeners added with on(), tweens and
+ * ScrollTriggers created while mounting or inside animate(), and cleanup()
+ * callbacks, including a function returned from mount(). Tweens and
+ * ScrollTriggers of anything else inside root go with them. Once start()
+ * has run, content added to the page is mounted and content removed from
+ * it unmounted without anyone asking.
+ */
+
+import { gsap } from 'gsap'
+import { ScrollTrigger } from 'gsap/ScrollTrigger'
+import { reportError } from './reporter'
+
+const components = new Map()
+
+// Element -> Map of component name -> mounted instance
+const instances = new Map()
+
+let observer = null
+
+/**
+ * Register a component, replacing any component of the same name.
+ *
+ * selector  elements that mount it without data-component
+ * mount     (element, component), may return a cleanup function
+ *
+ * component.on(target, type, listener, options)  removed on unmount
+ * component.animate(() => gsap.to(...))           for tweens started later,
+ *                                                 e.g. in event listeners
+ * component.cleanup(callback)                     runs on unmount
+ * component.signal                                aborts on unmount
+ */
+export function registerComponent(name, definition) {
+  if (components.has(name)) {
+    instances.forEach((mounted, element) => destroy(element, mounted, name))
+  }
+
+  components.set(name, definition)
+
+  // Late registrations still find their elements
+  if (observer) {
+    mountComponent(document, name, definition)
+  }
+}
+
+// Set up every registered component inside root
+export function mount(root = document) {
+  components.forEach((definition, name) => mountComponent(root, name, definition))
+}
+
+// Tear down every component inside root and stop its animations
+export function unmount(root = document) {
+  instances.forEach((mounted, element) => {
+    if (root.contains(element)) {
+      mounted.forEach((instance, name) => destroy(element, mounted, name))
+    }
+  })
+
+  killAnimations(root)
+}
+
+// Mount the page and follow its changes from now on
+export function start() {
+  if (observer) return
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', start, { once: true })
+    return
+  }
+
+  observer = new MutationObserver(onMutations)
+  observer.observe(document.body, { childList: true, subtree: true })
+
+  mount(document)
+}
+
+// Matching elements in root, root included
+function query(root, selector) {
+  const elements = Array.from(root.querySelectorAll(selector))
+
+  if (root instanceof Element && root.matches(selector)) {
+    elements.unshift(root)
+  }
+
+  return elements
+}
+
+function mountComponent(root, name, definition) {
+  const selector = [`[data-component~="${name}"]`, definition.selector].filter(Boolean).join(', ')
+
+  query(root, selector).forEach(element => {
+    const mounted = instances.get(element) || new Map()
+
+    if (mounted.has(name)) return
+
+    mounted.set(name, setUp(element, name, definition))
+    instances.set(element, mounted)
+  })
+}
+
+function setUp(element, name, definition) {
+  const controller = new AbortController()
+  const context = gsap.context()
+  const cleanups = []
+
+  // Run in the context so its tweens and ScrollTriggers are reverted with it
+  const record = (callback) => {
+    let result
+    context.add(() => { result = callback() })
+    return result
+  }
+
+  const component = {
+    signal: controller.signal,
+
+    on(target, type, listener, options = {}) {
+      const flags = typeof options === 'boolean' ? { capture: options } : options
+      target.addEventListener(type, listener, { ...flags, signal: controller.signal })
+    },
+
+    animate: record,
+
+    cleanup(callback) {
+      cleanups.push(callback)
+    }
+  }
+
+  try {
+    const cleanup = record(() => definition.mount(element, component))
+
+    if (typeof cleanup === 'function') {
+      cleanups.push(cleanup)
+    }
+  } catch (error) {
+    failed(name, error)
+  }
+
+  return {
+    destroy() {
+      controller.abort()
+
+      cleanups.reverse().forEach(callback => {
+        try {
+          callback()
+        } catch (error) {
+          failed(name, error)
+        }
+      })
+
+      context.revert()
+    }
+  }
+}
+
+function destroy(element, mounted, name) {
+  mounted.get(name)?.destroy()
+  mounted.delete(name)
+
+  if (mounted.size === 0) {
+    instances.delete(element)
+  }
+}
+
+function failed(name, error) {
+  console.error(`Component "${name}" failed:`, error)
+  reportError(error, { source: `component:${name}` })
+}
+
+// Tweens and ScrollTriggers no component created, e.g. from animations/registry
+function killAnimations(root) {
+  const scope = root === document ? document.documentElement : root
+
+  ScrollTrigger.getAll().forEach(trigger => {
+    if (trigger.trigger instanceof Node && scope.contains(trigger.trigger)) {
+      trigger.animation?.kill()
+      trigger.kill()
+    }
+  })
+
+  gsap.killTweensOf([scope, ...scope.querySelectorAll('*')])
+}
+
+function onMutations(records) {
+  const removed = []
+  const added = []
+
+  records.forEach(record => {
+    record.removedNodes.forEach(node => {
+      if (node instanceof Element && !node.isConnected) removed.push(node)
+    })
+
+    record.addedNodes.forEach(node => {
+      if (node instanceof Element && node.isConnected) added.push(node)
+    })
+  })
+
+  // Moved elements are connected again by now and keep their components
+  if (removed.length > 0) {
+    instances.forEach((mounted, element) => {
+      if (!element.isConnected) {
+        mounted.forEach((instance, name) => destroy(element, mounted, name))
+      }
+    })
+
+    removed.forEach(killAnimations)
+  }
+
+  added.forEach(node => mount(node))
+}
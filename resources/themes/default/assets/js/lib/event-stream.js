@@ -0,0 +1,221 @@
+/**
+ * Event Stream
+ *
+ * Client for the live domain events the server passes on:
+ *
+ *   GET /api/events/stream?topics=a,b   Server-Sent Events after Last-Event-ID
+ *   GET /api/events?topics=a,b&after=N  the same events as JSON
+ *
+ * The stream is read through fetch rather than EventSource so the JWT goes
+ * along. A response ends after a while or with the first events, the next
+ * request picks up after the last id seen, so nothing is missed in between.
+ * Where streaming isn't possible, or keeps failing, the client polls.
+ *
+ * An event: { id, topic, type, data, occurred_at }. When the server pruned
+ * events the client never saw, it gets { topic: '*', type: 'reset' } and
+ * should reload whatever it shows.
+ */
+
+import { api, ApiError } from './api'
+
+export const STREAM_ENDPOINT = '/api/events/stream'
+export const POLL_ENDPOINT = '/api/events'
+
+const POLL_INTERVAL = 15000
+
+// Longest pause between attempts while they fail
+const MAX_BACKOFF = 60000
+
+// Streams failing in a row before polling takes over
+const MAX_STREAM_FAILURES = 3
+
+// Polling gives streaming another chance after this long
+const STREAM_RETRY_AFTER = 5 * 60 * 1000
+
+export const RESET = { topic: '*', type: 'reset', data: {} }
+
+export function canStream() {
+  return typeof ReadableStream !== 'undefined' && 'body' in Response.prototype && typeof TextDecoder !== 'undefined'
+}
+
+// Complete messages of a text/event-stream chunk and the unfinished rest
+export function parseEventStream(text) {
+  const blocks = text.replace(/\r\n/g, '\n').split('\n\n')
+  const rest = blocks.pop()
+
+  const messages = blocks.map((block) => {
+    const message = { id: null, event: 'message', data: [], retry: null }
+
+    block.split('\n').forEach((line) => {
+      // Empty lines and comments (": keep-alive")
+      if (line === '' || line.startsWith(':')) return
+
+      const colon = line.indexOf(':')
+      const field = colon === -1 ? line : line.slice(0, colon)
+      const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '')
+
+      if (field === 'data') message.data.push(value)
+      else if (field === 'event') message.event = value
+      else if (field === 'id') message.id = value
+      else if (field === 'retry' && /^\d+$/.test(value)) message.retry = Number(value)
+    })
+
+    return { ...message, data: message.data.join('\n') }
+  })
+
+  return { messages, rest }
+}
+
+export class EventStream {
+  constructor({ topics = [], onEvent = () => {}, onStateChange = () => {} } = {}) {
+    this.topics = topics
+    this.onEvent = onEvent
+    this.onStateChange = onStateChange
+
+    // connecting, open, polling or closed
+    this.state = 'closed'
+    this.lastId = null
+    this.failures = 0
+    this.retry = 1000
+    this.mode = canStream() ? 'stream' : 'poll'
+    this.streamRetryAt = 0
+
+    this.running = false
+    this.controller = null
+    this.timer = null
+  }
+
+  start() {
+    if (this.running) return
+
+    this.running = true
+    this.setState('connecting')
+    this.connect()
+  }
+
+  stop() {
+    this.running = false
+    clearTimeout(this.timer)
+    this.controller?.abort()
+    this.setState('closed')
+  }
+
+  // New topics or another user, the last id stays so nothing is missed
+  restart() {
+    this.stop()
+    this.start()
+  }
+
+  async connect() {
+    clearTimeout(this.timer)
+    this.controller?.abort()
+    this.controller = new AbortController()
+
+    const { signal } = this.controller
+
+    if (this.mode === 'poll' && this.streamRetryAt && Date.now() >= this.streamRetryAt) {
+      this.mode = 'stream'
+      this.streamRetryAt = 0
+    }
+
+    try {
+      await (this.mode === 'stream' ? this.stream(signal) : this.poll(signal))
+      this.failures = 0
+    } catch (error) {
+      if (error.name === 'AbortError') return
+
+      // Nothing to follow for this user, retrying won't change that
+      if (error instanceof ApiError && (error.status === 401 || error.status === 403)) {
+        this.stop()
+        return
+      }
+
+      this.failures++
+
+      if (this.mode === 'stream' && this.failures >= MAX_STREAM_FAILURES) {
+        this.mode = 'poll'
+        this.failures = 0
+        this.streamRetryAt = Date.now() + STREAM_RETRY_AFTER
+      }
+
+      this.setState('connecting')
+    }
+
+    if (this.running && !signal.aborted) {
+      this.timer = setTimeout(() => this.connect(), this.delay())
+    }
+  }
+
+  delay() {
+    if (this.failures > 0) {
+      return Math.min(1000 * 2 ** this.failures, MAX_BACKOFF)
+    }
+
+    return this.mode === 'poll' ? POLL_INTERVAL : this.retry
+  }
+
+  async stream(signal) {
+    const headers = this.lastId !== null ? { 'Last-Event-ID': this.lastId } : {}
+    const response = await api.stream(`${STREAM_ENDPOINT}?${this.params()}`, { headers, signal })
+
+    this.setState('open')
+
+    const reader = response.body.getReader()
+    const decoder = new TextDecoder()
+    let buffer = ''
+
+    for (;;) {
+      const { value, done } = await reader.read()
+      if (done) break
+
+      const { messages, rest } = parseEventStream(buffer + decoder.decode(value, { stream: true }))
+      buffer = rest
+      messages.forEach(message => this.receive(message))
+    }
+  }
+
+  async poll(signal) {
+    const params = this.params()
+
+    if (this.lastId !== null) {
+      params.set('after', this.lastId)
+    }
+
+    const { data } = await api.get(`${POLL_ENDPOINT}?${params}`, { signal })
+
+    this.setState('polling')
+
+    if (data.reset) this.onEvent(RESET)
+    data.events.forEach(event => this.onEvent(event))
+
+    this.lastId = String(data.last_id)
+  }
+
+  receive(message) {
+    if (message.retry !== null) this.retry = message.retry
+    if (message.id !== null) this.lastId = message.id
+    if (!message.data || message.event === 'ready') return
+
+    if (message.event === 'reset') {
+      this.onEvent(RESET)
+      return
+    }
+
+    try {
+      this.onEvent(JSON.parse(message.data))
+    } catch (error) {
+      console.warn('Unreadable live event:', error)
+    }
+  }
+
+  params() {
+    return new URLSearchParams({ topics: this.topics.join(',') })
+  }
+
+  setState(state) {
+    if (state === this.state) return
+
+    this.state = state
+    this.onStateChange(state)
+  }
+}
@@ -0,0 +1,55 @@
+/**
+ * Focus
+ *
+ * Focus and scroll helpers for menus, dialogs and other overlays
+ */
+
+export const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])'
+
+// Focusable elements of a container that are not hidden
+export function focusableElements(container) {
+  return Array.from(container.querySelectorAll(FOCUSABLE))
+    .filter(element => !element.closest('[hidden]') && element.type !== 'hidden')
+}
+
+// Keep Tab and Shift+Tab cycling through elements
+export function trapFocus(e, elements) {
+  if (elements.length === 0) {
+    e.preventDefault()
+    return
+  }
+
+  const first = elements[0]
+  const last = elements[elements.length - 1]
+
+  if (e.shiftKey && document.activeElement === first) {
+    e.preventDefault()
+    last.focus()
+  } else if (!e.shiftKey && document.activeElement === last) {
+    e.preventDefault()
+    first.focus()
+  } else if (!elements.includes(document.activeElement)) {
+    e.preventDefault()
+    first.focus()
+  }
+}
+
+// Overlays can stack, the page scrolls again when the last one closes
+let scrollLocks = 0
+
+// Keep the page from scrolling under an overlay, without a layout shift
+export function lockScroll() {
+  if (scrollLocks++ > 0) return
+
+  const scrollbar = window.innerWidth - document.documentElement.clientWidth
+
+  document.body.style.overflow = 'hidden'
+  document.body.style.paddingRight = scrollbar > 0 ? `${scrollbar}px` : ''
+}
+
+export function unlockScroll() {
+  if (scrollLocks === 0 || --scrollLocks > 0) return
+
+  document.body.style.overflow = ''
+  document.body.style.paddingRight = ''
+}
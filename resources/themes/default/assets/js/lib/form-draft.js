@@ -0,0 +1,138 @@
+/**
+ * Form Drafts
+ *
+ * Autosaves what was typed into a form to localStorage and puts it back
+ * after a reload. Passwords, files, hidden inputs and fields marked
+ * data-draft-exclude are never stored.
+ */
+
+const PREFIX = 'formDraft:'
+
+// Older drafts are dropped instead of restored
+const MAX_AGE = 7 * 24 * 60 * 60 * 1000
+
+const SAVE_DELAY = 400
+
+const EXCLUDED_TYPES = /^(password|file|hidden|submit|button|reset|image)$/
+
+function storableFields(form) {
+  return Array.from(form.elements).filter(field =>
+    field.name && !EXCLUDED_TYPES.test(field.type) && !field.hasAttribute('data-draft-exclude')
+  )
+}
+
+function readValues(form) {
+  const values = {}
+
+  storableFields(form).forEach(field => {
+    if (field.type === 'checkbox') {
+      values[field.name] ||= []
+      if (field.checked) values[field.name].push(field.value)
+    } else if (field.type === 'radio') {
+      if (field.checked) values[field.name] = field.value
+    } else if (field.type === 'select-multiple') {
+      values[field.name] = Array.from(field.selectedOptions).map(option => option.value)
+    } else {
+      values[field.name] = field.value
+    }
+  })
+
+  return values
+}
+
+function writeValues(form, values) {
+  storableFields(form).forEach(field => {
+    const value = values[field.name]
+    if (value === undefined) return
+
+    if (field.type === 'checkbox') {
+      field.checked = [].concat(value).includes(field.value)
+    } else if (field.type === 'radio') {
+      field.checked = field.value === value
+    } else if (field.type === 'select-multiple') {
+      Array.from(field.options).forEach(option => {
+        option.selected = [].concat(value).includes(option.value)
+      })
+    } else {
+      field.value = value
+    }
+
+    // Floating labels and x-model bindings follow input events, x-model
+    // on selects, checkboxes and radios listens for change
+    field.dispatchEvent(new Event('input', { bubbles: true }))
+    if (field.tagName === 'SELECT' || /^(checkbox|radio)$/.test(field.type)) {
+      field.dispatchEvent(new Event('change', { bubbles: true }))
+    }
+  })
+}
+
+/**
+ * Autosave for one form, keyed by data-draft, the form id or its action.
+ * The key is read on every save, so changing data-draft moves the draft.
+ *
+ * state   () => object stored with the values, e.g. the wizard step
+ * signal  removes the autosave listeners when aborted
+ */
+export function createDraft(form, { state = () => ({}), signal } = {}) {
+  const key = () => PREFIX + (form.dataset.draft || form.id || form.getAttribute('action') || location.pathname)
+  let timer = null
+
+  const draft = {
+    save() {
+      clearTimeout(timer)
+
+      try {
+        localStorage.setItem(key(), JSON.stringify({
+          savedAt: Date.now(),
+          values: readValues(form),
+          ...state()
+        }))
+      } catch {
+        // Storage full or disabled, the form still works
+      }
+    },
+
+    schedule() {
+      clearTimeout(timer)
+      timer = setTimeout(() => draft.save(), SAVE_DELAY)
+    },
+
+    // Put the saved values back, resolves to the stored draft or null
+    restore() {
+      let saved = null
+
+      try {
+        saved = JSON.parse(localStorage.getItem(key()))
+      } catch {
+        saved = null
+      }
+
+      if (!saved?.values || Date.now() - saved.savedAt > MAX_AGE) {
+        draft.clear()
+        return null
+      }
+
+      writeValues(form, saved.values)
+
+      return saved
+    },
+
+    clear() {
+      clearTimeout(timer)
+
+      try {
+        localStorage.removeItem(key())
+      } catch {
+        // Nothing stored
+      }
+    }
+  }
+
+  form.addEventListener('input', () => draft.schedule(), { signal })
+  form.addEventListener('change', () => draft.schedule(), { signal })
+
+  // Reset buttons and successful submissions start over
+  form.addEventListener('reset', () => draft.clear(), { signal })
+
+  return draft
+}
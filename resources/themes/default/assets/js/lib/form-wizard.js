@@ -0,0 +1,239 @@
+/**
+ * Form Wizard
+ *
+ * Splits a form[data-steps] into fieldset[data-step] steps with a progress
+ * indicator and Back/Next buttons. Next validates the current step first;
+ * values stay in the form, so going back loses nothing.
+ *
+ * A step with data-step-if only applies while the condition holds:
+ *   data-step-if="account_type"               field has a value
+ *   data-step-if="account_type=business"      field equals one of the
+ *   data-step-if="plan=pro,team"              listed values
+ *   data-step-if="newsletter!=yes"            field equals none of them
+ * Skipped steps are disabled, so their fields are neither validated nor
+ * submitted.
+ */
+
+import { enter } from '../animations/ui'
+import { focusableElements } from './focus'
+import { t } from './i18n'
+
+function parseCondition(condition) {
+  const match = condition.match(/^\s*([^!=\s]+)\s*(!?=)?\s*(.*?)\s*$/)
+  if (!match) return null
+
+  const [, name, operator, values] = match
+
+  return { name, operator, values: values.split(',').map(value => value.trim()) }
+}
+
+function conditionHolds(form, condition) {
+  const parsed = parseCondition(condition)
+  if (!parsed) return true
+
+  const values = new FormData(form).getAll(parsed.name).map(String)
+
+  if (!parsed.operator) return values.some(value => value !== '')
+
+  const matches = values.some(value => parsed.values.includes(value))
+
+  return parsed.operator === '=' ? matches : !matches
+}
+
+function createButton(attribute, className) {
+  const button = document.createElement('button')
+
+  button.type = 'button'
+  button.className = className
+  button.setAttribute(attribute, '')
+
+  return button
+}
+
+/**
+ * validate  (step) => Promise<boolean>, shows the step's field errors
+ * signal    removes the wizard's listeners when aborted
+ */
+export function createWizard(form, { validate, signal }) {
+  const steps = Array.from(form.querySelectorAll('fieldset[data-step]'))
+  const submit = form.querySelector('[type="submit"]')
+  const status = document.createElement('p')
+  let progress = form.querySelector('[data-step-progress]')
+  let back = form.querySelector('[data-step-back]')
+  let next = form.querySelector('[data-step-next]')
+  let current = 0
+
+  // Buttons we created, relabelled when the locale changes
+  const labels = new Map()
+
+  if (steps.length === 0) return null
+
+  if (!progress) {
+    progress = document.createElement('ol')
+    progress.setAttribute('data-step-progress', '')
+    form.prepend(progress)
+  }
+
+  progress.classList.add('form-steps')
+  status.className = 'sr-only'
+  status.setAttribute('aria-live', 'polite')
+  progress.after(status)
+
+  if (!back) {
+    back = createButton('data-step-back', 'btn btn-secondary')
+    labels.set(back, 'forms.back')
+  }
+
+  if (!next) {
+    next = createButton('data-step-next', 'btn btn-primary')
+    labels.set(next, 'forms.next')
+  }
+
+  // Created buttons go where the submit button is
+  const created = [...labels.keys()]
+
+  if (submit) {
+    submit.before(...created)
+  } else {
+    form.append(...created)
+  }
+
+  const title = (step, index) => step.dataset.stepTitle ||
+    step.querySelector('legend')?.textContent.trim() ||
+    `${index + 1}`
+
+  // Steps that currently apply, skipped ones disabled
+  const activeSteps = () => steps.filter(step => {
+    const applies = !step.dataset.stepIf || conditionHolds(form, step.dataset.stepIf)
+
+    step.disabled = !applies
+
+    return applies
+  })
+
+  const renderProgress = () => {
+    const active = activeSteps()
+    const position = active.indexOf(steps[current])
+
+    progress.replaceChildren(...active.map((step, index) => {
+      const item = document.createElement('li')
+      const label = document.createElement(index < position ? 'button' : 'span')
+
+      item.className = 'form-step'
+      item.classList.toggle('is-complete', index < position)
+      if (index === position) item.setAttribute('aria-current', 'step')
+
+      label.className = 'form-step-label'
+      label.textContent = title(step, steps.indexOf(step))
+
+      // Completed steps can be revisited
+      if (index < position) {
+        label.type = 'button'
+        label.addEventListener('click', () => show(steps.indexOf(step), { direction: -1 }))
+      }
+
+      item.append(label)
+
+      return item
+    }))
+
+    back.hidden = position <= 0
+    next.hidden = position === active.length - 1
+    if (submit) submit.hidden = !next.hidden
+
+    status.textContent = t('forms.step_status', {
+      current: position + 1,
+      total: active.length,
+      title: title(steps[current], current)
+    })
+  }
+
+  const show = (index, { direction = 1, focus = true, animate = true } = {}) => {
+    current = index
+
+    steps.forEach((step, i) => {
+      step.hidden = i !== index
+    })
+
+    renderProgress()
+
+    if (animate) enter(steps[index], { opacity: 0, x: 24 * direction })
+
+    if (focus) focusableElements(steps[index])[0]?.focus()
+
+    form.dispatchEvent(new CustomEvent('stepchange', {
+      detail: { index, step: steps[index] }
+    }))
+  }
+
+  const wizard = {
+    get current() {
+      return current
+    },
+
+    isLast() {
+      const active = activeSteps()
+      return active.indexOf(steps[current]) === active.length - 1
+    },
+
+    async next() {
+      if (!(await validate(steps[current]))) {
+        steps[current].querySelector('[aria-invalid="true"]')?.focus()
+        return false
+      }
+
+      const active = activeSteps()
+      const following = active[active.indexOf(steps[current]) + 1]
+
+      if (following) show(steps.indexOf(following))
+
+      return true
+    },
+
+    back() {
+      const active = activeSteps()
+      const previous = active[active.indexOf(steps[current]) - 1]
+
+      if (previous) show(steps.indexOf(previous), { direction: -1 })
+    },
+
+    go(index) {
+      const step = steps[index]
+
+      if (step && activeSteps().includes(step)) show(index, { focus: false, animate: false })
+    },
+
+    // Bring up the step holding an element, e.g. a field the server rejected
+    showStepOf(element) {
+      const index = steps.findIndex(step => step.contains(element))
+
+      if (index !== -1 && index !== current) show(index, { direction: index < current ? -1 : 1, focus: false })
+    }
+  }
+
+  back.addEventListener('click', () => wizard.back(), { signal })
+  next.addEventListener('click', () => wizard.next(), { signal })
+
+  // Answers can add or remove later steps
+  form.addEventListener('change', renderProgress, { signal })
+
+  // Values are cleared after the reset event, start over once they are
+  form.addEventListener('reset', () => setTimeout(() => show(0, { focus: false, animate: false })), { signal })
+
+  const translate = () => {
+    labels.forEach((key, button) => {
+      button.textContent = t(key)
+    })
+  }
+
+  document.addEventListener('localeChanged', () => {
+    translate()
+    renderProgress()
+  }, { signal })
+
+  form.classList.add('form-wizard')
+  translate()
+  show(0, { focus: false, animate: false })
+
+  return wizard
+}
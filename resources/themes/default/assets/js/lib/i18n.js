@@ -0,0 +1,321 @@
+/**
+ * I18n
+ *
+ * Message catalogs live in assets/lang/<locale>.json and are split into
+ * their own chunks at build time, so only the active locale is loaded.
+ * Keys missing from a catalog are looked up once through /api/translate.
+ *
+ * Messages use a small ICU subset:
+ *   "Hello {name}"
+ *   "{count, plural, =0 {No results} one {# result} other {# results}}"
+ *   "{role, select, admin {Administrator} other {User}}"
+ *   "{total, number}" and "{published, date, medium}"
+ */
+
+import { api } from './api'
+import en from '../../lang/en_US.json'
+
+export const DEFAULT_LOCALE = 'en_US'
+
+const STORAGE_KEY = 'locale'
+
+// Lazy catalog loaders keyed by locale, English is bundled as the fallback
+const loaders = {
+  [DEFAULT_LOCALE]: async () => en,
+  ...Object.fromEntries(
+    Object.entries(import.meta.glob(['../../lang/*.json', '!../../lang/en_US.json'], { import: 'default' }))
+      .map(([path, load]) => [path.match(/([a-z]{2}_[A-Z]{2})\.json$/)[1], load])
+  )
+}
+
+const catalogs = new Map([[DEFAULT_LOCALE, en]])
+
+// Keys asked from the server per locale, to avoid asking twice
+const requested = new Map()
+
+const listeners = new Set()
+
+let currentLocale = DEFAULT_LOCALE
+
+export function availableLocales() {
+  return Object.keys(loaders).sort()
+}
+
+export function getLocale() {
+  return currentLocale
+}
+
+// en_US -> en-US for Intl
+export function languageTag(locale = currentLocale) {
+  return locale.replace('_', '-')
+}
+
+// Map "sk", "sk-SK" or "sk_sk" onto a locale we have a catalog for
+export function resolveLocale(value) {
+  if (!value) return null
+
+  const [language, region] = String(value).replace('-', '_').split('_')
+  const exact = region ? `${language.toLowerCase()}_${region.toUpperCase()}` : null
+  const locales = availableLocales()
+
+  if (exact && locales.includes(exact)) return exact
+
+  return locales.find(locale => locale.startsWith(`${language.toLowerCase()}_`)) || null
+}
+
+// Stored choice, then the page, then the browser
+export function detectLocale() {
+  let stored = null
+
+  try {
+    stored = localStorage.getItem(STORAGE_KEY)
+  } catch {
+    // Storage unavailable
+  }
+
+  return resolveLocale(stored) ||
+    resolveLocale(document.documentElement.lang) ||
+    (navigator.languages || [navigator.language]).map(resolveLocale).find(Boolean) ||
+    DEFAULT_LOCALE
+}
+
+async function loadCatalog(locale) {
+  if (!catalogs.has(locale)) {
+    catalogs.set(locale, await loaders[locale]())
+  }
+
+  return catalogs.get(locale)
+}
+
+/**
+ * Switch locale, loading its catalog first.
+ *
+ * persist stores the choice locally and in the server session
+ */
+export async function setLocale(locale, { persist = true } = {}) {
+  const resolved = resolveLocale(locale)
+
+  if (!resolved) {
+    throw new Error(`Unsupported locale "${locale}"`)
+  }
+
+  await loadCatalog(resolved)
+
+  currentLocale = resolved
+  document.documentElement.lang = languageTag(resolved)
+
+  if (persist) {
+    try {
+      localStorage.setItem(STORAGE_KEY, resolved)
+    } catch {
+      // Private mode: the choice lasts for this page only
+    }
+
+    // Server-rendered pages follow on the next load
+    api.post('/api/language', { locale: resolved }, { auth: false }).catch(() => {})
+  }
+
+  notify()
+
+  return resolved
+}
+
+export function onLocaleChange(callback) {
+  listeners.add(callback)
+  return () => listeners.delete(callback)
+}
+
+function notify() {
+  listeners.forEach(callback => callback(currentLocale))
+
+  document.dispatchEvent(new CustomEvent('localeChanged', {
+    detail: { locale: currentLocale }
+  }))
+}
+
+// Ask the Language module for a key the catalogs do not have
+function requestTranslation(key, locale) {
+  const keys = requested.get(locale) || new Set()
+
+  if (keys.has(key)) return
+
+  keys.add(key)
+  requested.set(locale, keys)
+
+  api.post('/api/translate', { key, locale }, { auth: false })
+    .then(response => {
+      const text = response?.data?.translated_text
+
+      // The server echoes the key when it has no translation either
+      if (typeof text === 'string' && text !== key) {
+        catalogs.get(locale)[key] = text
+
+        if (locale === currentLocale) notify()
+      }
+    })
+    .catch(() => {})
+}
+
+/**
+ * Translate a key.
+ *
+ * Falls back to English, then to params.default, then to the key itself.
+ */
+export function t(key, params = {}) {
+  const catalog = catalogs.get(currentLocale) || {}
+  let message = catalog[key]
+
+  if (message === undefined) {
+    requestTranslation(key, currentLocale)
+    message = en[key] ?? params.default ?? key
+  }
+
+  return format(message, params)
+}
+
+export function formatNumber(value, options = {}) {
+  return new Intl.NumberFormat(languageTag(), options).format(value)
+}
+
+export function formatDate(value, options = { dateStyle: 'medium' }) {
+  const date = value instanceof Date ? value : new Date(value)
+
+  if (Number.isNaN(date.getTime())) return ''
+
+  return new Intl.DateTimeFormat(languageTag(), options).format(date)
+}
+
+// "3 days ago", "in 2 hours"
+export function formatRelative(value, now = Date.now()) {
+  const date = value instanceof Date ? value : new Date(value)
+  const seconds = Math.round((date.getTime() - now) / 1000)
+  const units = [
+    ['year', 31536000],
+    ['month', 2592000],
+    ['week', 604800],
+    ['day', 86400],
+    ['hour', 3600],
+    ['minute', 60]
+  ]
+
+  const formatter = new Intl.RelativeTimeFormat(languageTag(), { numeric: 'auto' })
+  const [unit, size] = units.find(([, size]) => Math.abs(seconds) >= size) || ['second', 1]
+
+  return formatter.format(Math.round(seconds / size), unit)
+}
+
+/**
+ * Format an ICU-style message.
+ */
+export function format(message, params = {}) {
+  let output = ''
+  let index = 0
+
+  while (index < message.length) {
+    const open = message.indexOf('{', index)
+
+    if (open === -1) {
+      output += message.slice(index)
+      break
+    }
+
+    const close = matchingBrace(message, open)
+
+    // Unbalanced braces are printed as they are
+    if (close === -1) {
+      output += message.slice(index)
+      break
+    }
+
+    output += message.slice(index, open)
+    output += formatArgument(message.slice(open + 1, close), params)
+    index = close + 1
+  }
+
+  return output
+}
+
+function matchingBrace(message, open) {
+  let depth = 0
+
+  for (let i = open; i < message.length; i++) {
+    if (message[i] === '{') depth++
+    if (message[i] === '}' && --depth === 0) return i
+  }
+
+  return -1
+}
+
+// "name", "count, plural, ...", "role, select, ...", "n, number", "d, date, short"
+function formatArgument(argument, params) {
+  const [name, type, ...rest] = splitTopLevel(argument)
+  const value = params[name.trim()]
+  const style = rest.join(',').trim()
+
+  switch (type?.trim()) {
+    case 'plural':
+      return formatPlural(value, style, params)
+    case 'select':
+      return format(pickOption(parseOptions(style), String(value)) ?? '', params)
+    case 'number':
+      return formatNumber(value, style === 'percent' ? { style: 'percent' } : {})
+    case 'date':
+      return formatDate(value, { dateStyle: ['short', 'medium', 'long', 'full'].includes(style) ? style : 'medium' })
+    default:
+      return value === undefined || value === null ? `{${argument}}` : String(value)
+  }
+}
+
+function formatPlural(value, style, params) {
+  const count = Number(value)
+  const options = parseOptions(style)
+  const category = new Intl.PluralRules(languageTag()).select(count)
+  const chosen = options.get(`=${count}`) ?? pickOption(options, category) ?? ''
+
+  // "#" is the formatted count
+  return format(chosen, params).replace(/#/g, formatNumber(count))
+}
+
+function pickOption(options, key) {
+  return options.get(key) ?? options.get('other')
+}
+
+// "one {# item} other {# items}" -> Map { one => "# item", other => "# items" }
+function parseOptions(style) {
+  const options = new Map()
+  let index = 0
+
+  while (index < style.length) {
+    const open = style.indexOf('{', index)
+    if (open === -1) break
+
+    const close = matchingBrace(style, open)
+    if (close === -1) break
+
+    options.set(style.slice(index, open).trim(), style.slice(open + 1, close))
+    index = close + 1
+  }
+
+  return options
+}
+
+// Split on commas outside nested braces, keeping at most three parts
+function splitTopLevel(argument) {
+  const parts = []
+  let depth = 0
+  let start = 0
+
+  for (let i = 0; i < argument.length && parts.length < 2; i++) {
+    if (argument[i] === '{') depth++
+    if (argument[i] === '}') depth--
+
+    if (argument[i] === ',' && depth === 0) {
+      parts.push(argument.slice(start, i))
+      start = i + 1
+    }
+  }
+
+  parts.push(argument.slice(start))
+
+  return parts
+}
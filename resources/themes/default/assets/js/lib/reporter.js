@@ -0,0 +1,159 @@
+/**
+ * Reporter
+ *
+ * Batches client-side errors, failed requests and Web Vitals and hands them
+ * to the Monitoring module with sendBeacon, so the last batch still goes out
+ * while the page is closing. Console output is stripped from production
+ * builds, this is how frontend failures reach the logs.
+ */
+
+import { monitoring } from '../../../theme.json'
+
+const ENDPOINT = monitoring.endpoint || '/api/monitoring/client-reports'
+
+const MAX_BATCH = 20
+const FLUSH_DELAY = 5000
+
+// The server refuses bodies over 64 KB, batches stay below with some room
+const MAX_BATCH_BYTES = 60 * 1024
+
+// A page stuck in an error loop stops reporting after this many
+const MAX_REPORTS = 100
+
+const MAX_STACK_LENGTH = 4000
+const MAX_MESSAGE_LENGTH = 1000
+const MAX_FRAMES = 10
+
+const encoder = new TextEncoder()
+
+// Captured before anything wraps fetch, so reports never report themselves
+const nativeFetch = window.fetch.bind(window)
+
+let queue = []
+let sent = 0
+let timer = null
+
+// Query strings may hold search terms or tokens, reports keep the path only
+export function stripQuery(url) {
+  try {
+    const parsed = new URL(url, location.href)
+    return parsed.origin === location.origin ? parsed.pathname : parsed.origin + parsed.pathname
+  } catch {
+    return String(url)
+  }
+}
+
+export function isReportRequest(url) {
+  return stripQuery(url) === ENDPOINT
+}
+
+// Frames from V8 ("at fn (file:1:2)") and Firefox/Safari ("fn@file:1:2") stacks
+export function parseStack(stack) {
+  return String(stack || '').split('\n')
+    .map(line => line.match(/^\s*at (?:(.+?) \()?(.+?):(\d+):(\d+)\)?$/) || line.match(/^\s*(.*?)@(.+?):(\d+):(\d+)$/))
+    .filter(Boolean)
+    .slice(0, MAX_FRAMES)
+    .map(([, fn, file, line, column]) => ({
+      function: fn || null,
+      file: stripQuery(file),
+      line: Number(line),
+      column: Number(column)
+    }))
+}
+
+/**
+ * Queue a report. Identical errors waiting in the queue are counted
+ * instead of sent twice.
+ */
+export function report(type, data = {}) {
+  const key = type === 'error' ? `${data.message}|${data.frames?.[0]?.file}:${data.frames?.[0]?.line}` : null
+  const queued = key && queue.find(entry => entry.key === key)
+
+  if (queued) {
+    queued.report.count++
+    return
+  }
+
+  if (sent + queue.length >= MAX_REPORTS) return
+
+  queue.push({
+    key,
+    report: { type, url: stripQuery(location.href), timestamp: Date.now(), count: 1, ...data }
+  })
+
+  // Hidden pages may never run the timer
+  if (queue.length >= MAX_BATCH || document.visibilityState === 'hidden') {
+    flush()
+  } else if (!timer) {
+    timer = setTimeout(flush, FLUSH_DELAY)
+  }
+}
+
+// Anything thrown or rejected, with where it happened
+export function reportError(error, context = {}) {
+  const isError = error instanceof Error
+  const stack = isError && error.stack ? error.stack.slice(0, MAX_STACK_LENGTH) : null
+
+  report('error', {
+    name: isError ? error.name : typeof error,
+    message: isError ? error.message : String(error),
+    stack,
+    frames: parseStack(stack),
+    ...context
+  })
+}
+
+const byteLength = text => encoder.encode(text).length
+
+// A report too large for any batch loses its stack, then its message tail
+function fit(json, report) {
+  if (byteLength(json) <= MAX_BATCH_BYTES) return json
+
+  const trimmed = JSON.stringify({ ...report, stack: null, message: String(report.message ?? '').slice(0, MAX_MESSAGE_LENGTH) })
+
+  return byteLength(trimmed) <= MAX_BATCH_BYTES ? trimmed : null
+}
+
+export function flush() {
+  clearTimeout(timer)
+  timer = null
+
+  while (queue.length > 0) {
+    // As many reports as fit in one body, the same as JSON.stringify({ reports })
+    const parts = []
+    let size = byteLength('{"reports":[]}')
+
+    while (queue.length > 0 && parts.length < MAX_BATCH) {
+      const { report: next } = queue[0]
+      const json = fit(JSON.stringify(next), next)
+      const added = json === null ? 0 : byteLength(json) + (parts.length > 0 ? 1 : 0)
+
+      if (parts.length > 0 && size + added > MAX_BATCH_BYTES) break
+
+      queue.shift()
+      sent++
+
+      if (json !== null) {
+        parts.push(json)
+        size += added
+      }
+    }
+
+    if (parts.length > 0) {
+      send(`{"reports":[${parts.join(',')}]}`)
+    }
+  }
+}
+
+function send(body) {
+  // sendBeacon refuses oversized or too many pending payloads
+  if (!navigator.sendBeacon?.(ENDPOINT, new Blob([body], { type: 'application/json' }))) {
+    nativeFetch(ENDPOINT, {
+      method: 'POST',
+      body,
+      keepalive: true,
+      credentials: 'same-origin',
+      headers: { 'Content-Type': 'application/json' }
+    }).catch(() => {})
+  }
+}
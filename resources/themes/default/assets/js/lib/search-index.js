@@ -0,0 +1,252 @@
+/**
+ * Search Index
+ *
+ * Loads the prebuilt search index (falling back to the blog search API)
+ * and ranks documents with fuzzy matching
+ */
+
+import { api } from './api'
+
+const INDEX_URL = `${import.meta.env.BASE_URL}search-index.json`
+
+// Field weights, title matches rank highest
+const WEIGHTS = {
+  title: 10,
+  headings: 6,
+  tags: 6,
+  category: 5,
+  excerpt: 3,
+  body: 1
+}
+
+// Characters of context around a body match in the preview
+const PREVIEW_CONTEXT = 60
+
+let indexPromise = null
+
+// Load the prebuilt index once, resolves to null when it is unavailable
+export function loadSearchIndex() {
+  if (!indexPromise) {
+    indexPromise = fetch(INDEX_URL, { headers: { 'Accept': 'application/json' } })
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`)
+        }
+        return response.json()
+      })
+      .then(index => index.documents.map(prepareDocument))
+      .catch(error => {
+        console.warn('Search index unavailable, using search API:', error)
+        return null
+      })
+  }
+
+  return indexPromise
+}
+
+// Search articles and docs, best matches first
+export async function search(query, { limit = 10, signal } = {}) {
+  const terms = tokenize(query)
+
+  if (terms.length === 0) {
+    return []
+  }
+
+  const documents = await loadSearchIndex()
+
+  if (!documents) {
+    return searchRemote(query, terms, { limit, signal })
+  }
+
+  return documents
+    .map(document => scoreDocument(document, terms))
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+}
+
+// Query the blog search API when there is no prebuilt index
+async function searchRemote(query, terms, { limit, signal }) {
+  const params = new URLSearchParams({ q: query, limit })
+  const data = await api.get(`/api/blog/search?${params}`, { signal })
+
+  return data.results.map((result, index) => {
+    const document = prepareDocument({
+      id: `article:${result.slug}`,
+      type: 'article',
+      title: result.title,
+      url: result.url || `/blog/article/${result.slug}`,
+      excerpt: result.excerpt || '',
+      category: result.category || '',
+      tags: result.tags || []
+    })
+
+    return {
+      document,
+      score: data.results.length - index,
+      title: { text: document.title, ranges: findRanges(document.fields.title, terms) },
+      preview: { text: document.excerpt, ranges: findRanges(document.fields.excerpt, terms) }
+    }
+  })
+}
+
+// Lowercase, accent-insensitive copies of the searchable fields
+function prepareDocument(document) {
+  return {
+    ...document,
+    fields: {
+      title: normalize(document.title || ''),
+      headings: normalize((document.headings || []).join(' \n ')),
+      tags: normalize((document.tags || []).join(' ')),
+      category: normalize(document.category || ''),
+      excerpt: normalize(document.excerpt || ''),
+      body: normalize(document.body || '')
+    }
+  }
+}
+
+// Score one document, null when a term matches nowhere
+function scoreDocument(document, terms) {
+  let score = 0
+
+  for (const term of terms) {
+    let termScore = 0
+
+    for (const [field, weight] of Object.entries(WEIGHTS)) {
+      termScore += weight * matchQuality(document.fields[field], term)
+    }
+
+    // Typos and abbreviations in the title
+    if (termScore === 0 && term.length >= 3) {
+      const positions = fuzzyPositions(document.fields.title, term)
+      if (positions) {
+        termScore = WEIGHTS.title * 0.5 * (term.length / (positions[positions.length - 1] - positions[0] + 1))
+      }
+    }
+
+    if (termScore === 0) {
+      return null
+    }
+
+    score += termScore
+  }
+
+  return {
+    document,
+    score,
+    title: { text: document.title, ranges: titleRanges(document.fields.title, terms) },
+    preview: buildPreview(document, terms)
+  }
+}
+
+// 1.5 for a whole word, 1.2 for a word prefix, 1 for a substring
+function matchQuality(text, term) {
+  const index = text.indexOf(term)
+
+  if (index === -1) {
+    return 0
+  }
+
+  const startsWord = index === 0 || /\W/.test(text[index - 1])
+  const endsWord = index + term.length === text.length || /\W/.test(text[index + term.length])
+
+  if (startsWord && endsWord) return 1.5
+  if (startsWord) return 1.2
+  return 1
+}
+
+// Characters of term appearing in order within text
+function fuzzyPositions(text, term) {
+  const positions = []
+  let from = 0
+
+  for (const char of term) {
+    const index = text.indexOf(char, from)
+    if (index === -1) {
+      return null
+    }
+    positions.push(index)
+    from = index + 1
+  }
+
+  return positions
+}
+
+// Highlight ranges in the title, including fuzzy matches
+function titleRanges(text, terms) {
+  const ranges = findRanges(text, terms)
+
+  terms.forEach(term => {
+    if (text.includes(term) || term.length < 3) return
+
+    const positions = fuzzyPositions(text, term) || []
+    positions.forEach(position => ranges.push([position, position + 1]))
+  })
+
+  return mergeRanges(ranges)
+}
+
+// Excerpt, or a body snippet when only the body matches
+function buildPreview(document, terms) {
+  const excerptRanges = findRanges(document.fields.excerpt, terms)
+  const bodyIndex = terms
+    .map(term => document.fields.body.indexOf(term))
+    .filter(index => index !== -1)
+    .sort((a, b) => a - b)[0]
+
+  if (excerptRanges.length > 0 || bodyIndex === undefined) {
+    return { text: document.excerpt || '', ranges: excerptRanges }
+  }
+
+  const start = Math.max(0, bodyIndex - PREVIEW_CONTEXT)
+  const end = Math.min(document.body.length, bodyIndex + PREVIEW_CONTEXT * 2)
+  const prefix = start > 0 ? '…' : ''
+  const suffix = end < document.body.length ? '…' : ''
+  const text = prefix + document.body.slice(start, end) + suffix
+
+  return { text, ranges: findRanges(normalize(text), terms) }
+}
+
+// All occurrences of every term as [start, end) pairs
+function findRanges(text, terms) {
+  const ranges = []
+
+  terms.forEach(term => {
+    let index = text.indexOf(term)
+
+    while (index !== -1) {
+      ranges.push([index, index + term.length])
+      index = text.indexOf(term, index + term.length)
+    }
+  })
+
+  return mergeRanges(ranges)
+}
+
+function mergeRanges(ranges) {
+  return ranges
+    .sort((a, b) => a[0] - b[0])
+    .reduce((merged, range) => {
+      const last = merged[merged.length - 1]
+
+      if (last && range[0] <= last[1]) {
+        last[1] = Math.max(last[1], range[1])
+      } else {
+        merged.push([...range])
+      }
+
+      return merged
+    }, [])
+}
+
+function tokenize(query) {
+  return normalize(query).split(/\s+/).filter(Boolean)
+}
+
+// Per code unit so positions in the normalized text match the original
+export function normalize(text) {
+  return text
+    .split('')
+    .map(char => char.normalize('NFD').charAt(0).toLowerCase().charAt(0))
+    .join('')
+}
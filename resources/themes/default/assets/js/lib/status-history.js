@@ -0,0 +1,87 @@
+/**
+ * Status History
+ *
+ * Health check samples kept in IndexedDB for the status sparklines, so the
+ * history survives reloads and is shared by every tab. Where IndexedDB is
+ * unavailable (private windows, old browsers) nothing is stored and the
+ * history only lives as long as the page.
+ *
+ * A sample: { time, status, latency, checks: { name: { status, duration } } }
+ */
+
+const DB_NAME = 'hdm-status'
+const DB_VERSION = 1
+const STORE = 'samples'
+
+// Older samples are pruned on every write
+export const MAX_AGE = 24 * 60 * 60 * 1000
+
+let database = null
+
+function openDatabase() {
+  if (!database) {
+    database = new Promise((resolve) => {
+      if (!('indexedDB' in window)) {
+        resolve(null)
+        return
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE, { keyPath: 'time' })
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => resolve(null)
+      request.onblocked = () => resolve(null)
+    })
+  }
+
+  return database
+}
+
+// Resolve a request or a transaction, null instead of throwing
+function settle(target, value = () => target.result) {
+  return new Promise((resolve) => {
+    const done = target instanceof IDBTransaction ? 'oncomplete' : 'onsuccess'
+
+    target[done] = () => resolve(value())
+    target.onerror = () => resolve(null)
+    target.onabort = () => resolve(null)
+  })
+}
+
+// Samples of the last MAX_AGE, oldest first
+export async function readSamples() {
+  const db = await openDatabase()
+  if (!db) return []
+
+  const since = IDBKeyRange.lowerBound(Date.now() - MAX_AGE)
+  const samples = await settle(db.transaction(STORE).objectStore(STORE).getAll(since))
+
+  return samples || []
+}
+
+export async function addSample(sample) {
+  const db = await openDatabase()
+  if (!db) return
+
+  const transaction = db.transaction(STORE, 'readwrite')
+  const store = transaction.objectStore(STORE)
+
+  // Two tabs can poll in the same millisecond, the later one wins
+  store.put(sample)
+  store.delete(IDBKeyRange.upperBound(Date.now() - MAX_AGE))
+
+  await settle(transaction, () => true)
+}
+
+export async function clearSamples() {
+  const db = await openDatabase()
+  if (!db) return
+
+  const transaction = db.transaction(STORE, 'readwrite')
+  transaction.objectStore(STORE).clear()
+
+  await settle(transaction, () => true)
+}
@@ -0,0 +1,91 @@
+/**
+ * Theme
+ *
+ * Colour mode (light, dark or system) and palette preference, stored under
+ * one localStorage key. ThemeHelper::renderThemeBootstrap() applies the same
+ * preference inline before the first paint.
+ */
+
+export const STORAGE_KEY = 'theme'
+
+// Written by the old dark mode toggle, migrated on the next save
+const LEGACY_KEY = 'darkMode'
+
+export const MODES = ['light', 'dark', 'system']
+
+export const DEFAULT_PALETTE = 'default'
+
+const systemDark = window.matchMedia('(prefers-color-scheme: dark)')
+
+// Palettes generated from theme.json, listed on <html data-palettes>
+export function availablePalettes() {
+  const declared = (document.documentElement.dataset.palettes || '').split(/\s+/).filter(Boolean)
+  return [DEFAULT_PALETTE, ...declared.filter(name => name !== DEFAULT_PALETTE)]
+}
+
+export function readPreference() {
+  let stored = null
+
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY)
+
+    if (raw?.startsWith('{')) {
+      stored = JSON.parse(raw)
+    } else if (raw) {
+      stored = { mode: raw }
+    } else if (localStorage.getItem(LEGACY_KEY) !== null) {
+      stored = { mode: localStorage.getItem(LEGACY_KEY) === 'true' ? 'dark' : 'light' }
+    }
+  } catch {
+    // Unreadable preference, fall back to the defaults
+  }
+
+  return {
+    mode: MODES.includes(stored?.mode) ? stored.mode : 'system',
+    palette: availablePalettes().includes(stored?.palette) ? stored.palette : DEFAULT_PALETTE
+  }
+}
+
+export function savePreference(preference) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(preference))
+    localStorage.removeItem(LEGACY_KEY)
+  } catch {
+    // Private mode: the choice lasts for this page only
+  }
+}
+
+export function isDark(mode) {
+  return mode === 'dark' || (mode === 'system' && systemDark.matches)
+}
+
+// Reflect a preference on <html>
+export function applyTheme({ mode, palette }) {
+  const root = document.documentElement
+  const dark = isDark(mode)
+
+  root.classList.toggle('dark', dark)
+  root.style.colorScheme = dark ? 'dark' : 'light'
+
+  if (palette && palette !== DEFAULT_PALETTE) {
+    root.dataset.palette = palette
+  } else {
+    delete root.dataset.palette
+  }
+
+  return dark
+}
+
+// Follow the OS setting while in system mode
+export function onSystemChange(callback) {
+  systemDark.addEventListener('change', callback)
+}
+
+// Preference changed in another tab
+export function onStorageChange(callback) {
+  window.addEventListener('storage', (e) => {
+    if (e.key === STORAGE_KEY || e.key === null) {
+      callback(readPreference())
+    }
+  })
+}
@@ -0,0 +1,220 @@
+/**
+ * Uploader
+ *
+ * Chunked, resumable file uploads against the Storage upload endpoint:
+ *
+ *   POST   {endpoint}        { name, size, type, fingerprint } -> { id, offset }
+ *   GET    {endpoint}/{id}   -> { id, offset, size, file? }
+ *   PUT    {endpoint}/{id}   chunk with Content-Range: bytes start-end/size
+ *                            -> { offset, file? }, file once complete
+ *   DELETE {endpoint}/{id}   discard the upload
+ *
+ * Upload ids are remembered per file, so picking the same file again after
+ * a reload or a failure continues where the server left off.
+ */
+
+import { api, ApiError } from './api'
+
+export const DEFAULT_ENDPOINT = '/api/storage/uploads'
+
+const DEFAULT_CHUNK_SIZE = 2 * 1024 * 1024
+
+const STORAGE_KEY = 'hdm-uploads'
+
+// Automatic retries of a failed chunk before the upload reports an error
+const RETRY_DELAYS = [1000, 3000, 10000]
+
+function readIds() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {}
+  } catch {
+    return {}
+  }
+}
+
+function writeIds(ids) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(ids))
+  } catch {
+    // Without storage uploads still work, they just can't resume
+  }
+}
+
+function remember(fingerprint, id) {
+  writeIds({ ...readIds(), [fingerprint]: id })
+}
+
+function forget(fingerprint) {
+  const ids = readIds()
+  delete ids[fingerprint]
+  writeIds(ids)
+}
+
+// Network failures and server errors are worth another try, refusals aren't
+function isTransient(error) {
+  return error instanceof ApiError && (error.isNetworkError || error.status >= 500 || error.status === 429)
+}
+
+function wait(delay, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, delay)
+
+    signal.addEventListener('abort', () => {
+      clearTimeout(timer)
+      reject(new DOMException('The upload was aborted', 'AbortError'))
+    }, { once: true })
+  })
+}
+
+// Responses come wrapped as { success, data } or bare
+const payload = (result) => result?.data ?? result ?? {}
+
+export class Upload {
+  /**
+   * onChange  (upload) on every state or progress change
+   */
+  constructor(file, { endpoint = DEFAULT_ENDPOINT, chunkSize = DEFAULT_CHUNK_SIZE, onChange = () => {} } = {}) {
+    this.file = file
+    this.endpoint = endpoint.replace(/\/$/, '')
+    this.chunkSize = chunkSize
+    this.onChange = onChange
+    this.fingerprint = [endpoint, file.name, file.size, file.type, file.lastModified].join(':')
+    this.id = null
+    this.offset = 0
+    this.loaded = 0
+    this.state = 'queued'
+    this.error = null
+    this.result = null
+    this.controller = null
+  }
+
+  get progress() {
+    return this.file.size === 0 ? (this.state === 'complete' ? 1 : 0) : this.loaded / this.file.size
+  }
+
+  // Start, or continue after an error
+  async start() {
+    if (['uploading', 'complete', 'cancelled'].includes(this.state)) return this
+
+    this.controller = new AbortController()
+    this.error = null
+    this.setState('uploading')
+
+    try {
+      await this.open()
+
+      while (this.offset < this.file.size && !this.result) {
+        await this.withRetries(() => this.sendChunk())
+      }
+
+      forget(this.fingerprint)
+      this.setState('complete')
+    } catch (error) {
+      if (error.name === 'AbortError') return this
+
+      this.error = error
+      this.setState('error')
+    }
+
+    return this
+  }
+
+  // Stop and discard what the server has so far
+  async cancel() {
+    if (this.state === 'cancelled') return
+
+    this.controller?.abort()
+    this.setState('cancelled')
+    forget(this.fingerprint)
+
+    if (this.id) {
+      await api.delete(`${this.endpoint}/${this.id}`).catch(() => {})
+    }
+  }
+
+  setState(state) {
+    this.state = state
+    this.onChange(this)
+  }
+
+  // Resume a known upload or create one
+  async open() {
+    const id = this.id || readIds()[this.fingerprint]
+
+    if (id) {
+      try {
+        const status = payload(await api.get(`${this.endpoint}/${id}`, { signal: this.controller.signal }))
+
+        this.id = id
+        this.accept(status)
+        return
+      } catch (error) {
+        if (!(error instanceof ApiError) || error.status !== 404) throw error
+
+        // Expired on the server, start over
+        forget(this.fingerprint)
+      }
+    }
+
+    const created = payload(await api.post(this.endpoint, {
+      name: this.file.name,
+      size: this.file.size,
+      type: this.file.type,
+      fingerprint: this.fingerprint
+    }, { signal: this.controller.signal }))
+
+    this.id = created.id
+    remember(this.fingerprint, this.id)
+    this.accept(created)
+  }
+
+  async sendChunk() {
+    const start = this.offset
+    const end = Math.min(start + this.chunkSize, this.file.size)
+    let result
+
+    try {
+      result = payload(await api.upload(`${this.endpoint}/${this.id}`, this.file.slice(start, end), {
+        method: 'PUT',
+        signal: this.controller.signal,
+        headers: {
+          'Content-Type': 'application/octet-stream',
+          'Content-Range': `bytes ${start}-${end - 1}/${this.file.size}`
+        },
+        onProgress: (loaded) => {
+          this.loaded = start + loaded
+          this.onChange(this)
+        }
+      }))
+    } catch (error) {
+      if (!(error instanceof ApiError) || error.status !== 409) throw error
+
+      // Out of step with the server, e.g. a chunk that arrived but whose
+      // response didn't: carry on from the server's offset
+      this.accept(payload(await api.get(`${this.endpoint}/${this.id}`, { signal: this.controller.signal })))
+      return
+    }
+
+    this.accept({ offset: end, ...result })
+  }
+
+  // The server's offset wins, it knows what it stored
+  accept({ offset = 0, file = null }) {
+    this.offset = Math.min(Number(offset) || 0, this.file.size)
+    this.loaded = this.offset
+    this.result = file
+    this.onChange(this)
+  }
+
+  async withRetries(send) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await send()
+      } catch (error) {
+        if (!isTransient(error) || attempt >= RETRY_DELAYS.length) throw error
+
+        await wait(RETRY_DELAYS[attempt], this.controller.signal)
+      }
+    }
+  }
+}
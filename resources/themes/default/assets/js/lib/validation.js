@@ -0,0 +1,182 @@
+/**
+ * Form Validation
+ *
+ * Declarative field rules read from a JSON schema emitted by the PHP
+ * FormSchema (/api/validation/{form}) or from the inputs' own attributes
+ */
+
+import { api, ApiError } from './api'
+import { t } from './i18n'
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+
+// Default messages for rules declared through attributes, from the i18n catalogs
+const defaultMessage = (rule, value) => t(`validation.${rule}`, { value })
+
+const schemaCache = new Map()
+const uniqueCache = new Map()
+
+// Load a schema from an inline JSON script ("#id") or a URL, null when unavailable
+export function loadSchema(source) {
+  if (!source) {
+    return Promise.resolve(null)
+  }
+
+  if (source.startsWith('#')) {
+    return Promise.resolve(readInlineSchema(source))
+  }
+
+  if (!schemaCache.has(source)) {
+    schemaCache.set(source, api.get(source, { auth: false })
+      .catch(error => {
+        console.warn(`Validation schema ${source} unavailable, using field attributes:`, error)
+        schemaCache.delete(source)
+        return null
+      }))
+  }
+
+  return schemaCache.get(source)
+}
+
+function readInlineSchema(selector) {
+  try {
+    const script = document.querySelector(selector)
+    return script ? JSON.parse(script.textContent) : null
+  } catch (error) {
+    console.warn(`Validation schema ${selector} is not valid JSON:`, error)
+    return null
+  }
+}
+
+// Rules for one input, the schema wins over attributes
+export function fieldRules(input, schema) {
+  return schema?.fields?.[input.name] || attributeRules(input)
+}
+
+// Rules declared with native constraint attributes and data-* extensions
+function attributeRules(input) {
+  const rules = []
+  const add = (rule, value) => rules.push({
+    rule,
+    value,
+    message: input.dataset[`message${rule[0].toUpperCase()}${rule.slice(1)}`] || defaultMessage(rule, value)
+  })
+
+  if (input.required) add('required')
+  if (input.type === 'email') add('email')
+  if (input.type === 'url') add('url')
+  if (input.hasAttribute('minlength')) add('minLength', Number(input.getAttribute('minlength')))
+  if (input.hasAttribute('maxlength')) add('maxLength', Number(input.getAttribute('maxlength')))
+  if (input.hasAttribute('min')) add('min', Number(input.getAttribute('min')))
+  if (input.hasAttribute('max')) add('max', Number(input.getAttribute('max')))
+
+  // The HTML pattern attribute matches the whole value
+  if (input.hasAttribute('pattern')) {
+    add('pattern', `^(?:${input.getAttribute('pattern')})$`)
+    if (input.title && !input.dataset.messagePattern) {
+      rules[rules.length - 1].message = input.title
+    }
+  }
+
+  if (input.dataset.equals) add('equals', input.dataset.equals)
+  if (input.dataset.unique) add('unique', input.dataset.unique)
+
+  return rules
+}
+
+// Message of the first failing rule, or null when the value is valid
+export async function validateValue(input, rules, { form = input.form, signal } = {}) {
+  const value = fieldValue(input)
+
+  for (const rule of rules) {
+    // Optional fields are only checked once they have a value
+    if (rule.rule !== 'required' && value === '') {
+      continue
+    }
+
+    const valid = rule.rule === 'unique'
+      ? await isUnique(rule, input, value, signal)
+      : checkRule(rule, value, form)
+
+    if (!valid) {
+      return rule.message
+    }
+  }
+
+  return null
+}
+
+function checkRule({ rule, value: expected }, value, form) {
+  switch (rule) {
+    case 'required':
+      return value.trim() !== ''
+    case 'email':
+      return EMAIL_PATTERN.test(value)
+    case 'url':
+      try {
+        new URL(value)
+        return true
+      } catch {
+        return false
+      }
+    case 'minLength':
+      return Array.from(value).length >= expected
+    case 'maxLength':
+      return Array.from(value).length <= expected
+    case 'min':
+      return Number(value) >= Number(expected)
+    case 'max':
+      return Number(value) <= Number(expected)
+    case 'pattern':
+      return new RegExp(expected, 'u').test(value)
+    case 'equals':
+      return fieldValue(form?.elements.namedItem(expected)) === value
+    default:
+      console.warn(`Unknown validation rule: ${rule}`)
+      return true
+  }
+}
+
+// Look the value up in a list endpoint, e.g. /api/users?email=...
+async function isUnique(rule, input, value, signal) {
+  const url = new URL(rule.value, window.location.origin)
+  url.searchParams.set(rule.param || input.name, value)
+
+  const key = url.toString()
+
+  if (!uniqueCache.has(key)) {
+    let result
+
+    try {
+      result = await api.get(`${url.pathname}${url.search}`, { signal })
+    } catch (error) {
+      // Without access to the list the server decides on submit
+      if (error instanceof ApiError) return true
+      throw error
+    }
+
+    const items = Array.isArray(result.data) ? result.data : result.data?.items || []
+    const field = rule.param || input.name
+    const taken = items.some(item => String(item[field] ?? '').toLowerCase() === value.toLowerCase())
+
+    uniqueCache.set(key, !taken)
+  }
+
+  return uniqueCache.get(key)
+}
+
+function fieldValue(input) {
+  if (!input) {
+    return ''
+  }
+
+  if (input instanceof RadioNodeList) {
+    return input.value
+  }
+
+  if (input.type === 'checkbox' || input.type === 'radio') {
+    return input.checked ? input.value : ''
+  }
+
+  return input.value ?? ''
+}
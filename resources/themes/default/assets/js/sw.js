@@ -0,0 +1,163 @@
+/**
+ * Service Worker
+ *
+ * Built by plugins/service-worker.js, which prepends VERSION,
+ * PRECACHE_URLS, OFFLINE_URL and ASSET_BASE. Served from /sw.js so it controls
+ * the whole site.
+ */
+
+/* global VERSION, PRECACHE_URLS, OFFLINE_URL, ASSET_BASE */
+
+const PRECACHE = `hdm-precache-${VERSION}`
+const PAGES_CACHE = 'hdm-pages'
+const API_CACHE = 'hdm-api'
+const CHUNKS_CACHE = 'hdm-chunks'
+
+// Runtime caches keep the most recently stored entries
+const MAX_PAGES = 50
+const MAX_API_RESPONSES = 50
+const MAX_CHUNKS = 100
+
+// Pages readers should still get offline
+const PAGE_PATTERN = /^\/(blog|docs)(\/|$)/
+
+const API_PATTERN = /^\/api\/blog\//
+
+// Precache the build; the new worker waits until the page asks it to take over
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(PRECACHE).then(cache => cache.addAll(PRECACHE_URLS))
+  )
+})
+
+// Drop the precache of previous builds
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key.startsWith('hdm-precache-') && key !== PRECACHE)
+        .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  )
+})
+
+// The "reload" button of the update prompt
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') {
+    self.skipWaiting()
+  }
+})
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  const url = new URL(request.url)
+
+  if (request.method !== 'GET' || url.origin !== self.location.origin) {
+    return
+  }
+
+  // Responses for a logged in user stay out of shared caches
+  if (request.headers.has('Authorization')) {
+    return
+  }
+
+  if (PRECACHE_URLS.includes(url.pathname)) {
+    event.respondWith(cacheFirst(request))
+  } else if (url.pathname.startsWith(ASSET_BASE)) {
+    // Lazily loaded chunks are hashed, a stored copy never goes stale
+    event.respondWith(cacheFirstRuntime(request, CHUNKS_CACHE, MAX_CHUNKS))
+  } else if (API_PATTERN.test(url.pathname)) {
+    event.respondWith(networkFirst(request, API_CACHE, MAX_API_RESPONSES))
+  } else if (isPageRequest(request) && PAGE_PATTERN.test(url.pathname)) {
+    event.respondWith(staleWhileRevalidate(request, event))
+  } else if (request.mode === 'navigate') {
+    // Other pages may be personal, they are never stored
+    event.respondWith(fetch(request).catch(offlineResponse))
+  }
+})
+
+// Navigations and the HTML fetched by page transitions
+function isPageRequest(request) {
+  return request.mode === 'navigate' || (request.headers.get('Accept') || '').includes('text/html')
+}
+
+async function cacheFirst(request) {
+  const cached = await caches.match(request, { cacheName: PRECACHE })
+  return cached || fetch(request)
+}
+
+async function cacheFirstRuntime(request, cacheName, maxEntries) {
+  const cached = await caches.match(request, { cacheName })
+
+  if (cached) return cached
+
+  const response = await fetch(request)
+
+  if (response.ok) {
+    await store(cacheName, request, response.clone(), maxEntries)
+  }
+
+  return response
+}
+
+async function networkFirst(request, cacheName, maxEntries) {
+  try {
+    const response = await fetch(request)
+
+    if (response.ok) {
+      await store(cacheName, request, response.clone(), maxEntries)
+    }
+
+    return response
+  } catch (error) {
+    const cached = await caches.match(request, { cacheName })
+
+    if (cached) return cached
+
+    throw error
+  }
+}
+
+// Answer from the cache at once and refresh it in the background
+async function staleWhileRevalidate(request, event) {
+  const cached = await caches.match(request, { cacheName: PAGES_CACHE })
+
+  const network = fetch(request)
+    .then(async response => {
+      if (response.ok) {
+        await store(PAGES_CACHE, request, response.clone(), MAX_PAGES)
+      }
+      return response
+    })
+
+  if (cached) {
+    event.waitUntil(network.catch(() => {}))
+    return cached
+  }
+
+  try {
+    return await network
+  } catch (error) {
+    if (request.mode === 'navigate') return offlineResponse()
+    throw error
+  }
+}
+
+async function offlineResponse() {
+  return (await caches.match(OFFLINE_URL, { cacheName: PRECACHE })) ||
+    new Response('You are offline.', { status: 503, headers: { 'Content-Type': 'text/plain' } })
+}
+
+async function store(cacheName, request, response, maxEntries) {
+  // Only cache what the server allows to be stored
+  if ((response.headers.get('Cache-Control') || '').includes('no-store')) {
+    return
+  }
+
+  const cache = await caches.open(cacheName)
+  await cache.put(request, response)
+
+  const keys = await cache.keys()
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)))
+}
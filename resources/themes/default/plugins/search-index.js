@@ -0,0 +1,181 @@
+/**
+ * Search Index Plugin
+ *
+ * Builds search-index.json from the Markdown content at build time
+ * (and serves it from the dev server)
+ */
+
+import { readdirSync, readFileSync, existsSync } from 'fs'
+import { join, basename } from 'path'
+
+const INDEX_FILE = 'search-index.json'
+
+// Keep the index small, the body is only used for lower-ranked matches
+const MAX_BODY_LENGTH = 5000
+
+export default function searchIndex({ contentDir, sources = defaultSources() } = {}) {
+  let base = '/'
+
+  const build = () => JSON.stringify({
+    version: 1,
+    generated: new Date().toISOString(),
+    documents: sources.flatMap(source => readSource(contentDir, source))
+  })
+
+  return {
+    name: 'hdm-boot-search-index',
+
+    configResolved(config) {
+      base = config.base
+    },
+
+    // Serve a fresh index during development
+    configureServer(server) {
+      server.middlewares.use(`${base}${INDEX_FILE}`, (req, res) => {
+        res.setHeader('Content-Type', 'application/json')
+        res.end(build())
+      })
+    },
+
+    buildStart() {
+      sources.forEach(source => this.addWatchFile(join(contentDir, source.dir)))
+    },
+
+    generateBundle() {
+      this.emitFile({
+        type: 'asset',
+        fileName: INDEX_FILE,
+        source: build()
+      })
+    }
+  }
+}
+
+// Content collections and the URLs they are served from
+function defaultSources() {
+  return [
+    { dir: 'articles', type: 'article', url: slug => `/blog/article/${slug}` },
+    { dir: 'docs', type: 'doc', url: slug => `/docs/${slug}` }
+  ]
+}
+
+// Read every Markdown file of one collection
+function readSource(contentDir, source) {
+  const dir = join(contentDir, source.dir)
+
+  if (!existsSync(dir)) {
+    return []
+  }
+
+  return readdirSync(dir)
+    .filter(file => file.endsWith('.md'))
+    .map(file => {
+      const { attributes, body } = parseFrontMatter(readFileSync(join(dir, file), 'utf8'))
+
+      // Drafts never reach the public index
+      if (source.type === 'article' && !isPublished(attributes)) {
+        return null
+      }
+
+      const slug = attributes.slug || basename(file, '.md')
+      const text = markdownToText(body)
+
+      return {
+        id: `${source.type}:${slug}`,
+        type: source.type,
+        title: attributes.title || slug,
+        url: source.url(slug),
+        excerpt: attributes.excerpt || attributes.description || text.slice(0, 160),
+        category: attributes.category || '',
+        tags: Array.isArray(attributes.tags) ? attributes.tags : [],
+        headings: extractHeadings(body),
+        body: text.slice(0, MAX_BODY_LENGTH)
+      }
+    })
+    .filter(Boolean)
+}
+
+// Same rule as Article::isPublished(): flagged published and not scheduled
+// for later. Scheduled articles are indexed by the first build after they go out.
+function isPublished(attributes) {
+  if (attributes.published !== true) {
+    return false
+  }
+
+  const publishedAt = attributes.published_at
+
+  if (publishedAt === undefined || publishedAt === null || publishedAt === 'null' || publishedAt === '~') {
+    return true
+  }
+
+  const time = Date.parse(String(publishedAt).replace(' ', 'T'))
+
+  return !Number.isNaN(time) && time <= Date.now()
+}
+
+// Minimal YAML front-matter parser for the fields the content uses
+function parseFrontMatter(source) {
+  const match = source.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/)
+
+  if (!match) {
+    return { attributes: {}, body: source }
+  }
+
+  const attributes = {}
+  let listKey = null
+
+  match[1].split(/\r?\n/).forEach(line => {
+    const item = line.match(/^\s+-\s+(.*)$/)
+
+    if (item && listKey) {
+      attributes[listKey].push(parseScalar(item[1]))
+      return
+    }
+
+    const pair = line.match(/^([\w-]+):\s*(.*)$/)
+    if (!pair) return
+
+    const [, key, raw] = pair
+
+    if (raw === '') {
+      listKey = key
+      attributes[key] = []
+    } else {
+      listKey = null
+      attributes[key] = parseScalar(raw)
+    }
+  })
+
+  return { attributes, body: source.slice(match[0].length) }
+}
+
+function parseScalar(raw) {
+  const value = raw.trim()
+
+  if (value.startsWith('[') && value.endsWith(']')) {
+    return value.slice(1, -1).split(',').map(part => parseScalar(part)).filter(part => part !== '')
+  }
+  if (/^(['"]).*\1$/.test(value)) return value.slice(1, -1)
+  if (value === 'true') return true
+  if (value === 'false') return false
+
+  return value
+}
+
+function extractHeadings(markdown) {
+  return Array.from(markdown.matchAll(/^#{1,6}\s+(.+)$/gm), match => markdownToText(match[1]))
+}
+
+// Plain text for matching, code blocks and markup removed
+function markdownToText(markdown) {
+  return markdown
+    .replace(/```[\s\S]*?```/g, ' ')
+    .replace(/`([^`]*)`/g, '$1')
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, ' ')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/^[#>\-*+]+\s*/gm, '')
+    .replace(/[*_~]+/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+}
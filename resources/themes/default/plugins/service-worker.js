@@ -0,0 +1,86 @@
+/**
+ * Service Worker Plugin
+ *
+ * Writes sw.js next to the build, with a precache list of the hashed
+ * assets from the Vite manifest and a version that changes with them.
+ * Only entries and what they import statically are precached; lazily
+ * loaded chunks are cached by the worker the first time they are used.
+ */
+
+import { readFileSync, writeFileSync, existsSync } from 'fs'
+import { join } from 'path'
+import { createHash } from 'crypto'
+
+const MANIFEST_FILE = '.vite/manifest.json'
+
+export default function serviceWorker({ src, offlinePage, extraFiles = [] }) {
+  let config
+
+  return {
+    name: 'hdm-boot-service-worker',
+    apply: 'build',
+
+    configResolved(resolved) {
+      config = resolved
+    },
+
+    generateBundle() {
+      this.emitFile({
+        type: 'asset',
+        fileName: 'offline.html',
+        source: readFileSync(offlinePage, 'utf8')
+      })
+    },
+
+    // The manifest is only complete once every file has been written
+    writeBundle() {
+      const outDir = config.build.outDir
+      const manifestPath = join(outDir, MANIFEST_FILE)
+
+      if (!existsSync(manifestPath)) {
+        this.warn(`${MANIFEST_FILE} not found, enable build.manifest to precache assets`)
+        return
+      }
+
+      const manifest = JSON.parse(readFileSync(manifestPath, 'utf8'))
+      const files = new Set(['offline.html', ...extraFiles])
+
+      // Walk the static import graph from the entries
+      const pending = Object.keys(manifest).filter(key => manifest[key].isEntry)
+      const visited = new Set()
+
+      while (pending.length > 0) {
+        const key = pending.pop()
+        const chunk = manifest[key]
+
+        if (visited.has(key) || !chunk) continue
+        visited.add(key)
+
+        files.add(chunk.file)
+        chunk.css?.forEach(file => files.add(file))
+        chunk.assets?.forEach(file => files.add(file))
+        pending.push(...(chunk.imports || []))
+      }
+
+      const precached = [...files]
+        .filter(file => existsSync(join(outDir, file)))
+        .sort()
+
+      // Unhashed files such as offline.html change the version too
+      const hash = createHash('sha256').update(readFileSync(src))
+      precached.forEach(file => hash.update(file).update(readFileSync(join(outDir, file))))
+
+      const version = hash.digest('hex').slice(0, 12)
+      const precache = precached.map(file => `${config.base}${file}`)
+
+      const header = [
+        `const VERSION = ${JSON.stringify(version)}`,
+        `const PRECACHE_URLS = ${JSON.stringify(precache, null, 2)}`,
+        `const OFFLINE_URL = ${JSON.stringify(`${config.base}offline.html`)}`,
+        `const ASSET_BASE = ${JSON.stringify(config.base)}`
+      ].join('\n')
+
+      writeFileSync(join(outDir, 'sw.js'), `${header}\n\n${readFileSync(src, 'utf8')}`)
+    }
+  }
+}
@@ -0,0 +1,46 @@
+/**
+ * Source Maps Plugin
+ *
+ * Moves the hidden source maps of the build out of the web root, so they
+ * can't be downloaded. They are written under outDir keeping the public
+ * URL path of their bundle, e.g. var/sourcemaps/assets/themes/default/js/app-1a2b3c4d.js.map,
+ * where the Monitoring module's SourceMapResolver finds them.
+ */
+
+import { mkdirSync, rmSync, writeFileSync } from 'fs'
+import { dirname, join } from 'path'
+
+export default function sourceMaps({ outDir }) {
+  let config
+
+  return {
+    name: 'hdm-boot-source-maps',
+    apply: 'build',
+
+    configResolved(resolved) {
+      config = resolved
+    },
+
+    // Maps of earlier builds would pile up otherwise
+    buildStart() {
+      rmSync(join(outDir, config.base), { recursive: true, force: true })
+    },
+
+    generateBundle(options, bundle) {
+      // Visible maps are referenced from the bundles and have to stay with them
+      if (config.build.sourcemap !== 'hidden') return
+
+      Object.keys(bundle)
+        .filter(fileName => fileName.endsWith('.map'))
+        .forEach((fileName) => {
+          const target = join(outDir, config.base, fileName)
+          const { source } = bundle[fileName]
+
+          mkdirSync(dirname(target), { recursive: true })
+          writeFileSync(target, source)
+
+          delete bundle[fileName]
+        })
+    }
+  }
+}
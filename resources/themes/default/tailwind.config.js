@@ -1,5 +1,73 @@
+const themeConfig = require('./theme.json')
+
+// Default palette; theme.json colors.palettes can override any shade
+const defaultPalette = {
+  primary: {
+    50: '#eff6ff',
+    100: '#dbeafe',
+    200: '#bfdbfe',
+    300: '#93c5fd',
+    400: '#60a5fa',
+    500: '#3b82f6',
+    600: '#2563eb',
+    700: '#1d4ed8',
+    800: '#1e40af',
+    900: '#1e3a8a',
+    950: '#172554'
+  },
+  secondary: {
+    50: '#f8fafc',
+    100: '#f1f5f9',
+    200: '#e2e8f0',
+    300: '#cbd5e1',
+    400: '#94a3b8',
+    500: '#64748b',
+    600: '#475569',
+    700: '#334155',
+    800: '#1e293b',
+    900: '#0f172a',
+    950: '#020617'
+  }
+}
+
+// Utilities read the active palette from CSS variables, keeping opacity modifiers
+function paletteColor(name) {
+  return Object.fromEntries(Object.keys(defaultPalette[name]).map(shade => [
+    shade,
+    `rgb(var(--palette-${name}-${shade}) / <alpha-value>)`
+  ]))
+}
+
+// "#3b82f6" -> "59 130 246"
+function channels(hex) {
+  const value = parseInt(hex.replace('#', ''), 16)
+  return `${(value >> 16) & 255} ${(value >> 8) & 255} ${value & 255}`
+}
+
+function paletteVariables(colors) {
+  return Object.fromEntries(Object.entries(colors).flatMap(([name, shades]) =>
+    Object.entries(shades).map(([shade, hex]) => [`--palette-${name}-${shade}`, channels(hex)])
+  ))
+}
+
+// :root gets the default palette, <html data-palette="..."> the named ones
+function palettes({ addBase }) {
+  const named = themeConfig.colors?.palettes || {}
+
+  addBase({
+    ':root': paletteVariables(defaultPalette),
+    ...Object.fromEntries(Object.entries(named).map(([name, colors]) => [
+      `[data-palette="${name}"]`,
+      paletteVariables(colors)
+    ]))
+  })
+}
+
 /** @type {import('tailwindcss').Config} */
 export default {
+  // Dark mode follows the theme store (class on <html>), not only the OS
+  darkMode: 'class',
+  
   content: [
     // Theme views
     './views/**/*.{html,php,twig}',
@@ -15,34 +83,10 @@ export default {
   
   theme: {
     extend: {
-      // Custom colors for HDM Boot
+      // Custom colors for HDM Boot, switchable through palettes
       colors: {
-        primary: {
-          50: '#eff6ff',
-          100: '#dbeafe',
-          200: '#bfdbfe',
-          300: '#93c5fd',
-          400: '#60a5fa',
-          500: '#3b82f6',
-          600: '#2563eb',
-          700: '#1d4ed8',
-          800: '#1e40af',
-          900: '#1e3a8a',
-          950: '#172554'
-        },
-        secondary: {
-          50: '#f8fafc',
-          100: '#f1f5f9',
-          200: '#e2e8f0',
-          300: '#cbd5e1',
-          400: '#94a3b8',
-          500: '#64748b',
-          600: '#475569',
-          700: '#334155',
-          800: '#1e293b',
-          900: '#0f172a',
-          950: '#020617'
-        }
+        primary: paletteColor('primary'),
+        secondary: paletteColor('secondary')
       },
       
       // Custom fonts
@@ -126,6 +170,7 @@ export default {
   plugins: [
     require('@tailwindcss/forms'),
     require('@tailwindcss/typography'),
-    require('@tailwindcss/aspect-ratio')
+    require('@tailwindcss/aspect-ratio'),
+    palettes
   ]
 }
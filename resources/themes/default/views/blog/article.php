@@ -100,10 +100,10 @@ ob_start();
             </a>
         </div>
     </div>
-</div>
 
-<!-- Reading progress bar -->
-<div class="reading-progress fixed top-0 left-0 w-full h-1 bg-primary-600 transform scale-x-0 origin-left z-50"></div>
+    <!-- Reading progress bar -->
+    <div class="reading-progress fixed top-0 left-0 w-full h-1 bg-primary-600 transform scale-x-0 origin-left z-50"></div>
+</div>
 
 <?php
 $content = ob_get_clean();
@@ -0,0 +1,167 @@
+<?php
+/**
+ * Blog Editor Template
+ */
+
+$editing = ($slug ?? '') !== '';
+$title = ($editing ? 'Edit Article' : 'New Article') . ' - HDM Boot Blog';
+$bodyClass = 'article-page editor-page';
+
+ob_start();
+?>
+
+<div class="page-content">
+<div class="editor-container">
+    <div class="mb-6">
+        <a href="/blog" class="text-primary-600 hover:text-primary-700 font-medium">← Back to Blog</a>
+    </div>
+
+    <!-- Saving goes through the API, which needs its own sign-in -->
+    <div x-data="{ email: <?= htmlspecialchars((string) json_encode($email ?? ''), ENT_QUOTES) ?>, password: '' }" x-show="!$store.auth.loggedIn && !$store.auth.loading" class="editor-login" style="display: none">
+        <h1 class="text-2xl font-bold text-gray-900 mb-2">Sign in to write</h1>
+        <p class="text-gray-600 mb-6">Confirm your password to create and edit articles.</p>
+
+        <form @submit.prevent="$store.auth.login(email, password)">
+            <div class="form-group">
+                <label for="editor-email" class="form-label">Email</label>
+                <input id="editor-email" type="email" class="form-input" x-model="email" autocomplete="username" required>
+            </div>
+            <div class="form-group">
+                <label for="editor-password" class="form-label">Password</label>
+                <input id="editor-password" type="password" class="form-input" x-model="password" autocomplete="current-password" required>
+            </div>
+            <p class="form-error" x-show="$store.auth.error" x-text="$store.auth.error" role="alert"></p>
+            <button type="submit" class="btn btn-primary">Sign in</button>
+        </form>
+    </div>
+
+    <div x-data="articleEditor('<?= htmlspecialchars($slug ?? '', ENT_QUOTES) ?>')" x-show="$store.auth.loggedIn" class="editor" style="display: none">
+        <form
+            x-ref="form"
+            class="editor-form"
+            data-draft="article:<?= htmlspecialchars($editing ? $slug : 'new', ENT_QUOTES) ?>"
+            @submit.prevent="save()"
+            @keydown.ctrl.s.prevent="save()"
+            @keydown.meta.s.prevent="save()"
+            :aria-busy="loading || saving"
+        >
+            <div class="editor-toolbar">
+                <h1 class="editor-heading"><?= $editing ? 'Edit Article' : 'New Article' ?></h1>
+
+                <div class="editor-actions">
+                    <a x-show="slug && fields.status === 'published'" :href="'/blog/article/' + encodeURIComponent(slug)" class="btn btn-outline" target="_blank" rel="noopener">View</a>
+                    <button type="button" x-show="slug && $store.auth.hasRole('admin')" class="btn btn-outline editor-delete" x-modal:open="delete-article" :disabled="saving">Delete</button>
+                    <button type="button" class="btn btn-secondary" @click="save('draft')" :disabled="saving || uploads > 0">Save draft</button>
+                    <button type="button" class="btn btn-primary" @click="save('published')" :disabled="saving || uploads > 0">Publish</button>
+                </div>
+            </div>
+
+            <p class="editor-message" x-show="message" x-text="message" role="status"></p>
+            <p class="editor-error" x-show="error" x-text="error" role="alert"></p>
+
+            <!-- The article changed on the server since it was opened -->
+            <div class="editor-conflict" x-show="conflict" role="alert">
+                <p>
+                    This article was changed on the server
+                    <template x-if="conflict?.title"><span>(now titled “<strong x-text="conflict.title"></strong>”)</span></template>.
+                    Keep your version and overwrite it on the next save, or load the server's version and lose your changes.
+                </p>
+                <div class="editor-conflict-actions">
+                    <button type="button" class="btn btn-secondary" @click="keepMine()">Keep mine</button>
+                    <button type="button" class="btn btn-outline" @click="useServerVersion()">Load server version</button>
+                </div>
+            </div>
+
+            <div class="editor-meta">
+                <div class="form-group editor-title">
+                    <label for="article-title" class="form-label">Title</label>
+                    <input id="article-title" name="title" type="text" class="form-input" x-model="fields.title" required>
+                    <p class="form-error" x-show="errors.title" x-text="errors.title"></p>
+                </div>
+
+                <div class="form-group">
+                    <label for="article-slug" class="form-label">Slug</label>
+                    <input id="article-slug" name="slug" type="text" class="form-input" x-model="fields.slug" @input="onSlugInput($event)" spellcheck="false" aria-describedby="article-slug-state">
+                    <p id="article-slug-state" class="editor-slug-state" :class="slugState" aria-live="polite">
+                        <span x-show="slugState === 'checking'">Checking…</span>
+                        <span x-show="slugState === 'available'">Available</span>
+                        <span x-show="slugState === 'taken'">Already used by another article</span>
+                        <span x-show="slugState === 'invalid'">Lowercase letters, numbers and hyphens only</span>
+                    </p>
+                </div>
+
+                <div class="form-group">
+                    <label for="article-category" class="form-label">Category</label>
+                    <input id="article-category" name="category" type="text" class="form-input" x-model="fields.category">
+                </div>
+
+                <div class="form-group">
+                    <label for="article-tags" class="form-label">Tags</label>
+                    <input id="article-tags" name="tags" type="text" class="form-input" x-model="fields.tags" placeholder="php, slim, tutorial">
+                </div>
+
+                <div class="form-group">
+                    <label for="article-status" class="form-label">Status</label>
+                    <select id="article-status" name="status" class="form-select" x-model="fields.status">
+                        <option value="draft">Draft</option>
+                        <option value="published">Published</option>
+                    </select>
+                </div>
+
+                <div class="form-group editor-excerpt">
+                    <label for="article-excerpt" class="form-label">Excerpt</label>
+                    <textarea id="article-excerpt" name="excerpt" class="form-textarea" rows="2" x-model="fields.excerpt"></textarea>
+                </div>
+            </div>
+
+            <!-- Small screens show one pane at a time -->
+            <div class="editor-tabs" role="tablist">
+                <button type="button" role="tab" :aria-selected="tab === 'write'" @click="tab = 'write'">Write</button>
+                <button type="button" role="tab" :aria-selected="tab === 'preview'" @click="tab = 'preview'">Preview</button>
+            </div>
+
+            <div class="editor-panes">
+                <div class="editor-pane" :class="{ 'is-active': tab === 'write' }">
+                    <label for="article-content" class="sr-only">Content</label>
+                    <textarea
+                        id="article-content"
+                        name="content"
+                        x-ref="content"
+                        class="editor-textarea"
+                        x-model="fields.content"
+                        @paste="onPaste($event)"
+                        @dragover.prevent
+                        @drop="onDrop($event)"
+                        spellcheck="true"
+                        placeholder="Write in Markdown. Paste or drop images to upload them."
+                        required
+                    ></textarea>
+                    <p class="form-error" x-show="errors.content" x-text="errors.content"></p>
+                    <p class="editor-hint" x-show="uploads > 0" aria-live="polite">Uploading images…</p>
+                </div>
+
+                <div class="editor-pane" :class="{ 'is-active': tab === 'preview' }">
+                    <div x-ref="preview" class="article-body prose-custom editor-preview" x-html="preview" aria-live="off"></div>
+                </div>
+            </div>
+        </form>
+
+        <div x-modal="delete-article" class="modal" aria-labelledby="delete-article-title" hidden>
+            <div class="modal-panel">
+                <h2 id="delete-article-title" class="modal-title">Delete this article?</h2>
+                <p class="text-gray-600 mb-6">It is removed for good, readers will no longer find it.</p>
+                <div class="editor-conflict-actions">
+                    <button type="button" class="btn btn-outline" x-modal:close>Cancel</button>
+                    <button type="button" class="btn btn-primary editor-delete" @click="remove()" :disabled="saving">Delete</button>
+                </div>
+            </div>
+        </div>
+    </div>
+</div>
+</div>
+
+<?php
+$content = ob_get_clean();
+$viewRenderer = new \HdmBoot\SharedKernel\Services\ViewRenderer();
+echo $viewRenderer->renderWithLayout('layouts.app', $content, compact('title', 'bodyClass'));
+?>
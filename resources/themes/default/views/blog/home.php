@@ -3,7 +3,9 @@
  * Blog Home Template
  *
  * Variables available:
- * - $articles: array of published articles
+ * - $articles: first page of published articles
+ * - $totalPublished: number of published articles
+ * - $perPage: articles per page
  * - $allArticles: array of all articles
  * - $categories: array of categories
  * - $tags: array of tags
@@ -41,18 +43,18 @@
                     <!-- Dark Mode Toggle -->
                     <button
                         class="dark-mode-toggle p-2 rounded-lg text-gray-600 hover:text-gray-900 hover:bg-gray-100 transition-all duration-200"
-                        x-data="{ dark: false }"
-                        @click="toggleDarkMode()"
-                        :class="{ 'text-yellow-500': !dark, 'text-blue-400': dark }"
+                        x-data
+                        @click="$store.theme.toggle()"
+                        :class="{ 'text-yellow-500': !$store.theme.dark, 'text-blue-400': $store.theme.dark }"
                         title="Toggle dark mode"
                         aria-label="Toggle dark mode"
                         role="switch"
-                        :aria-checked="dark"
+                        :aria-checked="$store.theme.dark"
                     >
-                        <svg x-show="!dark" class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <svg x-show="!$store.theme.dark" class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                             <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M20.354 15.354A9 9 0 018.646 3.646 9.003 9.003 0 0012 21a9.003 9.003 0 008.354-5.646z"></path>
                         </svg>
-                        <svg x-show="dark" class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <svg x-show="$store.theme.dark" class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                             <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 3v1m0 16v1m9-9h-1M4 12H3m15.364 6.364l-.707-.707M6.343 6.343l-.707-.707m12.728 0l-.707.707M6.343 17.657l-.707.707M16 12a4 4 0 11-8 0 4 4 0 018 0z"></path>
                         </svg>
                     </button>
@@ -85,7 +87,17 @@
                 </div>
             <?php else: ?>
                 <h2 class="text-2xl font-bold text-gray-900 mb-6 animate-fade-in">Latest Articles</h2>
-                <div class="blog-listing scroll-stagger">
+                <div class="blog-new-articles" role="status" aria-live="polite">
+                    <button type="button" class="btn btn-primary" hidden></button>
+                </div>
+                <?php $perPage = $perPage ?? count($articles); ?>
+                <?php $hasMore = ($totalPublished ?? count($articles)) > count($articles); ?>
+                <div
+                    class="blog-listing scroll-stagger"
+                    data-next-page="2"
+                    data-per-page="<?= (int) $perPage ?>"
+                    data-has-more="<?= $hasMore ? 'true' : 'false' ?>"
+                >
                     <?php foreach ($articles as $article): ?>
                         <?php
                         $title = htmlspecialchars($article->getAttribute('title') ?? 'Untitled');
@@ -95,9 +107,11 @@
                         $publishedAt = htmlspecialchars($article->getAttribute('published_at') ?? '');
                         $readingTime = is_numeric($article->getAttribute('reading_time')) ? (int) $article->getAttribute('reading_time') : 1;
                         $category = htmlspecialchars($article->getAttribute('category') ?? '');
+                        $articleTags = $article->getAttribute('tags');
+                        $tagList = htmlspecialchars(is_array($articleTags) ? implode(',', $articleTags) : '');
                         ?>
                         
-                        <article class="blog-card stagger-item group">
+                        <article class="blog-card stagger-item group" data-slug="<?= $slug ?>" data-tags="<?= $tagList ?>">
                             <!-- Article Image Placeholder -->
                             <div class="blog-card-image">
                                 <div class="absolute inset-0 flex items-center justify-center">
@@ -131,6 +145,43 @@
                         </article>
                     <?php endforeach; ?>
                 </div>
+
+                <?php if ($hasMore): ?>
+                    <div class="blog-load-more">
+                        <div class="load-more-sentinel" aria-hidden="true"></div>
+                        <p class="load-more-status" role="status" aria-live="polite"></p>
+                        <button type="button" class="load-more btn btn-outline">Load more articles</button>
+                    </div>
+                <?php endif; ?>
+
+                <!-- Card template for articles loaded from the API -->
+                <template id="blog-card-template">
+                    <article class="blog-card stagger-item group">
+                        <div class="blog-card-image">
+                            <div class="absolute inset-0 flex items-center justify-center">
+                                <div class="text-6xl opacity-20">📝</div>
+                            </div>
+                        </div>
+
+                        <div class="blog-card-content">
+                            <span class="blog-post-category" data-field="category"></span>
+
+                            <h2 class="blog-card-title">
+                                <a data-field="link"></a>
+                            </h2>
+
+                            <div class="blog-card-excerpt" data-field="excerpt"></div>
+
+                            <div class="blog-card-meta">
+                                <div class="blog-card-author">
+                                    <div class="blog-card-avatar" data-field="avatar"></div>
+                                    <span class="font-semibold" data-field="author"></span>
+                                </div>
+                                <div class="blog-card-date" data-field="date"></div>
+                            </div>
+                        </div>
+                    </article>
+                </template>
             <?php endif; ?>
         </div>
         
@@ -171,7 +222,7 @@
                 <h3 class="sidebar-widget-title">📊 Blog Statistics</h3>
                 <div class="space-y-2">
                     <p><strong><?= count($allArticles ?? []) ?></strong> total articles</p>
-                    <p><strong><?= count($articles ?? []) ?></strong> published</p>
+                    <p><strong><?= $totalPublished ?? count($articles ?? []) ?></strong> published</p>
                     <p><strong><?= count($categories ?? []) ?></strong> categories</p>
                     <p><strong><?= count($tags ?? []) ?></strong> tags</p>
                 </div>
@@ -25,15 +25,15 @@
                     <!-- Dark Mode Toggle -->
                     <button 
                         class="dark-mode-toggle p-2 rounded-lg text-gray-600 hover:text-gray-900 hover:bg-gray-100 transition-all duration-200"
-                        x-data="{ dark: false }"
-                        @click="toggleDarkMode()"
-                        :class="{ 'text-yellow-500': !dark, 'text-blue-400': dark }"
+                        x-data
+                        @click="$store.theme.toggle()"
+                        :class="{ 'text-yellow-500': !$store.theme.dark, 'text-blue-400': $store.theme.dark }"
                         title="Toggle dark mode"
                     >
-                        <svg x-show="!dark" class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <svg x-show="!$store.theme.dark" class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                             <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M20.354 15.354A9 9 0 018.646 3.646 9.003 9.003 0 0012 21a9.003 9.003 0 008.354-5.646z"></path>
                         </svg>
-                        <svg x-show="dark" class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <svg x-show="$store.theme.dark" class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                             <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 3v1m0 16v1m9-9h-1M4 12H3m15.364 6.364l-.707-.707M6.343 6.343l-.707-.707m12.728 0l-.707.707M6.343 17.657l-.707.707M16 12a4 4 0 11-8 0 4 4 0 018 0z"></path>
                         </svg>
                     </button>
@@ -60,7 +60,7 @@
                 </p>
                 
                 <!-- Breadcrumb -->
-                <nav class="flex items-center justify-center space-x-2 text-sm text-gray-500">
+                <nav class="flex items-center justify-center space-x-2 text-sm text-gray-500" x-data x-breadcrumbs>
                     <a href="/blog" class="hover:text-primary-600">Blog</a>
                     <span>→</span>
                     <a href="/blog/tags" class="hover:text-primary-600">Tags</a>
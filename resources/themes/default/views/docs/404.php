@@ -25,15 +25,15 @@
                     <!-- Dark Mode Toggle -->
                     <button 
                         class="dark-mode-toggle p-2 rounded-lg text-gray-600 hover:text-gray-900 hover:bg-gray-100 transition-all duration-200"
-                        x-data="{ dark: false }"
-                        @click="toggleDarkMode()"
-                        :class="{ 'text-yellow-500': !dark, 'text-blue-400': dark }"
+                        x-data
+                        @click="$store.theme.toggle()"
+                        :class="{ 'text-yellow-500': !$store.theme.dark, 'text-blue-400': $store.theme.dark }"
                         title="Toggle dark mode"
                     >
-                        <svg x-show="!dark" class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <svg x-show="!$store.theme.dark" class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                             <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M20.354 15.354A9 9 0 018.646 3.646 9.003 9.003 0 0012 21a9.003 9.003 0 008.354-5.646z"></path>
                         </svg>
-                        <svg x-show="dark" class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <svg x-show="$store.theme.dark" class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                             <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 3v1m0 16v1m9-9h-1M4 12H3m15.364 6.364l-.707-.707M6.343 6.343l-.707-.707m12.728 0l-.707.707M6.343 17.657l-.707.707M16 12a4 4 0 11-8 0 4 4 0 018 0z"></path>
                         </svg>
                     </button>
@@ -129,13 +129,9 @@
                     <!-- Documentation Structure -->
                     <div class="docs-widget">
                         <h3 class="docs-widget-title">📂 Documentation</h3>
-                        <div class="docs-tree">
-                            <?php if (!empty($docsStructure)): ?>
-                                <?= renderDocsTree($docsStructure) ?>
-                            <?php else: ?>
-                                <p class="text-gray-500 text-sm">No documentation structure available.</p>
-                            <?php endif; ?>
-                        </div>
+                        <nav class="docs-tree-nav" aria-label="Documentation">
+                            <?php include __DIR__ . '/partials/tree.php'; ?>
+                        </nav>
                     </div>
                     
                     <!-- Quick Links -->
@@ -169,33 +165,3 @@
     </footer>
 </body>
 </html>
-
-<?php
-// Helper function to render docs tree
-function renderDocsTree($structure, $level = 0) {
-    $html = '';
-    
-    // Render directories
-    if (!empty($structure['dirs'])) {
-        foreach ($structure['dirs'] as $dirName => $dirStructure) {
-            $html .= '<div class="docs-tree-dir" style="margin-left: ' . ($level * 16) . 'px;">';
-            $html .= '<span class="docs-tree-folder">📁 ' . htmlspecialchars($dirName) . '</span>';
-            $html .= renderDocsTree($dirStructure, $level + 1);
-            $html .= '</div>';
-        }
-    }
-    
-    // Render files
-    if (!empty($structure['files'])) {
-        foreach ($structure['files'] as $file) {
-            $html .= '<div class="docs-tree-file" style="margin-left: ' . ($level * 16) . 'px;">';
-            $html .= '<a href="/docs/' . htmlspecialchars($file['path']) . '" class="docs-tree-link">';
-            $html .= '📄 ' . htmlspecialchars($file['title']);
-            $html .= '</a>';
-            $html .= '</div>';
-        }
-    }
-    
-    return $html;
-}
-?>
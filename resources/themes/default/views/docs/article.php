@@ -25,15 +25,15 @@
                     <!-- Dark Mode Toggle -->
                     <button 
                         class="dark-mode-toggle p-2 rounded-lg text-gray-600 hover:text-gray-900 hover:bg-gray-100 transition-all duration-200"
-                        x-data="{ dark: false }"
-                        @click="toggleDarkMode()"
-                        :class="{ 'text-yellow-500': !dark, 'text-blue-400': dark }"
+                        x-data
+                        @click="$store.theme.toggle()"
+                        :class="{ 'text-yellow-500': !$store.theme.dark, 'text-blue-400': $store.theme.dark }"
                         title="Toggle dark mode"
                     >
-                        <svg x-show="!dark" class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <svg x-show="!$store.theme.dark" class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                             <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M20.354 15.354A9 9 0 018.646 3.646 9.003 9.003 0 0012 21a9.003 9.003 0 008.354-5.646z"></path>
                         </svg>
-                        <svg x-show="dark" class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <svg x-show="$store.theme.dark" class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                             <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 3v1m0 16v1m9-9h-1M4 12H3m15.364 6.364l-.707-.707M6.343 6.343l-.707-.707m12.728 0l-.707.707M6.343 17.657l-.707.707M16 12a4 4 0 11-8 0 4 4 0 018 0z"></path>
                         </svg>
                     </button>
@@ -47,7 +47,7 @@
         <div class="container docs-container">
             <!-- Breadcrumbs -->
             <?php if (!empty($breadcrumbs)): ?>
-                <nav class="docs-breadcrumbs">
+                <nav class="docs-breadcrumbs" x-data x-breadcrumbs>
                     <?php foreach ($breadcrumbs as $index => $breadcrumb): ?>
                         <?php if ($index > 0): ?>
                             <span class="docs-breadcrumb-separator">→</span>
@@ -76,6 +76,9 @@
                             <?= $content ?? '<p>No content available.</p>' ?>
                         </div>
                     </article>
+
+                    <!-- Previous / next page, filled from the docs tree order -->
+                    <nav class="docs-pager" aria-label="Previous and next page" data-docs-pager></nav>
                     
                     <!-- Navigation -->
                     <div class="docs-navigation mt-12 pt-8 border-t border-gray-200">
@@ -88,7 +91,7 @@
                                 <button onclick="window.print()" class="btn btn-outline">
                                     🖨️ Print
                                 </button>
-                                <button onclick="copyToClipboard(window.location.href)" class="btn btn-outline">
+                                <button type="button" data-copy-url class="btn btn-outline" aria-live="polite">
                                     🔗 Share
                                 </button>
                             </div>
@@ -100,7 +103,11 @@
                 <div class="docs-sidebar">
                     <!-- Table of Contents -->
                     <div class="docs-widget">
-                        <h3 class="docs-widget-title">📋 Table of Contents</h3>
+                        <h3 class="docs-widget-title">
+                            <button type="button" class="docs-toc-toggle" data-toc-toggle aria-expanded="true" aria-controls="toc-list">
+                                📋 Table of Contents
+                            </button>
+                        </h3>
                         <div class="docs-toc">
                             <div class="docs-toc-list" id="toc-list">
                                 <!-- TOC will be generated by JavaScript -->
@@ -112,13 +119,9 @@
                     <!-- Documentation Structure -->
                     <div class="docs-widget">
                         <h3 class="docs-widget-title">📂 Documentation</h3>
-                        <div class="docs-tree">
-                            <?php if (!empty($docsStructure)): ?>
-                                <?= renderDocsTree($docsStructure) ?>
-                            <?php else: ?>
-                                <p class="text-gray-500 text-sm">No documentation structure available.</p>
-                            <?php endif; ?>
-                        </div>
+                        <nav class="docs-tree-nav" aria-label="Documentation">
+                            <?php include __DIR__ . '/partials/tree.php'; ?>
+                        </nav>
                     </div>
                     
                     <!-- Quick Links -->
@@ -150,77 +153,5 @@
             <p>&copy; 2024 HDM Boot. Built with ❤️ and modern web technologies.</p>
         </div>
     </footer>
-
-    <script>
-        // Generate Table of Contents
-        document.addEventListener('DOMContentLoaded', function() {
-            generateTableOfContents();
-        });
-
-        function generateTableOfContents() {
-            const content = document.querySelector('.docs-article-content');
-            const tocList = document.getElementById('toc-list');
-            
-            if (!content || !tocList) return;
-            
-            const headings = content.querySelectorAll('h1, h2, h3, h4, h5, h6');
-            
-            if (headings.length === 0) {
-                tocList.innerHTML = '<p class="text-gray-500 text-sm">No headings found.</p>';
-                return;
-            }
-            
-            let tocHTML = '';
-            headings.forEach((heading, index) => {
-                const id = `heading-${index}`;
-                heading.id = id;
-                
-                const level = parseInt(heading.tagName.charAt(1));
-                const indent = (level - 1) * 16;
-                
-                tocHTML += `<div style="margin-left: ${indent}px;" class="py-1">
-                    <a href="#${id}" class="docs-toc-link text-sm">${heading.textContent}</a>
-                </div>`;
-            });
-            
-            tocList.innerHTML = tocHTML;
-        }
-
-        function copyToClipboard(text) {
-            navigator.clipboard.writeText(text).then(() => {
-                alert('Link copied to clipboard!');
-            });
-        }
-    </script>
 </body>
 </html>
-
-<?php
-// Helper function to render docs tree (same as in index.php)
-function renderDocsTree($structure, $level = 0) {
-    $html = '';
-    
-    // Render directories
-    if (!empty($structure['dirs'])) {
-        foreach ($structure['dirs'] as $dirName => $dirStructure) {
-            $html .= '<div class="docs-tree-dir" style="margin-left: ' . ($level * 16) . 'px;">';
-            $html .= '<span class="docs-tree-folder">📁 ' . htmlspecialchars($dirName) . '</span>';
-            $html .= renderDocsTree($dirStructure, $level + 1);
-            $html .= '</div>';
-        }
-    }
-    
-    // Render files
-    if (!empty($structure['files'])) {
-        foreach ($structure['files'] as $file) {
-            $html .= '<div class="docs-tree-file" style="margin-left: ' . ($level * 16) . 'px;">';
-            $html .= '<a href="/docs/' . htmlspecialchars($file['path']) . '" class="docs-tree-link">';
-            $html .= '📄 ' . htmlspecialchars($file['title']);
-            $html .= '</a>';
-            $html .= '</div>';
-        }
-    }
-    
-    return $html;
-}
-?>
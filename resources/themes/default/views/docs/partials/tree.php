@@ -0,0 +1,65 @@
+<?php
+/**
+ * Docs navigation tree.
+ *
+ * Nested lists with ARIA tree roles. Folders holding the current page are
+ * rendered expanded; components/docs-tree.js restores the reader's own
+ * expand state, adds the filter box and keyboard navigation.
+ *
+ * Expects $docsStructure and optionally $currentPath.
+ */
+
+$currentPath = $currentPath ?? '';
+
+$renderDocsTree = function (array $structure, string $parentPath = '', string $id = 'docs-tree') use (&$renderDocsTree, $currentPath): string {
+    $html = '';
+
+    foreach ($structure['dirs'] ?? [] as $dirName => $dirStructure) {
+        $path = ltrim($parentPath . '/' . $dirName, '/');
+        $groupId = $id . '-' . preg_replace('/[^a-z0-9]+/i', '-', $path);
+        $expanded = $currentPath !== '' && str_starts_with($currentPath, $path . '/');
+
+        $html .= '<li role="none" class="docs-tree-dir" data-path="' . htmlspecialchars($path) . '">';
+        $html .= '<span role="treeitem" class="docs-tree-folder" tabindex="-1"'
+            . ' aria-expanded="' . ($expanded ? 'true' : 'false') . '" aria-owns="' . htmlspecialchars($groupId) . '">';
+        $html .= '📁 ' . htmlspecialchars((string) $dirName);
+        $html .= '</span>';
+        $html .= '<ul role="group" id="' . htmlspecialchars($groupId) . '" class="docs-tree-group"' . ($expanded ? '' : ' hidden') . '>';
+        $html .= $renderDocsTree($dirStructure, $path, $id);
+        $html .= '</ul>';
+        $html .= '</li>';
+    }
+
+    foreach ($structure['files'] ?? [] as $file) {
+        $current = $file['path'] === $currentPath;
+
+        $html .= '<li role="none" class="docs-tree-file">';
+        $html .= '<a role="treeitem" tabindex="-1" href="/docs/' . htmlspecialchars($file['path']) . '" class="docs-tree-link"'
+            . ($current ? ' aria-current="page"' : '') . '>';
+        $html .= '📄 ' . htmlspecialchars($file['title']);
+        $html .= '</a>';
+        $html .= '</li>';
+    }
+
+    return $html;
+};
+?>
+<?php if (!empty($docsStructure)): ?>
+    <div class="docs-tree-filter">
+        <input
+            type="search"
+            class="form-input w-full text-sm"
+            placeholder="Filter pages..."
+            aria-label="Filter documentation pages"
+            aria-controls="docs-tree"
+            data-docs-tree-filter
+            hidden
+        >
+    </div>
+    <ul role="tree" id="docs-tree" class="docs-tree" aria-label="Documentation pages" data-docs-tree>
+        <?= $renderDocsTree($docsStructure) ?>
+    </ul>
+    <p class="docs-tree-empty text-gray-500 text-sm" data-docs-tree-empty hidden>No pages match.</p>
+<?php else: ?>
+    <p class="text-gray-500 text-sm">No documentation structure available.</p>
+<?php endif; ?>
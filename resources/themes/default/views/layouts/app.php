@@ -18,42 +18,127 @@
                     <a href="/" class="nav-link">Home</a>
                     <a href="/blog" class="nav-link">Blog</a>
                     <a href="/blog/about" class="nav-link">About</a>
-                    <a href="/api/blog/articles" class="nav-link">API</a>
+                    <div class="nav-dropdown" data-nav-dropdown>
+                        <button type="button" class="nav-link nav-dropdown-toggle" data-nav-dropdown-toggle aria-expanded="false" aria-controls="nav-resources">
+                            Resources
+                        </button>
+                        <ul id="nav-resources" class="nav-dropdown-menu" hidden>
+                            <li><a href="/docs" class="nav-dropdown-link">Documentation</a></li>
+                            <li class="nav-dropdown" data-nav-dropdown>
+                                <button type="button" class="nav-dropdown-link nav-dropdown-toggle" data-nav-dropdown-toggle aria-expanded="false" aria-controls="nav-resources-api">
+                                    API
+                                </button>
+                                <ul id="nav-resources-api" class="nav-dropdown-menu nav-dropdown-submenu" hidden>
+                                    <li><a href="/api/blog/articles" class="nav-dropdown-link">Articles</a></li>
+                                    <li><a href="/api/blog/categories" class="nav-dropdown-link">Categories</a></li>
+                                    <li><a href="/api/blog/stats" class="nav-dropdown-link">Stats</a></li>
+                                </ul>
+                            </li>
+                        </ul>
+                    </div>
                 </div>
 
                 <div class="flex items-center space-x-4">
+                    <!-- Search -->
+                    <button
+                        type="button"
+                        class="search-trigger"
+                        data-search-open
+                        aria-label="Search articles and docs"
+                        title="Search (Ctrl+K)"
+                    >
+                        <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z"></path>
+                        </svg>
+                        <kbd class="search-trigger-kbd hidden md:inline">Ctrl K</kbd>
+                    </button>
+
                     <!-- Dark Mode Toggle -->
                     <button
                         class="dark-mode-toggle p-2 rounded-lg text-gray-600 hover:text-gray-900 hover:bg-gray-100 transition-all duration-200"
-                        x-data="{ dark: false }"
-                        @click="toggleDarkMode()"
-                        :class="{ 'text-yellow-500': !dark, 'text-blue-400': dark }"
+                        x-data
+                        @click="$store.theme.toggle()"
+                        :class="{ 'text-yellow-500': !$store.theme.dark, 'text-blue-400': $store.theme.dark }"
                         title="Toggle dark mode"
                     >
-                        <svg x-show="!dark" class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <svg x-show="!$store.theme.dark" class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                             <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M20.354 15.354A9 9 0 018.646 3.646 9.003 9.003 0 0012 21a9.003 9.003 0 008.354-5.646z"></path>
                         </svg>
-                        <svg x-show="dark" class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <svg x-show="$store.theme.dark" class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                             <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 3v1m0 16v1m9-9h-1M4 12H3m15.364 6.364l-.707-.707M6.343 6.343l-.707-.707m12.728 0l-.707.707M6.343 17.657l-.707.707M16 12a4 4 0 11-8 0 4 4 0 018 0z"></path>
                         </svg>
                     </button>
 
+                    <!-- Colour Mode & Palette -->
+                    <div class="hidden md:flex items-center space-x-2" x-data>
+                        <select
+                            class="text-sm rounded-lg border-gray-300 bg-transparent"
+                            aria-label="Colour mode"
+                            :value="$store.theme.mode"
+                            @change="$store.theme.setMode($event.target.value)"
+                        >
+                            <option value="light">Light</option>
+                            <option value="dark">Dark</option>
+                            <option value="system">System</option>
+                        </select>
+                        <select
+                            class="text-sm rounded-lg border-gray-300 bg-transparent capitalize"
+                            aria-label="Colour palette"
+                            x-show="$store.theme.palettes.length > 1"
+                            :value="$store.theme.palette"
+                            @change="$store.theme.setPalette($event.target.value)"
+                        >
+                            <template x-for="name in $store.theme.palettes" :key="name">
+                                <option :value="name" x-text="name" :selected="name === $store.theme.palette"></option>
+                            </template>
+                        </select>
+                    </div>
+
+                    <!-- Language -->
+                    <select
+                        class="hidden md:block text-sm rounded-lg border-gray-300 bg-transparent"
+                        x-data
+                        x-show="$store.i18n.locales.length > 1"
+                        :aria-label="$t('locale.label')"
+                        :value="$store.i18n.locale"
+                        @change="$store.i18n.set($event.target.value)"
+                    >
+                        <template x-for="code in $store.i18n.locales" :key="code">
+                            <option :value="code" x-text="$store.i18n.name(code)" :selected="code === $store.i18n.locale"></option>
+                        </template>
+                    </select>
+
                     <!-- Mobile Menu Toggle -->
-                    <button class="navbar-toggler md:hidden">
-                    <span class="sr-only">Open menu</span>
-                    <svg class="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 6h16M4 12h16M4 18h16"></path>
-                    </svg>
-                </button>
+                    <button
+                        type="button"
+                        class="navbar-toggler md:hidden"
+                        data-nav-toggle
+                        aria-controls="mobile-menu"
+                        aria-expanded="false"
+                    >
+                        <span class="sr-only">Open menu</span>
+                        <svg class="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 6h16M4 12h16M4 18h16"></path>
+                        </svg>
+                    </button>
+                </div>
             </div>
 
             <!-- Mobile menu -->
-            <div class="mobile-menu hidden">
+            <div id="mobile-menu" class="mobile-menu" data-nav-menu hidden>
                 <div class="px-2 pt-2 pb-3 space-y-1">
                     <a href="/" class="nav-link block">Home</a>
                     <a href="/blog" class="nav-link block">Blog</a>
                     <a href="/blog/about" class="nav-link block">About</a>
-                    <a href="/api/blog/articles" class="nav-link block">API</a>
+                    <div class="nav-dropdown" data-nav-dropdown>
+                        <button type="button" class="nav-link nav-dropdown-toggle w-full text-left" data-nav-dropdown-toggle aria-expanded="false" aria-controls="mobile-nav-resources">
+                            Resources
+                        </button>
+                        <ul id="mobile-nav-resources" class="nav-dropdown-menu" hidden>
+                            <li><a href="/docs" class="nav-dropdown-link">Documentation</a></li>
+                            <li><a href="/api/blog/articles" class="nav-dropdown-link">API</a></li>
+                        </ul>
+                    </div>
                 </div>
             </div>
         </div>
@@ -87,6 +172,10 @@
                         <span class="bg-gray-800 px-3 py-1 rounded-full">
                             Stack: <?= implode(', ', array_slice($theme::getThemeStack(), 0, 2)) ?>
                         </span>
+                        <a href="/status" x-data="statusBadge" class="status-badge" :class="`is-${$store.status.status}`">
+                            <span class="status-dot" aria-hidden="true"></span>
+                            <span x-text="$store.status.label">System status</span>
+                        </a>
                     </div>
                 </div>
             </div>
@@ -0,0 +1,270 @@
+<?php
+/**
+ * Mark Dashboard Template
+ */
+
+$title = 'Mark Dashboard - HDM Boot';
+$bodyClass = 'admin-page';
+$base = '/mark/dashboard';
+
+ob_start();
+?>
+
+<div class="page-content">
+<div
+    x-data="adminDashboard('<?= $base ?>')"
+    data-client-routes="<?= $base ?>"
+    @click="follow($event)"
+    class="admin-container"
+>
+    <!-- The dashboard is for admins signed in with the API -->
+    <div x-data="{ email: '', password: '' }" x-show="!$store.auth.loggedIn && !$store.auth.loading" class="admin-login" style="display: none">
+        <h1 class="text-2xl font-bold text-gray-900 mb-2">Mark Dashboard</h1>
+        <p class="text-gray-600 mb-6">Sign in with an administrator account.</p>
+
+        <form @submit.prevent="$store.auth.login(email, password)">
+            <div class="form-group">
+                <label for="admin-email" class="form-label">Email</label>
+                <input id="admin-email" type="email" class="form-input" x-model="email" autocomplete="username" required>
+            </div>
+            <div class="form-group">
+                <label for="admin-password" class="form-label">Password</label>
+                <input id="admin-password" type="password" class="form-input" x-model="password" autocomplete="current-password" required>
+            </div>
+            <p class="form-error" x-show="$store.auth.error" x-text="$store.auth.error" role="alert"></p>
+            <button type="submit" class="btn btn-primary">Sign in</button>
+        </form>
+    </div>
+
+    <div x-show="$store.auth.loggedIn && !allowed" class="admin-login" style="display: none">
+        <h1 class="text-2xl font-bold text-gray-900 mb-2">No access</h1>
+        <p class="text-gray-600 mb-6">
+            You are signed in as <strong x-text="$store.auth.user?.email"></strong>, the dashboard needs an administrator.
+        </p>
+        <button type="button" class="btn btn-outline" @click="$store.auth.logout()">Sign out</button>
+    </div>
+
+    <div x-show="allowed" class="admin-shell" style="display: none">
+        <nav class="admin-nav" aria-label="Dashboard">
+            <p class="admin-brand">Mark</p>
+            <a :href="href()" :aria-current="route.section === 'overview' ? 'page' : null">Overview</a>
+            <a :href="href('users')" :aria-current="route.section === 'users' ? 'page' : null">Users</a>
+            <a :href="href('security')" :aria-current="route.section === 'security' ? 'page' : null">Security</a>
+            <button type="button" class="admin-signout" @click="$store.auth.logout()">Sign out</button>
+        </nav>
+
+        <main class="admin-main" :aria-busy="loading">
+            <div class="admin-toolbar">
+                <h1 class="admin-heading" x-ref="heading" tabindex="-1" x-text="heading"></h1>
+
+                <div class="admin-actions">
+                    <span class="admin-live" x-show="$store.events.live" title="Changes made elsewhere show up here as they happen">Live</span>
+                    <a x-show="route.name === 'users'" :href="href('users/new')" class="btn btn-primary">New user</a>
+                    <template x-if="route.name === 'user' && user">
+                        <div class="admin-actions">
+                            <a :href="href(`users/${encodeURIComponent(user.id)}/edit`)" class="btn btn-secondary">Edit</a>
+                            <button type="button" x-show="!isSelf(user)" class="btn btn-outline admin-danger" @click="confirmDelete(user)">Delete</button>
+                        </div>
+                    </template>
+                    <button type="button" x-show="route.name === 'security'" class="btn btn-outline" @click="cleanupSecurity()" :disabled="cleaning">
+                        Clean up old records
+                    </button>
+                </div>
+            </div>
+
+            <p class="admin-message" x-show="message" x-text="message" role="status"></p>
+            <p class="admin-error" x-show="error" x-text="error" role="alert"></p>
+
+            <!-- Overview -->
+            <section x-show="route.name === 'overview'">
+                <template x-if="statistics">
+                    <div class="admin-stats">
+                        <div class="admin-stat"><span>Users</span><strong x-text="statistics.total_users"></strong></div>
+                        <div class="admin-stat"><span>Active</span><strong x-text="statistics.active_users"></strong></div>
+                        <div class="admin-stat"><span>Inactive</span><strong x-text="statistics.inactive_users"></strong></div>
+                        <div class="admin-stat"><span>Admins</span><strong x-text="statistics.admin_users"></strong></div>
+                    </div>
+                </template>
+
+                <template x-if="statistics">
+                    <div class="admin-card">
+                        <h2 class="admin-card-title">Users by role</h2>
+                        <dl class="admin-list">
+                            <template x-for="(count, role) in statistics.users_by_role" :key="role">
+                                <div><dt x-text="role"></dt><dd x-text="count"></dd></div>
+                            </template>
+                        </dl>
+                    </div>
+                </template>
+
+                <template x-if="security">
+                    <div class="admin-card">
+                        <h2 class="admin-card-title">Logins in the last hour</h2>
+                        <dl class="admin-list">
+                            <div><dt>Successful</dt><dd x-text="security.recent_successful_attempts"></dd></div>
+                            <div><dt>Failed</dt><dd x-text="security.recent_failed_attempts"></dd></div>
+                        </dl>
+                        <a :href="href('security')" class="admin-more">Security details →</a>
+                    </div>
+                </template>
+            </section>
+
+            <!-- User table -->
+            <section x-show="route.name === 'users'">
+                <div class="admin-search">
+                    <label for="admin-search" class="sr-only">Search users</label>
+                    <input id="admin-search" type="search" class="form-input" placeholder="Search by name or email" x-model="search" @input="onSearchInput()">
+                </div>
+
+                <div class="admin-table-wrapper">
+                    <table class="admin-table">
+                        <thead>
+                            <tr>
+                                <template x-for="[column, label] in [['name', 'Name'], ['email', 'Email'], ['role', 'Role'], ['status', 'Status'], ['created_at', 'Created']]" :key="column">
+                                    <th scope="col" :aria-sort="sortState(column)">
+                                        <button type="button" @click="sortBy(column)" x-text="label"></button>
+                                    </th>
+                                </template>
+                                <th scope="col"><span class="sr-only">Actions</span></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            <template x-for="item in users" :key="item.id">
+                                <tr>
+                                    <td><a :href="href(`users/${encodeURIComponent(item.id)}`)" x-text="item.name"></a></td>
+                                    <td x-text="item.email"></td>
+                                    <td x-text="item.role"></td>
+                                    <td><span class="admin-badge" :class="`is-${item.status}`" x-text="item.status"></span></td>
+                                    <td x-text="item.created_at"></td>
+                                    <td class="admin-row-actions">
+                                        <a :href="href(`users/${encodeURIComponent(item.id)}/edit`)">Edit</a>
+                                        <button type="button" x-show="!isSelf(item)" class="admin-danger" @click="confirmDelete(item)">Delete</button>
+                                    </td>
+                                </tr>
+                            </template>
+                        </tbody>
+                    </table>
+                    <p class="admin-empty" x-show="!loading && users.length === 0">No users match.</p>
+                </div>
+            </section>
+
+            <!-- Single user -->
+            <section x-show="route.name === 'user'">
+                <template x-if="user">
+                    <dl class="admin-card admin-list">
+                        <div><dt>Name</dt><dd x-text="user.name"></dd></div>
+                        <div><dt>Email</dt><dd x-text="user.email"></dd></div>
+                        <div><dt>Role</dt><dd x-text="user.role"></dd></div>
+                        <div><dt>Status</dt><dd><span class="admin-badge" :class="`is-${user.status}`" x-text="user.status"></span></dd></div>
+                        <div><dt>Created</dt><dd x-text="user.created_at"></dd></div>
+                        <div><dt>Last login</dt><dd x-text="user.last_login_at || 'Never'"></dd></div>
+                    </dl>
+                </template>
+                <a :href="href('users')" class="admin-more">← All users</a>
+            </section>
+
+            <!-- Create and edit -->
+            <section x-show="route.name === 'user-new' || (route.name === 'user-edit' && user)">
+                <form class="admin-card admin-form" @submit.prevent="saveUser()">
+                    <div class="form-group">
+                        <label for="user-name" class="form-label">Name</label>
+                        <input id="user-name" type="text" class="form-input" x-model="form.name" required>
+                        <p class="form-error" x-show="errors.name" x-text="errors.name"></p>
+                    </div>
+
+                    <div class="form-group">
+                        <label for="user-email" class="form-label">Email</label>
+                        <input id="user-email" type="email" class="form-input" x-model="form.email" autocomplete="off" required>
+                        <p class="form-error" x-show="errors.email" x-text="errors.email"></p>
+                    </div>
+
+                    <div class="form-group" x-show="route.name === 'user-new'">
+                        <label for="user-password" class="form-label">Password</label>
+                        <input id="user-password" type="password" class="form-input" x-model="form.password" autocomplete="new-password" :required="route.name === 'user-new'">
+                        <p class="form-error" x-show="errors.password" x-text="errors.password"></p>
+                    </div>
+
+                    <div class="form-group">
+                        <label for="user-role" class="form-label">Role</label>
+                        <select id="user-role" class="form-select" x-model="form.role" :disabled="isSelf(user)">
+                            <option value="user">User</option>
+                            <option value="editor">Editor</option>
+                            <option value="admin">Admin</option>
+                        </select>
+                        <p class="form-error" x-show="errors.role" x-text="errors.role"></p>
+                    </div>
+
+                    <div class="form-group" x-show="route.name === 'user-edit'">
+                        <label for="user-status" class="form-label">Status</label>
+                        <select id="user-status" class="form-select" x-model="form.status" :disabled="isSelf(user)">
+                            <option value="active">Active</option>
+                            <option value="inactive">Inactive</option>
+                            <option value="suspended">Suspended</option>
+                        </select>
+                        <p class="form-error" x-show="errors.status" x-text="errors.status"></p>
+                    </div>
+
+                    <p class="admin-hint" x-show="isSelf(user)">You can't change your own role or status.</p>
+
+                    <div class="admin-actions">
+                        <a :href="user ? href(`users/${encodeURIComponent(user.id)}`) : href('users')" class="btn btn-outline">Cancel</a>
+                        <button type="submit" class="btn btn-primary" :disabled="saving">Save</button>
+                    </div>
+                </form>
+            </section>
+
+            <!-- Login security -->
+            <section x-show="route.name === 'security'">
+                <template x-if="security">
+                    <div>
+                        <div class="admin-stats">
+                            <div class="admin-stat"><span>Failed logins, last hour</span><strong x-text="security.recent_failed_attempts"></strong></div>
+                            <div class="admin-stat"><span>Successful logins, last hour</span><strong x-text="security.recent_successful_attempts"></strong></div>
+                            <div class="admin-stat">
+                                <span>Global throttling</span>
+                                <strong x-text="security.global_throttling_active ? 'Active' : 'Off'"></strong>
+                            </div>
+                        </div>
+
+                        <div class="admin-card">
+                            <h2 class="admin-card-title">Most failed logins, last 24 hours</h2>
+                            <table class="admin-table" x-show="security.top_failed_ips.length > 0">
+                                <thead>
+                                    <tr><th scope="col">IP address</th><th scope="col">Attempts</th></tr>
+                                </thead>
+                                <tbody>
+                                    <template x-for="row in security.top_failed_ips" :key="row.ip_address">
+                                        <tr><td x-text="row.ip_address"></td><td x-text="row.attempts"></td></tr>
+                                    </template>
+                                </tbody>
+                            </table>
+                            <p class="admin-empty" x-show="security.top_failed_ips.length === 0">No failed logins.</p>
+                        </div>
+                    </div>
+                </template>
+            </section>
+
+            <section x-show="route.name === 'not-found'">
+                <p class="text-gray-600">There is nothing here. <a :href="href()" class="admin-more">Back to the overview</a></p>
+            </section>
+        </main>
+    </div>
+
+    <div x-modal="delete-user" class="modal" aria-labelledby="delete-user-title" hidden>
+        <div class="modal-panel">
+            <h2 id="delete-user-title" class="modal-title">Delete <span x-text="deleting?.name"></span>?</h2>
+            <p class="text-gray-600 mb-6">The account is removed for good, <span x-text="deleting?.email"></span> can no longer sign in.</p>
+            <div class="admin-actions">
+                <button type="button" class="btn btn-outline" x-modal:close>Cancel</button>
+                <button type="button" class="btn btn-primary admin-danger" @click="removeUser()" :disabled="saving">Delete</button>
+            </div>
+        </div>
+    </div>
+</div>
+</div>
+
+<?php
+$content = ob_get_clean();
+$viewRenderer = new \HdmBoot\SharedKernel\Services\ViewRenderer();
+echo $viewRenderer->renderWithLayout('layouts.app', $content, compact('title', 'bodyClass'));
+?>
@@ -0,0 +1,97 @@
+<?php
+/**
+ * System Status Template
+ */
+
+$title = 'System Status - HDM Boot';
+$bodyClass = 'status-page';
+
+ob_start();
+?>
+
+<div class="page-content">
+<div x-data="statusPage" class="status-container">
+    <div class="status-header">
+        <div>
+            <h1 class="text-3xl font-bold text-gray-900 mb-2">System Status</h1>
+            <p class="text-gray-600">Live results of the health checks, refreshed every few seconds while this tab is open.</p>
+        </div>
+        <button type="button" class="btn btn-outline" @click="$store.status.refresh()" :disabled="$store.status.checking">Check now</button>
+    </div>
+
+    <div class="status-overall" :class="`is-${$store.status.status}`" role="status" aria-live="polite">
+        <span class="status-dot" aria-hidden="true"></span>
+        <strong x-text="$store.status.label"></strong>
+        <span class="status-meta">
+            Last checked <span x-text="formatTime($store.status.checkedAt)"></span>
+        </span>
+    </div>
+
+    <p class="status-retry" x-show="$store.status.failures > 0" style="display: none">
+        The server can't be reached. Checks go on with longer pauses until it answers again.
+    </p>
+
+    <div class="status-summary">
+        <div class="status-card">
+            <span>Response time</span>
+            <strong x-text="formatMs($store.status.latency)"></strong>
+            <svg class="status-sparkline" viewBox="0 0 100 24" preserveAspectRatio="none" aria-hidden="true">
+                <path :d="sparkline('latency')" />
+            </svg>
+        </div>
+        <div class="status-card">
+            <span>Healthy checks, last 24 hours</span>
+            <strong x-text="uptime"></strong>
+        </div>
+        <div class="status-card" x-show="$store.status.app">
+            <span>Application</span>
+            <strong x-text="$store.status.app?.app?.name"></strong>
+            <small>
+                Version <span x-text="$store.status.app?.version"></span>,
+                <span x-text="$store.status.app?.app?.environment"></span>,
+                PHP <span x-text="$store.status.app?.php?.version"></span>
+            </small>
+        </div>
+    </div>
+
+    <table class="status-checks">
+        <caption class="sr-only">Health checks</caption>
+        <thead>
+            <tr>
+                <th scope="col">Check</th>
+                <th scope="col">Status</th>
+                <th scope="col">Time</th>
+                <th scope="col">History</th>
+            </tr>
+        </thead>
+        <tbody>
+            <template x-for="check in $store.status.checks" :key="check.name">
+                <tr>
+                    <td>
+                        <strong class="status-check-name" x-text="check.name"></strong>
+                        <small x-text="check.message"></small>
+                    </td>
+                    <td><span class="status-pill" :class="`is-${check.status}`" x-text="check.status"></span></td>
+                    <td x-text="formatMs(check.duration)"></td>
+                    <td>
+                        <svg class="status-sparkline" viewBox="0 0 100 24" preserveAspectRatio="none" aria-hidden="true">
+                            <path :d="sparkline(check.name)" />
+                        </svg>
+                    </td>
+                </tr>
+            </template>
+        </tbody>
+    </table>
+
+    <p class="status-empty" x-show="$store.status.checks.length === 0">
+        <span x-show="$store.status.checking">Checking…</span>
+        <span x-show="!$store.status.checking">No results yet.</span>
+    </p>
+</div>
+</div>
+
+<?php
+$content = ob_get_clean();
+$viewRenderer = new \HdmBoot\SharedKernel\Services\ViewRenderer();
+echo $viewRenderer->renderWithLayout('layouts.app', $content, compact('title', 'bodyClass'));
+?>
@@ -1,5 +1,8 @@
 import { defineConfig } from 'vite'
 import { resolve } from 'path'
+import searchIndex from './plugins/search-index.js'
+import serviceWorker from './plugins/service-worker.js'
+import sourceMaps from './plugins/source-maps.js'
 
 export default defineConfig({
   // Base path for assets
@@ -50,8 +53,10 @@ export default defineConfig({
       }
     },
     
-    // Source maps for development
-    sourcemap: process.env.NODE_ENV === 'development',
+    // Source maps for development; hidden in production builds and kept
+    // outside public/ (see plugins/source-maps.js), where the Monitoring
+    // module reads them to group client error reports
+    sourcemap: process.env.NODE_ENV === 'development' ? true : 'hidden',
 
     // Minification and optimization
     minify: 'terser',
@@ -97,6 +102,23 @@ export default defineConfig({
   
   // Plugin configuration
   plugins: [
+    // Prebuilt client-side search index for articles and docs
+    searchIndex({
+      contentDir: resolve(__dirname, '../../../content')
+    }),
+
+    // Offline support: sw.js precaching the build, served from /sw.js
+    serviceWorker({
+      src: resolve(__dirname, 'assets/js/sw.js'),
+      offlinePage: resolve(__dirname, 'assets/offline.html'),
+      extraFiles: ['search-index.json']
+    }),
+
+    // Hidden source maps out of the web root, for the Monitoring module
+    sourceMaps({
+      outDir: resolve(__dirname, '../../../var/sourcemaps')
+    }),
+
     // Legacy browser support
     // legacy({
     //   targets: ['defaults', 'not IE 11']
@@ -110,7 +132,10 @@ export default defineConfig({
       '@css': resolve(__dirname, 'assets/css'),
       '@js': resolve(__dirname, 'assets/js'),
       '@images': resolve(__dirname, 'assets/images')
-    }
+    },
+
+    // Mermaid depends on an older KaTeX, one copy serves both it and the math enhancer
+    dedupe: ['katex']
   },
   
   // Define global constants
@@ -269,6 +269,23 @@ final class App
         // Note: SessionStartMiddleware moved to route-specific middleware
         // Only routes that need session (login, profile, admin) will load session
 
+        // Pages render the CSRF token the API routes check (see CsrfMiddleware),
+        // but only for a session the browser already has: pages must not start
+        // one. Without it the first API response hands out the token.
+        \HdmBoot\SharedKernel\Helpers\ThemeHelper::setCsrfTokenProvider(function (): ?string {
+            $sessionName = is_string($_ENV['SESSION_NAME'] ?? null) ? $_ENV['SESSION_NAME'] : 'boot_session';
+            if (!isset($_COOKIE[$sessionName])) {
+                return null;
+            }
+
+            $csrfService = $this->container->get(\HdmBoot\Modules\Core\Session\Services\CsrfService::class);
+            if (!$csrfService instanceof \HdmBoot\Modules\Core\Session\Services\CsrfService) {
+                return null;
+            }
+
+            return $csrfService->getOrGenerateToken(\HdmBoot\Modules\Core\Session\Infrastructure\Middleware\CsrfMiddleware::ACTION);
+        });
+
         $this->slimApp->addRoutingMiddleware();
         $this->slimApp->addBodyParsingMiddleware();
     }
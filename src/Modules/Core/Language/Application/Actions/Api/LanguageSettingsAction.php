@@ -0,0 +1,105 @@
+<?php
+
+declare(strict_types=1);
+
+namespace HdmBoot\Modules\Core\Language\Application\Actions\Api;
+
+use HdmBoot\Modules\Core\ErrorHandling\Infrastructure\Exceptions\ValidationException;
+use HdmBoot\Modules\Core\Language\Application\DTOs\LanguageSettingsRequest;
+use HdmBoot\Modules\Core\Language\Services\LocaleService;
+use Psr\Http\Message\ResponseFactoryInterface;
+use Psr\Http\Message\ResponseInterface;
+use Psr\Http\Message\ServerRequestInterface;
+use Psr\Log\LoggerInterface;
+use ResponsiveSk\Slim4Session\SessionInterface;
+
+/**
+ * Language Settings Action.
+ *
+ * GET returns the current locale and the supported locales, POST stores the
+ * visitor's choice in the session where LocaleMiddleware picks it up.
+ */
+final class LanguageSettingsAction
+{
+    public function __construct(
+        private readonly LocaleService $localeService,
+        private readonly SessionInterface $session,
+        private readonly ResponseFactoryInterface $responseFactory,
+        private readonly LoggerInterface $logger
+    ) {
+    }
+
+    /**
+     * Handle language settings request.
+     */
+    public function __invoke(ServerRequestInterface $request): ResponseInterface
+    {
+        $parsedBody = $request->getParsedBody();
+        /** @var array<string, mixed> $requestData */
+        $requestData = $request->getMethod() === 'POST' && is_array($parsedBody) ? $parsedBody : [];
+
+        $settingsRequest = LanguageSettingsRequest::fromArray($requestData);
+
+        // Validate request
+        $validationErrors = $settingsRequest->validate();
+        if (!empty($validationErrors)) {
+            throw ValidationException::withErrors(['locale' => $validationErrors]);
+        }
+
+        if ($request->getMethod() === 'POST' && $settingsRequest->isSetRequest()) {
+            $locale = (string) $settingsRequest->locale;
+
+            if (!$this->localeService->isLocaleSupported($locale)) {
+                throw ValidationException::withErrors(['locale' => ['Unsupported locale']]);
+            }
+
+            $this->localeService->setLanguage($locale);
+            $this->session->set('app_language', $locale);
+
+            $this->logger->info('Language changed via API', [
+                'locale' => $locale,
+            ]);
+        }
+
+        return $this->createSuccessResponse([
+            'locale'            => $this->localeService->getCurrentLocale(),
+            'available_locales' => $this->getAvailableLocales(),
+        ]);
+    }
+
+    /**
+     * Supported locales with their display names.
+     *
+     * @return array<int, array<string, string>>
+     */
+    private function getAvailableLocales(): array
+    {
+        return array_map(fn (string $locale): array => [
+            'code'        => $locale,
+            'name'        => $this->localeService->getLocaleDisplayName($locale),
+            'native_name' => $this->localeService->getLocaleNativeName($locale),
+            'flag'        => $this->localeService->getLocaleFlag($locale),
+        ], $this->localeService->getAvailableLocales());
+    }
+
+    /**
+     * Create success response.
+     *
+     * @param array<string, mixed> $data
+     */
+    private function createSuccessResponse(array $data): ResponseInterface
+    {
+        $response = $this->responseFactory->createResponse(200);
+        $response = $response->withHeader('Content-Type', 'application/json');
+
+        $responseData = [
+            'success'   => true,
+            'data'      => $data,
+            'timestamp' => (new \DateTimeImmutable())->format('Y-m-d\TH:i:s.u\Z'),
+        ];
+
+        $response->getBody()->write(json_encode($responseData, JSON_THROW_ON_ERROR));
+
+        return $response;
+    }
+}
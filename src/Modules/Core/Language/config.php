@@ -3,6 +3,7 @@
 declare(strict_types=1);
 
 use DI\Container;
+use HdmBoot\Modules\Core\Language\Application\Actions\Api\LanguageSettingsAction;
 use HdmBoot\Modules\Core\Language\Application\Actions\Api\TranslateAction;
 use HdmBoot\Modules\Core\Language\Domain\Services\TranslationService;
 use HdmBoot\Modules\Core\Language\Infrastructure\Listeners\LocaleChangedListener;
@@ -10,6 +11,7 @@ use HdmBoot\Modules\Core\Language\Infrastructure\Middleware\LocaleMiddleware;
 use HdmBoot\Modules\Core\Language\Services\LocaleService;
 use Psr\Http\Message\ResponseFactoryInterface;
 use Psr\Log\LoggerInterface;
+use ResponsiveSk\Slim4Session\SessionInterface;
 
 /*
  * Language Module Configuration.
@@ -53,14 +55,19 @@ return [
         // Translation Service
         TranslationService::class => \DI\autowire(),
 
-        // TODO: Implement LanguageSettingsAction
-        // LanguageSettingsAction::class => function (Container $container): LanguageSettingsAction {
-        //     /** @var LocaleService $localeService */
-        //     $localeService = $container->get(LocaleService::class);
-        //     /** @var LoggerInterface $logger */
-        //     $logger = $container->get(LoggerInterface::class);
-        //     return new LanguageSettingsAction($localeService, $logger);
-        // },
+        // Language Settings Action
+        LanguageSettingsAction::class => function (Container $container): LanguageSettingsAction {
+            /** @var LocaleService $localeService */
+            $localeService = $container->get(LocaleService::class);
+            /** @var SessionInterface $session */
+            $session = $container->get(SessionInterface::class);
+            /** @var ResponseFactoryInterface $responseFactory */
+            $responseFactory = $container->get(ResponseFactoryInterface::class);
+            /** @var LoggerInterface $logger */
+            $logger = $container->get(LoggerInterface::class);
+
+            return new LanguageSettingsAction($localeService, $session, $responseFactory, $logger);
+        },
 
         // Translate Action
         TranslateAction::class => function (Container $container): TranslateAction {
@@ -152,7 +159,7 @@ return [
             'Domain Events (LocaleChangedEvent, TranslationAddedEvent)',
             'Application DTOs (TranslateRequest, LanguageSettingsRequest)',
             'Application Commands and Queries',
-            'Application Actions (TranslateAction)',
+            'Application Actions (TranslateAction, LanguageSettingsAction)',
             'Event Listeners (LocaleChangedListener)',
             'Locale Middleware',
             'Complete DDD structure',
@@ -178,19 +185,18 @@ return [
             'handler'    => TranslateAction::class,
             'middleware' => [LocaleMiddleware::class],
         ],
-        // TODO: Implement LanguageSettingsAction routes
-        // [
-        //     'method'     => 'GET',
-        //     'pattern'    => '/api/language',
-        //     'handler'    => 'HdmBoot\Modules\Core\Language\Application\Actions\Api\LanguageSettingsAction',
-        //     'middleware' => [LocaleMiddleware::class],
-        // ],
-        // [
-        //     'method'     => 'POST',
-        //     'pattern'    => '/api/language',
-        //     'handler'    => 'HdmBoot\Modules\Core\Language\Application\Actions\Api\LanguageSettingsAction',
-        //     'middleware' => [LocaleMiddleware::class],
-        // ],
+        [
+            'method'     => 'GET',
+            'pattern'    => '/api/language',
+            'handler'    => LanguageSettingsAction::class,
+            'middleware' => [LocaleMiddleware::class],
+        ],
+        [
+            'method'     => 'POST',
+            'pattern'    => '/api/language',
+            'handler'    => LanguageSettingsAction::class,
+            'middleware' => [LocaleMiddleware::class],
+        ],
     ],
 
     // === TRANSLATIONS ===
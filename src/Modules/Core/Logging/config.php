@@ -71,6 +71,14 @@ return [
             return $factory->createLogger('profile');
         },
 
+        // Errors and failed requests reported by the theme in the browser
+        'logger.client' => function (Container $c): LoggerInterface {
+            /** @var LoggerFactory $factory */
+            $factory = $c->get(LoggerFactory::class);
+
+            return $factory->createLogger('client');
+        },
+
         // Log Cleanup Service
         LogCleanupService::class => function (Container $c): LogCleanupService {
             /** @var Paths $paths */
@@ -0,0 +1,30 @@
+<?php
+
+declare(strict_types=1);
+
+namespace HdmBoot\Modules\Core\Mark\Actions\Web;
+
+use HdmBoot\SharedKernel\Services\ViewRenderer;
+use Psr\Http\Message\ResponseInterface;
+use Psr\Http\Message\ServerRequestInterface;
+
+/**
+ * Mark Dashboard Action.
+ *
+ * Serves the admin shell for every path below /mark/dashboard, the theme
+ * routes between its views on the client. The data comes from the user
+ * and security APIs, which check the signed-in user's permissions.
+ */
+final class MarkDashboardAction
+{
+    public function __invoke(
+        ServerRequestInterface $request,
+        ResponseInterface $response
+    ): ResponseInterface {
+        $viewRenderer = new ViewRenderer();
+
+        $response->getBody()->write($viewRenderer->render('mark.dashboard'));
+
+        return $response->withHeader('Content-Type', 'text/html');
+    }
+}
@@ -0,0 +1,208 @@
+<?php
+
+declare(strict_types=1);
+
+namespace HdmBoot\Modules\Core\Monitoring\Actions;
+
+use HdmBoot\Modules\Core\Monitoring\Infrastructure\Metrics\PerformanceMonitor;
+use HdmBoot\Modules\Core\Monitoring\Infrastructure\Metrics\SourceMapResolver;
+use Psr\Http\Message\ResponseInterface;
+use Psr\Http\Message\ServerRequestInterface;
+use Psr\Log\LoggerInterface;
+
+/**
+ * Client Report Action.
+ *
+ * Ingest endpoint for the theme's reporter: browser errors and failed
+ * requests go to the client log, Web Vitals to the performance monitor.
+ * Errors are grouped by a fingerprint of their original source frames.
+ */
+final class ClientReportAction
+{
+    private const MAX_REPORTS = 50;
+    private const MAX_FRAMES = 10;
+    private const FINGERPRINT_FRAMES = 3;
+    private const WEB_VITALS = ['LCP', 'CLS', 'INP'];
+    private const RATINGS = ['good', 'needs-improvement', 'poor'];
+
+    public function __construct(
+        private readonly LoggerInterface $clientLogger,
+        private readonly PerformanceMonitor $performanceMonitor,
+        private readonly SourceMapResolver $sourceMapResolver
+    ) {
+    }
+
+    public function __invoke(
+        ServerRequestInterface $request,
+        ResponseInterface $response
+    ): ResponseInterface {
+        $reports = $this->readReports($request);
+
+        if ($reports === null) {
+            $response->getBody()->write((string) json_encode([
+                'success' => false,
+                'error'   => [
+                    'code'    => 'VALIDATION_ERROR',
+                    'message' => 'Expected a JSON body with a reports array',
+                ],
+            ]));
+
+            return $response
+                ->withHeader('Content-Type', 'application/json')
+                ->withStatus(400);
+        }
+
+        $userAgent = $this->text($request->getHeaderLine('User-Agent'), 300);
+
+        foreach (array_slice($reports, 0, self::MAX_REPORTS) as $report) {
+            if (!is_array($report)) {
+                continue;
+            }
+
+            switch ($report['type'] ?? null) {
+                case 'error':
+                    $this->logError($report, $userAgent);
+                    break;
+                case 'fetch':
+                    $this->logFailedRequest($report, $userAgent);
+                    break;
+                case 'vital':
+                    $this->recordVital($report);
+                    break;
+            }
+        }
+
+        // Beacons don't read the answer
+        return $response->withStatus(204);
+    }
+
+    /**
+     * Reports from the parsed body, or the raw one when the beacon's content type was not parsed.
+     *
+     * @return array<int, mixed>|null
+     */
+    private function readReports(ServerRequestInterface $request): ?array
+    {
+        $body = $request->getParsedBody();
+
+        if (!is_array($body)) {
+            $body = json_decode((string) $request->getBody(), true);
+        }
+
+        return is_array($body) && is_array($body['reports'] ?? null) ? array_values($body['reports']) : null;
+    }
+
+    /**
+     * @param array<mixed> $report
+     */
+    private function logError(array $report, string $userAgent): void
+    {
+        $name = $this->text($report['name'] ?? 'Error', 100);
+        $message = $this->text($report['message'] ?? '', 1000);
+        $frames = $this->resolveFrames($report['frames'] ?? []);
+
+        $this->clientLogger->error("Client error: {$name}: {$message}", [
+            'fingerprint' => $this->fingerprint($name, $message, $frames),
+            'source'      => $this->text($report['source'] ?? 'error', 100),
+            'url'         => $this->text($report['url'] ?? '', 500),
+            'count'       => max(1, (int) ($report['count'] ?? 1)),
+            'frames'      => $frames,
+            'stack'       => $this->text($report['stack'] ?? '', 4000),
+            'user_agent'  => $userAgent,
+        ]);
+    }
+
+    /**
+     * @param array<mixed> $report
+     */
+    private function logFailedRequest(array $report, string $userAgent): void
+    {
+        $this->clientLogger->warning('Client request failed', [
+            'request_url' => $this->text($report['request_url'] ?? '', 500),
+            'method'      => $this->text($report['method'] ?? 'GET', 10),
+            'status'      => (int) ($report['status'] ?? 0),
+            'message'     => $this->text($report['message'] ?? '', 500),
+            'duration_ms' => (int) ($report['duration'] ?? 0),
+            'url'         => $this->text($report['url'] ?? '', 500),
+            'count'       => max(1, (int) ($report['count'] ?? 1)),
+            'user_agent'  => $userAgent,
+        ]);
+    }
+
+    /**
+     * @param array<mixed> $report
+     */
+    private function recordVital(array $report): void
+    {
+        $name = $report['name'] ?? null;
+        $value = $report['value'] ?? null;
+        $rating = $report['rating'] ?? null;
+
+        if (!in_array($name, self::WEB_VITALS, true) || !is_numeric($value) || !in_array($rating, self::RATINGS, true)) {
+            return;
+        }
+
+        $this->performanceMonitor->recordWebVital(
+            $name,
+            (float) $value,
+            $rating,
+            $this->text($report['url'] ?? '', 500)
+        );
+    }
+
+    /**
+     * Frames with their original source position where a source map knows it.
+     *
+     * @return array<int, array{file: string, line: int, column: int, function: string|null, resolved: bool}>
+     */
+    private function resolveFrames(mixed $frames): array
+    {
+        if (!is_array($frames)) {
+            return [];
+        }
+
+        $resolved = [];
+
+        foreach (array_slice($frames, 0, self::MAX_FRAMES) as $frame) {
+            if (!is_array($frame)) {
+                continue;
+            }
+
+            $file = $this->text($frame['file'] ?? '', 500);
+            $line = (int) ($frame['line'] ?? 0);
+            $column = (int) ($frame['column'] ?? 0);
+            $function = is_string($frame['function'] ?? null) ? $this->text($frame['function'], 200) : null;
+
+            $original = $line > 0 ? $this->sourceMapResolver->resolve($file, $line, $column) : null;
+
+            $resolved[] = $original !== null
+                ? [...$original, 'function' => $original['function'] ?? $function, 'resolved' => true]
+                : ['file' => $file, 'line' => $line, 'column' => $column, 'function' => $function, 'resolved' => false];
+        }
+
+        return $resolved;
+    }
+
+    /**
+     * Same error, same fingerprint: across builds, browsers and values in the message.
+     *
+     * @param array<int, array{file: string, line: int, column: int, function: string|null, resolved: bool}> $frames
+     */
+    private function fingerprint(string $name, string $message, array $frames): string
+    {
+        $parts = [$name, preg_replace(['/\d+/', "/(['\"]).*?\\1/"], ['0', '$1$1'], $message) ?? $message];
+
+        foreach (array_slice($frames, 0, self::FINGERPRINT_FRAMES) as $frame) {
+            // Unresolved bundles change their hash with every build
+            $file = $frame['resolved'] ? $frame['file'] : preg_replace('/-[\w-]{8}\.js$/', '.js', $frame['file']);
+            $parts[] = $file . ':' . ($frame['function'] ?? $frame['line']);
+        }
+
+        return substr(sha1(implode("\n", $parts)), 0, 16);
+    }
+
+    private function text(mixed $value, int $maxLength): string
+    {
+        return is_scalar($value) ? mb_substr((string) $value, 0, $maxLength) : '';
+    }
+}
@@ -0,0 +1,29 @@
+<?php
+
+declare(strict_types=1);
+
+namespace HdmBoot\Modules\Core\Monitoring\Actions;
+
+use HdmBoot\SharedKernel\Services\ViewRenderer;
+use Psr\Http\Message\ResponseInterface;
+use Psr\Http\Message\ServerRequestInterface;
+
+/**
+ * Status Page Action.
+ *
+ * Renders the theme's live status page. The page polls /health and
+ * /api/status itself, so nothing is checked while rendering it.
+ */
+final class StatusPageAction
+{
+    public function __invoke(
+        ServerRequestInterface $request,
+        ResponseInterface $response
+    ): ResponseInterface {
+        $viewRenderer = new ViewRenderer();
+
+        $response->getBody()->write($viewRenderer->render('status.index'));
+
+        return $response->withHeader('Content-Type', 'text/html');
+    }
+}
@@ -194,6 +194,28 @@ final class PerformanceMonitor
         ]);
     }
 
+    /**
+     * Record a Core Web Vital measured in the browser, one log entry per
+     * vital. Poor ones are logged as warnings since they need attention.
+     */
+    public function recordWebVital(string $name, float $value, string $rating, string $path): void
+    {
+        $context = [
+            'metric' => $name,
+            'value'  => $value,
+            'rating' => $rating,
+            'path'   => $path,
+        ];
+
+        if ($rating === 'poor') {
+            $this->performanceLogger->warning('Poor Web Vital reported', $context);
+
+            return;
+        }
+
+        $this->performanceLogger->info('Web Vital reported', $context);
+    }
+
     /**
      * Get all current metrics.
      *
@@ -0,0 +1,202 @@
+<?php
+
+declare(strict_types=1);
+
+namespace HdmBoot\Modules\Core\Monitoring\Infrastructure\Metrics;
+
+/**
+ * Source Map Resolver.
+ *
+ * Maps positions in the built theme bundles back to their original source,
+ * using the hidden source maps the theme build writes outside the web root,
+ * under the URL path of their bundle.
+ */
+final class SourceMapResolver
+{
+    private const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+    // Vendor chunks can have huge maps, decoding them is not worth the time
+    private const MAX_MAP_SIZE = 5 * 1024 * 1024;
+
+    /** @var array<string, array{sources: array<int, string>, names: array<int, string>, lines: array<int, array<int, array<int, int|null>>>}|null> */
+    private array $maps = [];
+
+    public function __construct(
+        private readonly string $sourceMapPath
+    ) {
+    }
+
+    /**
+     * Resolve a 1-based line and column in a bundle URL path.
+     *
+     * @return array{file: string, line: int, column: int, function: string|null}|null
+     */
+    public function resolve(string $path, int $line, int $column): ?array
+    {
+        $map = $this->load($path);
+
+        if ($map === null || !isset($map['lines'][$line - 1])) {
+            return null;
+        }
+
+        // Last segment starting at or before the column
+        $match = null;
+        foreach ($map['lines'][$line - 1] as $segment) {
+            if ($segment[0] > $column - 1) {
+                break;
+            }
+            $match = $segment;
+        }
+
+        if ($match === null || !isset($map['sources'][$match[1]])) {
+            return null;
+        }
+
+        return [
+            'file'     => $map['sources'][$match[1]],
+            'line'     => (int) $match[2] + 1,
+            'column'   => (int) $match[3] + 1,
+            'function' => $match[4] !== null && ($map['names'][$match[4]] ?? '') !== '' ? $map['names'][$match[4]] : null,
+        ];
+    }
+
+    /**
+     * Load and decode the map of a bundle, null when there is none.
+     *
+     * @return array{sources: array<int, string>, names: array<int, string>, lines: array<int, array<int, array<int, int|null>>>}|null
+     */
+    private function load(string $path): ?array
+    {
+        if (array_key_exists($path, $this->maps)) {
+            return $this->maps[$path];
+        }
+
+        $this->maps[$path] = null;
+
+        if (!str_starts_with($path, '/assets/') || !str_ends_with($path, '.js')) {
+            return null;
+        }
+
+        // Only maps inside the source map directory, whatever the path says
+        $sourceMapPath = realpath($this->sourceMapPath);
+        $file = realpath($this->sourceMapPath . $path . '.map');
+
+        if ($sourceMapPath === false || $file === false || !str_starts_with($file, $sourceMapPath . DIRECTORY_SEPARATOR)) {
+            return null;
+        }
+
+        $size = filesize($file);
+        $content = $size !== false && $size <= self::MAX_MAP_SIZE ? file_get_contents($file) : false;
+        $data = $content !== false ? json_decode($content, true) : null;
+
+        if (!is_array($data) || !is_string($data['mappings'] ?? null) || !is_array($data['sources'] ?? null)) {
+            return null;
+        }
+
+        $sourceRoot = is_string($data['sourceRoot'] ?? null) ? $data['sourceRoot'] : '';
+
+        return $this->maps[$path] = [
+            'sources' => array_map(
+                fn (mixed $source): string => $sourceRoot . $this->cleanSource(is_string($source) ? $source : ''),
+                array_values($data['sources'])
+            ),
+            'names'   => array_map(
+                fn (mixed $name): string => is_string($name) ? $name : '',
+                array_values(is_array($data['names'] ?? null) ? $data['names'] : [])
+            ),
+            'lines'   => $this->decodeMappings($data['mappings']),
+        ];
+    }
+
+    /**
+     * Sources are relative to the bundle, keep the part inside the project.
+     */
+    private function cleanSource(string $source): string
+    {
+        return preg_replace('#^(\.\./)+#', '', $source) ?? $source;
+    }
+
+    /**
+     * Decode the mappings into [column, source, line, column, name] per generated line.
+     *
+     * @return array<int, array<int, array<int, int|null>>>
+     */
+    private function decodeMappings(string $mappings): array
+    {
+        $lines = [];
+        $source = 0;
+        $originalLine = 0;
+        $originalColumn = 0;
+        $name = 0;
+
+        foreach (explode(';', $mappings) as $index => $lineMappings) {
+            // Generated columns start over on every line, the rest carries on
+            $column = 0;
+            $segments = [];
+
+            foreach (explode(',', $lineMappings) as $encoded) {
+                $values = $encoded !== '' ? $this->decodeVlq($encoded) : [];
+
+                if ($values === []) {
+                    continue;
+                }
+
+                $column += $values[0];
+
+                // Generated code without an original position
+                if (count($values) < 4) {
+                    continue;
+                }
+
+                $source += $values[1];
+                $originalLine += $values[2];
+                $originalColumn += $values[3];
+
+                $nameIndex = null;
+                if (isset($values[4])) {
+                    $name += $values[4];
+                    $nameIndex = $name;
+                }
+
+                $segments[] = [$column, $source, $originalLine, $originalColumn, $nameIndex];
+            }
+
+            $lines[$index] = $segments;
+        }
+
+        return $lines;
+    }
+
+    /**
+     * Decode one Base64 VLQ segment.
+     *
+     * @return array<int, int>
+     */
+    private function decodeVlq(string $segment): array
+    {
+        $values = [];
+        $value = 0;
+        $shift = 0;
+
+        foreach (str_split($segment) as $char) {
+            $digit = strpos(self::BASE64, $char);
+
+            if ($digit === false) {
+                return [];
+            }
+
+            $value += ($digit & 31) << $shift;
+
+            if ($digit & 32) {
+                $shift += 5;
+                continue;
+            }
+
+            $values[] = ($value & 1) === 1 ? -($value >> 1) : $value >> 1;
+            $value = 0;
+            $shift = 0;
+        }
+
+        return $values;
+    }
+}
@@ -0,0 +1,150 @@
+<?php
+
+declare(strict_types=1);
+
+namespace HdmBoot\Modules\Core\Monitoring\Infrastructure\Middleware;
+
+use Psr\Http\Message\ResponseFactoryInterface;
+use Psr\Http\Message\ResponseInterface;
+use Psr\Http\Message\ServerRequestInterface;
+use Psr\Http\Server\MiddlewareInterface;
+use Psr\Http\Server\RequestHandlerInterface;
+
+/**
+ * Client Report Limit Middleware.
+ *
+ * Keeps the public report endpoint from flooding the logs: bodies larger
+ * than a beacon may send are refused, and requests are counted per client
+ * IP and in total in fixed one-minute windows. Reports over the limit are
+ * dropped with 429, the reporter doesn't retry them. Counters of past
+ * windows are deleted by the first request of each new one.
+ */
+final class ClientReportLimitMiddleware implements MiddlewareInterface
+{
+    // Browsers cap sendBeacon and keepalive fetch bodies at 64 KB
+    public const MAX_BODY_SIZE = 64 * 1024;
+
+    public const MAX_PER_CLIENT = 30;
+    public const MAX_TOTAL = 600;
+
+    private const WINDOW_SECONDS = 60;
+
+    public function __construct(
+        private readonly ResponseFactoryInterface $responseFactory,
+        private readonly string $counterDirectory,
+        private readonly int $maxPerClient = self::MAX_PER_CLIENT,
+        private readonly int $maxTotal = self::MAX_TOTAL
+    ) {
+    }
+
+    public function process(ServerRequestInterface $request, RequestHandlerInterface $handler): ResponseInterface
+    {
+        if ($this->bodySize($request) > self::MAX_BODY_SIZE) {
+            return $this->createErrorResponse(413, 'PAYLOAD_TOO_LARGE', 'Reports may be at most 64 KB');
+        }
+
+        $window = intdiv(time(), self::WINDOW_SECONDS);
+        $clientIp = $this->clientIp($request);
+
+        // Counted even when refused, so a flood stays refused
+        $total = $this->count('total', $window);
+        $client = $this->count('client-' . sha1($clientIp), $window);
+
+        if ($total === 1) {
+            $this->pruneCounters($window);
+        }
+
+        if ($client > $this->maxPerClient || $total > $this->maxTotal) {
+            $retryAfter = ($window + 1) * self::WINDOW_SECONDS - time();
+
+            return $this->createErrorResponse(429, 'TOO_MANY_REQUESTS', 'Too many reports, try again later')
+                ->withHeader('Retry-After', (string) max(1, $retryAfter));
+        }
+
+        return $handler->handle($request);
+    }
+
+    /**
+     * Declared length, or the actual one when the client sent none.
+     */
+    private function bodySize(ServerRequestInterface $request): int
+    {
+        $contentLength = $request->getHeaderLine('Content-Length');
+
+        if (ctype_digit($contentLength)) {
+            return (int) $contentLength;
+        }
+
+        return $request->getBody()->getSize() ?? 0;
+    }
+
+    /**
+     * Increment the counter of the current window and return it.
+     */
+    private function count(string $key, int $window): int
+    {
+        if (!is_dir($this->counterDirectory) && !mkdir($this->counterDirectory, 0o755, true) && !is_dir($this->counterDirectory)) {
+            // Without counters nothing is throttled, but reports still arrive
+            return 0;
+        }
+
+        $handle = fopen($this->counterDirectory . '/' . $key . '.json', 'c+');
+        if ($handle === false) {
+            return 0;
+        }
+
+        try {
+            flock($handle, LOCK_EX);
+
+            $counter = json_decode((string) stream_get_contents($handle), true);
+            $count = is_array($counter) && ($counter['window'] ?? null) === $window ? (int) ($counter['count'] ?? 0) : 0;
+            $count++;
+
+            ftruncate($handle, 0);
+            rewind($handle);
+            fwrite($handle, (string) json_encode(['window' => $window, 'count' => $count]));
+
+            return $count;
+        } finally {
+            flock($handle, LOCK_UN);
+            fclose($handle);
+        }
+    }
+
+    /**
+     * Delete the per-client counters no request touched in this window.
+     */
+    private function pruneCounters(int $window): void
+    {
+        $windowStart = $window * self::WINDOW_SECONDS;
+
+        foreach (glob($this->counterDirectory . '/client-*.json') ?: [] as $file) {
+            $modified = @filemtime($file);
+
+            if ($modified !== false && $modified < $windowStart) {
+                @unlink($file);
+            }
+        }
+    }
+
+    private function clientIp(ServerRequestInterface $request): string
+    {
+        $remoteAddr = $request->getServerParams()['REMOTE_ADDR'] ?? null;
+
+        return is_string($remoteAddr) ? $remoteAddr : 'unknown';
+    }
+
+    private function createErrorResponse(int $status, string $code, string $message): ResponseInterface
+    {
+        $response = $this->responseFactory->createResponse($status);
+        $response->getBody()->write((string) json_encode([
+            'success' => false,
+            'error'   => [
+                'code'    => $code,
+                'message' => $message,
+            ],
+        ]));
+
+        return $response->withHeader('Content-Type', 'application/json');
+    }
+}
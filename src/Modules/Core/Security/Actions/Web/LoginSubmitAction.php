@@ -129,9 +129,9 @@ final class LoginSubmitAction
                 'session_id' => session_id(),
             ]);
 
-            // Redirect to profile
+            // Back to the page that asked for the login, else to profile
             return $response
-                ->withHeader('Location', '/profile')
+                ->withHeader('Location', $this->redirectTarget($request))
                 ->withStatus(302);
         } catch (ValidationException $e) {
             // Validation errors (security event only)
@@ -214,4 +214,18 @@ final class LoginSubmitAction
             );
         }
     }
+
+    /**
+     * Local path from the redirect query parameter, other hosts are ignored.
+     */
+    private function redirectTarget(ServerRequestInterface $request): string
+    {
+        $redirect = $request->getQueryParams()['redirect'] ?? null;
+
+        if (!is_string($redirect) || !preg_match('#^/(?![/\\\\])[^\x00-\x1f]*$#', $redirect)) {
+            return '/profile';
+        }
+
+        return $redirect;
+    }
 }
@@ -0,0 +1,41 @@
+<?php
+
+declare(strict_types=1);
+
+namespace HdmBoot\Modules\Core\Security\Domain\Events;
+
+use HdmBoot\Modules\Core\Security\Contracts\Events\SecurityModuleEvents;
+use HdmBoot\SharedKernel\Events\AbstractDomainEvent;
+
+/**
+ * Login Throttled Event.
+ *
+ * Fired when a login attempt is refused because too many attempts failed,
+ * either for one email or address (scope "user") or overall ("global").
+ */
+final class LoginThrottledEvent extends AbstractDomainEvent
+{
+    public function __construct(
+        public readonly string $scope,
+        public readonly string $email,
+        public readonly string $ipAddress,
+        public readonly ?int $retryAfter = null
+    ) {
+        parent::__construct();
+    }
+
+    public function getEventName(): string
+    {
+        return SecurityModuleEvents::RATE_LIMIT_EXCEEDED;
+    }
+
+    public function getEventData(): array
+    {
+        return [
+            'scope'       => $this->scope,
+            'email'       => $this->email,
+            'ip_address'  => $this->ipAddress,
+            'retry_after' => $this->retryAfter,
+        ];
+    }
+}
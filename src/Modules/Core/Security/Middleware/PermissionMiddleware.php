@@ -0,0 +1,72 @@
+<?php
+
+declare(strict_types=1);
+
+namespace HdmBoot\Modules\Core\Security\Middleware;
+
+use HdmBoot\Modules\Core\Security\Services\AuthorizationService;
+use Psr\Http\Message\ResponseFactoryInterface;
+use Psr\Http\Message\ResponseInterface;
+use Psr\Http\Message\ServerRequestInterface;
+use Psr\Http\Server\MiddlewareInterface;
+use Psr\Http\Server\RequestHandlerInterface;
+use Psr\Log\LoggerInterface;
+
+/**
+ * Permission Middleware.
+ *
+ * Checks a permission for the user the AuthenticationMiddleware found in
+ * the JWT token, so it has to run after it (add it to the route first).
+ */
+final class PermissionMiddleware implements MiddlewareInterface
+{
+    public function __construct(
+        private readonly AuthorizationService $authorizationService,
+        private readonly ResponseFactoryInterface $responseFactory,
+        private readonly LoggerInterface $logger,
+        private readonly string $permission
+    ) {
+    }
+
+    public function process(ServerRequestInterface $request, RequestHandlerInterface $handler): ResponseInterface
+    {
+        $user = $request->getAttribute('user');
+
+        if (!is_array($user)) {
+            return $this->createErrorResponse(401, 'UNAUTHORIZED', 'Authentication required');
+        }
+
+        /** @var array<string, mixed> $user */
+        if (!$this->authorizationService->hasPermission($user, $this->permission)) {
+            $this->logger->warning('Authorization failed: Missing permission', [
+                'user_id'    => $user['id'] ?? 'unknown',
+                'permission' => $this->permission,
+            ]);
+
+            return $this->createErrorResponse(403, 'FORBIDDEN', 'You do not have permission to do this');
+        }
+
+        return $handler->handle($request);
+    }
+
+    private function createErrorResponse(int $status, string $code, string $message): ResponseInterface
+    {
+        $errorData = [
+            'success' => false,
+            'error'   => [
+                'code'    => $code,
+                'message' => $message,
+            ],
+        ];
+
+        $jsonResponse = json_encode($errorData);
+        if ($jsonResponse === false) {
+            $jsonResponse = '{"success":false,"error":{"code":"JSON_ERROR","message":"Failed to encode error response"}}';
+        }
+
+        $response = $this->responseFactory->createResponse($status);
+        $response->getBody()->write($jsonResponse);
+
+        return $response->withHeader('Content-Type', 'application/json');
+    }
+}
@@ -11,10 +11,16 @@ use HdmBoot\Modules\Core\Security\Exceptions\ValidationException;
  * Authentication Validator.
  *
  * Validates authentication-related inputs using CakePHP Validator.
+ * Rules come from FormSchema, which the theme's form validation reads too.
  * Inspired by samuelgfeller/slim-example-project.
  */
 final class AuthenticationValidator
 {
+    public function __construct(
+        private readonly FormSchema $schema = new FormSchema()
+    ) {
+    }
+
     /**
      * Validate user login inputs.
      *
@@ -24,31 +30,13 @@ final class AuthenticationValidator
      */
     public function validateUserLogin(array $userLoginValues): void
     {
-        $validator = new Validator();
-
-        // Email validation
-        $validator
-            ->requirePresence('email', true, 'Email is required')
-            ->email('email', false, 'Invalid email format')
-            ->notEmptyString('email', 'Email cannot be empty');
-
-        // Password validation
-        $validator
-            ->requirePresence('password', true, 'Password is required')
-            ->notEmptyString('password', 'Password cannot be empty');
+        $validator = $this->buildValidator('login');
 
         // CSRF token validation (optional for API, required for web)
         $validator
             ->requirePresence('csrf_token', false); // Optional key
 
-        // Validate and throw exception if there are errors
-        $errors = $validator->validate($userLoginValues);
-        if (!empty($errors)) {
-            // CakePHP validator returns array<string, array<string>> format
-            /** @var array<string, array<string>> $validationErrors */
-            $validationErrors = $errors;
-            throw new ValidationException($validationErrors);
-        }
+        $this->validate($validator, $userLoginValues);
     }
 
     /**
@@ -60,40 +48,7 @@ final class AuthenticationValidator
      */
     public function validatePassword(array $passwordValues): void
     {
-        $validator = new Validator();
-
-        $validator
-            ->requirePresence('password', true, 'Password is required')
-            ->notEmptyString('password', 'Password cannot be empty')
-            ->minLength('password', 8, 'Password must be at least 8 characters long')
-            ->maxLength('password', 1000, 'Password is too long')
-            ->add('password', 'hasLowercase', [
-                'rule' => function ($value) {
-                    return is_string($value) && preg_match('/[a-z]/', $value);
-                },
-                'message' => 'Password must contain at least one lowercase letter',
-            ])
-            ->add('password', 'hasUppercase', [
-                'rule' => function ($value) {
-                    return is_string($value) && preg_match('/[A-Z]/', $value);
-                },
-                'message' => 'Password must contain at least one uppercase letter',
-            ])
-            ->add('password', 'hasNumber', [
-                'rule' => function ($value) {
-                    return is_string($value) && preg_match('/\d/', $value);
-                },
-                'message' => 'Password must contain at least one number',
-            ]);
-
-        // Validate and throw exception if there are errors
-        $errors = $validator->validate($passwordValues);
-        if (!empty($errors)) {
-            // CakePHP validator returns array<string, array<string>> format
-            /** @var array<string, array<string>> $validationErrors */
-            $validationErrors = $errors;
-            throw new ValidationException($validationErrors);
-        }
+        $this->validate($this->buildValidator('password'), $passwordValues);
     }
 
     /**
@@ -105,54 +60,123 @@ final class AuthenticationValidator
      */
     public function validatePasswordWithConfirmation(array $passwordValues): void
     {
-        // First validate password requirements
-        $this->validatePassword($passwordValues);
-
-        $validator = new Validator();
-
-        $validator
-            ->requirePresence('password2', true, 'Password confirmation is required')
-            ->notEmptyString('password2', 'Password confirmation cannot be empty')
-            ->add('password2', 'passwordsMatch', [
-                'rule' => function ($value, $context) {
-                    if (!is_array($context) || !isset($context['data']) || !is_array($context['data'])) {
-                        return false;
-                    }
-
-                    return isset($context['data']['password']) && $value === $context['data']['password'];
-                },
-                'message' => 'Passwords do not match',
-            ]);
-
-        // Validate and throw exception if there are errors
-        $errors = $validator->validate($passwordValues);
-        if (!empty($errors)) {
-            // CakePHP validator returns array<string, array<string>> format
-            /** @var array<string, array<string>> $validationErrors */
-            $validationErrors = $errors;
-            throw new ValidationException($validationErrors);
-        }
+        $this->validate($this->buildValidator('password_confirmation'), $passwordValues);
     }
 
     /**
      * Validate email for password recovery.
      *
+     * Intentionally not validating user existence as it would be a security flaw.
+     *
      * @param array<string, mixed> $userValues
      *
      * @throws ValidationException
      */
     public function validatePasswordResetEmail(array $userValues): void
+    {
+        $this->validate($this->buildValidator('password_reset'), $userValues);
+    }
+
+    /**
+     * Build a CakePHP validator from a form schema.
+     */
+    private function buildValidator(string $form): Validator
     {
         $validator = new Validator();
 
-        // Intentionally not validating user existence as it would be a security flaw
-        $validator
-            ->requirePresence('email', true, 'Email is required')
-            ->email('email', false, 'Invalid email format')
-            ->notEmptyString('email', 'Email cannot be empty');
+        foreach ($this->schema->getFields($form) as $field => $rules) {
+            foreach ($rules as $index => $rule) {
+                $this->addRule($validator, $field, $rule, $index);
+            }
+        }
+
+        return $validator;
+    }
 
-        // Validate and throw exception if there are errors
-        $errors = $validator->validate($userValues);
+    /**
+     * Translate one schema rule into validator calls.
+     *
+     * @param array<string, mixed> $rule
+     */
+    private function addRule(Validator $validator, string $field, array $rule, int $index): void
+    {
+        /** @var string $message */
+        $message = $rule['message'];
+        $value = $rule['value'] ?? null;
+        $name = is_string($rule['name'] ?? null) ? $rule['name'] : "{$rule['rule']}{$index}";
+
+        switch ($rule['rule']) {
+            case 'required':
+                /** @var string $presenceMessage */
+                $presenceMessage = $rule['presence'] ?? $message;
+                $validator
+                    ->requirePresence($field, true, $presenceMessage)
+                    ->notEmptyString($field, $message);
+                break;
+
+            case 'email':
+                $validator->email($field, false, $message);
+                break;
+
+            case 'url':
+                $validator->url($field, $message);
+                break;
+
+            case 'minLength':
+                $validator->minLength($field, (int) $value, $message);
+                break;
+
+            case 'maxLength':
+                $validator->maxLength($field, (int) $value, $message);
+                break;
+
+            case 'min':
+                $validator->greaterThanOrEqual($field, (float) $value, $message);
+                break;
+
+            case 'max':
+                $validator->lessThanOrEqual($field, (float) $value, $message);
+                break;
+
+            case 'pattern':
+                $regex = '/' . str_replace('/', '\/', (string) $value) . '/u';
+                $validator->add($field, $name, [
+                    'rule' => function ($fieldValue) use ($regex) {
+                        return is_string($fieldValue) && preg_match($regex, $fieldValue) === 1;
+                    },
+                    'message' => $message,
+                ]);
+                break;
+
+            case 'equals':
+                $validator->add($field, $name, [
+                    'rule' => function ($fieldValue, $context) use ($value) {
+                        if (!is_array($context) || !isset($context['data']) || !is_array($context['data'])) {
+                            return false;
+                        }
+
+                        return isset($context['data'][$value]) && $fieldValue === $context['data'][$value];
+                    },
+                    'message' => $message,
+                ]);
+                break;
+
+            // Uniqueness is enforced by the service layer when the record is saved
+            case 'unique':
+                break;
+        }
+    }
+
+    /**
+     * Validate values and throw exception if there are errors.
+     *
+     * @param array<string, mixed> $values
+     *
+     * @throws ValidationException
+     */
+    private function validate(Validator $validator, array $values): void
+    {
+        $errors = $validator->validate($values);
         if (!empty($errors)) {
             // CakePHP validator returns array<string, array<string>> format
             /** @var array<string, array<string>> $validationErrors */
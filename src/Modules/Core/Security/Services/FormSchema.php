@@ -0,0 +1,195 @@
+<?php
+
+declare(strict_types=1);
+
+namespace HdmBoot\Modules\Core\Security\Services;
+
+use InvalidArgumentException;
+
+/**
+ * Form Schema.
+ *
+ * Declarative validation rules shared by the server-side validator and the
+ * theme's form validation, so both sides check the same constraints with
+ * the same messages.
+ *
+ * Each field maps to an ordered list of rules; the first failing rule wins.
+ * Supported rules: required, email, url, minLength, maxLength, min, max,
+ * pattern, equals (another field) and unique (checked against an API URL).
+ */
+final class FormSchema
+{
+    public const PASSWORD_MIN_LENGTH = 8;
+
+    public const PASSWORD_MAX_LENGTH = 1000;
+
+    /**
+     * Character classes every password must contain.
+     *
+     * @var array<string, array{pattern: string, message: string}>
+     */
+    public const PASSWORD_PATTERNS = [
+        'hasLowercase' => [
+            'pattern' => '[a-z]',
+            'message' => 'Password must contain at least one lowercase letter',
+        ],
+        'hasUppercase' => [
+            'pattern' => '[A-Z]',
+            'message' => 'Password must contain at least one uppercase letter',
+        ],
+        'hasNumber' => [
+            'pattern' => '\d',
+            'message' => 'Password must contain at least one number',
+        ],
+    ];
+
+    /**
+     * Get the names of all known forms.
+     *
+     * @return array<string>
+     */
+    public function getFormNames(): array
+    {
+        return ['login', 'password', 'password_confirmation', 'password_reset', 'register'];
+    }
+
+    /**
+     * Get field rules for a form.
+     *
+     * @throws InvalidArgumentException When the form is unknown
+     *
+     * @return array<string, array<int, array<string, mixed>>>
+     */
+    public function getFields(string $form): array
+    {
+        return match ($form) {
+            'login' => [
+                'email'    => $this->emailRules(),
+                'password' => [
+                    $this->required('Password', 'Password cannot be empty'),
+                ],
+            ],
+            'password'              => ['password' => $this->passwordRules()],
+            'password_confirmation' => [
+                'password'  => $this->passwordRules(),
+                'password2' => $this->confirmationRules(),
+            ],
+            'password_reset' => ['email' => $this->emailRules()],
+            'register'       => [
+                'name' => [
+                    $this->required('Name', 'Name cannot be empty'),
+                    ['rule' => 'maxLength', 'value' => 255, 'message' => 'Name is too long'],
+                ],
+                'email' => [
+                    ...$this->emailRules(),
+                    ['rule' => 'unique', 'value' => '/api/users', 'message' => 'Email address is already in use'],
+                ],
+                'password'  => $this->passwordRules(),
+                'password2' => $this->confirmationRules(),
+            ],
+            default => throw new InvalidArgumentException("Unknown form schema: {$form}"),
+        };
+    }
+
+    /**
+     * Get the schema as emitted to the browser.
+     *
+     * @return array{form: string, fields: array<string, array<int, array<string, mixed>>>}
+     */
+    public function toArray(string $form): array
+    {
+        return [
+            'form'   => $form,
+            'fields' => $this->getFields($form),
+        ];
+    }
+
+    /**
+     * Get the schema as JSON, safe to embed in a <script type="application/json"> tag.
+     */
+    public function toJson(string $form): string
+    {
+        $json = json_encode(
+            $this->toArray($form),
+            JSON_UNESCAPED_SLASHES | JSON_HEX_TAG | JSON_HEX_AMP | JSON_HEX_APOS | JSON_HEX_QUOT
+        );
+
+        if ($json === false) {
+            throw new \RuntimeException("Failed to encode form schema: {$form}");
+        }
+
+        return $json;
+    }
+
+    /**
+     * Required rule; the server also reports a missing key with its own message.
+     *
+     * @return array<string, mixed>
+     */
+    private function required(string $label, string $message): array
+    {
+        return [
+            'rule'     => 'required',
+            'message'  => $message,
+            'presence' => "{$label} is required",
+        ];
+    }
+
+    /**
+     * @return array<int, array<string, mixed>>
+     */
+    private function emailRules(): array
+    {
+        return [
+            $this->required('Email', 'Email cannot be empty'),
+            ['rule' => 'email', 'message' => 'Invalid email format'],
+        ];
+    }
+
+    /**
+     * @return array<int, array<string, mixed>>
+     */
+    private function passwordRules(): array
+    {
+        $rules = [
+            $this->required('Password', 'Password cannot be empty'),
+            [
+                'rule'    => 'minLength',
+                'value'   => self::PASSWORD_MIN_LENGTH,
+                'message' => 'Password must be at least ' . self::PASSWORD_MIN_LENGTH . ' characters long',
+            ],
+            [
+                'rule'    => 'maxLength',
+                'value'   => self::PASSWORD_MAX_LENGTH,
+                'message' => 'Password is too long',
+            ],
+        ];
+
+        foreach (self::PASSWORD_PATTERNS as $name => $pattern) {
+            $rules[] = [
+                'rule'    => 'pattern',
+                'name'    => $name,
+                'value'   => $pattern['pattern'],
+                'message' => $pattern['message'],
+            ];
+        }
+
+        return $rules;
+    }
+
+    /**
+     * @return array<int, array<string, mixed>>
+     */
+    private function confirmationRules(): array
+    {
+        return [
+            $this->required('Password confirmation', 'Password confirmation cannot be empty'),
+            [
+                'rule'    => 'equals',
+                'name'    => 'passwordsMatch',
+                'value'   => 'password',
+                'message' => 'Passwords do not match',
+            ],
+        ];
+    }
+}
@@ -4,8 +4,10 @@ declare(strict_types=1);
 
 namespace HdmBoot\Modules\Core\Security\Services;
 
+use HdmBoot\Modules\Core\Security\Domain\Events\LoginThrottledEvent;
 use HdmBoot\Modules\Core\Security\Enum\SecurityType;
 use HdmBoot\Modules\Core\Security\Exceptions\SecurityException;
+use HdmBoot\SharedKernel\Events\EventDispatcherInterface;
 use PDO;
 use RuntimeException;
 
@@ -23,7 +25,8 @@ final class SecurityLoginChecker
     private const GLOBAL_LOGIN_WINDOW_MINUTES = 5;
 
     public function __construct(
-        private readonly PDO $pdo
+        private readonly PDO $pdo,
+        private readonly ?EventDispatcherInterface $eventDispatcher = null
     ) {
         try {
             $this->initializeDatabase();
@@ -51,7 +54,7 @@ final class SecurityLoginChecker
         }
 
         // Check global throttling first
-        $this->checkGlobalThrottling();
+        $this->checkGlobalThrottling($email, $clientIp);
 
         // Check user-specific throttling
         $this->checkUserThrottling($email, $clientIp);
@@ -94,7 +97,7 @@ final class SecurityLoginChecker
     /**
      * Check global login throttling.
      */
-    private function checkGlobalThrottling(): void
+    private function checkGlobalThrottling(string $email, string $clientIp): void
     {
         $stmt = $this->pdo->prepare('
             SELECT COUNT(*) as attempts
@@ -109,6 +112,8 @@ final class SecurityLoginChecker
         $attemptsCount = is_numeric($attempts) ? (int) $attempts : 0;
 
         if ($attemptsCount >= self::GLOBAL_LOGIN_ATTEMPTS_LIMIT) {
+            $this->eventDispatcher?->dispatch(new LoginThrottledEvent('global', $email, $clientIp));
+
             throw new SecurityException(
                 'captcha',
                 SecurityType::GLOBAL_LOGIN,
@@ -149,6 +154,10 @@ final class SecurityLoginChecker
                 if ($windowEnd > $now) {
                     $remainingSeconds = $windowEnd->getTimestamp() - $now->getTimestamp();
 
+                    $this->eventDispatcher?->dispatch(
+                        new LoginThrottledEvent('user', $email, $clientIp, $remainingSeconds)
+                    );
+
                     throw new SecurityException(
                         $remainingSeconds,
                         SecurityType::USER_LOGIN,
@@ -16,12 +16,14 @@ use HdmBoot\Modules\Core\Security\Middleware\AuthorizationMiddleware;
 use HdmBoot\Modules\Core\Security\Services\AuthenticationService;
 use HdmBoot\Modules\Core\Security\Services\AuthenticationValidator;
 use HdmBoot\Modules\Core\Security\Services\AuthorizationService;
+use HdmBoot\Modules\Core\Security\Services\FormSchema;
 use HdmBoot\Modules\Core\Security\Services\JwtService;
 use HdmBoot\Modules\Core\Security\Services\SecurityLoginChecker;
 use HdmBoot\Modules\Core\Session\Services\CsrfService;
 use HdmBoot\Modules\Core\Session\Services\SessionService;
 use HdmBoot\Modules\Core\Template\Infrastructure\Services\TemplateRenderer;
 use HdmBoot\Modules\Core\User\Services\UserService;
+use HdmBoot\SharedKernel\Events\EventDispatcherInterface;
 use Psr\Http\Message\ResponseFactoryInterface;
 use Psr\Log\LoggerInterface;
 use ResponsiveSk\Slim4Session\SessionInterface;
@@ -38,9 +40,17 @@ return [
 
     // Service definitions for DI container
     'services' => [
+        // Form validation schema (shared with the theme's form validation)
+        FormSchema::class => function (): FormSchema {
+            return new FormSchema();
+        },
+
         // Authentication Validator
-        AuthenticationValidator::class => function (): AuthenticationValidator {
-            return new AuthenticationValidator();
+        AuthenticationValidator::class => function (Container $c): AuthenticationValidator {
+            /** @var FormSchema $schema */
+            $schema = $c->get(FormSchema::class);
+
+            return new AuthenticationValidator($schema);
         },
 
         // JWT Service
@@ -76,8 +86,10 @@ return [
         SecurityLoginChecker::class => function (Container $c): SecurityLoginChecker {
             /** @var PDO $pdo */
             $pdo = $c->get(PDO::class);
+            /** @var EventDispatcherInterface $eventDispatcher */
+            $eventDispatcher = $c->get(EventDispatcherInterface::class);
 
-            return new SecurityLoginChecker($pdo);
+            return new SecurityLoginChecker($pdo, $eventDispatcher);
         },
 
         // Authorization Service
@@ -15,7 +15,7 @@ return [
     'description'  => 'Authentication, authorization, and security services',
     'dependencies' => ['User', 'Session'], // Depends on User for authentication and Session for sessions/CSRF
     'config'       => 'config.php',
-    'routes'       => null, // Security routes are defined in config.php
+    'routes'       => 'routes.php',
     'authors'      => [
         'HDM Boot Team',
     ],
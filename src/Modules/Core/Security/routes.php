@@ -8,9 +8,16 @@ use HdmBoot\Modules\Core\Security\Actions\LogoutAction;
 use HdmBoot\Modules\Core\Security\Actions\MeAction;
 use HdmBoot\Modules\Core\Security\Actions\RefreshTokenAction;
 use HdmBoot\Modules\Core\Security\Middleware\AuthenticationMiddleware;
+use HdmBoot\Modules\Core\Security\Middleware\PermissionMiddleware;
+use HdmBoot\Modules\Core\Security\Services\AuthorizationService;
+use HdmBoot\Modules\Core\Security\Services\FormSchema;
 use HdmBoot\Modules\Core\Security\Services\SecurityLoginChecker;
+use HdmBoot\Modules\Core\Session\Infrastructure\Middleware\CsrfMiddleware;
+use HdmBoot\Modules\Core\Session\Infrastructure\Middleware\SessionStartMiddleware;
+use Psr\Http\Message\ResponseFactoryInterface;
 use Psr\Http\Message\ResponseInterface;
 use Psr\Http\Message\ServerRequestInterface;
+use Psr\Log\LoggerInterface;
 use Slim\App;
 use Slim\Interfaces\RouteCollectorProxyInterface;
 
@@ -20,13 +27,23 @@ use Slim\Interfaces\RouteCollectorProxyInterface;
  * Defines all HTTP routes for authentication and authorization functionality.
  */
 return function (App $app): void {
-    // Public authentication routes (no authentication required)
-    $app->group('/api/auth', function (RouteCollectorProxyInterface $group): void {
-        // Login endpoint
-        // POST /api/auth/login
-        $group->post('/login', LoginAction::class)
-            ->setName('auth.login');
+    /** @var Container $container */
+    $container = $app->getContainer();
+    /** @var AuthorizationService $authorizationService */
+    $authorizationService = $container->get(AuthorizationService::class);
+    /** @var ResponseFactoryInterface $responseFactory */
+    $responseFactory = $container->get(ResponseFactoryInterface::class);
+    /** @var LoggerInterface $logger */
+    $logger = $container->get(LoggerInterface::class);
+
+    // Login endpoint, public and without a CSRF token: there is no session
+    // to forge a request for yet
+    // POST /api/auth/login
+    $app->post('/api/auth/login', LoginAction::class)
+        ->setName('auth.login');
 
+    // Authentication routes for signed-in users
+    $app->group('/api/auth', function (RouteCollectorProxyInterface $group): void {
         // Token refresh endpoint (requires valid token)
         // POST /api/auth/refresh
         $group->post('/refresh', RefreshTokenAction::class)
@@ -44,7 +61,55 @@ return function (App $app): void {
         $group->post('/logout', LogoutAction::class)
             ->setName('auth.logout')
             ->add(AuthenticationMiddleware::class);
-    });
+    })
+    ->add(CsrfMiddleware::class)
+    ->add(SessionStartMiddleware::class);
+
+    // Form validation schemas (public, read by the theme's form validation)
+    // GET /api/validation/{form}
+    $app->get('/api/validation/{form}', function (ServerRequestInterface $request, ResponseInterface $response, array $args) use ($app): ResponseInterface {
+        /** @var Container $container */
+        $container = $app->getContainer();
+        /** @var FormSchema $schema */
+        $schema = $container->get(FormSchema::class);
+
+        $form = is_string($args['form'] ?? null) ? $args['form'] : '';
+
+        if (!in_array($form, $schema->getFormNames(), true)) {
+            $errorData = [
+                'success' => false,
+                'error'   => [
+                    'code'    => 'NOT_FOUND',
+                    'message' => 'Unknown form schema',
+                ],
+            ];
+
+            $jsonErrorData = json_encode($errorData);
+            if ($jsonErrorData === false) {
+                $jsonErrorData = '{"success":false,"error":{"code":"JSON_ERROR","message":"Failed to encode error response"}}';
+            }
+            $response->getBody()->write($jsonErrorData);
+
+            return $response
+                ->withHeader('Content-Type', 'application/json')
+                ->withStatus(404);
+        }
+
+        $data = [
+            'success' => true,
+            ...$schema->toArray($form),
+        ];
+
+        $jsonData = json_encode($data, JSON_UNESCAPED_SLASHES);
+        if ($jsonData === false) {
+            throw new \RuntimeException('Failed to encode JSON response');
+        }
+        $response->getBody()->write($jsonData);
+
+        return $response
+            ->withHeader('Content-Type', 'application/json')
+            ->withHeader('Cache-Control', 'public, max-age=300');
+    })->setName('validation.schema');
 
     // Security administration routes (admin only)
     $app->group('/api/admin/security', function (RouteCollectorProxyInterface $group) use ($app): void {
@@ -142,7 +207,10 @@ return function (App $app): void {
             }
         })->setName('admin.security.cleanup');
     })
-    ->add(AuthenticationMiddleware::class);
+    ->add(new PermissionMiddleware($authorizationService, $responseFactory, $logger, 'admin.security'))
+    ->add(AuthenticationMiddleware::class)
+    ->add(CsrfMiddleware::class)
+    ->add(SessionStartMiddleware::class);
 
     // Test endpoint for JWT validation (development only)
     if (($_ENV['APP_ENV'] ?? 'dev') !== 'prod') {
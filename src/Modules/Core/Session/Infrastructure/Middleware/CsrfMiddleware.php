@@ -0,0 +1,127 @@
+<?php
+
+declare(strict_types=1);
+
+namespace HdmBoot\Modules\Core\Session\Infrastructure\Middleware;
+
+use HdmBoot\Modules\Core\Session\Services\CsrfService;
+use Psr\Http\Message\ResponseFactoryInterface;
+use Psr\Http\Message\ResponseInterface;
+use Psr\Http\Message\ServerRequestInterface;
+use Psr\Http\Server\MiddlewareInterface;
+use Psr\Http\Server\RequestHandlerInterface;
+use Psr\Log\LoggerInterface;
+
+/**
+ * CSRF Middleware.
+ *
+ * Protects POST, PUT, PATCH and DELETE requests made by the theme's JavaScript.
+ * Every response carries the session's token in the X-CSRF-Token header and
+ * the XSRF-TOKEN cookie; mutating requests must send it back in the
+ * X-CSRF-Token header (or a csrf_token field). A missing or stale token is
+ * answered with 403 CSRF_TOKEN_INVALID and a fresh token to retry with.
+ *
+ * API clients that authenticate with a Bearer token and send no session
+ * cookie are not checked: a browser can't be made to add that header to a
+ * cross-site request, so there is nothing to forge.
+ */
+final class CsrfMiddleware implements MiddlewareInterface
+{
+    public const ACTION = 'api';
+    public const HEADER = 'X-CSRF-Token';
+    public const COOKIE = 'XSRF-TOKEN';
+
+    private const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+    public function __construct(
+        private readonly CsrfService $csrfService,
+        private readonly ResponseFactoryInterface $responseFactory,
+        private readonly LoggerInterface $logger,
+        private readonly string $sessionName
+    ) {
+    }
+
+    /**
+     * Validate mutating requests and hand out the token.
+     */
+    public function process(ServerRequestInterface $request, RequestHandlerInterface $handler): ResponseInterface
+    {
+        if (!in_array($request->getMethod(), self::SAFE_METHODS, true) && !$this->isTokenClient($request) && !$this->hasValidToken($request)) {
+            $this->logger->warning('CSRF token rejected', [
+                'request_uri'    => $request->getUri()->getPath(),
+                'request_method' => $request->getMethod(),
+            ]);
+
+            return $this->withToken($this->rejectedResponse(), $request, $this->csrfService->generateToken(self::ACTION));
+        }
+
+        $response = $handler->handle($request);
+
+        // Login and logout regenerate the session, so look the token up afterwards
+        $token = $this->csrfService->getOrGenerateToken(self::ACTION);
+
+        return $this->withToken($response, $request, $token);
+    }
+
+    /**
+     * Bearer token and no session cookie, i.e. not a browser session.
+     */
+    private function isTokenClient(ServerRequestInterface $request): bool
+    {
+        $authorization = $request->getHeaderLine('Authorization');
+
+        return str_starts_with(strtolower($authorization), 'bearer ')
+            && !isset($request->getCookieParams()[$this->sessionName]);
+    }
+
+    /**
+     * Check the token from the header or the request body without using it up.
+     */
+    private function hasValidToken(ServerRequestInterface $request): bool
+    {
+        $token = $request->getHeaderLine(self::HEADER);
+
+        if ($token === '') {
+            $body = $request->getParsedBody();
+            $token = is_array($body) && is_string($body['csrf_token'] ?? null) ? $body['csrf_token'] : '';
+        }
+
+        return $token !== '' && $this->csrfService->validateToken($token, self::ACTION, false);
+    }
+
+    /**
+     * JSON error in the shape the API uses elsewhere.
+     */
+    private function rejectedResponse(): ResponseInterface
+    {
+        $response = $this->responseFactory->createResponse(403);
+
+        $jsonData = json_encode([
+            'success' => false,
+            'error'   => [
+                'code'    => 'CSRF_TOKEN_INVALID',
+                'message' => 'Invalid CSRF token. Please refresh the page and try again.',
+            ],
+        ]);
+
+        $response->getBody()->write($jsonData !== false ? $jsonData : '{"success": false}');
+
+        return $response->withHeader('Content-Type', 'application/json');
+    }
+
+    /**
+     * Attach the token as a response header and a cookie readable by scripts.
+     */
+    private function withToken(ResponseInterface $response, ServerRequestInterface $request, string $token): ResponseInterface
+    {
+        $cookieValue = sprintf('%s=%s; Path=/; SameSite=Lax', self::COOKIE, $token);
+
+        if ($request->getUri()->getScheme() === 'https') {
+            $cookieValue .= '; Secure';
+        }
+
+        return $response
+            ->withHeader(self::HEADER, $token)
+            ->withAddedHeader('Set-Cookie', $cookieValue);
+    }
+}
@@ -54,8 +54,11 @@ final class CsrfService
 
     /**
      * Validate CSRF token.
+     *
+     * Tokens are one-time by default; pass $consume = false to keep a token
+     * that is sent with many requests, like the one for API calls.
      */
-    public function validateToken(string $token, string $action = 'default'): bool
+    public function validateToken(string $token, string $action = 'default', bool $consume = true): bool
     {
         if (!$this->session->isStarted()) {
             return false;
@@ -75,8 +78,10 @@ final class CsrfService
         $isValid = hash_equals($storedToken, $token);
 
         // Remove token after validation (one-time use)
-        unset($tokens[$action]);
-        $this->session->set(self::SESSION_KEY, $tokens);
+        if ($consume) {
+            unset($tokens[$action]);
+            $this->session->set(self::SESSION_KEY, $tokens);
+        }
 
         return $isValid;
     }
@@ -102,6 +107,18 @@ final class CsrfService
         return is_string($token) ? $token : null;
     }
 
+    /**
+     * Get CSRF token for action, generating it the first time.
+     */
+    public function getOrGenerateToken(string $action = 'default'): string
+    {
+        if (!$this->session->isStarted()) {
+            $this->session->start();
+        }
+
+        return $this->getToken($action) ?? $this->generateToken($action);
+    }
+
     /**
      * Generate HTML hidden input for CSRF token.
      */
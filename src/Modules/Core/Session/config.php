@@ -9,9 +9,11 @@
 declare(strict_types=1);
 
 use DI\Container;
+use HdmBoot\Modules\Core\Session\Infrastructure\Middleware\CsrfMiddleware;
 use HdmBoot\Modules\Core\Session\Infrastructure\Middleware\SessionStartMiddleware;
 use HdmBoot\Modules\Core\Session\Services\CsrfService;
 use HdmBoot\Modules\Core\Session\Services\SessionService;
+use Psr\Http\Message\ResponseFactoryInterface;
 use Psr\Log\LoggerInterface;
 use ResponsiveSk\Slim4Session\SessionFactory;
 use ResponsiveSk\Slim4Session\SessionInterface;
@@ -71,6 +73,21 @@ return [
 
             return new SessionStartMiddleware($session, $logger);
         },
+
+        // CSRF Middleware - Token check for requests made by the theme's JavaScript
+        CsrfMiddleware::class => function (Container $container): CsrfMiddleware {
+            /** @var CsrfService $csrfService */
+            $csrfService = $container->get(CsrfService::class);
+            /** @var ResponseFactoryInterface $responseFactory */
+            $responseFactory = $container->get(ResponseFactoryInterface::class);
+            /** @var LoggerInterface $logger */
+            $logger = $container->get(LoggerInterface::class);
+
+            // Tells browser sessions from API clients
+            $sessionName = is_string($_ENV['SESSION_NAME'] ?? null) ? $_ENV['SESSION_NAME'] : 'boot_session';
+
+            return new CsrfMiddleware($csrfService, $responseFactory, $logger, $sessionName);
+        },
     ],
 
     // Module dependencies
@@ -102,6 +119,7 @@ return [
     // Middleware provided by this module
     'middleware' => [
         SessionStartMiddleware::class => 'Automatic session initialization',
+        CsrfMiddleware::class          => 'CSRF token check for JavaScript requests',
     ],
 
     // Module status
@@ -111,6 +129,7 @@ return [
             'CSRF token generation and validation',
             'Session persistence and security',
             'Session start middleware',
+            'CSRF middleware for JavaScript requests',
             'Configurable session options',
             'Environment-driven configuration',
         ],
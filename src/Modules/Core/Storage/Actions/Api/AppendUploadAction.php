@@ -0,0 +1,87 @@
+<?php
+
+declare(strict_types=1);
+
+namespace HdmBoot\Modules\Core\Storage\Actions\Api;
+
+use HdmBoot\Modules\Core\Storage\Exceptions\UploadException;
+use HdmBoot\Modules\Core\Storage\Services\UploadService;
+use Psr\Http\Message\ResponseInterface;
+use Psr\Http\Message\ServerRequestInterface;
+use Psr\Log\LoggerInterface;
+
+/**
+ * Append Upload Action (API).
+ *
+ * Stores the raw chunk the Content-Range header (bytes start-end/size)
+ * describes. The response to the last chunk includes the stored file.
+ */
+final class AppendUploadAction
+{
+    public function __construct(
+        private readonly UploadService $uploadService,
+        private readonly LoggerInterface $logger
+    ) {
+    }
+
+    /**
+     * @param array<string, string> $args
+     */
+    public function __invoke(ServerRequestInterface $request, ResponseInterface $response, array $args): ResponseInterface
+    {
+        $userId = $this->currentUserId($request);
+
+        if (!preg_match('/^bytes (\d+)-(\d+)\/(\d+)$/', $request->getHeaderLine('Content-Range'), $range)) {
+            return $this->rejected($response, UploadException::invalid('A Content-Range header is required'));
+        }
+
+        try {
+            $upload = $this->uploadService->append(
+                $args['id'] ?? '',
+                $userId,
+                (int) $range[1],
+                (int) $range[2],
+                (int) $range[3],
+                $request->getBody()
+            );
+
+            if (isset($upload['file'])) {
+                $this->logger->info('File uploaded', ['file_id' => $upload['id'], 'user_id' => $userId]);
+            }
+
+            return $this->respond($response, 200, [
+                'success' => true,
+                'data'    => $upload,
+            ]);
+        } catch (UploadException $e) {
+            return $this->rejected($response, $e);
+        }
+    }
+
+    private function currentUserId(ServerRequestInterface $request): string
+    {
+        $user = $request->getAttribute('user');
+
+        return is_array($user) && is_string($user['id'] ?? null) ? $user['id'] : '';
+    }
+
+    /**
+     * @param array<string, mixed> $data
+     */
+    private function respond(ResponseInterface $response, int $status, array $data): ResponseInterface
+    {
+        $response->getBody()->write(json_encode($data) ?: '{"success":false,"error":{"code":"JSON_ERROR","message":"Failed to encode response"}}');
+
+        return $response
+            ->withHeader('Content-Type', 'application/json')
+            ->withStatus($status);
+    }
+
+    private function rejected(ResponseInterface $response, UploadException $e): ResponseInterface
+    {
+        return $this->respond($response, $e->getStatus(), [
+            'success' => false,
+            'error'   => ['code' => $e->getErrorCode(), 'message' => $e->getMessage()],
+        ]);
+    }
+}
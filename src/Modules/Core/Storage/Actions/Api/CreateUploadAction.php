@@ -0,0 +1,91 @@
+<?php
+
+declare(strict_types=1);
+
+namespace HdmBoot\Modules\Core\Storage\Actions\Api;
+
+use HdmBoot\Modules\Core\Storage\Exceptions\UploadException;
+use HdmBoot\Modules\Core\Storage\Services\UploadService;
+use Psr\Http\Message\ResponseInterface;
+use Psr\Http\Message\ServerRequestInterface;
+use Psr\Http\Message\UploadedFileInterface;
+use Psr\Log\LoggerInterface;
+
+/**
+ * Create Upload Action (API).
+ *
+ * JSON { name, size, type } starts a resumable upload, a multipart/form-data
+ * body with a "file" field stores the file right away.
+ */
+final class CreateUploadAction
+{
+    public function __construct(
+        private readonly UploadService $uploadService,
+        private readonly LoggerInterface $logger
+    ) {
+    }
+
+    public function __invoke(ServerRequestInterface $request, ResponseInterface $response): ResponseInterface
+    {
+        $userId = $this->currentUserId($request);
+        $file = $request->getUploadedFiles()['file'] ?? null;
+
+        try {
+            if ($file instanceof UploadedFileInterface) {
+                $stored = $this->uploadService->store($file);
+
+                $this->logger->info('File uploaded', ['file_id' => $stored['id'], 'user_id' => $userId]);
+
+                return $this->respond($response, 201, [
+                    'success' => true,
+                    'data'    => ['file' => $stored],
+                ]);
+            }
+
+            $parsedBody = $request->getParsedBody();
+            /** @var array<string, mixed> $data */
+            $data = is_array($parsedBody) ? $parsedBody : [];
+
+            $upload = $this->uploadService->create(
+                $userId,
+                is_string($data['name'] ?? null) ? $data['name'] : '',
+                is_numeric($data['size'] ?? null) ? (int) $data['size'] : 0,
+                is_string($data['type'] ?? null) ? $data['type'] : ''
+            );
+
+            return $this->respond($response, 201, [
+                'success' => true,
+                'data'    => $upload,
+            ]);
+        } catch (UploadException $e) {
+            return $this->rejected($response, $e);
+        }
+    }
+
+    private function currentUserId(ServerRequestInterface $request): string
+    {
+        $user = $request->getAttribute('user');
+
+        return is_array($user) && is_string($user['id'] ?? null) ? $user['id'] : '';
+    }
+
+    /**
+     * @param array<string, mixed> $data
+     */
+    private function respond(ResponseInterface $response, int $status, array $data): ResponseInterface
+    {
+        $response->getBody()->write(json_encode($data) ?: '{"success":false,"error":{"code":"JSON_ERROR","message":"Failed to encode response"}}');
+
+        return $response
+            ->withHeader('Content-Type', 'application/json')
+            ->withStatus($status);
+    }
+
+    private function rejected(ResponseInterface $response, UploadException $e): ResponseInterface
+    {
+        return $this->respond($response, $e->getStatus(), [
+            'success' => false,
+            'error'   => ['code' => $e->getErrorCode(), 'message' => $e->getMessage()],
+        ]);
+    }
+}
@@ -0,0 +1,67 @@
+<?php
+
+declare(strict_types=1);
+
+namespace HdmBoot\Modules\Core\Storage\Actions\Api;
+
+use HdmBoot\Modules\Core\Storage\Exceptions\UploadException;
+use HdmBoot\Modules\Core\Storage\Services\UploadService;
+use Psr\Http\Message\ResponseInterface;
+use Psr\Http\Message\ServerRequestInterface;
+
+/**
+ * Delete Upload Action (API).
+ *
+ * Discards an unfinished upload.
+ */
+final class DeleteUploadAction
+{
+    public function __construct(
+        private readonly UploadService $uploadService
+    ) {
+    }
+
+    /**
+     * @param array<string, string> $args
+     */
+    public function __invoke(ServerRequestInterface $request, ResponseInterface $response, array $args): ResponseInterface
+    {
+        try {
+            $this->uploadService->discard($args['id'] ?? '', $this->currentUserId($request));
+
+            return $this->respond($response, 200, [
+                'success' => true,
+                'message' => 'Upload discarded',
+            ]);
+        } catch (UploadException $e) {
+            return $this->rejected($response, $e);
+        }
+    }
+
+    private function currentUserId(ServerRequestInterface $request): string
+    {
+        $user = $request->getAttribute('user');
+
+        return is_array($user) && is_string($user['id'] ?? null) ? $user['id'] : '';
+    }
+
+    /**
+     * @param array<string, mixed> $data
+     */
+    private function respond(ResponseInterface $response, int $status, array $data): ResponseInterface
+    {
+        $response->getBody()->write(json_encode($data) ?: '{"success":false,"error":{"code":"JSON_ERROR","message":"Failed to encode response"}}');
+
+        return $response
+            ->withHeader('Content-Type', 'application/json')
+            ->withStatus($status);
+    }
+
+    private function rejected(ResponseInterface $response, UploadException $e): ResponseInterface
+    {
+        return $this->respond($response, $e->getStatus(), [
+            'success' => false,
+            'error'   => ['code' => $e->getErrorCode(), 'message' => $e->getMessage()],
+        ]);
+    }
+}
@@ -0,0 +1,57 @@
+<?php
+
+declare(strict_types=1);
+
+namespace HdmBoot\Modules\Core\Storage\Exceptions;
+
+/**
+ * Upload Exception.
+ *
+ * Thrown when an upload is refused, carries the HTTP status and error code
+ * the upload API answers with.
+ */
+final class UploadException extends \RuntimeException
+{
+    public function __construct(
+        string $message,
+        private readonly int $status = 422,
+        private readonly string $errorCode = 'UPLOAD_REJECTED'
+    ) {
+        parent::__construct($message);
+    }
+
+    public static function notFound(): self
+    {
+        return new self('Upload not found', 404, 'NOT_FOUND');
+    }
+
+    public static function tooLarge(int $maxSize): self
+    {
+        return new self(sprintf('Files may be at most %d MB', intdiv($maxSize, 1024 * 1024)), 413, 'FILE_TOO_LARGE');
+    }
+
+    public static function typeNotAllowed(string $type): self
+    {
+        return new self("Files of type '{$type}' are not allowed", 415, 'FILE_TYPE_NOT_ALLOWED');
+    }
+
+    public static function offsetMismatch(int $offset): self
+    {
+        return new self("The upload continues at byte {$offset}", 409, 'OFFSET_MISMATCH');
+    }
+
+    public static function invalid(string $message): self
+    {
+        return new self($message, 400, 'INVALID_UPLOAD');
+    }
+
+    public function getStatus(): int
+    {
+        return $this->status;
+    }
+
+    public function getErrorCode(): string
+    {
+        return $this->errorCode;
+    }
+}
@@ -298,7 +298,6 @@ class Article extends FileModel
         if (empty($attributes['slug']) && !empty($attributes['title'])) {
             $title = $attributes['title'];
             $titleString = is_string($title) ? $title : '';
-            // @phpstan-ignore-next-line staticClassAccess.privateMethod
             $slug = static::generateSlug($titleString);
             $article->setAttribute('slug', $slug);
         }
@@ -311,7 +310,7 @@ class Article extends FileModel
     /**
      * Generate URL-friendly slug from title.
      */
-    private static function generateSlug(string $title): string
+    public static function generateSlug(string $title): string
     {
         $slug = strtolower($title);
         $slug = preg_replace('/[^a-z0-9\s-]/', '', $slug) ?? $slug;
@@ -0,0 +1,405 @@
+<?php
+
+declare(strict_types=1);
+
+namespace HdmBoot\Modules\Core\Storage\Services;
+
+use HdmBoot\Modules\Core\Storage\Exceptions\UploadException;
+use Psr\Http\Message\StreamInterface;
+use Psr\Http\Message\UploadedFileInterface;
+
+/**
+ * Upload Service.
+ *
+ * Resumable uploads for the theme's file upload component. Each upload keeps
+ * its metadata ({id}.json) and the bytes received so far ({id}.part) in the
+ * upload directory, owned by the user who started it. A complete file is
+ * checked against the allow-list by its content, not the name or type the
+ * browser claimed, and moved to the public directory.
+ */
+final class UploadService
+{
+    public const MAX_SIZE = 10 * 1024 * 1024;
+
+    /**
+     * Types that may be uploaded, and the extension they are stored with.
+     * Nothing a browser would run when served from the public directory.
+     */
+    public const ALLOWED_TYPES = [
+        'image/jpeg'      => 'jpg',
+        'image/png'       => 'png',
+        'image/gif'       => 'gif',
+        'image/webp'      => 'webp',
+        'application/pdf' => 'pdf',
+    ];
+
+    // Unfinished uploads are discarded after a day
+    public const EXPIRES_AFTER = 86400;
+
+    /**
+     * @param array<string, string> $allowedTypes MIME type => extension
+     */
+    public function __construct(
+        private readonly string $uploadDirectory,
+        private readonly string $publicDirectory,
+        private readonly string $publicUrl,
+        private readonly int $maxSize = self::MAX_SIZE,
+        private readonly array $allowedTypes = self::ALLOWED_TYPES,
+        private readonly int $expiresAfter = self::EXPIRES_AFTER
+    ) {
+    }
+
+    /**
+     * Start an upload.
+     *
+     * @return array{id: string, offset: int}
+     */
+    public function create(string $userId, string $name, int $size, string $type): array
+    {
+        $this->checkFile($size, $type);
+        $this->purgeExpired();
+
+        $id = bin2hex(random_bytes(16));
+
+        $this->writeMeta([
+            'id'         => $id,
+            'user_id'    => $userId,
+            'name'       => $this->cleanName($name),
+            'size'       => $size,
+            'type'       => $type,
+            'offset'     => 0,
+            'file'       => null,
+            'created_at' => time(),
+        ]);
+
+        touch($this->partPath($id));
+
+        return ['id' => $id, 'offset' => 0];
+    }
+
+    /**
+     * State of an upload, with the stored file once it is complete.
+     *
+     * @return array{id: string, offset: int, size: int, file?: array<string, mixed>}
+     */
+    public function status(string $id, string $userId): array
+    {
+        $meta = $this->readMeta($id, $userId);
+
+        return $this->describe($meta);
+    }
+
+    /**
+     * Store the chunk of bytes $start to $end, completing the upload with the last one.
+     *
+     * @return array{id: string, offset: int, size: int, file?: array<string, mixed>}
+     */
+    public function append(string $id, string $userId, int $start, int $end, int $total, StreamInterface $chunk): array
+    {
+        $meta = $this->readMeta($id, $userId);
+
+        if ($meta['file'] !== null) {
+            return $this->describe($meta);
+        }
+
+        // Chunks of one upload sent in parallel would both pass the offset check
+        $lock = @fopen($this->partPath($id), 'rb');
+
+        // Completed or discarded by another request meanwhile
+        if ($lock === false) {
+            return $this->describe($this->readMeta($id, $userId));
+        }
+
+        if (!flock($lock, LOCK_EX)) {
+            fclose($lock);
+
+            throw new \RuntimeException('Failed to lock upload');
+        }
+
+        try {
+            $meta = $this->readMeta($id, $userId);
+
+            if ($meta['file'] !== null) {
+                return $this->describe($meta);
+            }
+
+            if ($total !== $meta['size'] || $end < $start || $end >= $total) {
+                throw UploadException::invalid('Content-Range does not match the file size');
+            }
+
+            if ($start !== $meta['offset']) {
+                throw UploadException::offsetMismatch($meta['offset']);
+            }
+
+            $length = $end - $start + 1;
+            $written = $this->appendStream($this->partPath($id), $chunk, $length);
+
+            // A chunk that didn't arrive whole is dropped, the client sends it again
+            if ($written !== $length) {
+                $this->truncate($this->partPath($id), $start);
+
+                throw UploadException::invalid('The chunk does not match its Content-Range');
+            }
+
+            $meta['offset'] = $end + 1;
+
+            if ($meta['offset'] === $meta['size']) {
+                $meta['file'] = $this->publish($this->partPath($id), $id, $meta['name']);
+            }
+
+            $this->writeMeta($meta);
+
+            return $this->describe($meta);
+        } finally {
+            flock($lock, LOCK_UN);
+            fclose($lock);
+        }
+    }
+
+    /**
+     * Discard an upload, a completed file stays where it is.
+     */
+    public function discard(string $id, string $userId): void
+    {
+        $this->readMeta($id, $userId);
+
+        @unlink($this->partPath($id));
+        @unlink($this->metaPath($id));
+    }
+
+    /**
+     * Store a file posted as multipart/form-data in one go.
+     *
+     * @return array<string, mixed>
+     */
+    public function store(UploadedFileInterface $upload): array
+    {
+        if ($upload->getError() === UPLOAD_ERR_INI_SIZE || $upload->getError() === UPLOAD_ERR_FORM_SIZE) {
+            throw UploadException::tooLarge($this->maxSize);
+        }
+
+        if ($upload->getError() !== UPLOAD_ERR_OK) {
+            throw UploadException::invalid('The file could not be received');
+        }
+
+        $this->checkFile((int) $upload->getSize(), (string) $upload->getClientMediaType());
+        $this->ensureDirectory($this->uploadDirectory);
+
+        $id = bin2hex(random_bytes(16));
+        $path = $this->partPath($id);
+        $upload->moveTo($path);
+
+        return $this->publish($path, $id, $this->cleanName((string) $upload->getClientFilename()));
+    }
+
+    public function getMaxSize(): int
+    {
+        return $this->maxSize;
+    }
+
+    /**
+     * @return array<string, string>
+     */
+    public function getAllowedTypes(): array
+    {
+        return $this->allowedTypes;
+    }
+
+    private function checkFile(int $size, string $type): void
+    {
+        if ($size <= 0) {
+            throw UploadException::invalid('The file is empty');
+        }
+
+        if ($size > $this->maxSize) {
+            throw UploadException::tooLarge($this->maxSize);
+        }
+
+        // What the browser claims, the content is checked again once complete
+        if (!isset($this->allowedTypes[$type])) {
+            throw UploadException::typeNotAllowed($type === '' ? 'unknown' : $type);
+        }
+    }
+
+    /**
+     * Check the content of a complete file and move it to the public directory.
+     *
+     * @return array{id: string, url: string, name: string, size: int, type: string}
+     */
+    private function publish(string $path, string $id, string $name): array
+    {
+        $type = (new \finfo(FILEINFO_MIME_TYPE))->file($path) ?: 'application/octet-stream';
+
+        if (!isset($this->allowedTypes[$type])) {
+            @unlink($path);
+            @unlink($this->metaPath($id));
+
+            throw UploadException::typeNotAllowed($type);
+        }
+
+        $size = (int) filesize($path);
+        $directory = date('Y/m');
+        $fileName = $id . '.' . $this->allowedTypes[$type];
+
+        $this->ensureDirectory($this->publicDirectory . '/' . $directory);
+
+        if (!rename($path, $this->publicDirectory . '/' . $directory . '/' . $fileName)) {
+            throw new \RuntimeException('Failed to store uploaded file');
+        }
+
+        return [
+            'id'   => $id,
+            'url'  => rtrim($this->publicUrl, '/') . '/' . $directory . '/' . $fileName,
+            'name' => $name,
+            'size' => $size,
+            'type' => $type,
+        ];
+    }
+
+    /**
+     * Append the chunk, stopping once it turns out longer than $limit bytes.
+     */
+    private function appendStream(string $path, StreamInterface $chunk, int $limit): int
+    {
+        $handle = fopen($path, 'ab');
+        if ($handle === false) {
+            throw new \RuntimeException('Failed to open upload for writing');
+        }
+
+        $written = 0;
+
+        try {
+            if ($chunk->isSeekable()) {
+                $chunk->rewind();
+            }
+
+            while (!$chunk->eof()) {
+                $data = $chunk->read(65536);
+                $written += strlen($data);
+
+                if ($written > $limit) {
+                    break;
+                }
+
+                fwrite($handle, $data);
+            }
+        } finally {
+            fclose($handle);
+        }
+
+        return $written;
+    }
+
+    private function truncate(string $path, int $size): void
+    {
+        $handle = fopen($path, 'r+b');
+
+        if ($handle !== false) {
+            ftruncate($handle, $size);
+            fclose($handle);
+        }
+    }
+
+    /**
+     * @param array{id: string, offset: int, size: int, file: array<string, mixed>|null} $meta
+     *
+     * @return array{id: string, offset: int, size: int, file?: array<string, mixed>}
+     */
+    private function describe(array $meta): array
+    {
+        $status = [
+            'id'     => $meta['id'],
+            'offset' => $meta['offset'],
+            'size'   => $meta['size'],
+        ];
+
+        if ($meta['file'] !== null) {
+            $status['file'] = $meta['file'];
+        }
+
+        return $status;
+    }
+
+    /**
+     * Metadata of an upload the user owns, other users' uploads don't exist for them.
+     *
+     * @return array{id: string, user_id: string, name: string, size: int, type: string, offset: int, file: array<string, mixed>|null, created_at: int}
+     */
+    private function readMeta(string $id, string $userId): array
+    {
+        if (!preg_match('/^[a-f0-9]{32}$/', $id) || !is_file($this->metaPath($id))) {
+            throw UploadException::notFound();
+        }
+
+        $meta = json_decode((string) file_get_contents($this->metaPath($id)), true);
+
+        if (!is_array($meta) || ($meta['user_id'] ?? null) !== $userId || $this->isExpired($meta)) {
+            throw UploadException::notFound();
+        }
+
+        /** @var array{id: string, user_id: string, name: string, size: int, type: string, offset: int, file: array<string, mixed>|null, created_at: int} $meta */
+        return $meta;
+    }
+
+    /**
+     * @param array<string, mixed> $meta
+     */
+    private function writeMeta(array $meta): void
+    {
+        $this->ensureDirectory($this->uploadDirectory);
+
+        /** @var string $id */
+        $id = $meta['id'];
+
+        if (file_put_contents($this->metaPath($id), json_encode($meta), LOCK_EX) === false) {
+            throw new \RuntimeException('Failed to save upload');
+        }
+    }
+
+    /**
+     * @param array<string, mixed> $meta
+     */
+    private function isExpired(array $meta): bool
+    {
+        $createdAt = is_int($meta['created_at'] ?? null) ? $meta['created_at'] : 0;
+
+        return $createdAt + $this->expiresAfter < time();
+    }
+
+    private function purgeExpired(): void
+    {
+        foreach (glob($this->uploadDirectory . '/*.json') ?: [] as $metaPath) {
+            $meta = json_decode((string) file_get_contents($metaPath), true);
+
+            if (!is_array($meta) || $this->isExpired($meta)) {
+                @unlink(substr($metaPath, 0, -5) . '.part');
+                @unlink($metaPath);
+            }
+        }
+    }
+
+    private function cleanName(string $name): string
+    {
+        $name = basename(str_replace('\\', '/', $name));
+        $name = preg_replace('/[^\w.\- ]+/u', '', $name) ?? '';
+
+        return mb_substr(trim($name), 0, 200) ?: 'file';
+    }
+
+    private function ensureDirectory(string $directory): void
+    {
+        if (!is_dir($directory) && !mkdir($directory, 0o755, true) && !is_dir($directory)) {
+            throw new \RuntimeException("Failed to create directory: {$directory}");
+        }
+    }
+
+    private function metaPath(string $id): string
+    {
+        return $this->uploadDirectory . '/' . $id . '.json';
+    }
+
+    private function partPath(string $id): string
+    {
+        return $this->uploadDirectory . '/' . $id . '.part';
+    }
+}
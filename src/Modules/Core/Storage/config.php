@@ -15,6 +15,7 @@ use HdmBoot\Modules\Core\Storage\Drivers\MarkdownDriver;
 use HdmBoot\Modules\Core\Storage\Models\Article;
 use HdmBoot\Modules\Core\Storage\Models\Documentation;
 use HdmBoot\Modules\Core\Storage\Services\FileStorageService;
+use HdmBoot\Modules\Core\Storage\Services\UploadService;
 use ResponsiveSk\Slim4Paths\Paths;
 
 return [
@@ -78,6 +79,20 @@ return [
             return $service;
         },
 
+        // Upload Service - unfinished uploads in var/uploads, files served from public/media/uploads
+        UploadService::class => function (Container $container): UploadService {
+            $paths = $container->get(Paths::class);
+            if (!$paths instanceof Paths) {
+                throw new \RuntimeException('Paths service not properly configured');
+            }
+
+            return new UploadService(
+                $paths->get('uploads'),
+                $paths->getPath($paths->get('media'), 'uploads'),
+                '/media/uploads'
+            );
+        },
+
         // Markdown Driver
         MarkdownDriver::class => function (): MarkdownDriver {
             return new MarkdownDriver();
@@ -146,6 +161,10 @@ return [
         'GET /api/docs/{slug}'                  => 'Get specific documentation by slug',
         'GET /api/docs/category/{category}'     => 'Get documentation by category',
         'GET /api/storage/stats'                => 'Get storage statistics',
+        'POST /api/storage/uploads'             => 'Start a resumable upload or store a multipart file',
+        'GET /api/storage/uploads/{id}'         => 'Get the offset of an upload',
+        'PUT /api/storage/uploads/{id}'         => 'Append a chunk to an upload',
+        'DELETE /api/storage/uploads/{id}'      => 'Discard an unfinished upload',
     ],
 
     // === MIDDLEWARE ===
@@ -20,7 +20,7 @@ return [
     'type'         => 'core',
     'dependencies' => [],
     'config'       => $paths->getPath($paths->src('Modules/Core/Storage'), 'config.php'),
-    'routes'       => null,
+    'routes'       => $paths->getPath($paths->src('Modules/Core/Storage'), 'routes.php'),
     'authors'      => ['HDM Boot Team'],
     'tags'         => ['storage', 'files', 'markdown', 'articles', 'documentation'],
     'provides'     => [
@@ -29,6 +29,7 @@ return [
         'json-driver',
         'article-model',
         'documentation-model',
+        'file-uploads',
     ],
     'requires' => [
         'php' => '>=8.1',
@@ -0,0 +1,45 @@
+<?php
+
+declare(strict_types=1);
+
+use HdmBoot\Modules\Core\Security\Middleware\AuthenticationMiddleware;
+use HdmBoot\Modules\Core\Session\Infrastructure\Middleware\CsrfMiddleware;
+use HdmBoot\Modules\Core\Session\Infrastructure\Middleware\SessionStartMiddleware;
+use HdmBoot\Modules\Core\Storage\Actions\Api\AppendUploadAction;
+use HdmBoot\Modules\Core\Storage\Actions\Api\CreateUploadAction;
+use HdmBoot\Modules\Core\Storage\Actions\Api\DeleteUploadAction;
+use HdmBoot\Modules\Core\Storage\Actions\Api\GetUploadAction;
+use Slim\App;
+
+/*
+ * Storage Module Routes.
+ *
+ * File uploads for the theme's file upload component, see README.md for
+ * the contract. Uploads belong to the user who started them.
+ */
+return function (App $app): void {
+    $app->group('/api/storage/uploads', function ($group) {
+        // Start a resumable upload, or store a multipart file right away
+        // POST /api/storage/uploads
+        $group->post('', CreateUploadAction::class)
+            ->setName('storage.uploads.create');
+
+        // Offset of an upload being resumed
+        // GET /api/storage/uploads/{id}
+        $group->get('/{id}', GetUploadAction::class)
+            ->setName('storage.uploads.get');
+
+        // Next chunk, Content-Range: bytes start-end/size
+        // PUT /api/storage/uploads/{id}
+        $group->put('/{id}', AppendUploadAction::class)
+            ->setName('storage.uploads.append');
+
+        // Discard an unfinished upload
+        // DELETE /api/storage/uploads/{id}
+        $group->delete('/{id}', DeleteUploadAction::class)
+            ->setName('storage.uploads.delete');
+    })
+    ->add(AuthenticationMiddleware::class)
+    ->add(CsrfMiddleware::class)
+    ->add(SessionStartMiddleware::class);
+};
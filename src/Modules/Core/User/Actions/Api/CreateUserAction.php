@@ -0,0 +1,116 @@
+<?php
+
+declare(strict_types=1);
+
+namespace HdmBoot\Modules\Core\User\Actions\Api;
+
+use HdmBoot\Modules\Core\ErrorHandling\Infrastructure\Exceptions\ValidationException;
+use HdmBoot\Modules\Core\User\Domain\Events\UserWasRegistered;
+use HdmBoot\Modules\Core\User\Exceptions\UserAlreadyExistsException;
+use HdmBoot\Modules\Core\User\Services\UserService;
+use HdmBoot\SharedKernel\Events\EventDispatcherInterface;
+use Psr\Http\Message\ResponseInterface;
+use Psr\Http\Message\ServerRequestInterface;
+use Psr\Log\LoggerInterface;
+
+/**
+ * Create User Action (API).
+ */
+final class CreateUserAction
+{
+    public const ROLES = ['user', 'editor', 'admin'];
+
+    public function __construct(
+        private readonly UserService $userService,
+        private readonly EventDispatcherInterface $eventDispatcher,
+        private readonly LoggerInterface $logger
+    ) {
+    }
+
+    public function __invoke(ServerRequestInterface $request, ResponseInterface $response): ResponseInterface
+    {
+        $parsedBody = $request->getParsedBody();
+        /** @var array<string, mixed> $data */
+        $data = is_array($parsedBody) ? $parsedBody : [];
+
+        $email = is_string($data['email'] ?? null) ? trim($data['email']) : '';
+        $name = is_string($data['name'] ?? null) ? trim($data['name']) : '';
+        $password = is_string($data['password'] ?? null) ? $data['password'] : '';
+        $role = is_string($data['role'] ?? null) ? $data['role'] : 'user';
+
+        if (!in_array($role, self::ROLES, true)) {
+            return $this->respond($response, 422, [
+                'success' => false,
+                'error'   => [
+                    'code'    => 'VALIDATION_ERROR',
+                    'message' => 'Validation failed',
+                    'details' => ['role' => 'Unknown role'],
+                ],
+            ]);
+        }
+
+        try {
+            $user = $this->userService->createUser($email, $name, $password, $role);
+
+            $this->logger->info('User created via API', [
+                'user_id'    => $user['id'] ?? 'unknown',
+                'created_by' => $this->currentUserId($request),
+            ]);
+
+            $this->eventDispatcher->dispatch(UserWasRegistered::fromUserData($user, [
+                'client_ip'  => $this->clientIp($request),
+                'user_agent' => $request->getHeaderLine('User-Agent') ?: null,
+            ]));
+
+            return $this->respond($response, 201, [
+                'success' => true,
+                'data'    => array_diff_key($user, ['password_hash' => true]),
+                'message' => 'User created',
+            ]);
+        } catch (ValidationException $e) {
+            return $this->respond($response, 422, [
+                'success' => false,
+                'error'   => [
+                    'code'    => 'VALIDATION_ERROR',
+                    'message' => 'Validation failed',
+                    'details' => $e->getValidationErrors(),
+                ],
+            ]);
+        } catch (UserAlreadyExistsException $e) {
+            return $this->respond($response, 422, [
+                'success' => false,
+                'error'   => [
+                    'code'    => 'VALIDATION_ERROR',
+                    'message' => 'A user with this email already exists',
+                    'details' => ['email' => 'A user with this email already exists'],
+                ],
+            ]);
+        }
+    }
+
+    private function currentUserId(ServerRequestInterface $request): string
+    {
+        $user = $request->getAttribute('user');
+
+        return is_array($user) && is_string($user['id'] ?? null) ? $user['id'] : 'unknown';
+    }
+
+    private function clientIp(ServerRequestInterface $request): string
+    {
+        $remoteAddr = $request->getServerParams()['REMOTE_ADDR'] ?? null;
+
+        return is_string($remoteAddr) ? $remoteAddr : '127.0.0.1';
+    }
+
+    /**
+     * @param array<string, mixed> $data
+     */
+    private function respond(ResponseInterface $response, int $status, array $data): ResponseInterface
+    {
+        $response->getBody()->write(json_encode($data) ?: '{"success":false,"error":{"code":"JSON_ERROR","message":"Failed to encode response"}}');
+
+        return $response
+            ->withHeader('Content-Type', 'application/json')
+            ->withStatus($status);
+    }
+}
@@ -0,0 +1,79 @@
+<?php
+
+declare(strict_types=1);
+
+namespace HdmBoot\Modules\Core\User\Actions\Api;
+
+use HdmBoot\Modules\Core\User\Domain\Events\UserWasDeleted;
+use HdmBoot\Modules\Core\User\Exceptions\UserNotFoundException;
+use HdmBoot\Modules\Core\User\Services\UserService;
+use HdmBoot\SharedKernel\Events\EventDispatcherInterface;
+use Psr\Http\Message\ResponseInterface;
+use Psr\Http\Message\ServerRequestInterface;
+use Psr\Log\LoggerInterface;
+
+/**
+ * Delete User Action (API).
+ */
+final class DeleteUserAction
+{
+    public function __construct(
+        private readonly UserService $userService,
+        private readonly EventDispatcherInterface $eventDispatcher,
+        private readonly LoggerInterface $logger
+    ) {
+    }
+
+    /**
+     * @param array<string, string> $args
+     */
+    public function __invoke(ServerRequestInterface $request, ResponseInterface $response, array $args): ResponseInterface
+    {
+        $id = $args['id'] ?? '';
+        $currentUser = $request->getAttribute('user');
+        $currentUserId = is_array($currentUser) && is_string($currentUser['id'] ?? null) ? $currentUser['id'] : '';
+
+        if ($id === $currentUserId) {
+            return $this->respond($response, 409, [
+                'success' => false,
+                'error'   => ['code' => 'CANNOT_DELETE_SELF', 'message' => "You can't delete your own account here"],
+            ]);
+        }
+
+        try {
+            $user = $this->userService->getUserById($id) ?? ['id' => $id];
+            $this->userService->deleteUser($id);
+
+            $this->logger->info('User deleted via API', [
+                'user_id'    => $id,
+                'deleted_by' => $currentUserId,
+            ]);
+
+            $this->eventDispatcher->dispatch(UserWasDeleted::fromUserData($user, [
+                'deleted_by' => $currentUserId,
+            ]));
+
+            return $this->respond($response, 200, [
+                'success' => true,
+                'message' => 'User deleted',
+            ]);
+        } catch (UserNotFoundException $e) {
+            return $this->respond($response, 404, [
+                'success' => false,
+                'error'   => ['code' => 'USER_NOT_FOUND', 'message' => 'User not found'],
+            ]);
+        }
+    }
+
+    /**
+     * @param array<string, mixed> $data
+     */
+    private function respond(ResponseInterface $response, int $status, array $data): ResponseInterface
+    {
+        $response->getBody()->write(json_encode($data) ?: '{"success":false,"error":{"code":"JSON_ERROR","message":"Failed to encode response"}}');
+
+        return $response
+            ->withHeader('Content-Type', 'application/json')
+            ->withStatus($status);
+    }
+}
@@ -0,0 +1,51 @@
+<?php
+
+declare(strict_types=1);
+
+namespace HdmBoot\Modules\Core\User\Actions\Api;
+
+use HdmBoot\Modules\Core\User\Services\UserService;
+use Psr\Http\Message\ResponseInterface;
+use Psr\Http\Message\ServerRequestInterface;
+
+/**
+ * Get User Action (API).
+ */
+final class GetUserAction
+{
+    public function __construct(
+        private readonly UserService $userService
+    ) {
+    }
+
+    /**
+     * @param array<string, string> $args
+     */
+    public function __invoke(ServerRequestInterface $request, ResponseInterface $response, array $args): ResponseInterface
+    {
+        $user = $this->userService->getUserById($args['id'] ?? '');
+
+        if ($user === null) {
+            $data = [
+                'success' => false,
+                'error'   => [
+                    'code'    => 'USER_NOT_FOUND',
+                    'message' => 'User not found',
+                ],
+            ];
+            $status = 404;
+        } else {
+            $data = [
+                'success' => true,
+                'data'    => array_diff_key($user, ['password_hash' => true]),
+            ];
+            $status = 200;
+        }
+
+        $response->getBody()->write(json_encode($data) ?: '{"success":false,"error":{"code":"JSON_ERROR","message":"Failed to encode response"}}');
+
+        return $response
+            ->withHeader('Content-Type', 'application/json')
+            ->withStatus($status);
+    }
+}
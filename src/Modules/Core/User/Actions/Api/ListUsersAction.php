@@ -21,8 +21,12 @@ final class ListUsersAction
 
         // Parse filters from query parameters
         $filters = [
-            'role'   => $queryParams['role'] ?? null,
-            'status' => $queryParams['status'] ?? null,
+            'role'      => $queryParams['role'] ?? null,
+            'status'    => $queryParams['status'] ?? null,
+            'email'     => $queryParams['email'] ?? null,
+            'search'    => $queryParams['search'] ?? null,
+            'sort'      => $queryParams['sort'] ?? null,
+            'direction' => $queryParams['direction'] ?? null,
         ];
 
         // Remove null values
@@ -31,10 +35,13 @@ final class ListUsersAction
         // Get users with filters
         $users = $this->userRepository->findAll($filters);
 
-        // Format response
+        // Format response, password hashes stay on the server
         $data = [
             'success' => true,
-            'data'    => $users,
+            'data'    => array_map(
+                fn (array $user): array => array_diff_key($user, ['password_hash' => true]),
+                $users
+            ),
         ];
 
         $response->getBody()->write(json_encode($data, JSON_PRETTY_PRINT));
@@ -0,0 +1,154 @@
+<?php
+
+declare(strict_types=1);
+
+namespace HdmBoot\Modules\Core\User\Actions\Api;
+
+use HdmBoot\Modules\Core\User\Domain\Events\UserWasUpdated;
+use HdmBoot\Modules\Core\User\Exceptions\UserAlreadyExistsException;
+use HdmBoot\Modules\Core\User\Exceptions\UserNotFoundException;
+use HdmBoot\Modules\Core\User\Services\UserService;
+use HdmBoot\SharedKernel\Events\EventDispatcherInterface;
+use Psr\Http\Message\ResponseInterface;
+use Psr\Http\Message\ServerRequestInterface;
+use Psr\Log\LoggerInterface;
+
+/**
+ * Update User Action (API).
+ *
+ * Changes name, email, role and status. Admins can't change their own role
+ * or status, so nobody locks themselves out by accident.
+ */
+final class UpdateUserAction
+{
+    public const STATUSES = ['active', 'inactive', 'suspended'];
+
+    public function __construct(
+        private readonly UserService $userService,
+        private readonly EventDispatcherInterface $eventDispatcher,
+        private readonly LoggerInterface $logger
+    ) {
+    }
+
+    /**
+     * @param array<string, string> $args
+     */
+    public function __invoke(ServerRequestInterface $request, ResponseInterface $response, array $args): ResponseInterface
+    {
+        $id = $args['id'] ?? '';
+        $parsedBody = $request->getParsedBody();
+        /** @var array<string, mixed> $data */
+        $data = is_array($parsedBody) ? array_intersect_key($parsedBody, array_flip(['name', 'email', 'role', 'status'])) : [];
+
+        $errors = $this->validate($data, $id === $this->currentUserId($request));
+
+        if ($errors !== []) {
+            return $this->respond($response, 422, [
+                'success' => false,
+                'error'   => [
+                    'code'    => 'VALIDATION_ERROR',
+                    'message' => 'Validation failed',
+                    'details' => $errors,
+                ],
+            ]);
+        }
+
+        try {
+            $previous = $this->userService->getUserById($id) ?? [];
+            $user = $this->userService->updateUser($id, $data);
+
+            $this->logger->info('User updated via API', [
+                'user_id'    => $id,
+                'fields'     => array_keys($data),
+                'updated_by' => $this->currentUserId($request),
+            ]);
+
+            $this->eventDispatcher->dispatch(UserWasUpdated::fromUpdateData($id, $previous, $data, [
+                'updated_by' => $this->currentUserId($request),
+                'client_ip'  => $this->clientIp($request),
+            ]));
+
+            return $this->respond($response, 200, [
+                'success' => true,
+                'data'    => array_diff_key($user, ['password_hash' => true]),
+                'message' => 'User updated',
+            ]);
+        } catch (UserNotFoundException $e) {
+            return $this->respond($response, 404, [
+                'success' => false,
+                'error'   => ['code' => 'USER_NOT_FOUND', 'message' => 'User not found'],
+            ]);
+        } catch (UserAlreadyExistsException $e) {
+            return $this->respond($response, 422, [
+                'success' => false,
+                'error'   => [
+                    'code'    => 'VALIDATION_ERROR',
+                    'message' => 'A user with this email already exists',
+                    'details' => ['email' => 'A user with this email already exists'],
+                ],
+            ]);
+        }
+    }
+
+    /**
+     * @param array<string, mixed> $data
+     *
+     * @return array<string, string>
+     */
+    private function validate(array $data, bool $isSelf): array
+    {
+        $errors = [];
+
+        if (array_key_exists('name', $data) && (!is_string($data['name']) || trim($data['name']) === '')) {
+            $errors['name'] = 'The name field is required';
+        }
+
+        if (array_key_exists('email', $data) && (!is_string($data['email']) || filter_var($data['email'], FILTER_VALIDATE_EMAIL) === false)) {
+            $errors['email'] = 'The email field must be a valid email address';
+        }
+
+        if (array_key_exists('role', $data) && !in_array($data['role'], CreateUserAction::ROLES, true)) {
+            $errors['role'] = 'Unknown role';
+        }
+
+        if (array_key_exists('status', $data) && !in_array($data['status'], self::STATUSES, true)) {
+            $errors['status'] = 'Unknown status';
+        }
+
+        if ($isSelf) {
+            foreach (['role', 'status'] as $field) {
+                if (array_key_exists($field, $data) && !isset($errors[$field])) {
+                    $errors[$field] = "You can't change your own {$field}";
+                }
+            }
+        }
+
+        return $errors;
+    }
+
+    private function currentUserId(ServerRequestInterface $request): string
+    {
+        $user = $request->getAttribute('user');
+
+        return is_array($user) && is_string($user['id'] ?? null) ? $user['id'] : '';
+    }
+
+    private function clientIp(ServerRequestInterface $request): string
+    {
+        $remoteAddr = $request->getServerParams()['REMOTE_ADDR'] ?? null;
+
+        return is_string($remoteAddr) ? $remoteAddr : '127.0.0.1';
+    }
+
+    /**
+     * @param array<string, mixed> $data
+     */
+    private function respond(ResponseInterface $response, int $status, array $data): ResponseInterface
+    {
+        $response->getBody()->write(json_encode($data) ?: '{"success":false,"error":{"code":"JSON_ERROR","message":"Failed to encode response"}}');
+
+        return $response
+            ->withHeader('Content-Type', 'application/json')
+            ->withStatus($status);
+    }
+}
@@ -0,0 +1,97 @@
+<?php
+
+declare(strict_types=1);
+
+namespace HdmBoot\Modules\Core\User\Domain\Events;
+
+use HdmBoot\SharedKernel\CQRS\Events\DomainEventInterface;
+
+/**
+ * User Was Deleted Event.
+ *
+ * Domain event fired when a user is removed from the system.
+ */
+final readonly class UserWasDeleted implements DomainEventInterface
+{
+    public function __construct(
+        public string $eventId,
+        public string $userId,
+        public string $email,
+        public string $deletedBy,
+        public \DateTimeImmutable $occurredAt,
+        public int $version = 1
+    ) {
+    }
+
+    /**
+     * Create event from the deleted user's data.
+     *
+     * @param array<string, mixed> $userData
+     * @param array<string, mixed> $metadata
+     */
+    public static function fromUserData(array $userData, array $metadata = []): self
+    {
+        return new self(
+            eventId: uniqid('user_deleted_', true),
+            userId: (string) ($userData['id'] ?? ''),
+            email: (string) ($userData['email'] ?? ''),
+            deletedBy: (string) ($metadata['deleted_by'] ?? 'system'),
+            occurredAt: new \DateTimeImmutable(),
+            version: 1
+        );
+    }
+
+    public function getEventId(): string
+    {
+        return $this->eventId;
+    }
+
+    public function getEventName(): string
+    {
+        return 'user_was_deleted';
+    }
+
+    public function getOccurredAt(): \DateTimeImmutable
+    {
+        return $this->occurredAt;
+    }
+
+    public function getVersion(): int
+    {
+        return $this->version;
+    }
+
+    public function toArray(): array
+    {
+        return [
+            'event_id'    => $this->eventId,
+            'event_name'  => $this->getEventName(),
+            'user_id'     => $this->userId,
+            'email'       => $this->email,
+            'deleted_by'  => $this->deletedBy,
+            'occurred_at' => $this->occurredAt->format('Y-m-d H:i:s'),
+            'version'     => $this->version,
+        ];
+    }
+
+    public function getEventData(): array
+    {
+        return [
+            'user_id'    => $this->userId,
+            'email'      => $this->email,
+            'deleted_by' => $this->deletedBy,
+        ];
+    }
+
+    public function toLogArray(): array
+    {
+        return [
+            'event_id'    => $this->eventId,
+            'event_name'  => $this->getEventName(),
+            'user_id'     => $this->userId,
+            'deleted_by'  => $this->deletedBy,
+            'occurred_at' => $this->occurredAt->format('Y-m-d H:i:s'),
+            'version'     => $this->version,
+        ];
+    }
+}
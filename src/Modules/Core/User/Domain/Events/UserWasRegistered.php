@@ -103,6 +103,16 @@ final readonly class UserWasRegistered implements DomainEventInterface
         ];
     }
 
+    public function getEventData(): array
+    {
+        return [
+            'user_id' => $this->userId,
+            'email'   => $this->email,
+            'name'    => $this->name,
+            'role'    => $this->role,
+        ];
+    }
+
     public function toLogArray(): array
     {
         return [
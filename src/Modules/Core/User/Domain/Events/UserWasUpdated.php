@@ -95,6 +95,15 @@ final readonly class UserWasUpdated implements DomainEventInterface
         ];
     }
 
+    public function getEventData(): array
+    {
+        return [
+            'user_id'        => $this->userId,
+            'changed_fields' => $this->changedFields,
+            'updated_by'     => $this->updatedBy,
+        ];
+    }
+
     public function toLogArray(): array
     {
         return [
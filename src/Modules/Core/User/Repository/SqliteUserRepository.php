@@ -15,6 +15,11 @@ use RuntimeException;
  */
 final class SqliteUserRepository implements UserRepositoryInterface
 {
+    /**
+     * Columns findAll() can sort by.
+     */
+    private const SORTABLE_COLUMNS = ['name', 'email', 'role', 'status', 'created_at', 'updated_at'];
+
     public function __construct(private readonly PDO $pdo)
     {
         // Ensure users database is using WAL mode for better concurrency
@@ -133,12 +138,28 @@ final class SqliteUserRepository implements UserRepositoryInterface
                 $params[] = $filters['status'];
             }
 
+            if (isset($filters['email'])) {
+                $conditions[] = 'LOWER(email) = LOWER(?)';
+                $params[] = $filters['email'];
+            }
+
+            if (isset($filters['search'])) {
+                $conditions[] = "(name LIKE ? ESCAPE '\\' OR email LIKE ? ESCAPE '\\')";
+                $term = '%' . addcslashes((string) $filters['search'], '%_\\') . '%';
+                $params[] = $term;
+                $params[] = $term;
+            }
+
             if (!empty($conditions)) {
                 $sql .= ' WHERE ' . implode(' AND ', $conditions);
             }
         }
 
-        $sql .= ' ORDER BY created_at DESC';
+        // Column names can't be bound, only known ones are used
+        $sort = in_array($filters['sort'] ?? null, self::SORTABLE_COLUMNS, true) ? $filters['sort'] : 'created_at';
+        $direction = strtolower((string) ($filters['direction'] ?? '')) === 'asc' ? 'ASC' : 'DESC';
+
+        $sql .= " ORDER BY {$sort} {$direction}";
 
         $stmt = $this->pdo->prepare($sql);
         $stmt->execute($params);
@@ -23,6 +23,9 @@ interface UserRepositoryInterface
 
     /**
      * Find all users with optional filters.
+     *
+     * Filters: role, status, email (exact), search (in name and email),
+     * sort (column) and direction (asc or desc, newest first by default).
      */
     public function findAll(array $filters = []): array;
 
@@ -7,7 +7,9 @@ namespace HdmBoot\Modules\Core\User\Services;
 use HdmBoot\Modules\Core\ErrorHandling\Infrastructure\Helpers\ErrorHelper;
 use HdmBoot\Modules\Core\User\Contracts\Services\UserServiceInterface;
 use HdmBoot\Modules\Core\User\Exceptions\UserAlreadyExistsException;
+use HdmBoot\Modules\Core\User\Exceptions\UserNotFoundException;
 use HdmBoot\Modules\Core\User\Repository\UserRepositoryInterface;
+use InvalidArgumentException;
 use Psr\Log\LoggerInterface;
 
 /**
@@ -138,7 +140,7 @@ final class UserService implements UserServiceInterface
     {
         $user = $this->getUserById($id);
         if (!$user) {
-            throw new RuntimeException('User not found');
+            throw UserNotFoundException::byId($id);
         }
 
         // Update allowed fields
@@ -152,7 +154,7 @@ final class UserService implements UserServiceInterface
         // Check email uniqueness if email is being updated
         if (isset($updateData['email']) && $updateData['email'] !== $user['email']) {
             if ($this->userRepository->emailExists($updateData['email'])) {
-                throw new InvalidArgumentException('Email address is already in use');
+                throw UserAlreadyExistsException::withEmail($updateData['email']);
             }
         }
 
@@ -170,7 +172,7 @@ final class UserService implements UserServiceInterface
     {
         $user = $this->getUserById($id);
         if (!$user) {
-            throw new RuntimeException('User not found');
+            throw UserNotFoundException::byId($id);
         }
 
         // Verify current password
@@ -191,6 +193,10 @@ final class UserService implements UserServiceInterface
      */
     public function deleteUser(string $id): void
     {
+        if (!$this->getUserById($id)) {
+            throw UserNotFoundException::byId($id);
+        }
+
         $this->userRepository->delete($id);
         $this->logger->info('User deleted successfully', ['user_id' => $id]);
     }
@@ -246,13 +252,18 @@ final class UserService implements UserServiceInterface
     public function getUserStatistics(): array
     {
         try {
-            // This would typically query the repository for statistics
-            // For now, return basic stats
+            $statistics = $this->userRepository->getStatistics();
+            $total = (int) ($statistics['total'] ?? 0);
+            $active = (int) ($statistics['active'] ?? 0);
+            /** @var array<string, int> $byRole */
+            $byRole = is_array($statistics['by_role'] ?? null) ? $statistics['by_role'] : [];
+
             return [
-                'total_users'    => 0, // Would be calculated from repository
-                'active_users'   => 0,
-                'inactive_users' => 0,
-                'admin_users'    => 0,
+                'total_users'    => $total,
+                'active_users'   => $active,
+                'inactive_users' => $total - $active,
+                'admin_users'    => (int) ($byRole['admin'] ?? 0),
+                'users_by_role'  => array_map('intval', $byRole),
                 'last_updated'   => date('Y-m-d H:i:s'),
             ];
         } catch (\Exception $e) {
@@ -15,7 +15,7 @@ return [
     'description'  => 'User management, profiles, and user-related services',
     'dependencies' => ['Database'], // Depends on Database for user storage
     'config'       => 'config.php',
-    'routes'       => null, // User routes are defined in config.php
+    'routes'       => 'routes.php',
     'authors'      => [
         'HDM Boot Team',
     ],
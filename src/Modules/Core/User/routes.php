@@ -2,12 +2,19 @@
 
 declare(strict_types=1);
 
+use DI\Container;
 use HdmBoot\Modules\Core\Security\Middleware\AuthenticationMiddleware;
-use HdmBoot\Modules\Core\Security\Middleware\AuthorizationMiddleware;
+use HdmBoot\Modules\Core\Security\Middleware\PermissionMiddleware;
 use HdmBoot\Modules\Core\Security\Services\AuthorizationService;
-use HdmBoot\Modules\Core\User\Actions\CreateUserAction;
-use HdmBoot\Modules\Core\User\Actions\GetUserAction;
-use HdmBoot\Modules\Core\User\Actions\ListUsersAction;
+use HdmBoot\Modules\Core\Session\Infrastructure\Middleware\CsrfMiddleware;
+use HdmBoot\Modules\Core\Session\Infrastructure\Middleware\SessionStartMiddleware;
+use HdmBoot\Modules\Core\User\Actions\Api\CreateUserAction;
+use HdmBoot\Modules\Core\User\Actions\Api\DeleteUserAction;
+use HdmBoot\Modules\Core\User\Actions\Api\GetUserAction;
+use HdmBoot\Modules\Core\User\Actions\Api\ListUsersAction;
+use HdmBoot\Modules\Core\User\Actions\Api\UpdateUserAction;
+use Psr\Http\Message\ResponseFactoryInterface;
+use Psr\Log\LoggerInterface;
 use Slim\App;
 
 /*
@@ -17,80 +24,59 @@ use Slim\App;
  * All routes are protected with JWT authentication.
  */
 return function (App $app): void {
+    /** @var Container $container */
+    $container = $app->getContainer();
+    /** @var AuthorizationService $authorizationService */
+    $authorizationService = $container->get(AuthorizationService::class);
+    /** @var ResponseFactoryInterface $responseFactory */
+    $responseFactory = $container->get(ResponseFactoryInterface::class);
+    /** @var LoggerInterface $logger */
+    $logger = $container->get(LoggerInterface::class);
+
+    // Permission check for the JWT user, runs after AuthenticationMiddleware
+    $permission = static fn (string $permission): PermissionMiddleware => new PermissionMiddleware(
+        $authorizationService,
+        $responseFactory,
+        $logger,
+        $permission
+    );
+
     // User API routes (protected with JWT authentication)
-    $app->group('/api/users', function ($group) {
-        // List users with pagination and filters
-        // GET /api/users?page=1&limit=20&role=admin&status=active&search=john
+    $app->group('/api/users', function ($group) use ($permission) {
+        // List users with filters, search and sorting
+        // GET /api/users?role=admin&status=active&search=john&sort=name&direction=asc
+        // GET /api/users?email=jane@example.com (exact match, used for uniqueness checks)
         $group->get('', ListUsersAction::class)
             ->setName('users.list')
-            ->add(new AuthorizationMiddleware(
-                $this->get(AuthorizationService::class),
-                'user.view'
-            ));
+            ->add($permission('user.view'));
 
         // Create new user
         // POST /api/users
         $group->post('', CreateUserAction::class)
             ->setName('users.create')
-            ->add(new AuthorizationMiddleware(
-                $this->get(AuthorizationService::class),
-                'user.create'
-            ));
+            ->add($permission('user.create'));
 
         // Get single user by ID
         // GET /api/users/{id}
         $group->get('/{id}', GetUserAction::class)
             ->setName('users.get')
-            ->add(new AuthorizationMiddleware(
-                $this->get(AuthorizationService::class),
-                'user.view'
-            ));
+            ->add($permission('user.view'));
 
-        // Update user (placeholder for future implementation)
+        // Update user
         // PUT /api/users/{id}
-        $group->put('/{id}', function ($request, $response) {
-            $data = [
-                'success' => false,
-                'error'   => [
-                    'code'    => 'NOT_IMPLEMENTED',
-                    'message' => 'User update not yet implemented',
-                ],
-            ];
-
-            $response->getBody()->write(json_encode($data) ?: 'modules/Core/User/routes.php');
-
-            return $response
-                ->withHeader('Content-Type', 'application/json')
-                ->withStatus(501);
-        })->setName('users.update')
-          ->add(new AuthorizationMiddleware(
-              $this->get(AuthorizationService::class),
-              'user.edit'
-          ));
-
-        // Delete user (placeholder for future implementation)
+        $group->put('/{id}', UpdateUserAction::class)
+            ->setName('users.update')
+            ->add($permission('user.edit'));
+
+        // Delete user
         // DELETE /api/users/{id}
-        $group->delete('/{id}', function ($request, $response) {
-            $data = [
-                'success' => false,
-                'error'   => [
-                    'code'    => 'NOT_IMPLEMENTED',
-                    'message' => 'User deletion not yet implemented',
-                ],
-            ];
-
-            $response->getBody()->write(json_encode($data) ?: 'modules/Core/User/routes.php');
-
-            return $response
-                ->withHeader('Content-Type', 'application/json')
-                ->withStatus(501);
-        })->setName('users.delete')
-          ->add(new AuthorizationMiddleware(
-              $this->get(AuthorizationService::class),
-              'user.delete'
-          ));
+        $group->delete('/{id}', DeleteUserAction::class)
+            ->setName('users.delete')
+            ->add($permission('user.delete'));
     })
-    ->add(AuthenticationMiddleware::class); // Require authentication for all user endpoints
+    ->add(AuthenticationMiddleware::class) // Require authentication for all user endpoints
+    ->add(CsrfMiddleware::class)
+    ->add(SessionStartMiddleware::class);
 
     // Admin routes for user management
     $app->group('/api/admin/users', function ($group) {
@@ -129,11 +115,10 @@ return function (App $app): void {
             }
         })->setName('admin.users.statistics');
     })
+    ->add($permission('admin.users'))
     ->add(AuthenticationMiddleware::class)
-    ->add(new AuthorizationMiddleware(
-        $app->getContainer()->get(AuthorizationService::class),
-        'admin.users'
-    ));
+    ->add(CsrfMiddleware::class)
+    ->add(SessionStartMiddleware::class);
 
     // Authentication routes are now handled by the Security module
 };
@@ -5,6 +5,9 @@ declare(strict_types=1);
 namespace HdmBoot\Modules\Optional\Blog\Actions;
 
 use HdmBoot\Modules\Core\Storage\Models\Article;
+use HdmBoot\Modules\Optional\Blog\Events\ArticlePublishedEvent;
+use HdmBoot\SharedKernel\Events\EventDispatcherInterface;
+use HdmBoot\SharedKernel\Helpers\MarkdownHelper;
 use HdmBoot\SharedKernel\Services\ViewRenderer;
 use Psr\Http\Message\ResponseInterface;
 use Psr\Http\Message\ServerRequestInterface;
@@ -17,10 +20,21 @@ use Psr\Http\Message\ServerRequestInterface;
  */
 class BlogAction
 {
+    /**
+     * Articles per page on the blog homepage and in the articles API.
+     */
+    private const ARTICLES_PER_PAGE = 10;
+
+    /**
+     * Slugs the write API accepts, the same shape the editor generates.
+     */
+    private const SLUG_PATTERN = '/^[a-z0-9]+(?:-[a-z0-9]+)*$/';
+
     private ViewRenderer $viewRenderer;
 
-    public function __construct()
-    {
+    public function __construct(
+        private readonly ?EventDispatcherInterface $eventDispatcher = null
+    ) {
         $this->viewRenderer = new ViewRenderer();
     }
     /**
@@ -50,8 +64,11 @@ class BlogAction
             $categoryCounts[$category] = Article::byCategory($category);
         }
 
+        // First page only, the theme loads the rest from the articles API
         return $this->viewRenderer->render('blog.home', [
-            'articles' => $articles,
+            'articles' => array_slice($articles, 0, self::ARTICLES_PER_PAGE),
+            'totalPublished' => count($articles),
+            'perPage' => self::ARTICLES_PER_PAGE,
             'allArticles' => $allArticles,
             'categories' => $categories,
             'tags' => $tags,
@@ -94,6 +111,19 @@ class BlogAction
         return '<h1>Tags - Coming Soon</h1>';
     }
 
+    /**
+     * Article editor, for a new article or the one with the given slug.
+     *
+     * The email of the logged-in editor prefills the page's API sign-in.
+     */
+    public function editor(?string $slug = null, string $email = ''): string
+    {
+        return $this->viewRenderer->render('blog.editor', [
+            'slug'  => $slug ?? '',
+            'email' => $email,
+        ]);
+    }
+
     /**
      * About page.
      */
@@ -229,23 +259,83 @@ class BlogAction
 
     /**
      * API: Get articles list.
+     *
+     * Supports the documented `page`, `limit`, `category`, `tag`, `search`
+     * and `status` query parameters. Lists published articles unless the
+     * caller may see drafts and asks for `draft` or `all`.
      */
-    public function apiList(ServerRequestInterface $request, ResponseInterface $response): ResponseInterface
+    public function apiList(ServerRequestInterface $request, ResponseInterface $response, bool $canViewDrafts = false): ResponseInterface
     {
         try {
-            $articles = Article::all();
+            $params = $request->getQueryParams();
+            $page = max(1, $this->intParam($params, 'page', 1));
+            $limit = min(50, max(1, $this->intParam($params, 'limit', self::ARTICLES_PER_PAGE)));
+            $category = $this->stringParam($params, 'category');
+            $tag = $this->stringParam($params, 'tag');
+            $search = $this->stringParam($params, 'search');
+            $status = $this->stringParam($params, 'status');
+            $status = in_array($status, ['draft', 'all'], true) ? $status : 'published';
+
+            if ($status !== 'published' && !$canViewDrafts) {
+                $response->getBody()->write(json_encode([
+                    'error'      => 'You do not have permission to list drafts',
+                    'error_code' => 'FORBIDDEN',
+                ]) ?: '{"error": "JSON encoding failed"}');
+
+                return $response->withStatus(403)->withHeader('Content-Type', 'application/json');
+            }
+
+            $articles = $search !== '' ? $this->searchArticles(Article::all(), $search) : Article::all();
+
+            $articles = array_values(array_filter($articles, function (Article $article) use ($category, $tag, $status): bool {
+                if ($category !== '' && $article->getAttribute('category') !== $category) {
+                    return false;
+                }
+
+                $tags = $article->getAttribute('tags') ?? [];
+                if ($tag !== '' && (!is_array($tags) || !in_array($tag, $tags, true))) {
+                    return false;
+                }
+
+                $published = $article->isPublished();
+                if ($status === 'published' && !$published) {
+                    return false;
+                }
+                if ($status === 'draft' && $published) {
+                    return false;
+                }
+
+                return true;
+            }));
+
+            // Search results keep relevance order, everything else is newest first
+            if ($search === '') {
+                usort($articles, function (Article $a, Article $b): int {
+                    $aDate = $a->getAttribute('published_at');
+                    $bDate = $b->getAttribute('published_at');
+
+                    return strcmp(is_string($bDate) ? $bDate : '', is_string($aDate) ? $aDate : '');
+                });
+            }
+
+            $total = count($articles);
+            $totalPages = max(1, (int) ceil($total / $limit));
             $articlesData = [];
 
-            foreach ($articles as $article) {
+            foreach (array_slice($articles, ($page - 1) * $limit, $limit) as $article) {
                 $articlesData[] = [
-                    'id'         => $article->getKey(),
-                    'slug'       => $article->getAttribute('slug'),
-                    'title'      => $article->getAttribute('title'),
-                    'excerpt'    => $article->getAttribute('excerpt'),
-                    'published'  => $article->getAttribute('published'),
-                    'created_at' => $article->getAttribute('created_at'),
-                    'updated_at' => $article->getAttribute('updated_at'),
-                    'tags'       => $article->getAttribute('tags') ?? [],
+                    'id'           => $article->getKey(),
+                    'slug'         => $article->getAttribute('slug'),
+                    'title'        => $article->getAttribute('title'),
+                    'excerpt'      => $article->getAttribute('excerpt'),
+                    'author'       => $article->getAttribute('author'),
+                    'category'     => $article->getAttribute('category'),
+                    'published'    => $article->getAttribute('published'),
+                    'published_at' => $article->getAttribute('published_at'),
+                    'reading_time' => $article->getAttribute('reading_time'),
+                    'created_at'   => $article->getAttribute('created_at'),
+                    'updated_at'   => $article->getAttribute('updated_at'),
+                    'tags'         => $article->getAttribute('tags') ?? [],
                 ];
             }
 
@@ -253,6 +343,14 @@ class BlogAction
                 'success'  => true,
                 'articles' => $articlesData,
                 'count'    => count($articlesData),
+                'meta'     => [
+                    'current_page' => $page,
+                    'per_page'     => $limit,
+                    'total'        => $total,
+                    'total_pages'  => $totalPages,
+                    'has_next'     => $page < $totalPages,
+                    'has_prev'     => $page > 1,
+                ],
             ]) ?: '{"error": "JSON encoding failed"}');
 
             return $response->withHeader('Content-Type', 'application/json');
@@ -299,6 +397,7 @@ class BlogAction
                 'updated_at'  => $article->getAttribute('updated_at'),
                 'published_at' => $article->getAttribute('published_at'),
                 'reading_time' => $article->getAttribute('reading_time'),
+                'version'      => $this->articleVersion($article),
             ];
 
             $response->getBody()->write(json_encode([
@@ -321,6 +420,10 @@ class BlogAction
      */
     private function markdownToHtml(string $markdown): string
     {
+        // Fenced code and math first, so the inline rules below leave them alone
+        $blocks = [];
+        $markdown = MarkdownHelper::extractBlocks($markdown, $blocks);
+
         // Basic markdown conversion
         $html = htmlspecialchars($markdown);
 
@@ -329,6 +432,17 @@ class BlogAction
         $html = preg_replace('/^## (.+)$/m', '<h2>$1</h2>', $html) ?? $html;
         $html = preg_replace('/^# (.+)$/m', '<h1>$1</h1>', $html) ?? $html;
 
+        // Blockquotes and callouts
+        $html = MarkdownHelper::blockquotes($html);
+
+        // Images and links, to local or http(s) addresses only
+        $html = preg_replace(
+            '/!\[([^\]]*)\]\(((?:https?:\/\/|\/)[^\s)]*)\)/',
+            '<img src="$2" alt="$1" loading="lazy">',
+            $html
+        ) ?? $html;
+        $html = preg_replace('/\[([^\]]+)\]\(((?:https?:\/\/|\/|#)[^\s)]*)\)/', '<a href="$2">$1</a>', $html) ?? $html;
+
         // Bold and italic
         $html = preg_replace('/\*\*(.+?)\*\*/', '<strong>$1</strong>', $html) ?? $html;
         $html = preg_replace('/\*(.+?)\*/', '<em>$1</em>', $html) ?? $html;
@@ -340,7 +454,144 @@ class BlogAction
         // Line breaks
         $html = nl2br($html);
 
-        return $html;
+        // Put the code and math back
+        return MarkdownHelper::restoreBlocks($html, $blocks);
+    }
+
+    /**
+     * Short hash of everything stored for an article, changes with any edit.
+     */
+    private function articleVersion(Article $article): string
+    {
+        $attributes = $article->getAttributes();
+        ksort($attributes);
+
+        return substr(sha1(json_encode($attributes) ?: ''), 0, 12);
+    }
+
+    /**
+     * Version of the article as the next request will read it from storage.
+     */
+    private function storedVersion(Article $article): string
+    {
+        $key = $article->getKey();
+        $stored = is_string($key) ? Article::find($key) : null;
+
+        return $this->articleVersion($stored ?? $article);
+    }
+
+    /**
+     * Writes without a version are unconditional.
+     *
+     * @param array<mixed> $data
+     */
+    private function versionMatches(Article $article, array $data): bool
+    {
+        $version = $data['version'] ?? null;
+
+        return !is_string($version) || $version === '' || hash_equals($this->articleVersion($article), $version);
+    }
+
+    /**
+     * Published flag from `published` or the `status` the articles API filters by.
+     *
+     * @param array<mixed> $data
+     */
+    private function publishedFlag(array $data, bool $default): bool
+    {
+        if (isset($data['status']) && is_string($data['status'])) {
+            return $data['status'] === 'published';
+        }
+
+        return isset($data['published']) ? (bool) $data['published'] : $default;
+    }
+
+    /**
+     * Name of the authenticated user, for articles created without an author.
+     */
+    private function authorName(ServerRequestInterface $request): string
+    {
+        $user = $request->getAttribute('user');
+
+        if (is_array($user)) {
+            foreach (['name', 'email'] as $field) {
+                if (is_string($user[$field] ?? null) && $user[$field] !== '') {
+                    return $user[$field];
+                }
+            }
+        }
+
+        return 'Unknown';
+    }
+
+    private function invalidSlugResponse(ResponseInterface $response): ResponseInterface
+    {
+        $response->getBody()->write(json_encode([
+            'error'      => 'Slug may only contain lowercase letters, numbers and single hyphens',
+            'error_code' => 'VALIDATION_ERROR',
+            'errors'     => ['slug' => ['Slug may only contain lowercase letters, numbers and single hyphens']],
+        ]) ?: '{"error": "JSON encoding failed"}');
+
+        return $response->withStatus(422)->withHeader('Content-Type', 'application/json');
+    }
+
+    private function slugTakenResponse(ResponseInterface $response, string $slug): ResponseInterface
+    {
+        $response->getBody()->write(json_encode([
+            'error'      => "An article with the slug \"{$slug}\" already exists",
+            'error_code' => 'SLUG_TAKEN',
+            'errors'     => ['slug' => ["An article with the slug \"{$slug}\" already exists"]],
+        ]) ?: '{"error": "JSON encoding failed"}');
+
+        return $response->withStatus(409)->withHeader('Content-Type', 'application/json');
+    }
+
+    /**
+     * The article as it is now, so the editor can offer to load or overwrite it.
+     */
+    private function versionConflictResponse(ResponseInterface $response, Article $article): ResponseInterface
+    {
+        $response->getBody()->write(json_encode([
+            'error'      => 'The article was changed by someone else in the meantime',
+            'error_code' => 'VERSION_CONFLICT',
+            'article'    => [
+                'slug'       => $article->getAttribute('slug'),
+                'title'      => $article->getAttribute('title'),
+                'content'    => $article->getAttribute('content'),
+                'excerpt'    => $article->getAttribute('excerpt'),
+                'category'   => $article->getAttribute('category'),
+                'tags'       => $article->getAttribute('tags') ?? [],
+                'published'  => $article->getAttribute('published'),
+                'updated_at' => $article->getAttribute('updated_at'),
+                'version'    => $this->articleVersion($article),
+            ],
+        ]) ?: '{"error": "JSON encoding failed"}');
+
+        return $response->withStatus(409)->withHeader('Content-Type', 'application/json');
+    }
+
+    /**
+     * Read an integer query parameter.
+     *
+     * @param array<mixed> $params
+     */
+    private function intParam(array $params, string $name, int $default): int
+    {
+        $value = $params[$name] ?? null;
+
+        return is_numeric($value) ? (int) $value : $default;
+    }
+
+    /**
+     * Read a trimmed string query parameter.
+     *
+     * @param array<mixed> $params
+     */
+    private function stringParam(array $params, string $name): string
+    {
+        $value = $params[$name] ?? null;
+
+        return is_string($value) ? trim($value) : '';
     }
 
     /**
@@ -453,17 +704,42 @@ class BlogAction
             return $response->withStatus(400)->withHeader('Content-Type', 'application/json');
         }
 
+        $slug = $this->stringParam($data, 'slug');
+
+        if ($slug !== '' && !preg_match(self::SLUG_PATTERN, $slug)) {
+            return $this->invalidSlugResponse($response);
+        }
+
+        // Saving under an existing slug would overwrite that article
+        if ($slug === '' && is_string($data['title'])) {
+            $slug = Article::generateSlug($data['title']);
+        }
+
+        if ($slug !== '' && Article::find($slug)) {
+            return $this->slugTakenResponse($response, $slug);
+        }
+
         try {
             // Create article using enhanced Orbit-style API
+            $now = date('Y-m-d H:i:s');
             $article = Article::create([
-                'title'     => $data['title'],
-                'content'   => $data['content'],
-                'excerpt'   => $data['excerpt'] ?? '',
-                'published' => $data['published'] ?? false,
-                'tags'      => $data['tags'] ?? [],
-                'meta'      => $data['meta'] ?? [],
+                'title'      => $data['title'],
+                'slug'       => $slug,
+                'content'    => $data['content'],
+                'excerpt'    => $data['excerpt'] ?? '',
+                'author'     => $data['author'] ?? $this->authorName($request),
+                'category'   => $data['category'] ?? null,
+                'published'  => $this->publishedFlag($data, false),
+                'tags'       => $data['tags'] ?? [],
+                'meta'       => $data['meta'] ?? [],
+                'created_at' => $now,
+                'updated_at' => $now,
             ]);
 
+            if ($article->getAttribute('published') === true) {
+                $this->eventDispatcher?->dispatch(ArticlePublishedEvent::fromArticle($article));
+            }
+
             $response->getBody()->write(json_encode([
                 'success' => true,
                 'article' => [
@@ -472,6 +748,7 @@ class BlogAction
                     'title'      => $article->getAttribute('title'),
                     'published'  => $article->getAttribute('published'),
                     'created_at' => $article->getAttribute('created_at'),
+                    'version'    => $this->storedVersion($article),
                 ],
             ]) ?: '{"error": "JSON encoding failed"}');
 
@@ -488,25 +765,164 @@ class BlogAction
     /**
      * API: Update article.
      *
+     * A `version` from an earlier read must still match, otherwise the article
+     * changed in the meantime and the current one comes back with a 409.
+     * A different `slug` renames the article.
+     *
      * @param array<string, string> $args
      */
     public function apiUpdate(ServerRequestInterface $request, ResponseInterface $response, array $args): ResponseInterface
     {
-        $response->getBody()->write(json_encode(['error' => 'Update not implemented yet']) ?: '{"error": "JSON encoding failed"}');
+        $data = $request->getParsedBody();
+        $article = Article::find($args['slug'] ?? '');
 
-        return $response->withStatus(501)->withHeader('Content-Type', 'application/json');
+        if (!$article) {
+            $response->getBody()->write(json_encode([
+                'error' => 'Article not found',
+            ]) ?: '{"error": "JSON encoding failed"}');
+
+            return $response->withStatus(404)->withHeader('Content-Type', 'application/json');
+        }
+
+        if (!is_array($data) || !isset($data['title']) || !isset($data['content'])) {
+            $response->getBody()->write(json_encode([
+                'error' => 'Title and content are required',
+            ]) ?: '{"error": "JSON encoding failed"}');
+
+            return $response->withStatus(400)->withHeader('Content-Type', 'application/json');
+        }
+
+        if (!$this->versionMatches($article, $data)) {
+            return $this->versionConflictResponse($response, $article);
+        }
+
+        $slug = $this->stringParam($data, 'slug');
+        $renamed = $slug !== '' && $slug !== $article->getKey();
+
+        if ($renamed && !preg_match(self::SLUG_PATTERN, $slug)) {
+            return $this->invalidSlugResponse($response);
+        }
+
+        if ($renamed && Article::find($slug)) {
+            return $this->slugTakenResponse($response, $slug);
+        }
+
+        try {
+            $previous = clone $article;
+            $wasPublished = $article->getAttribute('published') === true;
+
+            foreach (['title', 'content', 'excerpt', 'category', 'tags'] as $field) {
+                if (array_key_exists($field, $data)) {
+                    $article->setAttribute($field, $data[$field]);
+                }
+            }
+
+            $article->setAttribute('published', $this->publishedFlag($data, $article->getAttribute('published') === true));
+            $article->setAttribute('updated_at', date('Y-m-d H:i:s'));
+
+            // Content changed, so does the reading time
+            $article->setAttribute('reading_time', null);
+
+            if ($renamed) {
+                $article->setAttribute('slug', $slug);
+            }
+
+            $article->save();
+
+            // The old file goes once the new one is written
+            if ($renamed) {
+                $previous->delete();
+            }
+
+            if (!$wasPublished && $article->getAttribute('published') === true) {
+                $this->eventDispatcher?->dispatch(ArticlePublishedEvent::fromArticle($article));
+            }
+
+            $response->getBody()->write(json_encode([
+                'success' => true,
+                'article' => [
+                    'id'         => $article->getKey(),
+                    'slug'       => $article->getAttribute('slug'),
+                    'title'      => $article->getAttribute('title'),
+                    'published'  => $article->getAttribute('published'),
+                    'updated_at' => $article->getAttribute('updated_at'),
+                    'version'    => $this->storedVersion($article),
+                ],
+            ]) ?: '{"error": "JSON encoding failed"}');
+
+            return $response->withHeader('Content-Type', 'application/json');
+        } catch (\Exception $e) {
+            $response->getBody()->write(json_encode([
+                'error' => 'Failed to update article: ' . $e->getMessage(),
+            ]) ?: '{"error": "JSON encoding failed"}');
+
+            return $response->withStatus(500)->withHeader('Content-Type', 'application/json');
+        }
     }
 
     /**
      * API: Delete article.
      *
+     * Like updates, refused with a 409 when a given `version` is out of date.
+     *
      * @param array<string, string> $args
      */
     public function apiDelete(ServerRequestInterface $request, ResponseInterface $response, array $args): ResponseInterface
     {
-        $response->getBody()->write(json_encode(['error' => 'Delete not implemented yet']) ?: '{"error": "JSON encoding failed"}');
+        $data = $request->getParsedBody();
+        $article = Article::find($args['slug'] ?? '');
 
-        return $response->withStatus(501)->withHeader('Content-Type', 'application/json');
+        if (!$article) {
+            $response->getBody()->write(json_encode([
+                'error' => 'Article not found',
+            ]) ?: '{"error": "JSON encoding failed"}');
+
+            return $response->withStatus(404)->withHeader('Content-Type', 'application/json');
+        }
+
+        if (!$this->versionMatches($article, is_array($data) ? $data : [])) {
+            return $this->versionConflictResponse($response, $article);
+        }
+
+        try {
+            $article->delete();
+
+            $response->getBody()->write(json_encode([
+                'success' => true,
+                'slug'    => $article->getKey(),
+            ]) ?: '{"error": "JSON encoding failed"}');
+
+            return $response->withHeader('Content-Type', 'application/json');
+        } catch (\Exception $e) {
+            $response->getBody()->write(json_encode([
+                'error' => 'Failed to delete article: ' . $e->getMessage(),
+            ]) ?: '{"error": "JSON encoding failed"}');
+
+            return $response->withStatus(500)->withHeader('Content-Type', 'application/json');
+        }
+    }
+
+    /**
+     * API: Render Markdown the way article pages do, for the editor preview.
+     */
+    public function apiPreview(ServerRequestInterface $request, ResponseInterface $response): ResponseInterface
+    {
+        $data = $request->getParsedBody();
+
+        if (!is_array($data) || !is_string($data['content'] ?? null)) {
+            $response->getBody()->write(json_encode([
+                'error' => 'Content is required',
+            ]) ?: '{"error": "JSON encoding failed"}');
+
+            return $response->withStatus(400)->withHeader('Content-Type', 'application/json');
+        }
+
+        $response->getBody()->write(json_encode([
+            'success' => true,
+            'html'    => $this->markdownToHtml($data['content']),
+        ]) ?: '{"error": "JSON encoding failed"}');
+
+        return $response->withHeader('Content-Type', 'application/json');
     }
 
     /**
@@ -521,12 +937,58 @@ class BlogAction
 
     /**
      * API: Search articles.
+     *
+     * Used by the theme search palette when no prebuilt index is available.
      */
     public function apiSearch(ServerRequestInterface $request, ResponseInterface $response): ResponseInterface
     {
-        $response->getBody()->write(json_encode(['error' => 'Search not implemented yet']) ?: '{"error": "JSON encoding failed"}');
+        $params = $request->getQueryParams();
+        $query = $this->stringParam($params, 'q');
+        $limit = min(50, max(1, $this->intParam($params, 'limit', self::ARTICLES_PER_PAGE)));
 
-        return $response->withStatus(501)->withHeader('Content-Type', 'application/json');
+        if ($query === '') {
+            $response->getBody()->write(json_encode([
+                'error' => 'Search query is required',
+            ]) ?: '{"error": "JSON encoding failed"}');
+
+            return $response->withStatus(400)->withHeader('Content-Type', 'application/json');
+        }
+
+        try {
+            $results = [];
+
+            // Published only, the rule plugins/search-index.js applies to the palette's prebuilt index, so drafts and scheduled articles don't leak
+            $published = array_values(array_filter(Article::all(), function (Article $article): bool {
+                return $article->isPublished();
+            }));
+
+            foreach (array_slice($this->searchArticles($published, $query), 0, $limit) as $article) {
+                $slug = $article->getAttribute('slug');
+                $results[] = [
+                    'slug'     => $slug,
+                    'title'    => $article->getAttribute('title'),
+                    'excerpt'  => $article->getAttribute('excerpt'),
+                    'category' => $article->getAttribute('category'),
+                    'tags'     => $article->getAttribute('tags') ?? [],
+                    'url'      => '/blog/article/' . (is_string($slug) ? $slug : ''),
+                ];
+            }
+
+            $response->getBody()->write(json_encode([
+                'success' => true,
+                'query'   => $query,
+                'results' => $results,
+                'count'   => count($results),
+            ]) ?: '{"error": "JSON encoding failed"}');
+
+            return $response->withHeader('Content-Type', 'application/json');
+        } catch (\Exception $e) {
+            $response->getBody()->write(json_encode([
+                'error' => 'Failed to search articles: ' . $e->getMessage(),
+            ]) ?: '{"error": "JSON encoding failed"}');
+
+            return $response->withStatus(500)->withHeader('Content-Type', 'application/json');
+        }
     }
 
     /**
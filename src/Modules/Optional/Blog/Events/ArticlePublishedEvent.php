@@ -0,0 +1,59 @@
+<?php
+
+declare(strict_types=1);
+
+namespace HdmBoot\Modules\Optional\Blog\Events;
+
+use HdmBoot\Modules\Core\Storage\Models\Article;
+use HdmBoot\SharedKernel\Events\AbstractDomainEvent;
+
+/**
+ * Article Published Event.
+ *
+ * Fired when an article goes public, created as published or switched
+ * from draft to published.
+ */
+final class ArticlePublishedEvent extends AbstractDomainEvent
+{
+    public function __construct(
+        public readonly string $slug,
+        public readonly string $title,
+        public readonly ?string $category,
+        public readonly string $author
+    ) {
+        parent::__construct();
+    }
+
+    /**
+     * Create event from a saved article.
+     */
+    public static function fromArticle(Article $article): self
+    {
+        $slug = $article->getAttribute('slug');
+        $title = $article->getAttribute('title');
+        $category = $article->getAttribute('category');
+        $author = $article->getAttribute('author');
+
+        return new self(
+            is_string($slug) ? $slug : '',
+            is_string($title) ? $title : '',
+            is_string($category) && $category !== '' ? $category : null,
+            is_string($author) ? $author : ''
+        );
+    }
+
+    public function getEventName(): string
+    {
+        return 'blog.article_published';
+    }
+
+    public function getEventData(): array
+    {
+        return [
+            'slug'     => $this->slug,
+            'title'    => $this->title,
+            'category' => $this->category,
+            'author'   => $this->author,
+        ];
+    }
+}
@@ -8,12 +8,64 @@ declare(strict_types=1);
  * Enhanced routes with API endpoints for Orbit CMS functionality.
  */
 
+use DI\Container;
+use HdmBoot\Modules\Core\Security\Infrastructure\Middleware\UserAuthenticationMiddleware;
+use HdmBoot\Modules\Core\Security\Middleware\AuthenticationMiddleware;
+use HdmBoot\Modules\Core\Security\Middleware\AuthorizationMiddleware;
+use HdmBoot\Modules\Core\Security\Middleware\PermissionMiddleware;
+use HdmBoot\Modules\Core\Security\Services\AuthenticationService;
+use HdmBoot\Modules\Core\Security\Services\AuthorizationService;
+use HdmBoot\Modules\Core\Session\Infrastructure\Middleware\CsrfMiddleware;
+use HdmBoot\Modules\Core\Session\Infrastructure\Middleware\SessionStartMiddleware;
+use HdmBoot\Modules\Core\User\Services\UserService;
 use HdmBoot\Modules\Optional\Blog\Actions\BlogAction;
+use HdmBoot\SharedKernel\Events\EventDispatcherInterface;
+use Psr\Http\Message\ResponseFactoryInterface;
 use Psr\Http\Message\ResponseInterface;
 use Psr\Http\Message\ServerRequestInterface;
+use Psr\Http\Server\RequestHandlerInterface;
+use Psr\Log\LoggerInterface;
+use ResponsiveSk\Slim4Session\SessionInterface;
 use Slim\App;
 
 return function (App $app): void {
+    /** @var Container $container */
+    $container = $app->getContainer();
+    /** @var AuthorizationService $authorizationService */
+    $authorizationService = $container->get(AuthorizationService::class);
+    /** @var ResponseFactoryInterface $responseFactory */
+    $responseFactory = $container->get(ResponseFactoryInterface::class);
+    /** @var LoggerInterface $logger */
+    $logger = $container->get(LoggerInterface::class);
+
+    // Permission check for the JWT user, runs after AuthenticationMiddleware
+    $permission = static fn (string $permission): PermissionMiddleware => new PermissionMiddleware(
+        $authorizationService,
+        $responseFactory,
+        $logger,
+        $permission
+    );
+
+    // Adds the JWT user when there is one, anonymous requests pass
+    $optionalAuthentication = static function (ServerRequestInterface $request, RequestHandlerInterface $handler) use ($container, $responseFactory, $logger): ResponseInterface {
+        /** @var AuthenticationService $authenticationService */
+        $authenticationService = $container->get(AuthenticationService::class);
+
+        return AuthenticationMiddleware::optional($authenticationService, $responseFactory, $logger)->process($request, $handler);
+    };
+
+    // Whether the JWT user may see drafts
+    $canEditArticles = static function (ServerRequestInterface $request) use ($authorizationService): bool {
+        $user = $request->getAttribute('user');
+
+        if (!is_array($user)) {
+            return false;
+        }
+
+        /** @var array<string, mixed> $user */
+        return $authorizationService->hasPermission($user, 'article.edit');
+    };
+
     // Blog web interface routes
     $app->get('/blog', function (ServerRequestInterface $request, ResponseInterface $response): ResponseInterface {
         $action = new BlogAction();
@@ -68,26 +120,80 @@ return function (App $app): void {
         return $response->withHeader('Content-Type', 'text/html');
     });
 
+    // Article editor, for editors logged in on the web; the page then signs
+    // in to the API, whose write routes check the same permissions
+    $app->get('/blog/editor[/{slug}]', function (ServerRequestInterface $request, ResponseInterface $response, array $args): ResponseInterface {
+        $action = new BlogAction();
+        $slug = isset($args['slug']) && is_string($args['slug']) ? $args['slug'] : null;
+        $user = $request->getAttribute('user');
+        $email = is_array($user) && is_string($user['email'] ?? null) ? $user['email'] : '';
+        $html = $action->editor($slug, $email);
+        $response->getBody()->write($html);
+
+        return $response->withHeader('Content-Type', 'text/html');
+    })
+    ->add(static function (ServerRequestInterface $request, RequestHandlerInterface $handler) use ($container, $authorizationService, $responseFactory, $logger): ResponseInterface {
+        // The user service and session are resolved here, when the editor is
+        // requested, other pages don't need them
+        /** @var UserService $userService */
+        $userService = $container->get(UserService::class);
+        /** @var SessionInterface $session */
+        $session = $container->get(SessionInterface::class);
+
+        $editorAccess = new AuthorizationMiddleware(
+            $authorizationService,
+            $userService,
+            $session,
+            $responseFactory,
+            $logger,
+            ['article.create', 'article.edit']
+        );
+
+        return $editorAccess->process($request, $handler);
+    })
+    ->add(UserAuthenticationMiddleware::class)
+    ->add(SessionStartMiddleware::class);
+
+    // Write endpoints dispatch domain events, e.g. when an article is published
+    $writeAction = static function () use ($app): BlogAction {
+        $eventDispatcher = $app->getContainer()?->get(EventDispatcherInterface::class);
+
+        return new BlogAction($eventDispatcher instanceof EventDispatcherInterface ? $eventDispatcher : null);
+    };
+
     // Blog API routes (Orbit CMS style)
-    $app->group('/api/blog', function (\Slim\Routing\RouteCollectorProxy $group): void {
+    $app->group('/api/blog', function (\Slim\Routing\RouteCollectorProxy $group) use ($writeAction, $permission, $optionalAuthentication, $canEditArticles): void {
         // Articles CRUD
-        $group->get('/articles', function (ServerRequestInterface $request, ResponseInterface $response): ResponseInterface {
-            return (new BlogAction())->apiList($request, $response);
-        });
+        // Public, drafts are listed to signed-in editors only
+        $group->get('/articles', function (ServerRequestInterface $request, ResponseInterface $response) use ($canEditArticles): ResponseInterface {
+            return (new BlogAction())->apiList($request, $response, $canEditArticles($request));
+        })
+        ->add($optionalAuthentication);
         $group->get('/articles/{slug}', function (ServerRequestInterface $request, ResponseInterface $response, array $args): ResponseInterface {
             /** @var array<string, string> $args */
             return (new BlogAction())->apiShow($request, $response, $args);
         });
-        $group->post('/articles', function (ServerRequestInterface $request, ResponseInterface $response): ResponseInterface {
-            return (new BlogAction())->apiCreate($request, $response);
-        });
-        $group->put('/articles/{slug}', function (ServerRequestInterface $request, ResponseInterface $response, array $args): ResponseInterface {
+        $group->post('/articles', function (ServerRequestInterface $request, ResponseInterface $response) use ($writeAction): ResponseInterface {
+            return $writeAction()->apiCreate($request, $response);
+        })
+        ->add($permission('article.create'))
+        ->add(AuthenticationMiddleware::class);
+        $group->put('/articles/{slug}', function (ServerRequestInterface $request, ResponseInterface $response, array $args) use ($writeAction): ResponseInterface {
             /** @var array<string, string> $args */
-            return (new BlogAction())->apiUpdate($request, $response, $args);
-        });
+            return $writeAction()->apiUpdate($request, $response, $args);
+        })
+        ->add($permission('article.edit'))
+        ->add(AuthenticationMiddleware::class);
         $group->delete('/articles/{slug}', function (ServerRequestInterface $request, ResponseInterface $response, array $args): ResponseInterface {
             /** @var array<string, string> $args */
             return (new BlogAction())->apiDelete($request, $response, $args);
+        })
+        ->add($permission('article.delete'))
+        ->add(AuthenticationMiddleware::class);
+
+        // Editor preview, rendered like article pages
+        $group->post('/preview', function (ServerRequestInterface $request, ResponseInterface $response): ResponseInterface {
+            return (new BlogAction())->apiPreview($request, $response);
         });
 
         // Additional API endpoints
@@ -103,5 +209,7 @@ return function (App $app): void {
         $group->get('/tags', function (ServerRequestInterface $request, ResponseInterface $response): ResponseInterface {
             return (new BlogAction())->apiTags($request, $response);
         });
-    });
+    })
+    ->add(CsrfMiddleware::class)
+    ->add(SessionStartMiddleware::class);
 };
@@ -64,6 +64,68 @@ class BlogApiIntegrationTest extends BlogTestCase
         $this->assertEquals(0, $data['count']);
     }
 
+    public function testApiListReturnsPaginationMeta(): void
+    {
+        $request = $this->requestFactory->createServerRequest('GET', '/api/blog/articles')
+            ->withQueryParams(['page' => '2', 'limit' => '5']);
+        $response = $this->responseFactory->createResponse();
+
+        $result = $this->blogController->apiList($request, $response);
+
+        $this->assertEquals(200, $result->getStatusCode());
+
+        $body = (string) $result->getBody();
+        $data = json_decode($body, true);
+
+        $this->assertSuccessResponse($data);
+        $this->assertArrayHasKey('meta', $data);
+        $this->assertEquals(2, $data['meta']['current_page']);
+        $this->assertEquals(5, $data['meta']['per_page']);
+        $this->assertTrue($data['meta']['has_prev']);
+        $this->assertLessThanOrEqual(5, $data['count']);
+    }
+
+    public function testApiListClampsLimit(): void
+    {
+        $request = $this->requestFactory->createServerRequest('GET', '/api/blog/articles')
+            ->withQueryParams(['limit' => '500']);
+        $response = $this->responseFactory->createResponse();
+
+        $result = $this->blogController->apiList($request, $response);
+
+        $body = (string) $result->getBody();
+        $data = json_decode($body, true);
+
+        $this->assertEquals(50, $data['meta']['per_page']);
+        $this->assertEquals(1, $data['meta']['current_page']);
+    }
+
+    public function testApiListRefusesDraftsWithoutPermission(): void
+    {
+        $request = $this->requestFactory->createServerRequest('GET', '/api/blog/articles')
+            ->withQueryParams(['status' => 'draft']);
+        $response = $this->responseFactory->createResponse();
+
+        $result = $this->blogController->apiList($request, $response);
+
+        $this->assertEquals(403, $result->getStatusCode());
+
+        $data = json_decode((string) $result->getBody(), true);
+        $this->assertEquals('FORBIDDEN', $data['error_code']);
+    }
+
+    public function testApiListShowsDraftsToEditors(): void
+    {
+        $request = $this->requestFactory->createServerRequest('GET', '/api/blog/articles')
+            ->withQueryParams(['status' => 'all']);
+        $response = $this->responseFactory->createResponse();
+
+        $result = $this->blogController->apiList($request, $response, true);
+
+        $this->assertEquals(200, $result->getStatusCode());
+        $this->assertSuccessResponse(json_decode((string) $result->getBody(), true));
+    }
+
     public function testApiShowWithValidSlug(): void
     {
         $article = $this->createTestArticle([
@@ -189,24 +251,25 @@ class BlogApiIntegrationTest extends BlogTestCase
         $this->assertErrorResponse($data);
     }
 
-    public function testApiUpdateReturnsNotImplemented(): void
+    public function testApiUpdateWithUnknownSlug(): void
     {
-        $request = $this->requestFactory->createServerRequest('PUT', '/api/blog/articles/test-slug');
+        $request = $this->requestFactory->createServerRequest('PUT', '/api/blog/articles/test-slug')
+            ->withParsedBody(['title' => 'Updated', 'content' => 'Updated content']);
         $response = $this->responseFactory->createResponse();
         $args = ['slug' => 'test-slug'];
 
         $result = $this->blogController->apiUpdate($request, $response, $args);
 
-        $this->assertEquals(501, $result->getStatusCode());
+        $this->assertEquals(404, $result->getStatusCode());
 
         $body = (string) $result->getBody();
         $data = json_decode($body, true);
 
         $this->assertErrorResponse($data);
-        $this->assertStringContainsString('not implemented', $data['error']);
+        $this->assertStringContainsString('not found', $data['error']);
     }
 
-    public function testApiDeleteReturnsNotImplemented(): void
+    public function testApiDeleteWithUnknownSlug(): void
     {
         $request = $this->requestFactory->createServerRequest('DELETE', '/api/blog/articles/test-slug');
         $response = $this->responseFactory->createResponse();
@@ -214,13 +277,32 @@ class BlogApiIntegrationTest extends BlogTestCase
 
         $result = $this->blogController->apiDelete($request, $response, $args);
 
-        $this->assertEquals(501, $result->getStatusCode());
+        $this->assertEquals(404, $result->getStatusCode());
 
         $body = (string) $result->getBody();
         $data = json_decode($body, true);
 
         $this->assertErrorResponse($data);
-        $this->assertStringContainsString('not implemented', $data['error']);
+        $this->assertStringContainsString('not found', $data['error']);
+    }
+
+    public function testApiPreviewRendersMarkdown(): void
+    {
+        $request = $this->requestFactory->createServerRequest('POST', '/api/blog/preview')
+            ->withParsedBody(['content' => "## Heading\n\n![Logo](/images/logo.png) [Docs](javascript:alert(1))"]);
+        $response = $this->responseFactory->createResponse();
+
+        $result = $this->blogController->apiPreview($request, $response);
+
+        $this->assertEquals(200, $result->getStatusCode());
+
+        $body = (string) $result->getBody();
+        $data = json_decode($body, true);
+
+        $this->assertSuccessResponse($data);
+        $this->assertStringContainsString('<h2>Heading</h2>', $data['html']);
+        $this->assertStringContainsString('<img src="/images/logo.png" alt="Logo" loading="lazy">', $data['html']);
+        $this->assertStringNotContainsString('href="javascript:', $data['html']);
     }
 
     public function testApiStatsReturnsNotImplemented(): void
@@ -233,14 +315,39 @@ class BlogApiIntegrationTest extends BlogTestCase
         $this->assertEquals(501, $result->getStatusCode());
     }
 
-    public function testApiSearchReturnsNotImplemented(): void
+    public function testApiSearchRequiresQuery(): void
     {
         $request = $this->requestFactory->createServerRequest('GET', '/api/blog/search');
         $response = $this->responseFactory->createResponse();
 
         $result = $this->blogController->apiSearch($request, $response);
 
-        $this->assertEquals(501, $result->getStatusCode());
+        $this->assertEquals(400, $result->getStatusCode());
+
+        $body = (string) $result->getBody();
+        $data = json_decode($body, true);
+
+        $this->assertErrorResponse($data);
+        $this->assertStringContainsString('required', $data['error']);
+    }
+
+    public function testApiSearchReturnsResults(): void
+    {
+        $request = $this->requestFactory->createServerRequest('GET', '/api/blog/search')
+            ->withQueryParams(['q' => 'hdm boot', 'limit' => '3']);
+        $response = $this->responseFactory->createResponse();
+
+        $result = $this->blogController->apiSearch($request, $response);
+
+        $this->assertEquals(200, $result->getStatusCode());
+
+        $body = (string) $result->getBody();
+        $data = json_decode($body, true);
+
+        $this->assertSuccessResponse($data);
+        $this->assertEquals('hdm boot', $data['query']);
+        $this->assertArrayHasKey('results', $data);
+        $this->assertLessThanOrEqual(3, $data['count']);
     }
 
     public function testApiCategoriesReturnsNotImplemented(): void
@@ -4,6 +4,7 @@ declare(strict_types=1);
 
 namespace HdmBoot\Modules\Optional\Docs\Actions;
 
+use HdmBoot\SharedKernel\Helpers\MarkdownHelper;
 use HdmBoot\SharedKernel\Services\ViewRenderer;
 
 /**
@@ -168,6 +169,39 @@ class DocsAction
             }
         }
 
+        // Directory iteration order is arbitrary; the tree also drives prev/next links
+        return $this->sortDocsStructure($structure);
+    }
+
+    /**
+     * Sort folders and files by name, README first.
+     *
+     * @param array<string, mixed> $structure
+     * @return array<string, mixed>
+     */
+    private function sortDocsStructure(array $structure): array
+    {
+        if (!empty($structure['dirs']) && is_array($structure['dirs'])) {
+            uksort($structure['dirs'], fn ($a, $b): int => strnatcasecmp((string) $a, (string) $b));
+
+            foreach ($structure['dirs'] as $name => $dir) {
+                $structure['dirs'][$name] = $this->sortDocsStructure(is_array($dir) ? $dir : []);
+            }
+        }
+
+        if (!empty($structure['files']) && is_array($structure['files'])) {
+            usort($structure['files'], function (array $a, array $b): int {
+                $aReadme = strcasecmp($a['name'], 'README.md') === 0;
+                $bReadme = strcasecmp($b['name'], 'README.md') === 0;
+
+                if ($aReadme !== $bReadme) {
+                    return $aReadme ? -1 : 1;
+                }
+
+                return strnatcasecmp($a['name'], $b['name']);
+            });
+        }
+
         return $structure;
     }
 
@@ -206,6 +240,10 @@ class DocsAction
      */
     private function convertMarkdownToHtml(string $markdown): string
     {
+        // Fenced code and math first, so the inline rules below leave them alone
+        $blocks = [];
+        $markdown = MarkdownHelper::extractBlocks($markdown, $blocks);
+
         // Enhanced markdown conversion
         $html = htmlspecialchars($markdown);
 
@@ -215,6 +253,9 @@ class DocsAction
         $html = preg_replace('/^## (.+)$/m', '<h2>$1</h2>', $html) ?? $html;
         $html = preg_replace('/^# (.+)$/m', '<h1>$1</h1>', $html) ?? $html;
 
+        // Blockquotes and callouts
+        $html = MarkdownHelper::blockquotes($html);
+
         // Bold and italic
         $html = preg_replace('/\*\*(.+?)\*\*/', '<strong>$1</strong>', $html) ?? $html;
         $html = preg_replace('/\*(.+?)\*/', '<em>$1</em>', $html) ?? $html;
@@ -233,6 +274,9 @@ class DocsAction
         // Line breaks
         $html = nl2br($html);
 
+        // Put the code and math back
+        $html = MarkdownHelper::restoreBlocks($html, $blocks);
+
         return $html;
     }
 
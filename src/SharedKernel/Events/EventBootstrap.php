@@ -5,6 +5,7 @@ declare(strict_types=1);
 namespace HdmBoot\SharedKernel\Events;
 
 use DI\Container;
+use HdmBoot\SharedKernel\Events\LiveEventBridge;
 use Psr\Log\LoggerInterface;
 
 /**
@@ -58,7 +59,25 @@ final class EventBootstrap
         EventDispatcherInterface $eventDispatcher,
         ModuleEventBus $moduleEventBus
     ): void {
-        // Core system event listeners can be registered here
+        // Domain events browsers follow through the live event stream
+        try {
+            $liveEventBridge = $this->container->get(LiveEventBridge::class);
+
+            if (!$liveEventBridge instanceof LiveEventBridge) {
+                throw new \RuntimeException('LiveEventBridge service not properly configured');
+            }
+
+            foreach ($liveEventBridge->getSupportedEvents() as $eventName) {
+                $eventDispatcher->addListener($eventName, [$liveEventBridge, 'handle']);
+            }
+        } catch (\Exception $e) {
+            $this->logger->error('Failed to register live event bridge', [
+                'error' => $e->getMessage(),
+                'file'  => $e->getFile(),
+                'line'  => $e->getLine(),
+            ]);
+        }
+
         $this->logger->debug('Core event listeners registered');
     }
 
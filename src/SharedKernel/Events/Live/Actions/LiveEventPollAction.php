@@ -0,0 +1,77 @@
+<?php
+
+declare(strict_types=1);
+
+namespace HdmBoot\SharedKernel\Events\Live\Actions;
+
+use HdmBoot\SharedKernel\Events\Live\LiveEvent;
+use HdmBoot\SharedKernel\Events\Live\LiveEventFeed;
+use HdmBoot\SharedKernel\Events\Live\LiveEventTopics;
+use Psr\Http\Message\ResponseInterface;
+use Psr\Http\Message\ServerRequestInterface;
+
+/**
+ * Live Event Poll Action.
+ *
+ * The event stream as plain JSON, for clients that can't keep a stream
+ * open. `?after=` is the last id seen, without it only the current id
+ * comes back. `reset` tells the client events were pruned in between.
+ */
+final class LiveEventPollAction
+{
+    public function __construct(
+        private readonly LiveEventFeed $feed,
+        private readonly LiveEventTopics $topics
+    ) {
+    }
+
+    public function __invoke(
+        ServerRequestInterface $request,
+        ResponseInterface $response
+    ): ResponseInterface {
+        $topics = $this->topics->allowed($request);
+
+        if (empty($topics)) {
+            return $this->respond($response, 403, [
+                'success' => false,
+                'error'   => ['code' => 'FORBIDDEN', 'message' => 'None of the requested topics can be followed'],
+            ]);
+        }
+
+        $after = $request->getQueryParams()['after'] ?? null;
+        $events = [];
+        $reset = false;
+
+        if (!is_string($after) || !ctype_digit($after)) {
+            $lastId = $this->feed->lastId();
+        } elseif ($this->feed->hasGap((int) $after)) {
+            $lastId = $this->feed->lastId();
+            $reset = true;
+        } else {
+            $events = $this->feed->since((int) $after, $topics);
+            $lastId = empty($events) ? (int) $after : $events[count($events) - 1]->id;
+        }
+
+        return $this->respond($response, 200, [
+            'success' => true,
+            'data'    => [
+                'events'  => array_map(fn (LiveEvent $event): array => $event->toArray(), $events),
+                'last_id' => $lastId,
+                'topics'  => $topics,
+                'reset'   => $reset,
+            ],
+        ]);
+    }
+
+    /**
+     * @param array<string, mixed> $data
+     */
+    private function respond(ResponseInterface $response, int $status, array $data): ResponseInterface
+    {
+        $response->getBody()->write(json_encode($data) ?: '{"success":false,"error":{"code":"JSON_ERROR","message":"Failed to encode response"}}');
+
+        return $response
+            ->withHeader('Content-Type', 'application/json')
+            ->withStatus($status);
+    }
+}
@@ -0,0 +1,128 @@
+<?php
+
+declare(strict_types=1);
+
+namespace HdmBoot\SharedKernel\Events\Live\Actions;
+
+use HdmBoot\SharedKernel\Events\Live\LiveEvent;
+use HdmBoot\SharedKernel\Events\Live\LiveEventFeed;
+use HdmBoot\SharedKernel\Events\Live\LiveEventTopics;
+use Psr\Http\Message\ResponseInterface;
+use Psr\Http\Message\ServerRequestInterface;
+
+/**
+ * Live Event Stream Action.
+ *
+ * Server-Sent Events for the topics in `?topics=`. The last id a client saw
+ * comes in the Last-Event-ID header (or `?last_event_id=` for the first
+ * request of an EventSource), everything after it is sent. Without one the
+ * client gets a `ready` event with the current id to go on from.
+ *
+ * A response waits up to WAIT_SECONDS for events and ends with the first
+ * ones. Clients reconnect after `retry` with the id of the last event, as
+ * EventSource does. Every streaming tab holds a PHP worker for up to
+ * WAIT_SECONDS out of every WAIT_SECONDS + retry, so both are kept short
+ * enough that a few open tabs can't use up a php-fpm pool.
+ */
+final class LiveEventStreamAction
+{
+    private const WAIT_SECONDS = 3;
+
+    private const POLL_MICROSECONDS = 500000;
+
+    private const RETRY_MILLISECONDS = 2000;
+
+    public function __construct(
+        private readonly LiveEventFeed $feed,
+        private readonly LiveEventTopics $topics
+    ) {
+    }
+
+    public function __invoke(
+        ServerRequestInterface $request,
+        ResponseInterface $response
+    ): ResponseInterface {
+        $topics = $this->topics->allowed($request);
+
+        if (empty($topics)) {
+            $response->getBody()->write(json_encode([
+                'success' => false,
+                'error'   => ['code' => 'FORBIDDEN', 'message' => 'None of the requested topics can be followed'],
+            ]) ?: '{"success":false}');
+
+            return $response
+                ->withHeader('Content-Type', 'application/json')
+                ->withStatus(403);
+        }
+
+        $lastId = $this->lastEventId($request);
+        $body = 'retry: ' . self::RETRY_MILLISECONDS . "\n\n";
+
+        if ($lastId === null) {
+            $body .= $this->message($this->feed->lastId(), 'ready', ['topics' => $topics]);
+        } elseif ($this->feed->hasGap($lastId)) {
+            // Events were pruned before the client saw them, it has to reload
+            $body .= $this->message($this->feed->lastId(), 'reset', ['topics' => $topics]);
+        } else {
+            $events = $this->waitForEvents($lastId, $topics);
+
+            foreach ($events as $event) {
+                $body .= $this->message($event->id, $event->topic, $event->toArray());
+            }
+
+            if (empty($events)) {
+                $body .= ": nothing new\n\n";
+            }
+        }
+
+        $response->getBody()->write($body);
+
+        return $response
+            ->withHeader('Content-Type', 'text/event-stream')
+            ->withHeader('Cache-Control', 'no-cache')
+            ->withHeader('X-Accel-Buffering', 'no');
+    }
+
+    /**
+     * @param array<string> $topics
+     *
+     * @return array<LiveEvent>
+     */
+    private function waitForEvents(int $lastId, array $topics): array
+    {
+        $deadline = microtime(true) + self::WAIT_SECONDS;
+        set_time_limit(self::WAIT_SECONDS + 10);
+
+        do {
+            $events = $this->feed->since($lastId, $topics);
+
+            if (!empty($events) || connection_aborted() === 1) {
+                return $events;
+            }
+
+            usleep(self::POLL_MICROSECONDS);
+        } while (microtime(true) < $deadline);
+
+        return [];
+    }
+
+    private function lastEventId(ServerRequestInterface $request): ?int
+    {
+        $value = $request->getHeaderLine('Last-Event-ID');
+
+        if ($value === '') {
+            $param = $request->getQueryParams()['last_event_id'] ?? '';
+            $value = is_string($param) ? $param : '';
+        }
+
+        return ctype_digit($value) ? (int) $value : null;
+    }
+
+    /**
+     * @param array<string, mixed> $data
+     */
+    private function message(int $id, string $event, array $data): string
+    {
+        return "id: {$id}\nevent: {$event}\ndata: " . (json_encode($data) ?: '{}') . "\n\n";
+    }
+}
@@ -0,0 +1,58 @@
+<?php
+
+declare(strict_types=1);
+
+namespace HdmBoot\SharedKernel\Events\Live;
+
+/**
+ * Live Event.
+ *
+ * A domain event as browsers see it: what LiveEventBridge kept of it,
+ * numbered by the feed so clients can resume after the last one they saw.
+ */
+final readonly class LiveEvent
+{
+    /**
+     * @param array<string, mixed> $data
+     */
+    public function __construct(
+        public int $id,
+        public string $topic,
+        public string $type,
+        public array $data,
+        public \DateTimeImmutable $occurredAt
+    ) {
+    }
+
+    /**
+     * Create event from a feed row.
+     *
+     * @param array<string, mixed> $row
+     */
+    public static function fromArray(array $row): self
+    {
+        $data = json_decode(is_string($row['data'] ?? null) ? $row['data'] : '', true);
+
+        return new self(
+            id: is_numeric($row['id'] ?? null) ? (int) $row['id'] : 0,
+            topic: is_string($row['topic'] ?? null) ? $row['topic'] : '',
+            type: is_string($row['type'] ?? null) ? $row['type'] : '',
+            data: is_array($data) ? $data : [],
+            occurredAt: new \DateTimeImmutable(is_string($row['occurred_at'] ?? null) ? $row['occurred_at'] : 'now')
+        );
+    }
+
+    /**
+     * @return array<string, mixed>
+     */
+    public function toArray(): array
+    {
+        return [
+            'id'          => $this->id,
+            'topic'       => $this->topic,
+            'type'        => $this->type,
+            'data'        => $this->data,
+            'occurred_at' => $this->occurredAt->format(\DateTimeInterface::ATOM),
+        ];
+    }
+}
@@ -0,0 +1,93 @@
+<?php
+
+declare(strict_types=1);
+
+namespace HdmBoot\SharedKernel\Events\Live;
+
+use HdmBoot\SharedKernel\Events\DomainEvent;
+use HdmBoot\SharedKernel\Events\EventListener;
+use Psr\Log\LoggerInterface;
+
+/**
+ * Live Event Bridge.
+ *
+ * Listens for the domain events browsers follow and appends them to the
+ * live event feed. Only the fields listed here leave the server, the rest
+ * of an event (emails, user agents, previous values) stays in the logs.
+ */
+final class LiveEventBridge implements EventListener
+{
+    /**
+     * Domain event name => [topic, type, fields passed on].
+     *
+     * @var array<string, array{string, string, array<string>}>
+     */
+    private const EVENTS = [
+        'blog.article_published'       => ['blog', 'article_published', ['slug', 'title', 'category']],
+        'user_was_registered'          => ['users', 'user_created', ['user_id']],
+        'user_was_updated'             => ['users', 'user_updated', ['user_id', 'changed_fields']],
+        'user_was_deleted'             => ['users', 'user_deleted', ['user_id']],
+        'security.rate_limit_exceeded' => ['security', 'login_throttled', ['scope', 'ip_address', 'retry_after']],
+    ];
+
+    /**
+     * Topic => permission needed to follow it, null for everyone.
+     *
+     * @var array<string, string|null>
+     */
+    public const TOPICS = [
+        'blog'     => null,
+        'users'    => 'user.view',
+        'security' => 'admin.security',
+    ];
+
+    public function __construct(
+        private readonly LiveEventFeed $feed,
+        private readonly LoggerInterface $logger
+    ) {
+    }
+
+    /**
+     * Handle the domain event.
+     */
+    public function handle(DomainEvent $event): void
+    {
+        $mapping = self::EVENTS[$event->getEventName()] ?? null;
+
+        if ($mapping === null) {
+            return;
+        }
+
+        [$topic, $type, $fields] = $mapping;
+
+        $id = $this->feed->append(
+            $topic,
+            $type,
+            array_intersect_key($event->getEventData(), array_flip($fields)),
+            $event->getOccurredAt()
+        );
+
+        $this->logger->debug('Domain event passed on to live clients', [
+            'event_name' => $event->getEventName(),
+            'event_id'   => $event->getEventId(),
+            'live_id'    => $id,
+            'topic'      => $topic,
+        ]);
+    }
+
+    /**
+     * Get events this listener supports.
+     */
+    public function getSupportedEvents(): array
+    {
+        return array_keys(self::EVENTS);
+    }
+
+    /**
+     * Get listener priority (higher = executed first).
+     */
+    public function getPriority(): int
+    {
+        return 0;
+    }
+}
@@ -0,0 +1,146 @@
+<?php
+
+declare(strict_types=1);
+
+namespace HdmBoot\SharedKernel\Events\Live;
+
+use PDO;
+
+/**
+ * Live Event Feed.
+ *
+ * Events for the browser, numbered in the order they happened. Requests
+ * don't share memory, so the feed lives in the database: whichever request
+ * dispatched an event appends it, the stream endpoints read everything
+ * after the last id a client has seen.
+ */
+final class LiveEventFeed
+{
+    private const TABLE_NAME = 'live_events';
+
+    /**
+     * How long events are kept, clients away for longer start over.
+     */
+    private const KEEP_SECONDS = 24 * 60 * 60;
+
+    public function __construct(
+        private readonly PDO $pdo
+    ) {
+        $this->ensureTableExists();
+    }
+
+    /**
+     * Append an event, returns its id.
+     *
+     * @param array<string, mixed> $data
+     */
+    public function append(string $topic, string $type, array $data, ?\DateTimeImmutable $occurredAt = null): int
+    {
+        $occurredAt ??= new \DateTimeImmutable();
+
+        $this->pdo->prepare('
+            INSERT INTO ' . self::TABLE_NAME . ' (topic, type, data, occurred_at, created_at)
+            VALUES (?, ?, ?, ?, ?)
+        ')->execute([
+            $topic,
+            $type,
+            json_encode($data) ?: '{}',
+            $occurredAt->format(\DateTimeInterface::ATOM),
+            time(),
+        ]);
+
+        $id = (int) $this->pdo->lastInsertId();
+
+        $this->prune();
+
+        return $id;
+    }
+
+    /**
+     * Events after the given id in the given topics, oldest first.
+     *
+     * @param array<string> $topics
+     *
+     * @return array<LiveEvent>
+     */
+    public function since(int $afterId, array $topics, int $limit = 100): array
+    {
+        if (empty($topics)) {
+            return [];
+        }
+
+        $placeholders = implode(', ', array_fill(0, count($topics), '?'));
+
+        $stmt = $this->pdo->prepare('
+            SELECT id, topic, type, data, occurred_at
+            FROM ' . self::TABLE_NAME . '
+            WHERE id > ? AND topic IN (' . $placeholders . ')
+            ORDER BY id
+            LIMIT ' . max(1, $limit) . '
+        ');
+        $stmt->execute([$afterId, ...array_values($topics)]);
+
+        $events = [];
+        while ($row = $stmt->fetch(PDO::FETCH_ASSOC)) {
+            if (is_array($row)) {
+                /** @var array<string, mixed> $typedRow */
+                $typedRow = $row;
+                $events[] = LiveEvent::fromArray($typedRow);
+            }
+        }
+
+        return $events;
+    }
+
+    /**
+     * Id of the newest event, 0 while the feed is empty.
+     */
+    public function lastId(): int
+    {
+        $stmt = $this->pdo->query('SELECT MAX(id) FROM ' . self::TABLE_NAME);
+        $value = $stmt !== false ? $stmt->fetchColumn() : null;
+
+        return is_numeric($value) ? (int) $value : 0;
+    }
+
+    /**
+     * Whether events after this id were pruned before a client could see them.
+     */
+    public function hasGap(int $afterId): bool
+    {
+        $stmt = $this->pdo->query('SELECT MIN(id) FROM ' . self::TABLE_NAME);
+        $value = $stmt !== false ? $stmt->fetchColumn() : null;
+
+        return is_numeric($value) && $afterId < (int) $value - 1;
+    }
+
+    /**
+     * Drop events older than KEEP_SECONDS.
+     */
+    private function prune(): void
+    {
+        $this->pdo->prepare('DELETE FROM ' . self::TABLE_NAME . ' WHERE created_at < ?')
+            ->execute([time() - self::KEEP_SECONDS]);
+    }
+
+    /**
+     * Ensure the feed table exists.
+     */
+    private function ensureTableExists(): void
+    {
+        // AUTOINCREMENT so ids of pruned events are never handed out again
+        $this->pdo->exec('
+            CREATE TABLE IF NOT EXISTS ' . self::TABLE_NAME . ' (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                topic TEXT NOT NULL,
+                type TEXT NOT NULL,
+                data TEXT NOT NULL,
+                occurred_at TEXT NOT NULL,
+                created_at INTEGER NOT NULL
+            )
+        ');
+
+        $this->pdo->exec('CREATE INDEX IF NOT EXISTS idx_live_events_topic ON ' . self::TABLE_NAME . '(topic, id)');
+        $this->pdo->exec('CREATE INDEX IF NOT EXISTS idx_live_events_created_at ON ' . self::TABLE_NAME . '(created_at)');
+    }
+}
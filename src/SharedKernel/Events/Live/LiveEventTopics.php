@@ -0,0 +1,54 @@
+<?php
+
+declare(strict_types=1);
+
+namespace HdmBoot\SharedKernel\Events\Live;
+
+use HdmBoot\Modules\Core\Security\Services\AuthorizationService;
+use Psr\Http\Message\ServerRequestInterface;
+
+/**
+ * Live Event Topics.
+ *
+ * Which of the topics a request asks for (`?topics=blog,users`) it may
+ * follow. Unknown topics and those the user lacks the permission for are
+ * left out, without `topics` every topic the user may follow is meant.
+ */
+final class LiveEventTopics
+{
+    public function __construct(
+        private readonly AuthorizationService $authorizationService
+    ) {
+    }
+
+    /**
+     * @return array<string>
+     */
+    public function allowed(ServerRequestInterface $request): array
+    {
+        $params = $request->getQueryParams();
+        $requested = is_string($params['topics'] ?? null) && trim($params['topics']) !== ''
+            ? array_map('trim', explode(',', $params['topics']))
+            : array_keys(LiveEventBridge::TOPICS);
+
+        $user = $request->getAttribute('user');
+
+        return array_values(array_filter(
+            array_unique($requested),
+            fn (string $topic): bool => array_key_exists($topic, LiveEventBridge::TOPICS)
+                && $this->mayFollow(is_array($user) ? $user : null, LiveEventBridge::TOPICS[$topic])
+        ));
+    }
+
+    /**
+     * @param array<string, mixed>|null $user
+     */
+    private function mayFollow(?array $user, ?string $permission): bool
+    {
+        if ($permission === null) {
+            return true;
+        }
+
+        return $user !== null && $this->authorizationService->hasPermission($user, $permission);
+    }
+}
@@ -0,0 +1,119 @@
+<?php
+
+declare(strict_types=1);
+
+namespace HdmBoot\SharedKernel\Helpers;
+
+/**
+ * Markdown Helper.
+ *
+ * Block-level pieces shared by the regex based markdown converters in the
+ * Blog and Docs modules. Fenced code and math are rendered to the markup the
+ * theme's content enhancers expect and kept out of the way of inline rules.
+ */
+final class MarkdownHelper
+{
+    /**
+     * Placeholders left in the markdown for extracted blocks and inline math.
+     */
+    private const PLACEHOLDER = "\x00BLOCK%d\x00";
+    private const INLINE_PLACEHOLDER = "\x00INLINE%d\x00";
+
+    /**
+     * Extract fenced code and display math into rendered HTML blocks.
+     *
+     * Fence info is "language {lines} [title]", so ```php {2,4-5} [Controller.php]
+     * becomes <pre data-line="2,4-5" data-title="Controller.php"><code class="language-php">.
+     * $$ ... $$ becomes <div class="math math-display"> and inline $...$ a
+     * <span class="math math-inline">. Like Pandoc, inline math must not start
+     * with a space or end before a digit, so "$5 and $10" stays text. Call
+     * restoreBlocks() on the finished HTML to put the blocks back.
+     *
+     * @param array<int, string> $blocks Receives the rendered blocks
+     */
+    public static function extractBlocks(string $markdown, array &$blocks): string
+    {
+        $markdown = preg_replace_callback(
+            '/^```([\w+#-]*)([^\n]*)\R(?:(.*?)\R)?```[ \t]*$/ms',
+            function (array $matches) use (&$blocks): string {
+                $blocks[] = self::renderCodeBlock($matches[1], $matches[2], $matches[3] ?? '');
+
+                return sprintf(self::PLACEHOLDER, count($blocks) - 1);
+            },
+            $markdown
+        ) ?? $markdown;
+
+        $markdown = preg_replace_callback(
+            '/^\$\$[ \t]*\R?(.+?)\R?[ \t]*\$\$[ \t]*$/ms',
+            function (array $matches) use (&$blocks): string {
+                $blocks[] = '<div class="math math-display">' . htmlspecialchars(trim($matches[1])) . '</div>';
+
+                return sprintf(self::PLACEHOLDER, count($blocks) - 1);
+            },
+            $markdown
+        ) ?? $markdown;
+
+        return preg_replace_callback(
+            '/(?<![\\\\$`\w])\$(?=\S)([^$`\n]*?\S)\$(?![\d$`])/',
+            function (array $matches) use (&$blocks): string {
+                $blocks[] = '<span class="math math-inline">' . htmlspecialchars($matches[1]) . '</span>';
+
+                return sprintf(self::INLINE_PLACEHOLDER, count($blocks) - 1);
+            },
+            $markdown
+        ) ?? $markdown;
+    }
+
+    /**
+     * Put extracted blocks back, dropping the line break nl2br() added after block ones.
+     *
+     * @param array<int, string> $blocks
+     */
+    public static function restoreBlocks(string $html, array $blocks): string
+    {
+        return preg_replace_callback(
+            '/\x00(?:BLOCK(\d+)\x00(?:<br \/>)?|INLINE(\d+)\x00)/',
+            fn (array $matches): string => $blocks[(int) ($matches[2] ?? $matches[1])] ?? '',
+            $html
+        ) ?? $html;
+    }
+
+    /**
+     * Turn runs of "> " lines into blockquotes.
+     *
+     * Expects escaped HTML, where ">" has become "&gt;". GitHub style callouts
+     * ("> [!NOTE]") are left for the theme's admonition enhancer.
+     */
+    public static function blockquotes(string $html): string
+    {
+        return preg_replace_callback(
+            '/^&gt;.*(?:\R&gt;.*)*/m',
+            fn (array $matches): string => '<blockquote>'
+                . trim(preg_replace('/^&gt; ?/m', '', $matches[0]) ?? $matches[0])
+                . '</blockquote>',
+            $html
+        ) ?? $html;
+    }
+
+    /**
+     * Render one fenced code block.
+     */
+    private static function renderCodeBlock(string $language, string $info, string $code): string
+    {
+        $preAttributes = '';
+
+        if (preg_match('/\{([\d,\s-]+)\}/', $info, $lines) === 1) {
+            $preAttributes .= ' data-line="' . preg_replace('/[^\d,-]/', '', $lines[1]) . '"';
+        }
+
+        if (preg_match('/\[([^\]]+)\]/', $info, $title) === 1) {
+            $preAttributes .= ' data-title="' . htmlspecialchars(trim($title[1])) . '"';
+        }
+
+        $codeAttributes = $language !== ''
+            ? ' class="language-' . htmlspecialchars(strtolower($language)) . '"'
+            : '';
+
+        return "<pre{$preAttributes}><code{$codeAttributes}>" . htmlspecialchars($code) . '</code></pre>';
+    }
+}
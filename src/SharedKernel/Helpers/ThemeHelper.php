@@ -15,6 +15,13 @@ class ThemeHelper
 {
     private static ?ThemeManager $themeManager = null;
 
+    /**
+     * Hands out the session's CSRF token for the theme's API client.
+     *
+     * @var (callable(): ?string)|null
+     */
+    private static $csrfTokenProvider = null;
+
     /**
      * Generate resource hints for better performance.
      */
@@ -186,9 +193,71 @@ class ThemeHelper
             $attributes[] = 'data-theme-dark-mode="true"';
         }
 
+        $palettes = self::getPaletteNames($theme);
+        if ($palettes !== []) {
+            $attributes[] = 'data-palettes="' . htmlspecialchars(implode(' ', $palettes)) . '"';
+        }
+
         return implode(' ', $attributes);
     }
 
+    /**
+     * Get named colour palettes declared in theme.json (colors.palettes).
+     *
+     * @return array<string>
+     */
+    public static function getPaletteNames(?string $theme = null): array
+    {
+        $config = self::getThemeConfig($theme);
+        $colors = $config['colors'] ?? [];
+        $palettes = is_array($colors) ? ($colors['palettes'] ?? []) : [];
+
+        if (!is_array($palettes)) {
+            return [];
+        }
+
+        return array_values(array_filter(
+            array_keys($palettes),
+            fn ($name): bool => is_string($name) && preg_match('/^[a-z0-9-]+$/', $name) === 1
+        ));
+    }
+
+    /**
+     * Inline script applying the stored colour mode and palette before first paint.
+     *
+     * Reads the same localStorage key as assets/js/lib/theme.js.
+     */
+    public static function renderThemeBootstrap(): string
+    {
+        return <<<'HTML'
+            <script>
+            (function () {
+                var root = document.documentElement;
+                var preference = {};
+                try {
+                    var raw = localStorage.getItem('theme');
+                    var legacy = localStorage.getItem('darkMode');
+                    if (raw && raw.charAt(0) === '{') {
+                        preference = JSON.parse(raw);
+                    } else if (raw) {
+                        preference = { mode: raw };
+                    } else if (legacy !== null) {
+                        preference = { mode: legacy === 'true' ? 'dark' : 'light' };
+                    }
+                } catch (e) {}
+                var dark = preference.mode === 'dark' ||
+                    (preference.mode !== 'light' && window.matchMedia('(prefers-color-scheme: dark)').matches);
+                var palettes = (root.getAttribute('data-palettes') || '').split(' ');
+                root.classList.toggle('dark', dark);
+                root.style.colorScheme = dark ? 'dark' : 'light';
+                if (preference.palette && palettes.indexOf(preference.palette) !== -1) {
+                    root.setAttribute('data-palette', preference.palette);
+                }
+            })();
+            </script>
+            HTML;
+    }
+
     /**
      * Generate theme meta tags.
      */
@@ -253,6 +322,41 @@ class ThemeHelper
         return $fallbackColors[$theme] ?? '#3b82f6';
     }
 
+    /**
+     * Set where the CSRF token rendered into the head comes from.
+     *
+     * @param (callable(): ?string)|null $provider
+     */
+    public static function setCsrfTokenProvider(?callable $provider): void
+    {
+        self::$csrfTokenProvider = $provider;
+    }
+
+    /**
+     * CSRF token meta tag read by the theme's API client.
+     */
+    public static function renderCsrfMeta(): string
+    {
+        if (self::$csrfTokenProvider === null) {
+            return '';
+        }
+
+        try {
+            $token = (self::$csrfTokenProvider)();
+        } catch (\Throwable $e) {
+            // The page still works, the first API request fetches a token
+            error_log('Failed to render CSRF token: ' . $e->getMessage());
+
+            return '';
+        }
+
+        if (!is_string($token) || $token === '') {
+            return '';
+        }
+
+        return '<meta name="csrf-token" content="' . htmlspecialchars($token, ENT_QUOTES, 'UTF-8') . '">';
+    }
+
     /**
      * Generate complete HTML head section for theme.
      */
@@ -269,12 +373,20 @@ class ThemeHelper
         // Resource hints for better performance
         $resourceHints = self::generateResourceHints($theme);
 
+        // Colour mode before any stylesheet, so there is no flash of the wrong theme
+        $themeBootstrap = self::renderThemeBootstrap();
+
+        $csrfMeta = self::renderCsrfMeta();
+
         return <<<HTML
             <meta charset="UTF-8">
             <meta name="viewport" content="width=device-width, initial-scale=1.0">
             <title>{$title}</title>
             <meta name="description" content="{$metaDescription}">
             <meta name="theme-color" content="{$themeColor}">
+            <meta name="color-scheme" content="light dark">
+            {$csrfMeta}
+            {$themeBootstrap}
             {$resourceHints}
             {$metaTags}
             {$assets}
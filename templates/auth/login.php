@@ -203,7 +203,8 @@
             </div>
         <?php endif; ?>
 
-        <form method="POST" action="/login">
+        <?php $redirect = is_string($queryParams['redirect'] ?? null) ? $queryParams['redirect'] : ''; ?>
+        <form method="POST" action="/login<?= $redirect !== '' ? '?redirect=' . htmlspecialchars(rawurlencode($redirect), ENT_QUOTES, 'UTF-8') : '' ?>">
             <?= $csrf->getHiddenInput('login') ?>
             
             <div class="form-group">
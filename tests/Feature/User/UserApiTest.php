@@ -4,6 +4,7 @@ declare(strict_types=1);
 
 namespace HdmBoot\Tests\Feature\User;
 
+use HdmBoot\Modules\Core\Session\Infrastructure\Middleware\CsrfMiddleware;
 use HdmBoot\Tests\TestCase;
 
 /**
@@ -179,22 +180,111 @@ class UserApiTest extends TestCase
         $this->assertErrorResponse($response, 401, 'UNAUTHORIZED');
     }
 
-    public function testUpdateUserNotImplemented(): void
+    public function testCreateUserWithoutCsrfToken(): void
+    {
+        // A browser, it sends the session cookie along
+        $request = $this->createAuthenticatedRequest('POST', '/api/users', null, [
+            'email'    => 'csrf@example.com',
+            'name'     => 'CSRF User',
+            'password' => 'Password123',
+        ])
+            ->withoutHeader(CsrfMiddleware::HEADER)
+            ->withCookieParams([$_ENV['SESSION_NAME'] ?? 'boot_session' => 'test-session']);
+
+        $response = $this->executeRequest($request);
+        $this->assertErrorResponse($response, 403, 'CSRF_TOKEN_INVALID');
+
+        // A fresh token to retry with
+        $this->assertNotSame('', $response->getHeaderLine(CsrfMiddleware::HEADER));
+    }
+
+    public function testCreateUserWithBearerTokenOnly(): void
+    {
+        // An API client without a session needs no CSRF token
+        $request = $this->createAuthenticatedRequest('POST', '/api/users', null, [
+            'email'    => 'bearer' . time() . '@example.com',
+            'name'     => 'Bearer User',
+            'password' => 'Password123',
+        ])->withoutHeader(CsrfMiddleware::HEADER);
+
+        $response = $this->executeRequest($request);
+        $this->assertJsonResponse($response, 201, true);
+    }
+
+    public function testUpdateUser(): void
+    {
+        $request = $this->createAuthenticatedRequest('POST', '/api/users', null, [
+            'email'    => 'update' . time() . '@example.com',
+            'name'     => 'Before Update',
+            'password' => 'Password123',
+        ]);
+        $created = $this->assertJsonResponse($this->executeRequest($request), 201, true);
+
+        $request = $this->createAuthenticatedRequest('PUT', "/api/users/{$created['data']['id']}", null, [
+            'name'   => 'Updated Name',
+            'status' => 'inactive',
+        ]);
+
+        $response = $this->executeRequest($request);
+        $data = $this->assertJsonResponse($response, 200, true);
+
+        $this->assertSame('Updated Name', $data['data']['name']);
+        $this->assertSame('inactive', $data['data']['status']);
+        $this->assertArrayNotHasKey('password_hash', $data['data']);
+    }
+
+    public function testUpdateUserNotFound(): void
     {
         $request = $this->createAuthenticatedRequest('PUT', '/api/users/some-id', null, [
             'name' => 'Updated Name',
         ]);
 
         $response = $this->executeRequest($request);
-        $this->assertErrorResponse($response, 501, 'NOT_IMPLEMENTED');
+        $this->assertErrorResponse($response, 404, 'USER_NOT_FOUND');
+    }
+
+    public function testUpdateOwnRoleIsRejected(): void
+    {
+        $request = $this->createAuthenticatedRequest('PUT', '/api/users/550e8400-e29b-41d4-a716-446655440000', null, [
+            'role' => 'user',
+        ]);
+
+        $response = $this->executeRequest($request);
+        $data = $this->assertErrorResponse($response, 422, 'VALIDATION_ERROR');
+
+        $this->assertArrayHasKey('role', $data['error']['details']);
     }
 
-    public function testDeleteUserNotImplemented(): void
+    public function testDeleteUser(): void
+    {
+        $request = $this->createAuthenticatedRequest('POST', '/api/users', null, [
+            'email'    => 'delete' . time() . '@example.com',
+            'name'     => 'To Delete',
+            'password' => 'Password123',
+        ]);
+        $created = $this->assertJsonResponse($this->executeRequest($request), 201, true);
+
+        $request = $this->createAuthenticatedRequest('DELETE', "/api/users/{$created['data']['id']}");
+        $this->assertJsonResponse($this->executeRequest($request), 200, true);
+
+        $request = $this->createAuthenticatedRequest('GET', "/api/users/{$created['data']['id']}");
+        $this->assertErrorResponse($this->executeRequest($request), 404, 'USER_NOT_FOUND');
+    }
+
+    public function testDeleteUserNotFound(): void
     {
         $request = $this->createAuthenticatedRequest('DELETE', '/api/users/some-id');
 
         $response = $this->executeRequest($request);
-        $this->assertErrorResponse($response, 501, 'NOT_IMPLEMENTED');
+        $this->assertErrorResponse($response, 404, 'USER_NOT_FOUND');
+    }
+
+    public function testDeleteOwnAccountIsRejected(): void
+    {
+        $request = $this->createAuthenticatedRequest('DELETE', '/api/users/550e8400-e29b-41d4-a716-446655440000');
+
+        $response = $this->executeRequest($request);
+        $this->assertErrorResponse($response, 409, 'CANNOT_DELETE_SELF');
     }
 
     public function testUserApiRequiresProperPermissions(): void
@@ -6,6 +6,8 @@ namespace HdmBoot\Tests;
 
 use DI\Container;
 use HdmBoot\Boot\App;
+use HdmBoot\Modules\Core\Session\Infrastructure\Middleware\CsrfMiddleware;
+use HdmBoot\Modules\Core\Session\Services\CsrfService;
 use HdmBoot\Shared\Services\DatabaseManager;
 use PHPUnit\Framework\TestCase as PHPUnitTestCase;
 use Psr\Http\Message\ResponseInterface;
@@ -137,6 +139,11 @@ abstract class TestCase extends PHPUnitTestCase
     ): ServerRequestInterface {
         $request = (new ServerRequestFactory())->createServerRequest($method, $uri);
 
+        // Mutating requests carry the CSRF token, like the theme's API client
+        if (!in_array(strtoupper($method), ['GET', 'HEAD', 'OPTIONS'], true)) {
+            $request = $request->withHeader(CsrfMiddleware::HEADER, $this->csrfToken());
+        }
+
         foreach ($headers as $name => $value) {
             $request = $request->withHeader($name, $value);
         }
@@ -149,6 +156,17 @@ abstract class TestCase extends PHPUnitTestCase
         return $request;
     }
 
+    /**
+     * CSRF token of the test session.
+     */
+    protected function csrfToken(): string
+    {
+        /** @var CsrfService $csrfService */
+        $csrfService = $this->container->get(CsrfService::class);
+
+        return $csrfService->getOrGenerateToken(CsrfMiddleware::ACTION);
+    }
+
     /**
      * Create JSON request for testing.
      */
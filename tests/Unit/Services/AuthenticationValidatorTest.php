@@ -0,0 +1,93 @@
+<?php
+
+declare(strict_types=1);
+
+namespace HdmBoot\Tests\Unit\Services;
+
+use HdmBoot\Modules\Core\Security\Exceptions\ValidationException;
+use HdmBoot\Modules\Core\Security\Services\AuthenticationValidator;
+use HdmBoot\Modules\Core\Security\Services\FormSchema;
+use HdmBoot\Tests\TestCase;
+use InvalidArgumentException;
+
+/**
+ * Unit tests for AuthenticationValidator and the FormSchema it is built from.
+ */
+class AuthenticationValidatorTest extends TestCase
+{
+    private AuthenticationValidator $validator;
+
+    private FormSchema $schema;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+        $this->schema = new FormSchema();
+        $this->validator = new AuthenticationValidator($this->schema);
+    }
+
+    public function testValidLoginPasses(): void
+    {
+        $this->validator->validateUserLogin([
+            'email'    => 'user@example.com',
+            'password' => 'secret',
+        ]);
+
+        $this->addToAssertionCount(1);
+    }
+
+    public function testLoginReportsMissingAndEmptyFields(): void
+    {
+        try {
+            $this->validator->validateUserLogin(['password' => '']);
+            $this->fail('Expected ValidationException');
+        } catch (ValidationException $e) {
+            $errors = $e->getErrors();
+
+            $this->assertContains('Email is required', $errors['email']);
+            $this->assertContains('Password cannot be empty', $errors['password']);
+        }
+    }
+
+    public function testPasswordPatternsComeFromSchema(): void
+    {
+        try {
+            $this->validator->validatePassword(['password' => 'lowercase-only']);
+            $this->fail('Expected ValidationException');
+        } catch (ValidationException $e) {
+            $errors = $e->getErrors();
+
+            $this->assertContains(FormSchema::PASSWORD_PATTERNS['hasUppercase']['message'], $errors['password']);
+            $this->assertContains(FormSchema::PASSWORD_PATTERNS['hasNumber']['message'], $errors['password']);
+        }
+    }
+
+    public function testPasswordConfirmationMustMatch(): void
+    {
+        $this->expectException(ValidationException::class);
+
+        $this->validator->validatePasswordWithConfirmation([
+            'password'  => 'Secret123',
+            'password2' => 'Secret124',
+        ]);
+    }
+
+    public function testSchemaExposesRulesForTheBrowser(): void
+    {
+        $schema = $this->schema->toArray('register');
+
+        $this->assertEquals('register', $schema['form']);
+        $this->assertArrayHasKey('email', $schema['fields']);
+
+        $rules = array_column($schema['fields']['email'], 'rule');
+        $this->assertEquals(['required', 'email', 'unique'], $rules);
+        $this->assertJson($this->schema->toJson('register'));
+    }
+
+    public function testUnknownSchemaIsRejected(): void
+    {
+        $this->expectException(InvalidArgumentException::class);
+
+        $this->schema->getFields('unknown');
+    }
+}
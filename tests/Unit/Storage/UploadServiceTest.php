@@ -0,0 +1,156 @@
+<?php
+
+declare(strict_types=1);
+
+namespace HdmBoot\Tests\Unit\Storage;
+
+use HdmBoot\Modules\Core\Storage\Exceptions\UploadException;
+use HdmBoot\Modules\Core\Storage\Services\UploadService;
+use PHPUnit\Framework\TestCase;
+use Slim\Psr7\Factory\StreamFactory;
+
+/**
+ * Unit tests for UploadService.
+ */
+class UploadServiceTest extends TestCase
+{
+    // 1x1 transparent PNG
+    private const PNG = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+
+    private string $directory;
+
+    private UploadService $uploadService;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $this->directory = sys_get_temp_dir() . '/upload-service-test-' . uniqid();
+        $this->uploadService = new UploadService(
+            $this->directory . '/uploads',
+            $this->directory . '/public',
+            '/media/uploads',
+            1024
+        );
+    }
+
+    protected function tearDown(): void
+    {
+        if (!is_dir($this->directory)) {
+            parent::tearDown();
+
+            return;
+        }
+
+        $files = new \RecursiveIteratorIterator(
+            new \RecursiveDirectoryIterator($this->directory, \FilesystemIterator::SKIP_DOTS),
+            \RecursiveIteratorIterator::CHILD_FIRST
+        );
+
+        foreach ($files as $file) {
+            $file->isDir() ? rmdir($file->getPathname()) : unlink($file->getPathname());
+        }
+
+        rmdir($this->directory);
+
+        parent::tearDown();
+    }
+
+    public function testUploadInChunksPublishesFile(): void
+    {
+        $png = (string) base64_decode(self::PNG, true);
+        $size = strlen($png);
+
+        $upload = $this->uploadService->create('user-1', 'pixel.png', $size, 'image/png');
+        $this->assertSame(0, $upload['offset']);
+
+        $first = $this->uploadService->append($upload['id'], 'user-1', 0, 29, $size, $this->stream(substr($png, 0, 30)));
+        $this->assertSame(30, $first['offset']);
+        $this->assertArrayNotHasKey('file', $first);
+
+        $last = $this->uploadService->append($upload['id'], 'user-1', 30, $size - 1, $size, $this->stream(substr($png, 30)));
+        $this->assertArrayHasKey('file', $last);
+        $this->assertSame('image/png', $last['file']['type']);
+        $this->assertStringStartsWith('/media/uploads/', $last['file']['url']);
+        $this->assertStringEndsWith('.png', $last['file']['url']);
+
+        $status = $this->uploadService->status($upload['id'], 'user-1');
+        $this->assertSame($last['file'], $status['file']);
+    }
+
+    public function testChunkAtWrongOffsetConflicts(): void
+    {
+        $upload = $this->uploadService->create('user-1', 'pixel.png', 100, 'image/png');
+
+        try {
+            $this->uploadService->append($upload['id'], 'user-1', 50, 99, 100, $this->stream(str_repeat('x', 50)));
+            $this->fail('Expected an offset mismatch');
+        } catch (UploadException $e) {
+            $this->assertSame(409, $e->getStatus());
+        }
+    }
+
+    public function testIncompleteChunkIsDropped(): void
+    {
+        $upload = $this->uploadService->create('user-1', 'pixel.png', 100, 'image/png');
+
+        try {
+            $this->uploadService->append($upload['id'], 'user-1', 0, 49, 100, $this->stream(str_repeat('x', 20)));
+            $this->fail('Expected the chunk to be rejected');
+        } catch (UploadException $e) {
+            $this->assertSame(400, $e->getStatus());
+        }
+
+        $this->assertSame(0, $this->uploadService->status($upload['id'], 'user-1')['offset']);
+    }
+
+    public function testRejectsFilesOverTheSizeLimit(): void
+    {
+        try {
+            $this->uploadService->create('user-1', 'large.png', 2048, 'image/png');
+            $this->fail('Expected the file to be refused');
+        } catch (UploadException $e) {
+            $this->assertSame(413, $e->getStatus());
+        }
+    }
+
+    public function testRejectsTypesOutsideTheAllowList(): void
+    {
+        try {
+            $this->uploadService->create('user-1', 'page.html', 100, 'text/html');
+            $this->fail('Expected the type to be refused');
+        } catch (UploadException $e) {
+            $this->assertSame(415, $e->getStatus());
+        }
+    }
+
+    public function testRejectsContentNotMatchingTheAllowList(): void
+    {
+        $html = '<script>alert(1)</script>';
+        $upload = $this->uploadService->create('user-1', 'pixel.png', strlen($html), 'image/png');
+
+        try {
+            $this->uploadService->append($upload['id'], 'user-1', 0, strlen($html) - 1, strlen($html), $this->stream($html));
+            $this->fail('Expected the content to be refused');
+        } catch (UploadException $e) {
+            $this->assertSame(415, $e->getStatus());
+        }
+
+        $this->assertSame([], glob($this->directory . '/public/*/*/*') ?: []);
+    }
+
+    public function testUploadsOfOtherUsersAreNotFound(): void
+    {
+        $upload = $this->uploadService->create('user-1', 'pixel.png', 100, 'image/png');
+
+        $this->expectException(UploadException::class);
+        $this->expectExceptionMessage('Upload not found');
+
+        $this->uploadService->status($upload['id'], 'user-2');
+    }
+
+    private function stream(string $content): \Psr\Http\Message\StreamInterface
+    {
+        return (new StreamFactory())->createStream($content);
+    }
+}